@@ -22,57 +22,71 @@ if (!fs.existsSync(distDir)) {
 console.log('🏗️  Building kuuzuki plugin...');
 
 // Simple module bundler
-function bundleModules(filePath, bundled = new Set()) {
+const localImportRegex = /import\s+\{([^}]+)\}\s+from\s+['"]\.\/([^'"]+)['"];?/gs;
+const externalImportRegex = /^import\s+[^;'"]+?\s+from\s+['"]([^.'"][^'"]*)['"];?[ \t]*$/gm;
+
+// Collect a module and its local dependencies in dependency order
+function collectModules(filePath, ordered, bundled, externalImports) {
   const content = fs.readFileSync(filePath, 'utf8');
   const dir = path.dirname(filePath);
   
   // Find all local imports (including multi-line imports)
-  const importRegex = /import\s+\{([^}]+)\}\s+from\s+['"]\.\/([^'"]+)['"];?/gs;
-  const imports = [];
   let match;
-  
-  while ((match = importRegex.exec(content)) !== null) {
-    const [fullMatch, namedImports, modulePath] = match;
-    const fullModulePath = path.resolve(dir, modulePath);
+  localImportRegex.lastIndex = 0;
+  const dependencies = [];
+  while ((match = localImportRegex.exec(content)) !== null) {
+    const [, , modulePath] = match;
     
     // Handle .js extension
-    let actualPath = fullModulePath;
+    let actualPath = path.resolve(dir, modulePath);
     if (!actualPath.endsWith('.js')) {
       actualPath += '.js';
     }
-    
-    if (fs.existsSync(actualPath) && !bundled.has(actualPath)) {
-      bundled.add(actualPath);
-      imports.push({
-        fullMatch,
-        namedImports,
-        modulePath,
-        actualPath,
-        content: fs.readFileSync(actualPath, 'utf8')
-      });
+    dependencies.push(actualPath);
+  }
+  
+  for (const dependency of dependencies) {
+    if (fs.existsSync(dependency) && !bundled.has(dependency)) {
+      bundled.add(dependency);
+      collectModules(dependency, ordered, bundled, externalImports);
     }
   }
   
-  // Start with imported modules
-  let result = '';
-  for (const imp of imports) {
-    console.log(`   📦 Bundling: ${path.relative(srcDir, imp.actualPath)}`);
+  // Hoist external imports (node builtins) so each is declared once,
+  // whichever quote style the module uses
+  const body = content
+    .replace(externalImportRegex, (statement) => {
+      externalImports.add(statement.trim().replace(/;?$/, ';').replace(/"/g, "'"));
+      return '';
+    })
+    .replace(localImportRegex, '');
+  
+  ordered.push({ filePath, body });
+}
+
+function bundleModules(entryPath) {
+  const ordered = [];
+  const externalImports = new Set();
+  collectModules(entryPath, ordered, new Set([entryPath]), externalImports);
+  
+  let result = `${[...externalImports].join('\n')}\n\n`;
+  for (const { filePath, body } of ordered) {
+    if (filePath === entryPath) continue;
+    console.log(`   📦 Bundling: ${path.relative(srcDir, filePath)}`);
     
     // Remove export keywords and add the module content
-    const moduleContent = imp.content
+    const moduleContent = body
       .replace(/export\s+const\s+/g, 'const ')
-      .replace(/export\s+function\s+/g, 'function ')
+      .replace(/export\s+(async\s+)?function\s+/g, '$1function ')
       .replace(/export\s+\{[^}]+\}\s*;?\s*$/gm, '')
       .trim();
     
-    result += `// === Module: ${imp.modulePath} ===\n${moduleContent}\n\n`;
+    result += `// === Module: ${path.relative(srcDir, filePath)} ===\n${moduleContent}\n\n`;
   }
   
-  // Add main file content without imports (comment out entire multi-line imports)
-  const mainContent = content.replace(importRegex, (match) => {
-    return match.split('\n').map(line => line.trim() ? `// ${line}` : '//').join('\n');
-  });
-  result += `// === Main Module ===\n${mainContent}`;
+  // Add main file content last; its exports are the plugin entry points
+  const main = ordered.find(module => module.filePath === entryPath);
+  result += `// === Main Module ===\n${main.body.trim()}\n`;
   
   return result;
 }
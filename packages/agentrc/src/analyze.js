@@ -0,0 +1,577 @@
+/**
+ * Project Analysis for Kuuzuki
+ *
+ * Looks at a project's manifests to work out its language, framework,
+ * package manager and scripts, and writes a starter .agentrc from that.
+ * Used by the plugin's /init handling and by `kuuzuki init`.
+ */
+
+import path from "path";
+import fs from "fs/promises";
+import { parseYamlWithLocations, stringifyYaml } from "./yaml.js";
+import { fileExists, getConfigFormat } from "./config.js";
+import { detectEcosystems, detectTaskRunners } from "./ecosystems.js";
+
+/**
+ * Directories never searched for workspace packages
+ */
+const IGNORED_WORKSPACE_DIRS = new Set(["node_modules", "dist", "build", "coverage"]);
+
+/**
+ * Read a JSON file, or null when it is missing or does not parse
+ */
+const readJsonFile = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Frameworks recognised in package.json, by role. Within a role the first
+ * match is the project's framework; meta-frameworks come before the UI
+ * library they build on
+ */
+const FRAMEWORKS = [
+  { name: "next", role: "meta-framework", packages: ["next"] },
+  { name: "nuxt", role: "meta-framework", packages: ["nuxt"] },
+  { name: "remix", role: "meta-framework", packages: ["@remix-run/react", "@remix-run/node", "@remix-run/dev"] },
+  { name: "sveltekit", role: "meta-framework", packages: ["@sveltejs/kit"] },
+  { name: "astro", role: "meta-framework", packages: ["astro"] },
+  { name: "react", role: "ui", packages: ["react"] },
+  { name: "vue", role: "ui", packages: ["vue"] },
+  { name: "svelte", role: "ui", packages: ["svelte"] },
+  { name: "angular", role: "ui", packages: ["@angular/core"] },
+  { name: "nestjs", role: "server", packages: ["@nestjs/core"] },
+  { name: "express", role: "server", packages: ["express"] },
+  { name: "fastify", role: "server", packages: ["fastify"] },
+  { name: "hono", role: "server", packages: ["hono"] },
+  { name: "playwright", role: "e2e", packages: ["@playwright/test", "playwright"] },
+  { name: "cypress", role: "e2e", packages: ["cypress"] }
+];
+
+/**
+ * Name a framework contributes to the project type; Next.js keeps its
+ * established "nextjs-project"
+ */
+const getFrameworkTypeName = (framework) => framework.name === "next" ? "nextjs" : framework.name;
+
+/**
+ * Work out language, framework, test runner and bundler from a package.json
+ */
+const detectPackageTooling = (packageJson, hasTsconfig) => {
+  const dependencies = Object.keys(packageJson.dependencies || {});
+  const devDependencies = Object.keys(packageJson.devDependencies || {});
+  const uses = (name) => dependencies.includes(name) || devDependencies.includes(name);
+  const tooling = {
+    language: "javascript",
+    hasTypescript: false,
+    framework: null,
+    frameworks: [],
+    type: "node-project",
+    testFramework: null,
+    buildTool: null
+  };
+
+  // Detect TypeScript
+  if (uses("typescript") || hasTsconfig) {
+    tooling.hasTypescript = true;
+    tooling.language = "typescript";
+  }
+
+  // Every framework counts; the most specific one names the project, with
+  // a separate server framework added (react-express-project)
+  tooling.frameworks = FRAMEWORKS.filter(framework => framework.packages.some(uses)).map(({ name, role }) => ({ name, role }));
+  const primary = ["meta-framework", "ui", "server"]
+    .map(role => tooling.frameworks.find(framework => framework.role === role))
+    .find(Boolean);
+  if (primary) {
+    const server = tooling.frameworks.find(framework => framework.role === "server");
+    tooling.framework = primary.name;
+    tooling.type = `${[primary, ...(server && server !== primary ? [server] : [])].map(getFrameworkTypeName).join("-")}-project`;
+  }
+
+  // Detect test frameworks
+  if (uses("jest")) tooling.testFramework = "jest";
+  else if (uses("vitest")) tooling.testFramework = "vitest";
+  else if (uses("mocha")) tooling.testFramework = "mocha";
+
+  // Detect build tools
+  if (uses("vite")) tooling.buildTool = "vite";
+  else if (uses("webpack")) tooling.buildTool = "webpack";
+
+  return tooling;
+};
+
+/**
+ * Expand one workspace pattern ("packages/*", "apps/**", "tools/cli") to directories
+ */
+const expandWorkspacePattern = async (root, pattern) => {
+  const segments = pattern.replace(/^\.\//, "").split("/").filter(segment => segment && segment !== ".");
+  const listDirs = async (dir) => (await fs.readdir(dir, { withFileTypes: true }).catch(() => []))
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith(".") && !IGNORED_WORKSPACE_DIRS.has(entry.name))
+    .map(entry => path.join(dir, entry.name));
+  const walk = async (dir, index) => {
+    if (index === segments.length) return [dir];
+    const segment = segments[index];
+    if (segment === "**") {
+      const nested = await Promise.all((await listDirs(dir)).map(child => walk(child, index)));
+      return [...await walk(dir, index + 1), ...nested.flat()];
+    }
+    if (!/[*?]/.test(segment)) {
+      const next = path.join(dir, segment);
+      return (await fs.stat(next).catch(() => null))?.isDirectory() ? walk(next, index + 1) : [];
+    }
+    const regex = new RegExp(`^${segment.split("").map(char => char === "*" ? ".*" : char === "?" ? "." : char.replace(/[.+^$()|\\{}[\]]/g, "\\$&")).join("")}$`);
+    const matches = (await listDirs(dir)).filter(child => regex.test(path.basename(child)));
+    return (await Promise.all(matches.map(child => walk(child, index + 1)))).flat();
+  };
+  return walk(root, 0);
+};
+
+/**
+ * Find the workspace setup of a repository: package manager workspaces
+ * (package.json `workspaces`, pnpm-workspace.yaml), lerna, nx and turbo.
+ * @returns {Promise<Object|null>} { tools, patterns, managed } or null for single-package repos
+ */
+const detectWorkspaces = async (projectPath, packageJson, packageManager) => {
+  const tools = [];
+  const patterns = [];
+  // Whether the package manager itself links the packages
+  let managed = false;
+
+  const declared = Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces?.packages;
+  if (Array.isArray(declared) && declared.length > 0) {
+    tools.push(packageManager);
+    patterns.push(...declared);
+    managed = true;
+  }
+  const pnpmWorkspace = await fs.readFile(path.join(projectPath, "pnpm-workspace.yaml"), "utf-8").catch(() => null);
+  if (pnpmWorkspace !== null) {
+    try {
+      const { value } = parseYamlWithLocations(pnpmWorkspace);
+      if (!tools.includes("pnpm")) tools.push("pnpm");
+      patterns.push(...(Array.isArray(value?.packages) ? value.packages : []));
+      managed = true;
+    } catch {
+      // An unreadable pnpm-workspace.yaml leaves the other sources
+    }
+  }
+  const lerna = await readJsonFile(path.join(projectPath, "lerna.json"));
+  if (lerna) {
+    tools.push("lerna");
+    if (!managed) patterns.push(...(lerna.packages || ["packages/*"]));
+  }
+  const nx = await readJsonFile(path.join(projectPath, "nx.json"));
+  if (nx) {
+    tools.push("nx");
+    if (patterns.length === 0) {
+      const { appsDir = "apps", libsDir = "libs" } = nx.workspaceLayout || {};
+      patterns.push(`${appsDir}/*`, `${libsDir}/*`, "packages/*");
+    }
+  }
+  if (await fileExists(path.join(projectPath, "turbo.json"))) tools.push("turbo");
+
+  return tools.length > 0 && patterns.length > 0 ? { tools, patterns: [...new Set(patterns)], managed } : null;
+};
+
+/**
+ * Enumerate and analyse the packages of a workspace
+ * @returns {Promise<Array<Object>>} { name, path, language, framework, testFramework, buildTool, scripts, nx }, by path
+ */
+const analyzeWorkspacePackages = async (projectPath, patterns) => {
+  const included = new Set();
+  for (const pattern of patterns.filter(pattern => !pattern.startsWith("!"))) {
+    (await expandWorkspacePattern(projectPath, pattern)).forEach(dir => included.add(dir));
+  }
+  for (const pattern of patterns.filter(pattern => pattern.startsWith("!"))) {
+    (await expandWorkspacePattern(projectPath, pattern.slice(1))).forEach(dir => included.delete(dir));
+  }
+
+  const packages = [];
+  for (const dir of [...included].sort()) {
+    if (dir === projectPath) continue;
+    const packageJson = await readJsonFile(path.join(dir, "package.json"));
+    // nx projects may only have a project.json
+    const nxProject = await readJsonFile(path.join(dir, "project.json"));
+    if (!packageJson && !nxProject) continue;
+    const tooling = detectPackageTooling(packageJson || {}, await fileExists(path.join(dir, "tsconfig.json")));
+    packages.push({
+      name: packageJson?.name || nxProject?.name || path.basename(dir),
+      path: path.relative(projectPath, dir).split(path.sep).join("/"),
+      language: tooling.language,
+      framework: tooling.framework,
+      frameworks: tooling.frameworks,
+      testFramework: tooling.testFramework,
+      buildTool: tooling.buildTool,
+      scripts: packageJson?.scripts || Object.fromEntries(Object.keys(nxProject?.targets || {}).map(target => [target, target])),
+      nx: !packageJson
+    });
+  }
+  return packages;
+};
+
+/**
+ * How each package manager runs a binary installed in the project
+ */
+const PACKAGE_EXEC = { npm: "npx", yarn: "yarn", pnpm: "pnpm exec", bun: "bunx" };
+
+/**
+ * Test runner invocations for projects without a test script
+ */
+const TEST_RUNNER_COMMANDS = {
+  jest: "jest",
+  vitest: "vitest run",
+  mocha: "mocha",
+  angular: "ng test",
+  playwright: "playwright test",
+  cypress: "cypress run"
+};
+
+/**
+ * package.json scripts that run end-to-end tests
+ */
+const E2E_SCRIPTS = ["e2e", "test:e2e", "e2e:test"];
+
+/**
+ * Commands a package.json provides through its scripts. Without a test
+ * script, the unit test runner (or Angular's CLI) is run directly, and
+ * end-to-end frameworks get an `e2e` command
+ */
+const getNodeCommands = (scripts, packageManager, tooling) => {
+  const commands = {};
+  const exec = (runner) => `${PACKAGE_EXEC[packageManager] || "npx"} ${TEST_RUNNER_COMMANDS[runner]}`;
+  const uses = (name) => tooling.frameworks.some(framework => framework.name === name);
+  const e2e = tooling.frameworks.find(framework => framework.role === "e2e");
+  const e2eScript = E2E_SCRIPTS.find(script => scripts[script]);
+
+  if (scripts.build) commands.build = `${packageManager} run build`;
+  if (scripts.test) commands.test = `${packageManager} test`;
+  else if (tooling.testFramework) commands.test = exec(tooling.testFramework);
+  else if (uses("angular")) commands.test = exec("angular");
+  if (e2eScript) commands.e2e = `${packageManager} run ${e2eScript}`;
+  else if (e2e) commands.e2e = exec(e2e.name);
+  if (scripts.dev) commands.dev = `${packageManager} run dev`;
+  if (scripts.start) commands.start = `${packageManager} start`;
+  if (scripts.lint) commands.lint = `${packageManager} run lint`;
+  if (scripts.format) commands.format = `${packageManager} run format`;
+  if (scripts["type-check"] || scripts.typecheck) {
+    commands.typecheck = `${packageManager} run ${scripts.typecheck ? "typecheck" : "type-check"}`;
+  }
+  return commands;
+};
+
+/**
+ * Analyze project structure and package.json to determine project type and tools.
+ * `ecosystems` lists every ecosystem found in the root, package.json first,
+ * and the first one decides type, language and package manager;
+ * `languages` is theirs without duplicates, and `taskRunners` the Makefile
+ * and justfile targets
+ */
+export const analyzeProject = async (projectPath) => {
+  const analysis = {
+    type: "opencode-project",
+    language: "javascript",
+    framework: null,
+    frameworks: [],
+    packageManager: "npm",
+    testFramework: null,
+    buildTool: null,
+    hasTypescript: false,
+    commands: {},
+    dependencies: [],
+    devDependencies: [],
+    workspaces: null,
+    languages: [],
+    ecosystems: [],
+    taskRunners: []
+  };
+
+  let isNodeProject = false;
+  try {
+    // Read package.json if it exists
+    const packageJsonPath = path.join(projectPath, "package.json");
+    const packageJson = JSON.parse(await fs.readFile(packageJsonPath, "utf-8"));
+    
+    isNodeProject = true;
+    analysis.type = "node-project";
+    analysis.commands = packageJson.scripts || {};
+    analysis.dependencies = Object.keys(packageJson.dependencies || {});
+    analysis.devDependencies = Object.keys(packageJson.devDependencies || {});
+
+    // Detect package manager (prefer Bun)
+    // Without a lockfile, go by the corepack "packageManager" field or lerna's npmClient
+    const declaredManager = String(packageJson.packageManager || "").split("@")[0] ||
+      (await readJsonFile(path.join(projectPath, "lerna.json")))?.npmClient;
+    if (await fileExists(path.join(projectPath, "bun.lockb"))) {
+      analysis.packageManager = "bun";
+    } else if (await fileExists(path.join(projectPath, "yarn.lock"))) {
+      analysis.packageManager = "yarn";
+    } else if (await fileExists(path.join(projectPath, "pnpm-lock.yaml")) || await fileExists(path.join(projectPath, "pnpm-workspace.yaml"))) {
+      analysis.packageManager = "pnpm";
+    } else if (["npm", "yarn", "pnpm", "bun"].includes(declaredManager)) {
+      analysis.packageManager = declaredManager;
+    } else {
+      // Default to Bun for new projects (kuuzuki team preference)
+      analysis.packageManager = "bun";
+    }
+
+    const { type, ...tooling } = detectPackageTooling(packageJson, await fileExists(path.join(projectPath, "tsconfig.json")));
+    Object.assign(analysis, tooling);
+    analysis.type = type;
+
+    // Monorepos: analyse every package, since the root rarely has the frameworks
+    const workspaces = await detectWorkspaces(projectPath, packageJson, analysis.packageManager);
+    if (workspaces) {
+      const packages = await analyzeWorkspacePackages(projectPath, workspaces.patterns);
+      if (packages.length > 0) {
+        analysis.type = "monorepo";
+        analysis.workspaces = { ...workspaces, packages };
+        if (!analysis.hasTypescript && packages.some(pkg => pkg.language === "typescript")) {
+          analysis.hasTypescript = true;
+          analysis.language = "typescript";
+        }
+      }
+    }
+
+  } catch (error) {
+    // No package.json or other error; the other ecosystems below decide
+  }
+
+  // Every ecosystem in the root counts, so polyglot repositories list each language
+  if (isNodeProject) {
+    analysis.ecosystems.push({
+      id: "node",
+      type: analysis.type,
+      language: analysis.language,
+      packageManager: analysis.packageManager,
+      framework: analysis.framework,
+      testFramework: analysis.testFramework,
+      commands: getNodeCommands(analysis.commands, analysis.packageManager, analysis)
+    });
+  }
+  analysis.ecosystems.push(...await detectEcosystems(projectPath));
+  analysis.taskRunners = await detectTaskRunners(projectPath);
+
+  const [primary] = analysis.ecosystems;
+  if (primary && primary.id !== "node") {
+    analysis.type = primary.type;
+    analysis.language = primary.language;
+    analysis.packageManager = primary.packageManager;
+    analysis.framework = primary.framework;
+    analysis.testFramework = primary.testFramework;
+    analysis.hasTypescript = primary.language === "typescript";
+  }
+  analysis.languages = [...new Set(analysis.ecosystems.map(ecosystem => ecosystem.language))];
+
+  return analysis;
+};
+
+/**
+ * Scripts that become per-package commands, by command name
+ */
+const WORKSPACE_SCRIPTS = {
+  build: ["build"],
+  test: ["test"],
+  dev: ["dev"],
+  start: ["start"],
+  lint: ["lint"],
+  typecheck: ["typecheck", "type-check"]
+};
+
+/**
+ * Command that runs one package's script from the repository root
+ */
+const getWorkspaceCommand = (workspaces, pkg, script, packageManager) => {
+  if (pkg.nx) return `npx nx run ${pkg.name}:${script}`;
+  if (workspaces.managed) {
+    switch (packageManager) {
+      case "yarn": return `yarn workspace ${pkg.name} run ${script}`;
+      case "pnpm": return `pnpm --filter ${pkg.name} run ${script}`;
+      case "bun": return `bun run --filter ${pkg.name} ${script}`;
+      default: return `npm run ${script} --workspace=${pkg.path}`;
+    }
+  }
+  if (workspaces.tools.includes("lerna")) return `npx lerna run ${script} --scope ${pkg.name}`;
+  return `npx nx run ${pkg.name}:${script}`;
+};
+
+/**
+ * The .agentrc `workspaces` section: each package with its tooling and commands
+ */
+const buildWorkspacesSection = (analysis) => ({
+  tools: analysis.workspaces.tools,
+  packages: Object.fromEntries(analysis.workspaces.packages.map(pkg => {
+    const commands = {};
+    for (const [name, scripts] of Object.entries(WORKSPACE_SCRIPTS)) {
+      const script = scripts.find(candidate => pkg.scripts[candidate]);
+      if (script) commands[name] = getWorkspaceCommand(analysis.workspaces, pkg, script, analysis.packageManager);
+    }
+    return [pkg.name, {
+      path: pkg.path,
+      language: pkg.language,
+      ...(pkg.framework && { framework: pkg.framework }),
+      ...(pkg.testFramework && { testing: pkg.testFramework }),
+      ...(pkg.buildTool && { bundler: pkg.buildTool }),
+      commands
+    }];
+  }))
+});
+
+/**
+ * Rules added to the generated .agentrc for each framework
+ */
+const FRAMEWORK_RULES = {
+  next: [
+    "Default to Server Components; add \"use client\" only where a component needs interactivity",
+    "Fetch data on the server and keep secrets out of client components"
+  ],
+  nuxt: ["Use Nuxt's auto-imported composables (useFetch, useState) instead of wiring state and requests by hand"],
+  remix: ["Load data in loaders and change it in actions instead of fetching inside components"],
+  sveltekit: ["Load data in load functions and keep server-only code in .server files"],
+  astro: ["Ship static HTML by default; hydrate islands with client:* directives only where needed"],
+  react: [
+    "Prefer functional components with hooks over class components",
+    "Use custom hooks to extract and reuse stateful logic",
+    "Implement pure functions for data transformations"
+  ],
+  vue: ["Use the Composition API with <script setup> and extract reusable stateful logic into composables"],
+  svelte: ["Keep components small and move shared state into stores"],
+  angular: [
+    "Keep components presentational and put logic in injectable services",
+    "Compose RxJS operators instead of nesting subscriptions"
+  ],
+  nestjs: [
+    "Keep controllers thin and put business logic in injectable providers",
+    "Validate request bodies with DTOs and validation pipes"
+  ],
+  express: ["Keep route handlers thin, move business logic into plain functions and pass async errors to next()"],
+  fastify: ["Declare JSON schemas on routes for validation and serialization, and package features as plugins"],
+  hono: ["Validate request input with Hono's validator middleware and keep handlers free of runtime-specific APIs"],
+  playwright: ["Write end-to-end tests with Playwright locators and web-first assertions instead of fixed timeouts"],
+  cypress: ["Select elements in Cypress tests by data-* attributes and avoid fixed cy.wait() delays"]
+};
+
+/**
+ * Create project-specific .agentrc file based on codebase analysis.
+ * `agentrcPath` may name a YAML file, which is then written as YAML.
+ */
+export const createDefaultAgentrc = async (projectPath, logger = null, agentrcPath = path.join(projectPath, ".agentrc")) => {
+  const analysis = await analyzeProject(projectPath);
+  const projectName = path.basename(projectPath);
+
+  // Commands come from the primary ecosystem, then Makefile/justfile targets
+  // for anything it lacks; other ecosystems add theirs with a suffix (testPython)
+  const [primary, ...others] = analysis.ecosystems;
+  const commands = { ...primary?.commands };
+  for (const runner of analysis.taskRunners) {
+    for (const [name, command] of Object.entries(runner.commands)) commands[name] ??= command;
+  }
+  if (!primary || primary.id === "node") {
+    commands.build ??= `${analysis.packageManager} run build`;
+    commands.test ??= `${analysis.packageManager} test`;
+  }
+  for (const ecosystem of others) {
+    const suffix = ecosystem.id.charAt(0).toUpperCase() + ecosystem.id.slice(1);
+    for (const [name, command] of Object.entries(ecosystem.commands)) {
+      if (commands[name] !== command) commands[`${name}${suffix}`] = command;
+    }
+  }
+
+  // Build project-specific rules with kuuzuki team preferences
+  const rules = [
+    "Use functional programming paradigms combined with OOP when appropriate", 
+    "Apply DRY (Don't Repeat Yourself) methodology rigorously",
+    "Use descriptive, functional names for variables, functions, and classes",
+    "Follow existing code style and patterns"
+  ];
+  
+  if (analysis.workspaces) {
+    rules.push("In this monorepo, run a package's build and test commands through the workspace tool (see workspaces in .agentrc)");
+  }
+  
+  // Add rules for every framework found, including those of workspace packages
+  const frameworkNames = new Set([
+    ...analysis.frameworks,
+    ...(analysis.workspaces?.packages || []).flatMap(pkg => pkg.frameworks)
+  ].map(framework => framework.name));
+  for (const name of frameworkNames) rules.push(...FRAMEWORK_RULES[name]);
+  
+  // Add language-specific rules. TypeScript projects keep TypeScript; the
+  // JS-over-TS preference only applies to projects that are JavaScript already
+  if (analysis.hasTypescript) {
+    rules.push("Use TypeScript types for public interfaces");
+  } else if (analysis.language === "javascript") {
+    rules.push("Use JavaScript/Bun with JSDoc comments for type documentation");
+  }
+  
+  // Testing with functional approach
+  if (analysis.testFramework) {
+    rules.push(`Write functional tests using ${analysis.testFramework} - test behavior, not implementation`);
+  } else {
+    rules.push("Write tests for new functionality using functional testing approaches");
+  }
+
+  // Additional functional/OOP hybrid rules
+  rules.push("Prefer pure functions - avoid side effects where possible");
+  rules.push("Use higher-order functions for code reuse and composition");
+  rules.push("When using classes, keep them focused with single responsibility");
+  rules.push("Favor composition over inheritance");
+  rules.push("Use semantic commit messages");
+  rules.push("Prefer async/await over Promise.then() for readable async code");
+
+  // Build project configuration
+  const e2eFramework = analysis.frameworks.find(framework => framework.role === "e2e");
+  const config = {
+    project: {
+      name: projectName,
+      type: analysis.type,
+      description: `${analysis.framework ? analysis.framework.charAt(0).toUpperCase() + analysis.framework.slice(1) : "Project"} enhanced with kuuzuki .agentrc support`,
+      language: analysis.language,
+      ...(analysis.languages.length > 1 && { languages: analysis.languages }),
+      framework: analysis.framework,
+      ...(analysis.frameworks.some(framework => framework.name !== analysis.framework) && {
+        frameworks: Object.fromEntries(analysis.frameworks.map(framework => [framework.name, framework.role]))
+      }),
+      ...(analysis.workspaces && { structure: { packages: analysis.workspaces.packages.map(pkg => pkg.path) } })
+    },
+    commands,
+    ...(analysis.workspaces && { workspaces: buildWorkspacesSection(analysis) }),
+    codeStyle: {
+      language: analysis.language,
+      paradigm: "functional-oop-hybrid",
+      methodology: "DRY",
+      naming: "functional-descriptive",
+      ...(["javascript", "typescript"].includes(analysis.language) && { runtime: analysis.packageManager === "deno" ? "deno" : "bun" }),
+      ...(analysis.testFramework && { testing: analysis.testFramework }),
+      ...(analysis.buildTool && { bundler: analysis.buildTool })
+    },
+    rules,
+    tools: {
+      packageManager: analysis.packageManager,
+      ...(analysis.testFramework && { testing: analysis.testFramework }),
+      ...(e2eFramework && { e2e: e2eFramework.name }),
+      ...(analysis.buildTool && { bundler: analysis.buildTool })
+    },
+    dependencies: {
+      critical: analysis.dependencies.slice(0, 5), // Top 5 dependencies
+      ...(analysis.devDependencies.length > 0 && { dev: analysis.devDependencies.slice(0, 3) })
+    },
+    metadata: {
+      version: "1.0.0",
+      generator: "kuuzuki-opencode-plugin",
+      created: new Date().toISOString(),
+      analyzed: true
+    }
+  };
+
+  await fs.writeFile(agentrcPath, getConfigFormat(agentrcPath) === "yaml" ? stringifyYaml(config) : JSON.stringify(config, null, 2));
+  
+  if (logger) {
+    await logger.success(`Created ${analysis.type} .agentrc at ${agentrcPath}`);
+  } else {
+    console.log(`[🌸 Kuuzuki] Created ${analysis.type} .agentrc at ${agentrcPath}`);
+  }
+  return config;
+};
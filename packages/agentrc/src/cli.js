@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+/**
+ * Kuuzuki Command Line Interface
+ *
+ * Runs the plugin's .agentrc tooling outside OpenCode, for scripts and
+ * pre-commit hooks. Every command exits 0 on success, 1 when it failed or
+ * found problems, and 2 on a usage error. With --json, stdout carries a
+ * single JSON document and anything else goes to stderr.
+ */
+
+import path from "path";
+import fs from "fs/promises";
+import { exec } from "child_process";
+import { loadAgentrcConfig, mergeConfigs, findAgentrcFiles, getConfigFormat } from "./config.js";
+import { loadLegacyConfigs, DEFAULT_EXPORT_TARGETS } from "./legacy.js";
+import { formatSchemaIssue } from "./schema.js";
+import { testNotifications, getNotificationStatus } from "./notifications.js";
+import { formatStatsReport } from "./analytics.js";
+import { createDefaultAgentrc } from "./analyze.js";
+import { handleMemoryCommand } from "./memory.js";
+import { runDoctor, formatDoctorReport } from "./doctor.js";
+
+const USAGE = `Usage: kuuzuki <command> [options]
+
+Commands:
+  init [--force]                 Analyze the project and write a starter .agentrc
+  validate                       Check every .agentrc layer (exits 1 on errors)
+  show [--sources]               Print the effective merged config
+  rules list [--category c] [--tag t] [--search text] [--min-priority n]
+  rules add <text> [--category c] [--priority n] [--tags a,b] [--applies-to glob]
+  rules remove <id>              Remove a rule by position or id
+  export [--targets ${DEFAULT_EXPORT_TARGETS.join(",")}] [--force]
+  stats [--limit n]              Report recorded tool usage
+  doctor                         Check the whole plugin setup (exits 1 on errors)
+  notify status                  Show whether OS notifications can be sent
+  notify test                    Send a test notification
+
+Options:
+  --json                         Print machine-readable JSON
+  --cwd <dir>                    Project root (default: current directory)
+  --help                         Show this help`;
+
+/**
+ * Options that take no value
+ */
+const BOOLEAN_FLAGS = new Set(["json", "force", "help", "sources"]);
+
+/**
+ * Thrown for bad invocations; exits with code 2
+ */
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+/**
+ * Split argv into positionals and options. Options are camelCased so they can
+ * be passed on as memory tool arguments (--min-priority 5 -> minPriority: "5").
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @returns {{ positionals: Array<string>, options: Object }} Parsed arguments
+ */
+const parseCliArguments = (argv) => {
+  const positionals = [];
+  const options = {};
+  for (let index = 0; index < argv.length; index++) {
+    const argument = argv[index];
+    if (argument === "--") {
+      positionals.push(...argv.slice(index + 1));
+      break;
+    }
+    if (!argument.startsWith("--")) {
+      positionals.push(argument);
+      continue;
+    }
+    const [rawName, inlineValue] = argument.slice(2).split(/=(.*)/s);
+    const name = rawName.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (BOOLEAN_FLAGS.has(name)) {
+      options[name] = inlineValue === undefined ? true : inlineValue !== "false";
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (index + 1 < argv.length && !argv[index + 1].startsWith("--")) {
+      options[name] = argv[++index];
+    } else {
+      throw usageError(`Option --${rawName} needs a value`);
+    }
+  }
+  return { positionals, options };
+};
+
+/**
+ * Shell runner with the shape of OpenCode's `$`, for the notification helpers.
+ * Rejects when the command exits non-zero.
+ */
+const runShell = (strings, ...values) => new Promise((resolve, reject) => {
+  const command = strings.reduce((text, part, index) => text + part + (index < values.length ? values[index] : ""), "");
+  exec(command, { timeout: 10000 }, (error, stdout, stderr) => {
+    if (error) reject(error);
+    else resolve({ stdout, stderr, exitCode: 0 });
+  });
+});
+
+/**
+ * The app object the plugin would get from OpenCode, for a project root
+ */
+const createCliApp = (root) => ({
+  path: {
+    root,
+    config: path.join(process.env.HOME || "", ".config", "opencode")
+  }
+});
+
+/**
+ * Load the config the plugin would use: .agentrc layers, or legacy files without them
+ */
+const loadEffectiveConfig = async (app) => {
+  const loaded = await loadAgentrcConfig(app);
+  const legacyConfig = loaded.config ? null : await loadLegacyConfigs(app);
+  return { ...loaded, config: mergeConfigs(loaded.config, legacyConfig), legacy: Boolean(legacyConfig) };
+};
+
+/**
+ * Run a memory tool action against the project's .agentrc
+ * @returns {Promise<Object>} { title, output, changed }
+ */
+const runRulesAction = async (app, args) => {
+  const loaded = await loadAgentrcConfig(app);
+  if (loaded.errors.length > 0) {
+    throw new Error(`Fix the .agentrc errors first (see kuuzuki validate):\n${loaded.errors.map(error => `- ${error.message}`).join("\n")}`);
+  }
+  let changed = false;
+  const result = await handleMemoryCommand(args, loaded.config, loaded.path, {
+    layers: loaded.layers,
+    sources: loaded.sources,
+    projectRoot: app.path.root,
+    source: "cli",
+    onChange: () => {
+      changed = true;
+    }
+  });
+  return { ...result, changed };
+};
+
+/**
+ * Describe a rule list entry on one line
+ */
+const formatRuleEntry = (entry, source) => {
+  const details = [
+    entry.id,
+    entry.category !== "preferred" && entry.category,
+    entry.priority && `priority ${entry.priority}`,
+    entry.tags.length > 0 && `tags ${entry.tags.join(",")}`,
+    entry.appliesTo.length > 0 && `applies to ${entry.appliesTo.join(", ")}`,
+    source && source !== "unknown" && `from ${source}`
+  ].filter(Boolean);
+  return `[${entry.index}] ${entry.text} (${details.join(", ")})`;
+};
+
+/**
+ * Command handlers. Each returns { ok, data, text }: `data` is printed with
+ * --json, `text` otherwise.
+ */
+const CLI_COMMANDS = {
+  init: async ({ app, options }) => {
+    const [existing] = await findAgentrcFiles(app.path.root);
+    if (existing && !options.force) {
+      return { ok: false, data: { created: false, path: existing }, text: `${path.basename(existing)} already exists; use --force to overwrite it` };
+    }
+    // --force rewrites the existing file in its own format, so no second
+    // config competes with it; a JS module is code and gives way to .agentrc
+    let agentrcPath = path.join(app.path.root, ".agentrc");
+    if (existing && getConfigFormat(existing) !== "module") agentrcPath = existing;
+    else if (existing) await fs.rm(existing);
+    // Reported below instead of through the plugin's logger
+    const config = await createDefaultAgentrc(app.path.root, { success: async () => {} }, agentrcPath);
+    return {
+      ok: true,
+      data: { created: true, path: agentrcPath, config },
+      text: `Created ${config.project.type} ${path.basename(agentrcPath)} at ${agentrcPath} with ${config.rules.length} rule(s)`
+    };
+  },
+
+  validate: async ({ app }) => {
+    const { layers, errors, warnings } = await loadAgentrcConfig(app);
+    if (layers.length === 0 && errors.length === 0) {
+      return { ok: false, data: { files: [], errors: [], warnings: [] }, text: "No .agentrc found" };
+    }
+    const lines = [
+      ...layers.map(layer => `✅ ${layer.name}: ${layer.path}`),
+      ...errors.flatMap(error => [
+        `❌ ${error.layer}: ${error.message}`,
+        ...error.issues.filter(issue => !error.message.includes(issue.message)).map(issue => `   ${formatSchemaIssue(issue, error.path)}`)
+      ]),
+      ...warnings.map(warning => `⚠️ ${formatSchemaIssue(warning, warning.file)}`)
+    ];
+    lines.push(errors.length > 0 ? `${errors.length} error(s), ${warnings.length} warning(s)` : `Valid${warnings.length > 0 ? ` with ${warnings.length} warning(s)` : ""}`);
+    return {
+      ok: errors.length === 0,
+      data: { files: layers.map(layer => ({ layer: layer.name, path: layer.path })), errors, warnings },
+      text: lines.join("\n")
+    };
+  },
+
+  show: async ({ app, options }) => {
+    const { config, layers, sources, errors, legacy } = await loadEffectiveConfig(app);
+    const data = { config, layers: layers.map(layer => ({ name: layer.name, path: layer.path })), legacy, errors, ...(options.sources && { sources }) };
+    if (!config) return { ok: false, data, text: "No .agentrc or legacy config found" };
+    const origin = legacy ? ["From legacy files (AGENTS.md, CLAUDE.md, .cursorrules)"] : layers.map(layer => `From ${layer.name}: ${layer.path}`);
+    const text = [
+      ...origin,
+      ...errors.map(error => `❌ Skipped: ${error.message}`),
+      "",
+      JSON.stringify(config, null, 2),
+      ...(options.sources ? ["", "Sources:", ...Object.entries(sources).map(([key, source]) => `  ${key}: ${source}`)] : [])
+    ].join("\n");
+    return { ok: true, data, text };
+  },
+
+  rules: async ({ app, positionals, options }) => {
+    const [subcommand, ...rest] = positionals;
+    const { json, cwd, ...args } = options;
+    switch (subcommand) {
+      case "list": {
+        const result = await runRulesAction(app, { ...args, action: "list" });
+        const { rules, sources } = JSON.parse(result.output);
+        return {
+          ok: true,
+          data: { rules, ...(sources && { sources: { layers: sources.layers, rules: sources.rules } }) },
+          text: rules.length > 0 ? rules.map((entry, index) => formatRuleEntry(entry, sources?.rules[index])).join("\n") : "No rules found"
+        };
+      }
+      case "add": {
+        const rule = rest.join(" ").trim();
+        if (!rule) throw usageError("Rule text required: kuuzuki rules add \"Your rule\"");
+        const result = await runRulesAction(app, { ...args, action: "add", rule });
+        return { ok: true, data: { changed: result.changed, message: result.output }, text: result.output };
+      }
+      case "remove": {
+        if (rest.length !== 1) throw usageError("Rule id required: kuuzuki rules remove <position|id>");
+        const result = await runRulesAction(app, { ...args, action: "remove", ruleId: rest[0] });
+        return { ok: true, data: { changed: result.changed, message: result.output }, text: result.output };
+      }
+      default:
+        throw usageError(subcommand ? `Unknown rules command: ${subcommand}` : "Missing rules command: list, add or remove");
+    }
+  },
+
+  export: async ({ app, options }) => {
+    const { config, errors } = await loadAgentrcConfig(app);
+    // An invalid layer would leave its values out of the exported files
+    if (errors.length > 0) {
+      return {
+        ok: false,
+        data: { exported: [], errors },
+        text: `Fix the .agentrc errors first (see kuuzuki validate):\n${errors.map(error => `- ${error.message}`).join("\n")}`
+      };
+    }
+    if (!config) return { ok: false, data: { exported: [] }, text: "No .agentrc found" };
+    const result = await handleMemoryCommand(
+      { action: "export", ...(options.targets && { targets: options.targets }), force: Boolean(options.force) },
+      config,
+      null,
+      { projectRoot: app.path.root }
+    );
+    return { ok: true, data: { message: result.output }, text: result.output };
+  },
+
+  stats: async ({ app, options }) => {
+    const result = await handleMemoryCommand(
+      { action: "stats", format: "json", ...(options.limit !== undefined && { limit: options.limit }) },
+      null,
+      null,
+      { projectRoot: app.path.root }
+    );
+    const report = JSON.parse(result.output);
+    return { ok: true, data: report, text: formatStatsReport(report) };
+  },
+
+  doctor: async ({ app }) => {
+    const report = await runDoctor({ app, $: runShell });
+    return { ok: report.ok, data: report, text: formatDoctorReport(report) };
+  },
+
+  notify: async ({ positionals }) => {
+    const [subcommand] = positionals;
+    if (subcommand !== "status" && subcommand !== "test") {
+      throw usageError(subcommand ? `Unknown notify command: ${subcommand}` : "Missing notify command: status or test");
+    }
+    const status = await getNotificationStatus(runShell);
+    const describe = [
+      `Platform: ${status.platform}${status.distro ? ` (${status.distro})` : ""}`,
+      `Method: ${status.method}`,
+      ...(status.dependencies.length > 0 ? [`Install: ${status.dependencies.join(", ")}`] : []),
+      ...(status.error ? [`Error: ${status.error}`] : [])
+    ];
+    if (subcommand === "status") {
+      return { ok: status.supported, data: status, text: describe.join("\n") };
+    }
+    // Without a working method the notifier would try to install one with sudo
+    if (!status.supported) {
+      return { ok: false, data: { ...status, sent: false }, text: [...describe, "❌ Notifications are not available"].join("\n") };
+    }
+    const sent = await testNotifications(runShell);
+    return { ok: sent, data: { ...status, sent }, text: [...describe, sent ? "✅ Test notification sent" : "❌ Test notification failed"].join("\n") };
+  }
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @returns {Promise<number>} Exit code
+ */
+const runCli = async (argv) => {
+  let json = argv.includes("--json");
+  const print = (value) => process.stdout.write(`${value}\n`);
+  const log = console.log;
+  try {
+    const { positionals, options } = parseCliArguments(argv);
+    json = Boolean(options.json);
+    const [command, ...rest] = positionals;
+    if (options.help || !command) {
+      print(USAGE);
+      return options.help ? 0 : 2;
+    }
+    if (!Object.hasOwn(CLI_COMMANDS, command)) throw usageError(`Unknown command: ${command}`);
+
+    // The plugin's modules log with console.log; keep stdout for the result
+    if (json) console.log = (...values) => console.error(...values);
+    const app = createCliApp(path.resolve(options.cwd || process.cwd()));
+    const result = await CLI_COMMANDS[command]({ app, positionals: rest, options });
+    print(json ? JSON.stringify({ ok: result.ok, ...result.data }, null, 2) : result.text);
+    return result.ok ? 0 : 1;
+  } catch (error) {
+    if (json) print(JSON.stringify({ ok: false, error: error.message }, null, 2));
+    else console.error(`❌ ${error.message}${error.usage ? "\n\nRun kuuzuki --help for usage" : ""}`);
+    return error.usage ? 2 : 1;
+  } finally {
+    console.log = log;
+  }
+};
+
+process.exitCode = await runCli(process.argv.slice(2));
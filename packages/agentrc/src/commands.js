@@ -0,0 +1,563 @@
+/**
+ * Command Aliases for Kuuzuki
+ *
+ * Maps bash commands onto the .agentrc `commands` entries. Each entry is a
+ * template that may contain `{file}`, `{args}` and named placeholders such
+ * as `{env}`. Incoming commands are matched against the patterns declared
+ * for an alias and against the usual ways of running a script with that
+ * name (`npm run typeCheck`, `pnpm type-check`, `yarn run type:check`).
+ * Arguments after the matched part are carried over to the mapped command.
+ *
+ * Entries are either a template string or an object:
+ *   { "run": "pnpm playwright test {args}", "match": ["npx playwright test {args}"] }
+ *
+ * Commands that match no alias are translated to the project's package
+ * manager instead (`npm install -D x` → `bun add x --dev` in a bun project).
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  splitShellCommand
+} from './security.js';
+
+/**
+ * Template of a commands entry (string form or `run` of the object form)
+ * @param {string|Object} entry - Value from .agentrc `commands`
+ * @returns {string|null} Command template
+ */
+export const getCommandTemplate = (entry) => typeof entry === 'string' ? entry : (entry?.run || null);
+
+/**
+ * Invocations that run a package.json script by name
+ */
+const SCRIPT_RUNNERS = ['npm run', 'yarn run', 'yarn', 'pnpm run', 'pnpm', 'bun run'];
+
+/**
+ * npm lifecycle scripts that npm runs without `run`
+ */
+const NPM_LIFECYCLE_SCRIPTS = {
+  test: ['npm test', 'npm t'],
+  start: ['npm start'],
+  stop: ['npm stop'],
+  restart: ['npm restart']
+};
+
+/**
+ * Script names an alias is commonly spelled as ("typeCheck", "type-check", "type:check")
+ */
+const getScriptNames = (alias) => {
+  const words = alias.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[\s_:-]+/);
+  return [...new Set([alias, words.join('-'), words.join(':'), words.join('')])];
+};
+
+/**
+ * Ways of running the script an alias stands for
+ */
+const getScriptInvocations = (alias) => getScriptNames(alias).flatMap(name => [
+  ...(NPM_LIFECYCLE_SCRIPTS[name] || []),
+  ...SCRIPT_RUNNERS.map(runner => `${runner} ${name}`)
+]);
+
+/**
+ * Match patterns used when an alias declares none of its own.
+ * "testSingle" with a {file} template also matches "npm test -- <file>".
+ */
+const getDefaultMatchPatterns = (alias, template) => {
+  const patterns = [];
+  const singleBase = alias.match(/^(.+)Single$/)?.[1];
+  if (singleBase && template.includes('{file}')) {
+    for (const invocation of getScriptInvocations(singleBase)) {
+      patterns.push(`${invocation} -- {file}`, `${invocation} {file}`);
+    }
+  }
+  return [...patterns, ...getScriptInvocations(alias)];
+};
+
+/**
+ * Regular expression fragments for placeholders
+ */
+const QUOTED_WORD = `"[^"]*"|'[^']*'`;
+const placeholderSource = (name) => {
+  if (name === 'args') return '(?<args>.*)';
+  // Files never start with "-", so "npm test -- --watch" is not a file
+  if (name === 'file') return `(?<file>${QUOTED_WORD}|[^\\s'"-]\\S*)`;
+  return `(?<${name}>${QUOTED_WORD}|\\S+)`;
+};
+
+/**
+ * Compile a match pattern such as "make deploy ENV={env} {args}"
+ * @param {string} pattern - Match pattern
+ * @returns {RegExp} Expression with a named group per placeholder, plus
+ *   `rest` for trailing arguments when the pattern has no {args}
+ */
+export const compileMatchPattern = (pattern) => {
+  const parts = pattern.trim().split(/(\{[A-Za-z_]\w*\}|\s+)/).filter(Boolean);
+  let source = '';
+  let hasArgs = false;
+
+  for (const part of parts) {
+    const placeholder = part.match(/^\{([A-Za-z_]\w*)\}$/);
+    if (/^\s+$/.test(part)) {
+      source += '\\s+';
+    } else if (placeholder?.[1] === 'args' && source.endsWith('\\s+')) {
+      // "npm test {args}" also matches a bare "npm test"
+      source = `${source.slice(0, -3)}(?:\\s+(?<args>.*))?`;
+      hasArgs = true;
+    } else if (placeholder) {
+      source += placeholderSource(placeholder[1]);
+      hasArgs = hasArgs || placeholder[1] === 'args';
+    } else {
+      source += part.replace(/[.*+?^$()|\\{}[\]]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}${hasArgs ? '' : '(?:\\s+(?<rest>.*))?'}$`, 's');
+};
+
+/**
+ * Fill a template from the values captured by a match pattern
+ * @param {string} template - Alias template
+ * @param {Object} values - Named groups from compileMatchPattern
+ * @returns {string|null} Expanded command, or null when a placeholder has no value
+ */
+export const expandCommandTemplate = (template, values = {}) => {
+  const stripSeparator = (text) => (text || '').replace(/^--(\s+|$)/, '').trim();
+  let rest = stripSeparator(values.rest);
+  let args = stripSeparator(values.args);
+  // "npm run lint-file src/a.ts" fills {file} from the first trailing argument
+  if (template.includes('{file}') && values.file === undefined && rest && !rest.startsWith('-')) {
+    const [file, ...others] = rest.split(/\s+/);
+    values = { ...values, file };
+    rest = others.join(' ');
+  }
+  if (template.includes('{args}')) {
+    args = [args, rest].filter(Boolean).join(' ');
+    rest = '';
+  }
+
+  let missing = false;
+  let expanded = template.replace(/(\s?)\{([A-Za-z_]\w*)\}/g, (whole, space, name) => {
+    const value = name === 'args' ? args : values[name];
+    if (value === undefined) missing = true;
+    // Empty placeholders take their leading space with them
+    return value ? `${space}${value}` : '';
+  }).trim();
+  if (missing) return null;
+
+  if (rest) {
+    // npm needs "--" before arguments meant for the script
+    const separator = /^npm\s/.test(expanded) && !/\s--(\s|$)/.test(expanded) ? ' --' : '';
+    expanded = `${expanded}${separator} ${rest}`;
+  }
+  return expanded;
+};
+
+/**
+ * Split trailing redirections ("> out.txt", "2>&1") off a simple command so
+ * they are neither captured by a placeholder nor passed to a script after "--"
+ * @param {string} text - Simple command
+ * @returns {{ command: string, redirections: string }} Command and what followed it
+ */
+const splitRedirections = (text) => {
+  let quote = null;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\' && quote === '"') index++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '\\') {
+      index++;
+    } else if (char === '<' || char === '>') {
+      // Take a file descriptor ("2>") or "&>" with the operator
+      let start = index;
+      while (start > 0 && /[\d&]/.test(text[start - 1])) start--;
+      if (start === 0 || /\s/.test(text[start - 1])) {
+        return { command: text.slice(0, start).trim(), redirections: text.slice(start).trim() };
+      }
+    }
+  }
+  return { command: text, redirections: '' };
+};
+
+/**
+ * Create a mapper from the .agentrc `commands` section
+ * @param {Object} [commands] - Alias name → template string or { run, match }
+ * @returns {{ map: Function, errors: string[] }} Mapper and invalid patterns
+ */
+export const createCommandMapper = (commands = {}) => {
+  const errors = [];
+  const declared = [];
+  const defaults = [];
+
+  for (const [alias, entry] of Object.entries(commands || {})) {
+    const template = getCommandTemplate(entry);
+    if (!template) continue;
+    const patterns = typeof entry === 'object' && entry.match ? [].concat(entry.match) : [];
+    patterns.forEach(pattern => declared.push({ alias, template, pattern }));
+    getDefaultMatchPatterns(alias, template).forEach(pattern => defaults.push({ alias, template, pattern }));
+  }
+
+  // Declared patterns win, then defaults that need a {file} before open-ended ones
+  const candidates = [
+    ...declared,
+    ...defaults.filter(({ pattern }) => pattern.includes('{file}')),
+    ...defaults.filter(({ pattern }) => !pattern.includes('{file}'))
+  ].flatMap(candidate => {
+    try {
+      return [{ ...candidate, regex: compileMatchPattern(candidate.pattern) }];
+    } catch (error) {
+      errors.push(`Invalid match pattern ${JSON.stringify(candidate.pattern)} for commands.${candidate.alias}: ${error.message}`);
+      return [];
+    }
+  });
+
+  /**
+   * Map one simple command, without operators, onto an alias
+   */
+  const mapSimpleCommand = (text) => {
+    const { command, redirections } = splitRedirections(text);
+    for (const { alias, template, pattern, regex } of candidates) {
+      const match = command.match(regex);
+      if (!match) continue;
+      const expanded = expandCommandTemplate(template, match.groups || {});
+      if (expanded === null) continue;
+      // Already running the alias command itself
+      if (expanded === command) return null;
+      return { alias, pattern, command: [expanded, redirections].filter(Boolean).join(' ') };
+    }
+    return null;
+  };
+
+  /**
+   * Map a bash command onto aliases. Compound commands are mapped part by
+   * part, like package manager translation, so operators and the commands
+   * around a mapped part are kept as written. Multi-line commands and
+   * heredocs are left alone.
+   * @param {string} command - Command line
+   * @returns {{ alias: string, pattern: string, command: string }|null} Mapping
+   *   named after the first mapped part, or null
+   */
+  const map = (command) => {
+    if (typeof command !== 'string') return null;
+    if (/[\r\n]/.test(command) || command.includes('<<')) return null;
+
+    let result = command;
+    let first = null;
+    // Splice from the end so earlier offsets stay valid
+    for (const { text, start, end } of splitShellCommand(command).reverse()) {
+      const mapped = mapSimpleCommand(text);
+      if (!mapped) continue;
+      result = `${result.slice(0, start)}${mapped.command}${result.slice(end)}`;
+      first = mapped;
+    }
+    return first ? { alias: first.alias, pattern: first.pattern, command: result.trim() } : null;
+  };
+
+  return { map, errors };
+};
+
+/**
+ * Package managers bash commands can be translated between
+ */
+export const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun'];
+
+/**
+ * Subcommands that are not script names (`yarn build` runs a script, `yarn why` does not)
+ */
+const YARN_BUILTINS = ['add', 'audit', 'autoclean', 'bin', 'cache', 'check', 'config', 'constraints', 'create', 'dedupe', 'dlx', 'exec', 'explain', 'generate-lock-entry', 'global', 'import', 'info', 'init', 'install', 'licenses', 'link', 'list', 'login', 'logout', 'node', 'npm', 'outdated', 'owner', 'pack', 'patch', 'plugin', 'policies', 'publish', 'rebuild', 'remove', 'run', 'set', 'tag', 'team', 'unlink', 'unplug', 'up', 'upgrade', 'upgrade-interactive', 'version', 'versions', 'why', 'workspace', 'workspaces'];
+const PNPM_BUILTINS = ['add', 'audit', 'bin', 'config', 'create', 'dedupe', 'deploy', 'dlx', 'env', 'exec', 'fetch', 'i', 'import', 'init', 'install', 'install-test', 'licenses', 'link', 'list', 'ls', 'outdated', 'pack', 'patch', 'patch-commit', 'prune', 'publish', 'rebuild', 'recursive', 'remove', 'rm', 'root', 'run', 'run-script', 'server', 'setup', 'store', 'un', 'uninstall', 'unlink', 'up', 'update', 'why'];
+
+/**
+ * Dependency flags, by meaning, as each package manager spells them
+ */
+const DEPENDENCY_FLAGS = {
+  dev: { npm: '--save-dev', yarn: '--dev', pnpm: '--save-dev', bun: '--dev' },
+  exact: { npm: '--save-exact', yarn: '--exact', pnpm: '--save-exact', bun: '--exact' },
+  optional: { npm: '--save-optional', yarn: '--optional', pnpm: '--save-optional', bun: '--optional' },
+  peer: { npm: '--save-peer', yarn: '--peer', pnpm: '--save-peer', bun: '--peer' },
+  global: { npm: '-g', pnpm: '-g', bun: '-g' }
+};
+
+/**
+ * Recognise a dependency flag from any package manager
+ */
+const classifyDependencyFlag = (flag, program) => {
+  if (['-D', '--save-dev', '--dev'].includes(flag) || (program === 'bun' && flag === '-d')) return 'dev';
+  if (['-E', '--save-exact', '--exact'].includes(flag)) return 'exact';
+  if (['-O', '--save-optional', '--optional'].includes(flag)) return 'optional';
+  if (['--save-peer', '--peer'].includes(flag)) return 'peer';
+  if (['-g', '--global'].includes(flag)) return 'global';
+  if (['--frozen-lockfile', '--immutable'].includes(flag)) return 'frozen';
+  // Saving to dependencies is the default everywhere
+  if (['-S', '--save', '-P', '--save-prod'].includes(flag)) return 'default';
+  return null;
+};
+
+/**
+ * Split install/add/remove arguments into packages, known flags and other flags
+ */
+const parseDependencyArgs = (args, program) => {
+  const parsed = { packages: [], flags: new Set(), extra: [] };
+  for (const arg of args) {
+    if (!arg.startsWith('-')) {
+      parsed.packages.push(arg);
+      continue;
+    }
+    const flag = classifyDependencyFlag(arg, program);
+    if (flag) parsed.flags.add(flag);
+    else parsed.extra.push(arg);
+  }
+  return parsed;
+};
+
+/**
+ * npm options that take a separate value, so the value is not read as the command
+ */
+const NPM_VALUE_OPTIONS = ['--registry', '--cache', '--userconfig', '--prefix', '--workspace', '-w', '--loglevel'];
+
+/**
+ * Read the options in front of the command of an exec or download: packages
+ * to install first (-p/--package) and whether downloads are turned off
+ * (--no-install). Other options are npm settings such as
+ * --legacy-peer-deps with no counterpart elsewhere, and are dropped.
+ * @param {string[]} args - Words after npx, npm exec, dlx and the like
+ * @returns {Object|null} { packages, local, args }, or null for `-c` scripts and empty commands
+ */
+const parseExecArgs = (args) => {
+  const packages = [];
+  let local = false;
+  let index = 0;
+  for (; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--') {
+      index++;
+      break;
+    }
+    if (!arg.startsWith('-')) break;
+    const [flag, value] = arg.split(/=(.*)/s);
+    if (['-p', '--package'].includes(flag)) packages.push(value ?? args[++index]);
+    else if (['-c', '--call'].includes(flag)) return null;
+    else if (['--no', '--no-install'].includes(flag)) local = true;
+    else if (NPM_VALUE_OPTIONS.includes(flag) && value === undefined) index++;
+  }
+  const rest = args.slice(index);
+  return rest.length > 0 && packages.every(Boolean) ? { packages, local, args: rest } : null;
+};
+
+/**
+ * Exec intent: `download` is true for dlx-style commands, false for exec of an
+ * installed binary, and left undefined when npx-style commands may do either
+ */
+const execIntent = (args, download) => {
+  const parsed = parseExecArgs(args);
+  if (!parsed) return null;
+  if (parsed.packages.length > 0) download = true;
+  else if (parsed.local) download = false;
+  return { kind: 'exec', args: parsed.args, packages: parsed.packages, download };
+};
+
+/**
+ * Package a command names ("@scope/tool@2" → "@scope/tool")
+ */
+const getPackageName = (spec) => spec.replace(/(?!^)@.*$/, '');
+
+/**
+ * Binaries and dependencies a project has installed, so `npx jest` can run
+ * the local jest while `npx create-react-app` still downloads
+ * @param {string} projectRoot - Project root
+ * @returns {Promise<Set<string>>} package.json dependency names and node_modules/.bin entries
+ */
+export const getLocalBinaries = async (projectRoot) => {
+  const names = new Set();
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(projectRoot, 'package.json'), 'utf-8'));
+    for (const field of ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']) {
+      Object.keys(packageJson[field] || {}).forEach(name => names.add(name));
+    }
+  } catch {
+    // No package.json, or one that does not parse
+  }
+  try {
+    (await fs.readdir(path.join(projectRoot, 'node_modules', '.bin'))).forEach(name => names.add(name));
+  } catch {
+    // Nothing installed yet
+  }
+  return names;
+};
+
+/**
+ * Drop a leading "--" separator
+ */
+const withoutSeparator = (args) => args[0] === '--' ? args.slice(1) : args;
+
+/**
+ * Read a package manager invocation as an intent:
+ * install, add, remove, run, exec or create. `dlx` and `pnpx` download a
+ * fresh copy, `pnpm exec` and `yarn exec` run the installed binary, and npx
+ * does whichever applies.
+ * @param {string[]} words - Words of a simple command, quotes kept
+ * @returns {Object|null} Intent, or null for anything not translatable
+ */
+const parsePackageManagerCommand = (words) => {
+  const [program, subcommand, ...rest] = words;
+  const dependencies = (kind, args) => {
+    const parsed = parseDependencyArgs(args, program);
+    if (kind === 'install' && parsed.packages.length > 0) kind = 'add';
+    return { kind, ...parsed };
+  };
+
+  if (['npx', 'pnpx', 'bunx'].includes(program)) {
+    const args = words.slice(1).filter(arg => arg !== '-y' && arg !== '--yes');
+    return execIntent(args, program === 'pnpx' || undefined);
+  }
+
+  switch (program) {
+    case 'npm':
+      if (['install', 'i', 'in', 'add'].includes(subcommand)) return dependencies('install', rest);
+      if (subcommand === 'ci') return { ...dependencies('install', rest), flags: new Set(['frozen']) };
+      if (['uninstall', 'un', 'remove', 'rm', 'r'].includes(subcommand)) return dependencies('remove', rest);
+      if (['run', 'run-script'].includes(subcommand) && rest[0]) return { kind: 'run', script: rest[0], args: withoutSeparator(rest.slice(1)) };
+      if (['test', 't', 'start', 'stop', 'restart'].includes(subcommand)) {
+        return { kind: 'run', script: subcommand === 't' ? 'test' : subcommand, args: withoutSeparator(rest) };
+      }
+      if (['exec', 'x'].includes(subcommand)) return execIntent(rest.filter(arg => arg !== '-y' && arg !== '--yes'));
+      if (subcommand === 'create') return { kind: 'create', args: rest };
+      return null;
+
+    case 'yarn':
+      if (!subcommand || subcommand === 'install') return dependencies('install', rest);
+      if (subcommand.startsWith('-')) return dependencies('install', words.slice(1));
+      if (subcommand === 'add') return dependencies('add', rest);
+      if (subcommand === 'remove') return dependencies('remove', rest);
+      if (subcommand === 'global' && ['add', 'remove'].includes(rest[0])) {
+        const parsed = dependencies(rest[0], rest.slice(1));
+        parsed.flags.add('global');
+        return parsed;
+      }
+      if (subcommand === 'run' && rest[0]) return { kind: 'run', script: rest[0], args: withoutSeparator(rest.slice(1)) };
+      if (subcommand === 'exec') return execIntent(rest, false);
+      if (subcommand === 'dlx') return execIntent(rest, true);
+      if (subcommand === 'create') return { kind: 'create', args: rest };
+      if (YARN_BUILTINS.includes(subcommand)) return null;
+      return { kind: 'run', script: subcommand, args: withoutSeparator(rest) };
+
+    case 'pnpm':
+      if (!subcommand || ['install', 'i'].includes(subcommand)) return dependencies('install', rest);
+      if (subcommand === 'add') return dependencies('add', rest);
+      if (['remove', 'rm', 'uninstall', 'un'].includes(subcommand)) return dependencies('remove', rest);
+      if (['run', 'run-script'].includes(subcommand) && rest[0]) return { kind: 'run', script: rest[0], args: withoutSeparator(rest.slice(1)) };
+      if (['test', 't', 'start'].includes(subcommand)) {
+        return { kind: 'run', script: subcommand === 't' ? 'test' : subcommand, args: withoutSeparator(rest) };
+      }
+      if (subcommand === 'exec') return execIntent(rest, false);
+      if (subcommand === 'dlx') return execIntent(rest, true);
+      if (subcommand === 'create') return { kind: 'create', args: rest };
+      if (subcommand.startsWith('-') || PNPM_BUILTINS.includes(subcommand)) return null;
+      return { kind: 'run', script: subcommand, args: withoutSeparator(rest) };
+
+    case 'bun':
+      // `bun test` is bun's own test runner and `bun <file>` runs a file, so neither is a script
+      if (!subcommand || ['install', 'i'].includes(subcommand)) return dependencies('install', rest);
+      if (['add', 'a'].includes(subcommand)) return dependencies('add', rest);
+      if (['remove', 'rm'].includes(subcommand)) return dependencies('remove', rest);
+      if (subcommand === 'run' && rest[0] && !/\.[cm]?[jt]sx?$/.test(rest[0])) {
+        return { kind: 'run', script: rest[0], args: withoutSeparator(rest.slice(1)) };
+      }
+      if (subcommand === 'x') return execIntent(rest);
+      if (subcommand === 'create') return { kind: 'create', args: rest };
+      return null;
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Write an intent as a command for the target package manager
+ * @param {Object} intent - From parsePackageManagerCommand
+ * @param {string} packageManager - npm, yarn, pnpm or bun
+ * @param {Set<string>} [localBinaries] - From getLocalBinaries
+ * @returns {string|null} Command words joined, or null when there is no equivalent
+ */
+const renderPackageManagerCommand = (intent, packageManager, localBinaries) => {
+  const pm = packageManager;
+  const flags = (names) => names
+    .filter(name => intent.flags.has(name))
+    .map(name => DEPENDENCY_FLAGS[name][pm]);
+
+  switch (intent.kind) {
+    case 'install':
+      if (pm === 'npm') return [intent.flags.has('frozen') ? 'npm ci' : 'npm install', ...intent.extra].join(' ');
+      return [`${pm} install`, ...(intent.flags.has('frozen') ? ['--frozen-lockfile'] : []), ...intent.extra].join(' ');
+
+    case 'add':
+    case 'remove': {
+      const global = intent.flags.has('global');
+      if (pm === 'yarn' && global) return [`yarn global ${intent.kind}`, ...intent.packages, ...intent.extra].join(' ');
+      const verb = { npm: { add: 'install', remove: 'uninstall' } }[pm]?.[intent.kind] || intent.kind;
+      const saveFlags = intent.kind === 'add' ? flags(['dev', 'exact', 'optional', 'peer']) : [];
+      return [`${pm} ${verb}`, ...intent.packages, ...saveFlags, ...(global ? [DEPENDENCY_FLAGS.global[pm]] : []), ...intent.extra].join(' ');
+    }
+
+    case 'run': {
+      const { script, args } = intent;
+      if (pm === 'npm') {
+        const base = ['test', 'start', 'stop', 'restart'].includes(script) ? `npm ${script}` : `npm run ${script}`;
+        return args.length > 0 ? `${base} -- ${args.join(' ')}` : base;
+      }
+      return [`${pm} run ${script}`, ...args].join(' ');
+    }
+
+    case 'exec': {
+      // dlx skips the installed binary, so it is only used for a download;
+      // without knowing what is installed, downloading is what still works
+      const download = intent.download ?? !localBinaries?.has(getPackageName(intent.args[0]));
+      if (!download) return [{ npm: 'npx', yarn: 'yarn exec', pnpm: 'pnpm exec', bun: 'bunx' }[pm], ...intent.args].join(' ');
+      const packages = intent.packages.map(name => pm === 'pnpm' ? `--package=${name}` : `-p ${name}`);
+      if (pm === 'pnpm') return ['pnpm', ...packages, 'dlx', ...intent.args].join(' ');
+      return [{ npm: 'npx', yarn: 'yarn dlx', bun: 'bunx' }[pm], ...packages, ...intent.args].join(' ');
+    }
+
+    case 'create':
+      return [`${pm} create`, ...intent.args].join(' ');
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Translate npm/yarn/pnpm/bun invocations in a command line to the project's
+ * package manager. Compound commands are translated part by part, and only
+ * the translated parts change; the rest of the command is kept as written.
+ * Multi-line commands and heredocs are left alone, since splitting them
+ * could not tell script lines from heredoc bodies.
+ * @param {string} command - Bash command
+ * @param {string} packageManager - Target package manager (tools.packageManager)
+ * @param {Object} [options] - { localBinaries } from getLocalBinaries, so npx
+ *   of an installed binary becomes exec and anything else dlx
+ * @returns {string|null} Translated command, or null when nothing changed
+ */
+export const translatePackageManagerCommand = (command, packageManager, { localBinaries } = {}) => {
+  if (typeof command !== 'string' || !PACKAGE_MANAGERS.includes(packageManager)) return null;
+  if (/[\r\n]/.test(command) || command.includes('<<')) return null;
+
+  let result = command;
+  // Splice from the end so earlier offsets stay valid
+  for (const { text, start, end } of splitShellCommand(command).reverse()) {
+    const words = text.match(/(?:[^\s"']+|"(?:[^"\\]|\\.)*"|'[^']*')+/g) || [];
+    // Keep leading VAR=value assignments in front of the translated command
+    const assignments = [];
+    while (words.length > 0 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0])) assignments.push(words.shift());
+
+    const source = { npx: 'npm', pnpx: 'pnpm', bunx: 'bun' }[words[0]] || words[0];
+    const intent = source !== packageManager ? parsePackageManagerCommand(words) : null;
+    const translated = intent && renderPackageManagerCommand(intent, packageManager, localBinaries);
+    if (translated) result = `${result.slice(0, start)}${[...assignments, translated].join(' ')}${result.slice(end)}`;
+  }
+
+  return result !== command ? result : null;
+};
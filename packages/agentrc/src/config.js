@@ -0,0 +1,662 @@
+/**
+ * .agentrc Configuration Cascade for Kuuzuki
+ *
+ * Loads every .agentrc layer (kuuzuki global, OpenCode global, project)
+ * along with the shared configs each one `extends`, deep-merges them with a
+ * fixed precedence order and records which layer each merged value came from.
+ */
+
+import path from "path";
+import fs from "fs/promises";
+import { pathToFileURL } from "url";
+import {
+  parseAgentrc,
+  parseJsonWithLocations,
+  validateAgentrc,
+  pruneInvalidAgentrc,
+  formatSchemaIssue
+} from "./schema.js";
+import {
+  parseYamlWithLocations,
+  stringifyYaml
+} from "./yaml.js";
+
+/**
+ * Accepted config file names, in lookup order within a directory
+ */
+export const AGENTRC_FILENAMES = [".agentrc", ".agentrc.yaml", ".agentrc.yml", ".agentrc.js", ".agentrc.mjs"];
+
+/**
+ * Config layers, lowest precedence first. Later layers override earlier ones.
+ * @param {Object} app - OpenCode app object
+ * @returns {Array<{name: string, dir: string}>} Layer directories
+ */
+export const getConfigLayerLocations = (app) => [
+  { name: "kuuzuki-global", dir: path.join(process.env.HOME || "", ".config", "kuuzuki") },
+  { name: "global", dir: app.path.config },
+  { name: "project", dir: app.path.root },
+];
+
+/**
+ * Determine a config file's format from its name.
+ * Anything that is not YAML or a JS module is read as JSONC.
+ * @param {string} filePath - Config file path
+ * @returns {'json'|'yaml'|'module'} Format
+ */
+export const getConfigFormat = (filePath) => {
+  if (/\.ya?ml$/i.test(filePath)) return "yaml";
+  if (/\.[cm]?js$/i.test(filePath)) return "module";
+  return "json";
+};
+
+/**
+ * Whether a path names an .agentrc config in any supported format
+ */
+export const isAgentrcFile = (filePath = "") => {
+  const fileName = path.basename(filePath);
+  return AGENTRC_FILENAMES.includes(fileName) || fileName.endsWith(".agentrc");
+};
+
+/**
+ * Find every .agentrc variant present in a directory, in lookup order
+ * @param {string} dir - Directory to search
+ * @returns {Promise<string[]>} Existing config paths
+ */
+export const findAgentrcFiles = async (dir) => {
+  const found = [];
+  for (const fileName of AGENTRC_FILENAMES) {
+    const filePath = path.join(dir, fileName);
+    if (await fs.access(filePath).then(() => true).catch(() => false)) {
+      found.push(filePath);
+    }
+  }
+  return found;
+};
+
+/**
+ * Throw if a config file cannot be written back (JS modules are code, not data)
+ * @param {string} configPath - Target file
+ */
+export const assertConfigWritable = (configPath) => {
+  if (configPath && getConfigFormat(configPath) === "module") {
+    throw new Error(`${path.basename(configPath)} is a JavaScript module and cannot be rewritten; edit ${configPath} by hand`);
+  }
+};
+
+/**
+ * How long to wait for another session's lock, and when a lock counts as abandoned
+ */
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+
+/**
+ * Run `task` while holding an advisory lock on a config file.
+ * The lock is a `<file>.lock` created exclusively, so two sessions saving
+ * at once take turns instead of overwriting each other.
+ */
+const withConfigLock = async (configPath, task) => {
+  const lockPath = `${configPath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }), { flag: "wx" });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      const lockStat = await fs.stat(lockPath).catch(() => null);
+      if (lockStat && Date.now() - lockStat.mtimeMs > STALE_LOCK_MS) {
+        // Left behind by a session that crashed mid-write
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`${path.basename(configPath)} is locked by another session; try again, or delete ${lockPath} if no session is writing`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+};
+
+/**
+ * Write through a temp file and rename, so readers never see half a file
+ */
+export const writeFileAtomic = async (filePath, content) => {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  const mode = (await fs.stat(filePath).catch(() => null))?.mode;
+  try {
+    await fs.writeFile(tempPath, content, mode ? { mode } : undefined);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Indentation used by existing file content (first indented line)
+ */
+const detectIndent = (text, fallback = "  ") => text.match(/^([ \t]+)\S/m)?.[1] || fallback;
+
+/**
+ * Skip whitespace and JSONC comments starting at `index`
+ */
+const skipJsonTrivia = (text, index) => {
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index++;
+    } else if (text.startsWith("//", index)) {
+      const end = text.indexOf("\n", index);
+      index = end === -1 ? text.length : end;
+    } else if (text.startsWith("/*", index)) {
+      const end = text.indexOf("*/", index + 2);
+      index = end === -1 ? text.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return index;
+};
+
+/**
+ * Index just past the JSON value that starts at `index`
+ */
+const skipJsonValue = (text, index) => {
+  let depth = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (char === "\"") {
+      index++;
+      while (index < text.length && text[index] !== "\"") index += text[index] === "\\" ? 2 : 1;
+      index++;
+    } else if (char === "/" && (text[index + 1] === "/" || text[index + 1] === "*")) {
+      index = skipJsonTrivia(text, index);
+      continue;
+    } else if (char === "{" || char === "[") {
+      depth++;
+      index++;
+    } else if (char === "}" || char === "]") {
+      if (depth === 0) return index;
+      depth--;
+      index++;
+    } else if (depth === 0 && (char === "," || /\s/.test(char))) {
+      return index;
+    } else {
+      index++;
+    }
+    if (depth === 0 && (char === "\"" || char === "}" || char === "]")) return index;
+  }
+  return index;
+};
+
+/**
+ * Locate the members of the top-level object in JSON(C) text
+ * @returns {{ close: number, members: Array<{ key: string, start: number, valueStart: number, valueEnd: number }> }}
+ */
+const findJsonMembers = (text) => {
+  let index = skipJsonTrivia(text, 0);
+  const members = [];
+  index = skipJsonTrivia(text, index + 1);
+  while (index < text.length && text[index] !== "}") {
+    const start = index;
+    const keyEnd = skipJsonValue(text, index);
+    const key = JSON.parse(text.slice(start, keyEnd));
+    const valueStart = skipJsonTrivia(text, skipJsonTrivia(text, keyEnd) + 1);
+    const valueEnd = skipJsonValue(text, valueStart);
+    members.push({ key, start, valueStart, valueEnd });
+    index = skipJsonTrivia(text, valueEnd);
+    if (text[index] === ",") index = skipJsonTrivia(text, index + 1);
+  }
+  return { close: index, members };
+};
+
+/**
+ * Set or remove top-level keys in JSON(C) text, leaving every other byte
+ * (key order, indentation, comments) as it was
+ * @param {string} text - Current file content
+ * @param {Object} changes - Key -> new value, `undefined` to remove the key
+ * @returns {string} Patched content
+ */
+const patchJsonText = (text, changes) => {
+  const indent = detectIndent(text);
+  const format = (value) => JSON.stringify(value, null, indent).replace(/\n/g, `\n${indent}`);
+
+  for (const [key, value] of Object.entries(changes)) {
+    const { close, members } = findJsonMembers(text);
+    const position = members.findIndex(member => member.key === key);
+    const member = members[position];
+
+    if (member && value !== undefined) {
+      text = `${text.slice(0, member.valueStart)}${format(value)}${text.slice(member.valueEnd)}`;
+    } else if (member) {
+      // Take the member out along with the comma that separates it from its neighbour
+      const previous = members[position - 1];
+      const next = members[position + 1];
+      if (next) {
+        // Whole lines when the member sits on its own line, otherwise just the member
+        const lineStart = text.lastIndexOf("\n", member.start - 1) + 1;
+        const nextLineStart = text.lastIndexOf("\n", next.start - 1) + 1;
+        const from = /^\s*$/.test(text.slice(lineStart, member.start)) ? lineStart : member.start;
+        const to = nextLineStart > member.valueEnd && /^\s*$/.test(text.slice(nextLineStart, next.start)) ? nextLineStart : next.start;
+        text = `${text.slice(0, from)}${text.slice(to)}`;
+      } else {
+        text = `${text.slice(0, previous ? previous.valueEnd : member.start)}${text.slice(member.valueEnd)}`;
+      }
+    } else if (value !== undefined) {
+      const entry = `${indent}${JSON.stringify(key)}: ${format(value)}`;
+      const last = members[members.length - 1];
+      text = last
+        ? `${text.slice(0, last.valueEnd)},\n${entry}${text.slice(last.valueEnd)}`
+        : `${text.slice(0, close).trimEnd()}\n${entry}\n${text.slice(close)}`;
+    }
+  }
+  return text;
+};
+
+/**
+ * Set or remove top-level keys of a YAML document, keeping key order and
+ * indentation. YAML is re-serialized, so comments are not kept.
+ */
+const patchYamlText = (text, changes) => {
+  const current = text.trim() ? parseYamlWithLocations(text).value || {} : {};
+  const patched = {};
+  for (const [key, value] of Object.entries(current)) {
+    if (!(key in changes)) patched[key] = value;
+    else if (changes[key] !== undefined) patched[key] = changes[key];
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    if (!(key in current) && value !== undefined) patched[key] = value;
+  }
+  return stringifyYaml(patched, detectIndent(text).length);
+};
+
+/**
+ * Combine this session's change to a value with the value now on disk.
+ * When another session changed an array in the meantime, this session's
+ * additions, removals and edits are replayed onto the disk version.
+ * @param {*} base - Value this session started from
+ * @param {*} ours - Value this session wants
+ * @param {*} theirs - Value on disk now
+ * @returns {*} Value to write
+ */
+const mergeChangedValue = (base, ours, theirs) => {
+  if (JSON.stringify(theirs) === JSON.stringify(base)) return ours;
+  if (!Array.isArray(ours) || !Array.isArray(base) || !(Array.isArray(theirs) || theirs === undefined)) return ours;
+
+  const oursByKey = new Map(ours.map(item => [arrayItemKey(item), item]));
+  const baseKeys = new Set(base.map(arrayItemKey));
+  const merged = (theirs || [])
+    .filter(item => !baseKeys.has(arrayItemKey(item)) || oursByKey.has(arrayItemKey(item)))
+    .map(item => (baseKeys.has(arrayItemKey(item)) ? oursByKey.get(arrayItemKey(item)) : item));
+  const mergedKeys = new Set(merged.map(arrayItemKey));
+  return [...merged, ...ours.filter(item => !baseKeys.has(arrayItemKey(item)) && !mergedKeys.has(arrayItemKey(item)))];
+};
+
+/**
+ * Save a config in the format it was loaded from.
+ * The file is re-read under a lock and only keys that changed are patched
+ * into it, so key order, indentation and JSONC comments survive and a
+ * change made by another session since `base` was read is not lost.
+ * @param {string} configPath - Target file
+ * @param {Object} config - Config to save
+ * @param {Object} [options] - { base }: the config as this session last saw it.
+ *   Without a base every key of `config` is written and keys missing from it are removed.
+ * @returns {Promise<{ config: Object, content: string }>} What is now on disk
+ */
+export const writeConfigFile = async (configPath, config, { base } = {}) => {
+  assertConfigWritable(configPath);
+  const format = getConfigFormat(configPath);
+
+  return withConfigLock(configPath, async () => {
+    let text = "";
+    try {
+      text = await fs.readFile(configPath, "utf-8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    const onDisk = !text.trim()
+      ? {}
+      : (format === "yaml" ? parseYamlWithLocations(text).value : parseJsonWithLocations(text, { allowComments: true }).value) || {};
+
+    const keys = new Set([...Object.keys(config || {}), ...Object.keys(base || onDisk)]);
+    const changes = {};
+    for (const key of keys) {
+      const changed = base
+        ? JSON.stringify(base[key]) !== JSON.stringify(config?.[key])
+        : JSON.stringify(onDisk[key]) !== JSON.stringify(config?.[key]);
+      if (!changed) continue;
+      const value = base ? mergeChangedValue(base[key], config?.[key], onDisk[key]) : config?.[key];
+      if (JSON.stringify(value) !== JSON.stringify(onDisk[key])) changes[key] = value;
+    }
+
+    const content = !text.trim()
+      ? (format === "yaml" ? stringifyYaml(config) : JSON.stringify(config, null, 2))
+      : (format === "yaml" ? patchYamlText(text, changes) : patchJsonText(text, changes));
+    if (content !== text) await writeFileAtomic(configPath, content);
+
+    const written = { ...onDisk };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) delete written[key];
+      else written[key] = value;
+    }
+    return { config: !text.trim() ? config : written, content };
+  });
+};
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Identity used to de-duplicate array items (rules compare case-insensitively)
+ */
+const arrayItemKey = (item) => {
+  if (typeof item === "string") return item.toLowerCase().trim();
+  // A structured rule is the same rule as the string with its text
+  if (isPlainObject(item) && typeof item.text === "string") return item.text.toLowerCase().trim();
+  return JSON.stringify(item);
+};
+
+/**
+ * Record the source layer of a value and, for containers, of every leaf below it
+ */
+const recordSources = (value, source, sources, jsonPath) => {
+  if (isPlainObject(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      recordSources(item, source, sources, jsonPath ? `${jsonPath}.${key}` : key);
+    }
+  } else if (Array.isArray(value)) {
+    // Array items are attributed whole: a structured rule comes from one layer
+    value.forEach((_, index) => { sources[`${jsonPath}[${index}]`] = source; });
+  } else {
+    sources[jsonPath] = source;
+  }
+};
+
+/**
+ * Deep-merge `override` into `base` in place.
+ * Objects merge key by key, arrays are unioned (override items appended,
+ * duplicates attributed to the overriding layer) and scalars are replaced.
+ * @param {Object} base - Target object, mutated
+ * @param {Object} override - Higher precedence values
+ * @param {string} [source] - Layer name of `override`, for provenance
+ * @param {Object} [sources] - JSON path -> layer name map, mutated
+ * @param {string} [jsonPath] - Path of `base` within the merged config
+ * @returns {Object} The merged `base`
+ */
+export const deepMergeConfig = (base, override, source = null, sources = {}, jsonPath = "") => {
+  for (const [key, value] of Object.entries(override || {})) {
+    const childPath = jsonPath ? `${jsonPath}.${key}` : key;
+
+    if (isPlainObject(value) && isPlainObject(base[key])) {
+      deepMergeConfig(base[key], value, source, sources, childPath);
+    } else if (Array.isArray(value) && Array.isArray(base[key])) {
+      for (const item of value) {
+        const existingIndex = base[key].findIndex(existing => arrayItemKey(existing) === arrayItemKey(item));
+        const index = existingIndex === -1 ? base[key].push(clone(item)) - 1 : existingIndex;
+        // A structured duplicate carries more than the item it matches, so it wins
+        if (existingIndex !== -1 && isPlainObject(item)) base[key][index] = clone(item);
+        if (source) sources[`${childPath}[${index}]`] = source;
+      }
+    } else {
+      // Drop provenance of whatever was replaced before recording the new value
+      for (const sourcePath of Object.keys(sources)) {
+        if (sourcePath === childPath || sourcePath.startsWith(`${childPath}.`) || sourcePath.startsWith(`${childPath}[`)) {
+          delete sources[sourcePath];
+        }
+      }
+      base[key] = clone(value);
+      if (source) recordSources(value, source, sources, childPath);
+    }
+  }
+  return base;
+};
+
+/**
+ * Merge config layers, lowest precedence first
+ * @param {Array<{name: string, config: Object}>} layers - Loaded layers
+ * @returns {{ config: Object|null, sources: Object }} Merged config and provenance
+ */
+export const mergeConfigLayers = (layers) => {
+  if (layers.length === 0) return { config: null, sources: {} };
+  const sources = {};
+  const config = {};
+  for (const layer of layers) {
+    // `extends` is resolved while loading and is not part of the merged view
+    const { extends: _extends, ...values } = layer.config;
+    deepMergeConfig(config, values, layer.name, sources);
+  }
+  return { config, sources };
+};
+
+/**
+ * Merge .agentrc config with legacy configs (.agentrc values win)
+ */
+export const mergeConfigs = (agentrcConfig, legacyConfig) => {
+  if (!agentrcConfig && !legacyConfig) return null;
+  if (!agentrcConfig) return legacyConfig;
+  if (!legacyConfig) return agentrcConfig;
+
+  return deepMergeConfig(deepMergeConfig({}, legacyConfig), agentrcConfig);
+};
+
+/**
+ * Read and validate a single .agentrc file in any supported format.
+ * JS modules may default-export the config or an (async) function that
+ * receives the project path and returns it.
+ * @param {string} configPath - Config file path
+ * @param {string} projectRoot - Project path passed to module configs
+ * @returns {Promise<{config: Object, warnings: Array}|null>} null when the file does not exist
+ */
+const readConfigLayer = async (configPath, projectRoot) => {
+  const format = getConfigFormat(configPath);
+  let content;
+  try {
+    content = format === "module"
+      ? String((await fs.stat(configPath)).mtimeMs)
+      : await fs.readFile(configPath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    error.issues = [];
+    throw error;
+  }
+
+  if (format !== "module") {
+    return parseAgentrc(content, configPath, { format });
+  }
+
+  let config;
+  try {
+    // The mtime query makes reloads pick up edits instead of the cached module
+    const module = await import(`${pathToFileURL(configPath).href}?mtime=${content}`);
+    config = typeof module.default === "function" ? await module.default(projectRoot) : module.default;
+  } catch (error) {
+    const loadError = new Error(`Invalid .agentrc: ${configPath} failed to load: ${error.message}`);
+    loadError.issues = [];
+    throw loadError;
+  }
+  return validateAgentrc(config, undefined, configPath);
+};
+
+/**
+ * Whether a file or directory exists
+ */
+export const fileExists = (filePath) => fs.access(filePath).then(() => true).catch(() => false);
+
+/**
+ * Resolve an `extends` entry to a file path.
+ * Relative and absolute entries are resolved against the extending file;
+ * anything else is treated as a package in a node_modules directory above it,
+ * optionally followed by a file inside that package ("@org/preset/strict.agentrc").
+ * A bare package resolves to its package.json `agentrc` field, then `.agentrc`,
+ * then `main`.
+ * @param {string} specifier - Entry from `extends`
+ * @param {string} fromFile - Path of the extending .agentrc
+ * @returns {Promise<string>} Absolute path of the base config
+ */
+export const resolveExtendsEntry = async (specifier, fromFile) => {
+  const baseDir = path.dirname(fromFile);
+
+  if (specifier.startsWith("~/")) {
+    return path.join(process.env.HOME || "", specifier.slice(2));
+  }
+  if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+    return path.resolve(baseDir, specifier);
+  }
+
+  const segments = specifier.split("/");
+  const packageName = specifier.startsWith("@") ? segments.slice(0, 2).join("/") : segments[0];
+  const subPath = segments.slice(specifier.startsWith("@") ? 2 : 1).join("/");
+
+  let dir = baseDir;
+  while (true) {
+    const packageDir = path.join(dir, "node_modules", packageName);
+    if (await fileExists(packageDir)) {
+      if (subPath) return path.join(packageDir, subPath);
+
+      let packageJson = {};
+      try {
+        packageJson = JSON.parse(await fs.readFile(path.join(packageDir, "package.json"), "utf-8"));
+      } catch {
+        // Packages without package.json can still ship a .agentrc
+      }
+      if (typeof packageJson.agentrc === "string") return path.join(packageDir, packageJson.agentrc);
+      if (await fileExists(path.join(packageDir, ".agentrc"))) return path.join(packageDir, ".agentrc");
+      if (typeof packageJson.main === "string") return path.join(packageDir, packageJson.main);
+      throw new Error(`Package "${packageName}" has no .agentrc (add an "agentrc" field to its package.json)`);
+    }
+
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) break;
+    dir = parentDir;
+  }
+
+  throw new Error(`Cannot resolve "${specifier}" from ${fromFile}: not a relative path or an installed package`);
+};
+
+/**
+ * Load the configs a layer extends, bases first, depth-first.
+ * Each base becomes its own layer named "<parent>:<specifier>" so provenance
+ * shows exactly which preset a value came from. Unresolvable or invalid
+ * bases are reported and skipped; the extending file still loads.
+ * @param {Object} layer - { name, path, config } of the extending file
+ * @param {string[]} chain - Resolved paths currently being loaded, for cycle detection
+ * @param {Object} result - { layers, errors, warnings } collectors and the projectRoot, mutated
+ */
+const collectExtendedLayers = async (layer, chain, result) => {
+  const entries = [].concat(layer.config.extends || []);
+
+  for (const specifier of entries) {
+    const name = `${layer.name}:${specifier}`;
+    try {
+      const basePath = await resolveExtendsEntry(specifier, layer.path);
+      if (chain.includes(basePath)) {
+        throw new Error(`Circular extends: ${[...chain, basePath].join(" -> ")}`);
+      }
+
+      const base = await readConfigLayer(basePath, result.projectRoot);
+      if (!base) throw new Error(`Extended config not found: ${basePath}`);
+
+      const baseLayer = { name, path: basePath, config: base.config };
+      result.warnings.push(...base.warnings.map(warning => ({ ...warning, file: basePath })));
+      await collectExtendedLayers(baseLayer, [...chain, basePath], result);
+      result.layers.push(baseLayer);
+    } catch (error) {
+      result.errors.push({
+        path: layer.path,
+        layer: name,
+        message: `Failed to extend "${specifier}" from ${layer.path}: ${error.message}`,
+        issues: error.issues || []
+      });
+    }
+  }
+};
+
+/**
+ * Load and merge every .agentrc layer.
+ * A file that fails validation keeps its valid values and loses only the
+ * invalid ones; a file that cannot be read or parsed is skipped. Every
+ * problem is reported through the logger and returned in `errors`. `path`
+ * is the highest-precedence file found, loaded or not, which is where rule
+ * changes are written.
+ * @param {Object} app - OpenCode app object
+ * @param {Object} [logger] - Smart logger
+ * @returns {Promise<Object>} { config, path, layers, sources, errors, warnings }
+ */
+export const loadAgentrcConfig = async (app, logger) => {
+  const layers = [];
+  const errors = [];
+  const warnings = [];
+  let targetPath = null;
+
+  for (const layerLocation of getConfigLayerLocations(app)) {
+    const [configPath, ...ignoredPaths] = await findAgentrcFiles(layerLocation.dir);
+    if (!configPath) continue;
+    const location = { name: layerLocation.name, path: configPath };
+    targetPath = configPath;
+
+    if (ignoredPaths.length > 0) {
+      warnings.push({ severity: "warning", path: "(file)", message: `ignoring ${ignoredPaths.map(p => path.basename(p)).join(", ")}; ${path.basename(configPath)} takes precedence`, file: configPath });
+      if (logger) {
+        await logger.warning(`Multiple .agentrc files in ${layerLocation.dir}; using ${path.basename(configPath)}`);
+      }
+    }
+
+    let layer;
+    try {
+      layer = await readConfigLayer(location.path, app.path.root);
+    } catch (error) {
+      errors.push({ path: location.path, layer: location.name, message: error.message, issues: error.issues || [] });
+      if (logger) {
+        await logger.error(error.message);
+      }
+      // Schema errors drop only the invalid values, so the file's other rules and security settings still apply
+      const pruned = error.value !== undefined ? pruneInvalidAgentrc(error.value) : null;
+      if (!pruned) continue;
+      layer = { config: pruned.config, warnings: [] };
+      if (logger) {
+        await logger.warning(`Using the valid parts of ${location.path}; ignoring ${pruned.dropped.join(", ")}`);
+      }
+    }
+    if (!layer) continue;
+
+    // Bases go underneath the file that extends them
+    const extended = { layers: [], errors: [], warnings: [], projectRoot: app.path.root };
+    await collectExtendedLayers({ ...location, config: layer.config }, [location.path], extended);
+    layers.push(...extended.layers, { ...location, config: layer.config });
+    errors.push(...extended.errors);
+
+    const layerWarnings = [
+      ...extended.warnings,
+      ...layer.warnings.map(warning => ({ ...warning, file: location.path }))
+    ];
+    warnings.push(...layerWarnings);
+    if (logger) {
+      await logger.config(`Loaded ${location.name} .agentrc from ${location.path}`);
+      for (const base of extended.layers) {
+        await logger.config(`Extended with ${base.name} from ${base.path}`);
+      }
+      for (const warning of layerWarnings) {
+        await logger.warning(formatSchemaIssue(warning, warning.file));
+      }
+      for (const error of extended.errors) {
+        await logger.error(error.message);
+      }
+    }
+  }
+
+  if (layers.length === 0) {
+    if (logger && !targetPath) {
+      await logger.info("No .agentrc found, using OpenCode defaults");
+    }
+    return { config: null, path: targetPath, layers, sources: {}, errors, warnings };
+  }
+
+  const { config, sources } = mergeConfigLayers(layers);
+  return { config, path: targetPath, layers, sources, errors, warnings };
+};
@@ -0,0 +1,160 @@
+/**
+ * Model Context for Kuuzuki
+ *
+ * Renders the merged config as a compact block of plain text that is added
+ * to the model's system prompt. The block only depends on the config, so the
+ * same config always produces the same text, and it never grows past
+ * `context.maxChars`: sections are filled in order and whatever does not fit
+ * is summarised as "... N more".
+ *
+ *   "context": {
+ *     "enabled": true,
+ *     "maxChars": 4000,
+ *     "maxRules": 30,
+ *     "sections": ["project", "rules", "commands", "workspaces", "conventions", "codeStyle"]
+ *   }
+ */
+
+import { getCommandTemplate } from './commands.js';
+import { RULE_CATEGORIES, normalizeRule } from './rules.js';
+
+/**
+ * Sections the block can contain, in their default order. Rules come right
+ * after the project so they are the last thing a small budget cuts.
+ */
+export const CONTEXT_SECTIONS = ['project', 'rules', 'commands', 'workspaces', 'conventions', 'codeStyle'];
+
+/**
+ * Size of the block when `context.maxChars` is not set
+ */
+export const DEFAULT_CONTEXT_MAX_CHARS = 4000;
+
+const CONTEXT_HEADER = 'Project instructions from .agentrc:';
+
+/**
+ * Render a codeStyle/conventions value on one line
+ */
+const formatContextValue = (value) => {
+  if (Array.isArray(value)) return value.map(formatContextValue).join(', ');
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, entry]) => `${key}: ${formatContextValue(entry)}`).join(', ');
+  }
+  return String(value);
+};
+
+/**
+ * Rules for the block: project-wide rules still in force, most important first.
+ * Ties keep their order in .agentrc.
+ */
+const orderContextRules = (rules) =>
+  (rules || [])
+    .map((rule, index) => ({ index, ...normalizeRule(rule) }))
+    .filter(rule => rule.category !== 'deprecated' && rule.appliesTo.length === 0)
+    .sort((a, b) =>
+      b.priority - a.priority ||
+      RULE_CATEGORIES.indexOf(a.category) - RULE_CATEGORIES.indexOf(b.category) ||
+      a.index - b.index
+    );
+
+/**
+ * Heading, items and closing note of each section
+ */
+const renderContextSection = (section, config, maxRules) => {
+  switch (section) {
+    case 'project': {
+      const { name, description, type, language, languages, framework, frameworks } = config.project || {};
+      const details = [
+        type,
+        languages?.length > 0 ? languages.join(' + ') : language,
+        frameworks ? Object.keys(frameworks).join(' + ') : framework
+      ].filter(Boolean).join(', ');
+      const summary = [name, description].filter(Boolean).join(' - ');
+      if (!summary && !details) return null;
+      return { heading: `Project: ${summary || 'unnamed'}${details ? ` (${details})` : ''}`, items: [] };
+    }
+    case 'rules': {
+      const rules = orderContextRules(config.rules);
+      const limited = maxRules !== undefined ? rules.slice(0, maxRules) : rules;
+      const scoped = (config.rules || []).map(normalizeRule).filter(rule => rule.appliesTo.length > 0).length;
+      if (rules.length === 0) return null;
+      return {
+        heading: 'Rules (most important first):',
+        items: limited.map(rule => `- ${rule.category === 'preferred' ? '' : `[${rule.category}] `}${rule.text}`),
+        omitted: rules.length - limited.length,
+        note: scoped > 0 ? `(${scoped} more rule(s) apply to specific files and are shown when those files are read or edited)` : null
+      };
+    }
+    case 'commands': {
+      const items = Object.entries(config.commands || {})
+        .filter(([, entry]) => getCommandTemplate(entry))
+        .map(([name, entry]) => `- ${name}: ${getCommandTemplate(entry)}`);
+      return items.length > 0 ? { heading: 'Commands:', items } : null;
+    }
+    case 'workspaces': {
+      // One line per package: where it is, what it uses, and how to run its commands
+      const items = Object.entries(config.workspaces?.packages || {}).map(([name, pkg]) => {
+        const details = [name, pkg.framework, pkg.testing].filter(Boolean).join(', ');
+        const commands = Object.entries(pkg.commands || {}).map(([command, run]) => `${command}: ${run}`).join('; ');
+        return `- ${pkg.path || name}${pkg.path ? ` (${details})` : ''}${commands ? ` - ${commands}` : ''}`;
+      });
+      return items.length > 0 ? { heading: 'Workspace packages:', items } : null;
+    }
+    case 'conventions':
+    case 'codeStyle': {
+      const items = Object.entries(config[section] || {})
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `- ${key}: ${formatContextValue(value)}`);
+      return items.length > 0 ? { heading: section === 'codeStyle' ? 'Code style:' : 'Conventions:', items } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Build the context block for the system prompt
+ * @param {Object} config - Merged config
+ * @returns {string|null} Block of at most context.maxChars characters, or null when disabled or empty
+ */
+export const buildContextBlock = (config) => {
+  const options = config?.context || {};
+  if (!config || options.enabled === false) return null;
+  const maxChars = options.maxChars ?? DEFAULT_CONTEXT_MAX_CHARS;
+  const sections = options.sections || CONTEXT_SECTIONS;
+
+  const lines = [CONTEXT_HEADER];
+  let length = CONTEXT_HEADER.length;
+  const fits = (line) => length + 1 + line.length <= maxChars;
+  const push = (line) => {
+    lines.push(line);
+    length += 1 + line.length;
+  };
+
+  for (const section of sections) {
+    const rendered = renderContextSection(section, config, options.maxRules);
+    if (!rendered) continue;
+    // A heading is only worth its space with at least one item after it
+    if (!fits(rendered.heading) || (rendered.items.length > 0 && length + rendered.heading.length + rendered.items[0].length + 2 > maxChars)) break;
+    push(rendered.heading);
+
+    let shown = 0;
+    for (const item of rendered.items) {
+      const remaining = rendered.items.length - shown - 1 + (rendered.omitted || 0);
+      // Keep room to say how much was left out
+      const reserve = remaining > 0 ? `- ... ${remaining} more`.length + 1 : 0;
+      if (length + 1 + item.length + reserve > maxChars) break;
+      push(item);
+      shown++;
+    }
+    const omitted = rendered.items.length - shown + (rendered.omitted || 0);
+    if (omitted > 0) {
+      const more = `- ... ${omitted} more`;
+      if (fits(more)) push(more);
+    }
+    // Out of space: later sections would not fit either
+    if (shown < rendered.items.length) break;
+    if (rendered.note && fits(rendered.note)) push(rendered.note);
+  }
+
+  return lines.length > 1 ? lines.join('\n') : null;
+};
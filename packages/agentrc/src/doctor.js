@@ -0,0 +1,207 @@
+/**
+ * Health Check for Kuuzuki
+ *
+ * `kuuzuki doctor` (and `doctor` in chat) explains what the plugin sees:
+ * which config files loaded or failed, which legacy files exist, how
+ * notifications are delivered, whether the installed bundle is current, and
+ * which security patterns can never take effect. Nothing here changes
+ * anything; problems that are otherwise only logged are collected instead.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { loadAgentrcConfig, getConfigLayerLocations } from './config.js';
+import { getLegacyFiles, isGeneratedLegacyFile } from './legacy.js';
+import { formatSchemaIssue } from './schema.js';
+import { getNotificationStatus } from './notifications.js';
+import { findUnmatchablePatterns } from './security.js';
+
+/**
+ * File name of the bundle in OpenCode plugin directories
+ */
+export const PLUGIN_BUNDLE_NAME = 'kuuzuki-agentrc.js';
+
+/**
+ * Item statuses, least to most serious
+ */
+const DOCTOR_STATUSES = ['ok', 'info', 'warning', 'error'];
+
+/**
+ * How each status is shown
+ */
+const DOCTOR_ICONS = { ok: '✅', info: 'ℹ️', warning: '⚠️', error: '❌' };
+
+/**
+ * Build a check from its items; its status is the most serious item's
+ */
+const createCheck = (name, items) => ({
+  name,
+  status: items.reduce((worst, item) =>
+    DOCTOR_STATUSES.indexOf(item.status) > DOCTOR_STATUSES.indexOf(worst) ? item.status : worst, 'ok'),
+  items
+});
+
+/**
+ * Which .agentrc files loaded and which failed
+ */
+const checkConfigFiles = async (app, loaded) => {
+  const items = [
+    ...loaded.layers.map(layer => ({ status: 'ok', text: `${layer.name}: ${layer.path}` })),
+    ...loaded.errors.map(error => ({ status: 'error', text: `${error.layer}: ${error.message}` })),
+    ...loaded.warnings.map(warning => ({ status: 'warning', text: formatSchemaIssue(warning, warning.file) }))
+  ];
+  if (loaded.layers.length === 0 && loaded.errors.length === 0) {
+    const dirs = getConfigLayerLocations(app).map(location => location.dir);
+    items.push({ status: 'info', text: `No .agentrc in ${dirs.join(', ')}; run kuuzuki init to create one` });
+  }
+  return createCheck('Config files', items);
+};
+
+/**
+ * Legacy files, and whether they are read or were generated from .agentrc
+ */
+const checkLegacyFiles = async (app, loaded) => {
+  const items = [];
+  for (const { path: filePath } of getLegacyFiles(app.path.root)) {
+    const content = await fs.readFile(filePath, 'utf-8').catch(() => null);
+    if (content === null) continue;
+    const name = path.relative(app.path.root, filePath);
+    if (isGeneratedLegacyFile(content)) {
+      items.push({ status: 'ok', text: `${name}: generated from .agentrc` });
+    } else if (loaded.layers.length > 0) {
+      items.push({ status: 'info', text: `${name}: ignored while an .agentrc exists` });
+    } else {
+      items.push({ status: 'ok', text: `${name}: read as the project config` });
+    }
+  }
+  if (items.length === 0) items.push({ status: 'ok', text: 'None found' });
+  return createCheck('Legacy files', items);
+};
+
+/**
+ * Effective notification settings and whether the OS backend works
+ */
+const checkNotifications = async (config, $) => {
+  // Same defaults as createSmartLogger, and the plugin's when .agentrc says nothing
+  const { enabled = true, level = 'important', silent = false, mode = 'os' } = config?.notifications || { mode: 'os', silent: true };
+  const usesOs = enabled && level !== 'none' && (mode === 'os' || mode === 'both');
+  const items = [{
+    status: 'ok',
+    text: enabled ? `Mode: ${mode}, level ${level}${silent ? ', console output silenced' : ''}` : 'Disabled (enabled: false)'
+  }];
+  if (!$) {
+    items.push({ status: 'info', text: 'Backend not checked: no shell available' });
+    return createCheck('Notifications', items);
+  }
+  const status = await getNotificationStatus($);
+  const backend = `Backend: ${status.method} on ${status.platform}${status.distro ? ` (${status.distro})` : ''}`;
+  if (status.supported) {
+    items.push({ status: 'ok', text: backend });
+  } else {
+    // Only a problem when notifications are meant to go to the OS
+    items.push({
+      status: usesOs ? 'warning' : 'info',
+      text: `${backend}${status.dependencies.length > 0 ? `; install ${status.dependencies.join(', ')}` : ''}`
+    });
+  }
+  if (status.error) items.push({ status: 'warning', text: `Backend check failed: ${status.error}` });
+  return createCheck('Notifications', items);
+};
+
+/**
+ * Newest modification time among the plugin sources, or null when not running from them
+ */
+const getNewestSourceTime = async (sourceDir) => {
+  const files = await fs.readdir(sourceDir).catch(() => []);
+  if (!files.includes('doctor.js') || !files.includes('index.js')) return null;
+  const stats = await Promise.all(files.filter(file => file.endsWith('.js')).map(file => fs.stat(path.join(sourceDir, file))));
+  return Math.max(...stats.map(stat => stat.mtimeMs));
+};
+
+/**
+ * Whether the bundle is installed in the global and project plugin
+ * directories, and whether it is older than the sources or the last build
+ */
+const checkPluginInstall = async (app, sourceDir) => {
+  const locations = [
+    { name: 'global', file: path.join(app.path.config, 'plugin', PLUGIN_BUNDLE_NAME) },
+    { name: 'project', file: path.join(app.path.root, '.opencode', 'plugin', PLUGIN_BUNDLE_NAME) }
+  ];
+  const newestSource = sourceDir ? await getNewestSourceTime(sourceDir) : null;
+  const builtPath = sourceDir ? path.join(sourceDir, '..', 'dist', PLUGIN_BUNDLE_NAME) : null;
+  const built = newestSource !== null ? await fs.readFile(builtPath, 'utf-8').catch(() => null) : null;
+  const items = [];
+  let installed = 0;
+
+  for (const { name, file } of locations) {
+    const link = await fs.lstat(file).catch(() => null);
+    if (!link) continue;
+    installed++;
+    const target = link.isSymbolicLink() ? await fs.realpath(file).catch(() => null) : file;
+    if (!target) {
+      items.push({ status: 'error', text: `${name}: ${file} is a broken symlink` });
+      continue;
+    }
+    const described = `${name}: ${file}${target !== file ? ` -> ${target}` : ''}`;
+    const { mtimeMs } = await fs.stat(target);
+    if (newestSource !== null && mtimeMs < newestSource) {
+      items.push({ status: 'warning', text: `${described} is older than the sources; run npm run build and reinstall` });
+    } else if (built !== null && target !== path.resolve(builtPath) && await fs.readFile(target, 'utf-8') !== built) {
+      items.push({ status: 'warning', text: `${described} differs from the last build in dist/; reinstall it` });
+    } else {
+      items.push({ status: 'ok', text: described });
+    }
+  }
+
+  if (installed === 0) {
+    items.push({ status: 'info', text: `Not installed in ${locations.map(location => path.dirname(location.file)).join(' or ')}; fine if OpenCode loads it from npm` });
+  } else if (installed === 2) {
+    items.push({ status: 'warning', text: 'Installed globally and in the project, so OpenCode loads it twice; remove one' });
+  }
+  if (newestSource === null && installed > 0) {
+    items.push({ status: 'info', text: 'Freshness not checked: not running from the plugin sources' });
+  }
+  return createCheck('Plugin installation', items);
+};
+
+/**
+ * Security patterns that never take effect
+ */
+const checkSecurityPatterns = (config) => {
+  const problems = findUnmatchablePatterns(config?.security);
+  const items = problems.map(problem => ({ status: 'warning', text: `${problem.path} ${JSON.stringify(problem.pattern)} ${problem.reason}` }));
+  if (items.length === 0) items.push({ status: 'ok', text: 'Every pattern can match' });
+  return createCheck('Security patterns', items);
+};
+
+/**
+ * Run every check
+ * @param {Object} options - { app, $, sourceDir }: the OpenCode app object, a
+ *   shell for the notification check, and the plugin's source directory
+ *   (defaults to this file's directory) for the freshness check
+ * @returns {Promise<Object>} { ok, checks: [{ name, status, items: [{ status, text }] }] }
+ */
+export const runDoctor = async ({ app, $, sourceDir = path.dirname(fileURLToPath(import.meta.url)) }) => {
+  const loaded = await loadAgentrcConfig(app);
+  const checks = [
+    await checkConfigFiles(app, loaded),
+    await checkLegacyFiles(app, loaded),
+    await checkNotifications(loaded.config, $),
+    await checkPluginInstall(app, sourceDir),
+    checkSecurityPatterns(loaded.config)
+  ];
+  return { ok: checks.every(check => check.status !== 'error'), checks };
+};
+
+/**
+ * Render a doctor report as text
+ * @param {Object} report - Output of runDoctor
+ * @returns {string} Report
+ */
+export const formatDoctorReport = (report) => report.checks
+  .flatMap(check => [
+    `${DOCTOR_ICONS[check.status === 'info' ? 'ok' : check.status]} ${check.name}`,
+    ...check.items.map(item => `   ${DOCTOR_ICONS[item.status]} ${item.text}`)
+  ])
+  .join('\n');
@@ -0,0 +1,392 @@
+/**
+ * Ecosystem Detection for Kuuzuki
+ *
+ * Recognises projects outside Node from their manifests - Python (pip,
+ * poetry, uv, hatch, pipenv), Rust, Go, Maven, Gradle, Ruby/Bundler,
+ * PHP/Composer, .NET and Deno - and infers the build, test, lint and format
+ * commands each one actually uses. Makefile and justfile targets are read
+ * too. Only the project root is looked at; analyzeProject runs every
+ * detector, so a polyglot repository reports each ecosystem it finds.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { parseJsonWithLocations } from './schema.js';
+
+/**
+ * Read a file in the project root, or null when it is missing
+ */
+const readRootFile = (root, name) => fs.readFile(path.join(root, name), 'utf-8').catch(() => null);
+
+/**
+ * Whether a manifest mentions any of the given package names as a whole
+ * name, so `pytest` is found in `"pytest>=8"` but not in `pytest-asyncio`
+ */
+const mentionsPackage = (text, ...names) => names.some(name => {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w-])${escaped}($|[^\\w-])`, 'mi').test(text || '');
+});
+
+/**
+ * Drop commands that were not inferred
+ */
+const compactCommands = (commands) =>
+  Object.fromEntries(Object.entries(commands).filter(([, command]) => command));
+
+/**
+ * How each Python package manager runs a tool inside the project environment
+ */
+const PYTHON_RUNNERS = { poetry: 'poetry run ', uv: 'uv run ', hatch: 'hatch run ', pipenv: 'pipenv run ', pip: '' };
+
+/**
+ * Python: pyproject.toml (poetry, uv, hatch), Pipfile, requirements.txt, setup.py
+ */
+const detectPython = async (root, files) => {
+  const manifests = ['pyproject.toml', 'requirements.txt', 'requirements-dev.txt', 'Pipfile', 'setup.py', 'setup.cfg'].filter(file => files.has(file));
+  if (manifests.length === 0) return null;
+  const pyproject = files.has('pyproject.toml') ? await readRootFile(root, 'pyproject.toml') : '';
+  const manifest = (await Promise.all(manifests.map(file => readRootFile(root, file)))).join('\n');
+  const hasTable = (table) => new RegExp(`^\\[tool\\.${table}[\\].]`, 'm').test(pyproject);
+
+  let packageManager = 'pip';
+  if (files.has('poetry.lock') || hasTable('poetry')) packageManager = 'poetry';
+  else if (files.has('uv.lock') || hasTable('uv')) packageManager = 'uv';
+  else if (hasTable('hatch')) packageManager = 'hatch';
+  else if (files.has('Pipfile')) packageManager = 'pipenv';
+  const run = PYTHON_RUNNERS[packageManager];
+
+  const testFramework = mentionsPackage(manifest, 'pytest') || files.has('pytest.ini') || files.has('conftest.py') ? 'pytest' : 'unittest';
+  const ruff = mentionsPackage(manifest, 'ruff') || files.has('ruff.toml') || files.has('.ruff.toml');
+  const black = mentionsPackage(manifest, 'black');
+  const flake8 = mentionsPackage(manifest, 'flake8') || files.has('.flake8');
+
+  const commands = {
+    build: {
+      poetry: 'poetry build',
+      uv: 'uv build',
+      hatch: 'hatch build',
+      pip: pyproject ? 'python -m build' : null
+    }[packageManager],
+    test: packageManager === 'hatch' && testFramework === 'pytest'
+      ? 'hatch test'
+      : testFramework === 'pytest' ? `${run}pytest` : `${run}python -m unittest`,
+    lint: ruff ? `${run}ruff check .` : flake8 ? `${run}flake8` : null,
+    format: black ? `${run}black .` : ruff ? `${run}ruff format .` : null,
+    typecheck: mentionsPackage(manifest, 'mypy') ? `${run}mypy .` : null
+  };
+  // hatch ships ruff-based formatting of its own
+  if (packageManager === 'hatch') {
+    commands.lint ??= 'hatch fmt --check';
+    commands.format ??= 'hatch fmt';
+  }
+
+  return {
+    id: 'python',
+    type: 'python-project',
+    language: 'python',
+    packageManager,
+    framework: ['django', 'fastapi', 'flask'].find(name => mentionsPackage(manifest, name)) || null,
+    testFramework,
+    commands: compactCommands(commands)
+  };
+};
+
+/**
+ * Rust: Cargo.toml
+ */
+const detectRust = async (root, files) => files.has('Cargo.toml') ? {
+  id: 'rust',
+  type: 'rust-project',
+  language: 'rust',
+  packageManager: 'cargo',
+  commands: { build: 'cargo build', test: 'cargo test', lint: 'cargo clippy', format: 'cargo fmt' }
+} : null;
+
+/**
+ * Go: go.mod, linted with golangci-lint when it is configured
+ */
+const detectGo = async (root, files) => files.has('go.mod') ? {
+  id: 'go',
+  type: 'go-project',
+  language: 'go',
+  packageManager: 'go',
+  commands: {
+    build: 'go build ./...',
+    test: 'go test ./...',
+    lint: ['.golangci.yml', '.golangci.yaml', '.golangci.toml', '.golangci.json'].some(file => files.has(file)) ? 'golangci-lint run' : 'go vet ./...',
+    format: 'gofmt -w .'
+  }
+} : null;
+
+/**
+ * Java and Kotlin with Maven: pom.xml, through ./mvnw when the wrapper is present
+ */
+const detectMaven = async (root, files) => {
+  if (!files.has('pom.xml')) return null;
+  const pom = await readRootFile(root, 'pom.xml');
+  const mvn = files.has('mvnw') ? './mvnw' : 'mvn';
+  return {
+    id: 'maven',
+    type: 'java-project',
+    language: pom.includes('kotlin-maven-plugin') ? 'kotlin' : 'java',
+    packageManager: 'maven',
+    framework: pom.includes('spring-boot') ? 'spring-boot' : null,
+    testFramework: pom.includes('junit') ? 'junit' : pom.includes('testng') ? 'testng' : null,
+    commands: compactCommands({
+      build: `${mvn} package`,
+      test: `${mvn} test`,
+      lint: pom.includes('maven-checkstyle-plugin') ? `${mvn} checkstyle:check` : null,
+      format: pom.includes('spotless-maven-plugin') ? `${mvn} spotless:apply` : null
+    })
+  };
+};
+
+/**
+ * Java and Kotlin with Gradle: build.gradle(.kts), through ./gradlew when the wrapper is present
+ */
+const detectGradle = async (root, files) => {
+  const buildFile = ['build.gradle.kts', 'build.gradle', 'settings.gradle.kts', 'settings.gradle'].find(file => files.has(file));
+  if (!buildFile) return null;
+  const build = await readRootFile(root, buildFile);
+  const gradle = files.has('gradlew') ? './gradlew' : 'gradle';
+  const plugin = (...ids) => ids.some(id => build.includes(id));
+  return {
+    id: 'gradle',
+    type: 'java-project',
+    language: plugin('kotlin(', 'org.jetbrains.kotlin') ? 'kotlin' : 'java',
+    packageManager: 'gradle',
+    framework: plugin('com.android.') ? 'android' : plugin('org.springframework.boot') ? 'spring-boot' : null,
+    testFramework: plugin('junit') ? 'junit' : null,
+    commands: compactCommands({
+      build: `${gradle} build`,
+      test: `${gradle} test`,
+      lint: plugin('ktlint') ? `${gradle} ktlintCheck` : plugin('detekt') ? `${gradle} detekt` : plugin('checkstyle') ? `${gradle} checkstyleMain` : null,
+      format: plugin('spotless') ? `${gradle} spotlessApply` : plugin('ktlint') ? `${gradle} ktlintFormat` : null
+    })
+  };
+};
+
+/**
+ * Ruby: Gemfile, with rspec, minitest or Rails tests and rubocop or standard
+ */
+const detectRuby = async (root, files) => {
+  if (!files.has('Gemfile')) return null;
+  const gemfile = await readRootFile(root, 'Gemfile');
+  const rails = mentionsPackage(gemfile, 'rails');
+  const rspec = mentionsPackage(gemfile, 'rspec', 'rspec-rails') || files.has('.rspec');
+  const gemspec = [...files].find(file => file.endsWith('.gemspec'));
+  let test = null;
+  if (rspec) test = 'bundle exec rspec';
+  else if (rails) test = 'bin/rails test';
+  else if (files.has('Rakefile')) test = 'bundle exec rake test';
+
+  return {
+    id: 'ruby',
+    type: 'ruby-project',
+    language: 'ruby',
+    packageManager: 'bundler',
+    framework: rails ? 'rails' : null,
+    testFramework: rspec ? 'rspec' : test ? 'minitest' : null,
+    commands: compactCommands({
+      build: gemspec ? `gem build ${gemspec}` : null,
+      test,
+      lint: mentionsPackage(gemfile, 'rubocop') ? 'bundle exec rubocop' : mentionsPackage(gemfile, 'standard') ? 'bundle exec standardrb' : null,
+      format: mentionsPackage(gemfile, 'rubocop') ? 'bundle exec rubocop -a' : mentionsPackage(gemfile, 'standard') ? 'bundle exec standardrb --fix' : null
+    })
+  };
+};
+
+/**
+ * composer.json scripts that stand in for each command, most specific first
+ */
+const COMPOSER_SCRIPTS = {
+  build: ['build'],
+  test: ['test'],
+  lint: ['lint', 'analyse', 'analyze', 'phpstan'],
+  format: ['format', 'fix', 'cs-fix']
+};
+
+/**
+ * PHP: composer.json, preferring its scripts over the tools it requires
+ */
+const detectPhp = async (root, files) => {
+  if (!files.has('composer.json')) return null;
+  let composer = {};
+  try {
+    composer = JSON.parse(await readRootFile(root, 'composer.json'));
+  } catch {
+    // Unreadable manifest; still a PHP project
+  }
+  const requires = { ...composer.require, ...composer['require-dev'] };
+  const requiresAny = (...names) => names.some(name => name in requires);
+  const scripts = composer.scripts || {};
+  const laravel = requiresAny('laravel/framework');
+
+  const tools = {
+    test: requiresAny('pestphp/pest') ? 'vendor/bin/pest'
+      : laravel ? 'php artisan test'
+      : requiresAny('phpunit/phpunit') ? 'vendor/bin/phpunit' : null,
+    lint: requiresAny('phpstan/phpstan', 'larastan/larastan') ? 'vendor/bin/phpstan analyse'
+      : requiresAny('vimeo/psalm') ? 'vendor/bin/psalm'
+      : requiresAny('squizlabs/php_codesniffer') ? 'vendor/bin/phpcs' : null,
+    format: requiresAny('laravel/pint') ? 'vendor/bin/pint'
+      : requiresAny('friendsofphp/php-cs-fixer') ? 'vendor/bin/php-cs-fixer fix'
+      : requiresAny('squizlabs/php_codesniffer') ? 'vendor/bin/phpcbf' : null
+  };
+  const commands = {};
+  for (const [name, aliases] of Object.entries(COMPOSER_SCRIPTS)) {
+    const script = aliases.find(alias => alias in scripts);
+    commands[name] = script ? `composer run ${script}` : tools[name];
+  }
+
+  return {
+    id: 'php',
+    type: 'php-project',
+    language: 'php',
+    packageManager: 'composer',
+    framework: laravel ? 'laravel' : requiresAny('symfony/framework-bundle') ? 'symfony' : null,
+    testFramework: requiresAny('pestphp/pest') ? 'pest' : requiresAny('phpunit/phpunit') || laravel ? 'phpunit' : null,
+    commands: compactCommands(commands)
+  };
+};
+
+/**
+ * .NET: a solution or project file in the root
+ */
+const detectDotnet = async (root, files) => {
+  const projects = [...files].filter(file => /\.(sln|csproj|fsproj|vbproj)$/.test(file));
+  if (projects.length === 0) return null;
+  const sources = (await Promise.all(projects.map(file => readRootFile(root, file)))).join('\n').toLowerCase();
+  const onlyFsharp = projects.some(file => file.endsWith('.fsproj')) && !projects.some(file => file.endsWith('.csproj'));
+  return {
+    id: 'dotnet',
+    type: 'dotnet-project',
+    language: onlyFsharp ? 'fsharp' : 'csharp',
+    packageManager: 'dotnet',
+    testFramework: ['xunit', 'nunit', 'mstest'].find(name => sources.includes(name)) || null,
+    commands: { build: 'dotnet build', test: 'dotnet test', lint: 'dotnet format --verify-no-changes', format: 'dotnet format' }
+  };
+};
+
+/**
+ * Deno: deno.json(c), preferring its tasks over the built-in subcommands
+ */
+const detectDeno = async (root, files) => {
+  const configFile = ['deno.json', 'deno.jsonc'].find(file => files.has(file));
+  if (!configFile) return null;
+  let config = {};
+  try {
+    config = parseJsonWithLocations(await readRootFile(root, configFile), { allowComments: true }).value || {};
+  } catch {
+    // Unreadable config; the built-in subcommands still apply
+  }
+  const tasks = config.tasks || {};
+  const task = (name, fallback = null) => name in tasks ? `deno task ${name}` : fallback;
+  return {
+    id: 'deno',
+    type: 'deno-project',
+    language: 'typescript',
+    packageManager: 'deno',
+    testFramework: 'deno',
+    commands: compactCommands({
+      build: task('build'),
+      test: task('test', 'deno test'),
+      lint: task('lint', 'deno lint'),
+      format: task('fmt', task('format', 'deno fmt')),
+      typecheck: task('check', null),
+      dev: task('dev')
+    })
+  };
+};
+
+/**
+ * Detectors in priority order: the first match is the primary ecosystem
+ * when the project has no package.json
+ */
+const ECOSYSTEM_DETECTORS = [detectDeno, detectRust, detectGo, detectPython, detectMaven, detectGradle, detectRuby, detectPhp, detectDotnet];
+
+/**
+ * Task runner targets that stand in for each command, most specific first
+ */
+const TASK_TARGETS = {
+  build: ['build', 'all'],
+  test: ['test', 'tests'],
+  lint: ['lint'],
+  format: ['format', 'fmt'],
+  typecheck: ['typecheck', 'type-check'],
+  dev: ['dev']
+};
+
+/**
+ * Target names defined in a Makefile; pattern rules and special targets are skipped
+ */
+const parseMakeTargets = (content) => {
+  const targets = [];
+  for (const line of content.split('\n')) {
+    const match = line.match(/^([A-Za-z0-9][\w./ -]*?)\s*::?(?!=)/);
+    if (!match) continue;
+    for (const target of match[1].split(/\s+/)) {
+      if (target && !targets.includes(target)) targets.push(target);
+    }
+  }
+  return targets;
+};
+
+/**
+ * Recipe names defined in a justfile; private `_recipes` are skipped
+ */
+const parseJustRecipes = (content) => {
+  const recipes = [];
+  for (const line of content.split('\n')) {
+    // `set x := ...`, `alias a := b` and variables fail on the `:=`
+    const match = line.match(/^@?([A-Za-z][\w-]*)(?:\s+[^:]*)?:(?!=)/);
+    if (match && !recipes.includes(match[1])) recipes.push(match[1]);
+  }
+  return recipes;
+};
+
+/**
+ * Task runners in priority order, with the file names each reads
+ */
+const TASK_RUNNERS = [
+  { tool: 'just', files: ['justfile', 'Justfile', '.justfile'], parse: parseJustRecipes },
+  { tool: 'make', files: ['GNUmakefile', 'Makefile', 'makefile'], parse: parseMakeTargets }
+];
+
+/**
+ * Find the Makefile and justfile targets in a project root
+ * @param {string} root - Project directory
+ * @returns {Promise<Array>} [{ tool, file, targets, commands }], just before make
+ */
+export const detectTaskRunners = async (root) => {
+  const files = new Set(await fs.readdir(root).catch(() => []));
+  const runners = [];
+  for (const { tool, files: names, parse } of TASK_RUNNERS) {
+    const file = names.find(name => files.has(name));
+    if (!file) continue;
+    const targets = parse(await readRootFile(root, file) || '');
+    const commands = {};
+    for (const [name, aliases] of Object.entries(TASK_TARGETS)) {
+      const target = aliases.find(alias => targets.includes(alias));
+      if (target) commands[name] = `${tool} ${target}`;
+    }
+    runners.push({ tool, file, targets, commands });
+  }
+  return runners;
+};
+
+/**
+ * Run every ecosystem detector on a project root
+ * @param {string} root - Project directory
+ * @returns {Promise<Array>} [{ id, type, language, packageManager, framework,
+ *   testFramework, commands }] in priority order
+ */
+export const detectEcosystems = async (root) => {
+  const files = new Set(await fs.readdir(root).catch(() => []));
+  const ecosystems = [];
+  for (const detect of ECOSYSTEM_DETECTORS) {
+    const ecosystem = await detect(root, files);
+    if (ecosystem) ecosystems.push({ framework: null, testFramework: null, ...ecosystem });
+  }
+  return ecosystems;
+};
@@ -0,0 +1,124 @@
+/**
+ * Glob Matching for Kuuzuki
+ *
+ * A small gitignore-style glob matcher used by the security policies.
+ * Patterns without a slash match a file or directory name at any depth,
+ * patterns with a slash are anchored to the project root, and a pattern
+ * that matches a directory also matches everything inside it.
+ */
+
+import os from 'os';
+
+/**
+ * Escape a character for use inside a regular expression
+ */
+const escapeRegExp = (char) => /[.+^$()|\\{}[\]]/.test(char) ? `\\${char}` : char;
+
+/**
+ * Normalise a pattern: expand "~/", drop "./", and anchor names without slashes
+ * @param {string} pattern - Glob pattern as written in .agentrc
+ * @returns {{ source: string, absolute: boolean }} Pattern ready for compilation
+ */
+const normalizePattern = (pattern) => {
+  let source = pattern.trim().replace(/\\/g, '/');
+  let absolute = false;
+
+  if (source === '~' || source.startsWith('~/')) {
+    source = `${os.homedir().replace(/\\/g, '/')}${source.slice(1)}`;
+    absolute = true;
+  }
+  source = source.replace(/^\.\//, '');
+  // Like .gitignore, only a slash before the last character anchors the pattern
+  const floating = !absolute && !source.replace(/\/$/, '').includes('/');
+  // "dist/" means the directory and everything in it
+  if (source.endsWith('/') && source.length > 1) source = `${source}**`;
+
+  if (floating) {
+    source = `**/${source}`;
+  } else if (!absolute && source.startsWith('/')) {
+    source = source.slice(1);
+  }
+  return { source, absolute };
+};
+
+/**
+ * Compile a glob pattern to a regular expression.
+ * Supports `*`, `**`, `?`, `[abc]`/`[!abc]` classes and `{a,b}` alternatives.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Expression matching whole paths
+ */
+export const globToRegExp = (pattern) => {
+  const { source } = normalizePattern(pattern);
+  let regex = '';
+  let braceDepth = 0;
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+
+    if (char === '*') {
+      if (source[index + 1] === '*') {
+        const atStart = index === 0 || source[index - 1] === '/';
+        const atEnd = index + 2 === source.length;
+        if (atStart && source[index + 2] === '/') {
+          // "**/" matches zero or more directories
+          regex += '(?:.*/)?';
+          index += 2;
+        } else if (atStart && atEnd && index > 0) {
+          // Trailing "/**" also matches the directory itself
+          regex = `${regex.slice(0, -1)}(?:/.*)?`;
+          index += 1;
+        } else {
+          regex += '.*';
+          index += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const close = source.indexOf(']', index + 2);
+      if (close === -1) {
+        regex += '\\[';
+      } else {
+        const body = source.slice(index + 1, close).replace(/\\/g, '\\\\');
+        regex += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+        index = close;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      regex += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      regex += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      regex += '|';
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+};
+
+/**
+ * Check a path against a glob pattern. The path and each of its parent
+ * directories are tried, so "node_modules" matches "node_modules/x/y.js".
+ * @param {string} filePath - Path relative to the project root (or absolute for "~/" patterns)
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} Whether the pattern matches
+ */
+export const matchesGlob = (filePath, pattern) => {
+  const regex = globToRegExp(pattern);
+  const segments = filePath.replace(/\\/g, '/').replace(/\/+$/, '').split('/');
+  for (let length = segments.length; length > 0; length--) {
+    const candidate = segments.slice(0, length).join('/');
+    if (candidate && regex.test(candidate)) return true;
+  }
+  return false;
+};
+
+/**
+ * Whether a pattern is written against absolute paths ("~/.ssh/**")
+ */
+export const isAbsolutePattern = (pattern) => normalizePattern(pattern).absolute;
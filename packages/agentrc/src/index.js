@@ -14,344 +14,49 @@ import fs from "fs/promises";
 import { 
   createSmartLogger
 } from "./notifications.js";
-
-/**
- * Simple .agentrc schema validation (without zod dependency)
- */
-const validateAgentrcConfig = (config) => {
-  if (typeof config !== 'object' || config === null) {
-    throw new Error('Invalid .agentrc: must be an object');
-  }
-  return config; // Basic validation, can be enhanced
-};
-
-/**
- * Load .agentrc configuration from project or global location
- */
-const loadAgentrcConfig = async (app, logger) => {
-  const locations = [
-    path.join(app.path.root, ".agentrc"),           // Project .agentrc
-    path.join(app.path.config, ".agentrc"),        // Global .agentrc
-    path.join(process.env.HOME, ".config", "kuuzuki", ".agentrc"), // Kuuzuki global
-  ];
-
-  for (const configPath of locations) {
-    try {
-      const content = await fs.readFile(configPath, "utf-8");
-      const config = validateAgentrcConfig(JSON.parse(content));
-      if (logger) {
-        await logger.config(`Loaded .agentrc from ${configPath}`);
-      }
-      return { config, path: configPath };
-    } catch (error) {
-      // Continue to next location
-      continue;
-    }
-  }
-
-  if (logger) {
-    await logger.info("No .agentrc found, using OpenCode defaults");
-  }
-  return { config: null, path: null };
-};
-
-/**
- * Load legacy configuration files (AGENTS.md, CLAUDE.md, etc.)
- */
-const loadLegacyConfigs = async (app) => {
-  const legacyFiles = [
-    { path: path.join(app.path.root, "AGENTS.md"), type: "agents" },
-    { path: path.join(app.path.root, "CLAUDE.md"), type: "claude" },
-    { path: path.join(app.path.root, ".cursorrules"), type: "cursor" },
-    { path: path.join(app.path.root, ".github", "copilot-instructions.md"), type: "copilot" },
-  ];
-
-  const legacyConfig = {
-    rules: [],
-    commands: {},
-    project: {},
-  };
-
-  for (const { path: filePath, type } of legacyFiles) {
-    try {
-      const content = await fs.readFile(filePath, "utf-8");
-      console.log(`[🌸 Kuuzuki] Found legacy config: ${path.basename(filePath)}`);
-      
-      // Basic parsing of legacy files (can be enhanced)
-      if (type === "agents" || type === "claude") {
-        // Extract commands and rules from markdown
-        const lines = content.split('\n');
-        lines.forEach(line => {
-          if (line.startsWith('- ') && line.includes(':')) {
-            legacyConfig.rules.push(line.substring(2));
-          }
-          if (line.includes('`npm ') || line.includes('`bun ') || line.includes('`yarn ')) {
-            // Extract commands (basic implementation)
-            const match = line.match(/`([^`]+)`/);
-            if (match) {
-              const cmd = match[1];
-              if (cmd.includes('test')) legacyConfig.commands.test = cmd;
-              if (cmd.includes('build')) legacyConfig.commands.build = cmd;
-              if (cmd.includes('lint')) legacyConfig.commands.lint = cmd;
-            }
-          }
-        });
-      }
-    } catch (error) {
-      // File doesn't exist, continue
-      continue;
-    }
-  }
-
-  return legacyConfig.rules.length > 0 || Object.keys(legacyConfig.commands).length > 0 ? legacyConfig : null;
-};
-
-/**
- * Merge .agentrc config with legacy configs
- */
-const mergeConfigs = (agentrcConfig, legacyConfig) => {
-  if (!agentrcConfig && !legacyConfig) return null;
-  if (!agentrcConfig) return legacyConfig;
-  if (!legacyConfig) return agentrcConfig;
-
-  // Ensure all objects and arrays exist before spreading
-  const safeAgentrcConfig = agentrcConfig || {};
-  const safeLegacyConfig = legacyConfig || {};
-  
-  return {
-    ...safeAgentrcConfig,
-    commands: { 
-      ...(safeLegacyConfig.commands || {}), 
-      ...(safeAgentrcConfig.commands || {}) 
-    },
-    rules: [
-      ...(Array.isArray(safeLegacyConfig.rules) ? safeLegacyConfig.rules : []), 
-      ...(Array.isArray(safeAgentrcConfig.rules) ? safeAgentrcConfig.rules : [])
-    ],
-    project: { 
-      ...(safeLegacyConfig.project || {}), 
-      ...(safeAgentrcConfig.project || {}) 
-    },
-  };
-};
-
-/**
- * Analyze project structure and package.json to determine project type and tools
- */
-const analyzeProject = async (projectPath) => {
-  const analysis = {
-    type: "opencode-project",
-    language: "javascript",
-    framework: null,
-    packageManager: "npm",
-    testFramework: null,
-    buildTool: null,
-    hasTypescript: false,
-    commands: {},
-    dependencies: [],
-    devDependencies: []
-  };
-
-  try {
-    // Read package.json if it exists
-    const packageJsonPath = path.join(projectPath, "package.json");
-    const packageJson = JSON.parse(await fs.readFile(packageJsonPath, "utf-8"));
-    
-    analysis.type = "node-project";
-    analysis.commands = packageJson.scripts || {};
-    analysis.dependencies = Object.keys(packageJson.dependencies || {});
-    analysis.devDependencies = Object.keys(packageJson.devDependencies || {});
-
-    // Detect package manager (prefer Bun)
-    if (await fs.access(path.join(projectPath, "bun.lockb")).then(() => true).catch(() => false)) {
-      analysis.packageManager = "bun";
-    } else if (await fs.access(path.join(projectPath, "yarn.lock")).then(() => true).catch(() => false)) {
-      analysis.packageManager = "yarn";
-    } else if (await fs.access(path.join(projectPath, "pnpm-lock.yaml")).then(() => true).catch(() => false)) {
-      analysis.packageManager = "pnpm";
-    } else {
-      // Default to Bun for new projects (kuuzuki team preference)
-      analysis.packageManager = "bun";
-    }
-
-    // Detect TypeScript
-    if (analysis.dependencies.includes("typescript") || analysis.devDependencies.includes("typescript") ||
-        await fs.access(path.join(projectPath, "tsconfig.json")).then(() => true).catch(() => false)) {
-      analysis.hasTypescript = true;
-      analysis.language = "typescript";
-    }
-
-    // Detect frameworks
-    if (analysis.dependencies.includes("react") || analysis.devDependencies.includes("react")) {
-      analysis.framework = "react";
-      analysis.type = "react-project";
-    } else if (analysis.dependencies.includes("vue") || analysis.devDependencies.includes("vue")) {
-      analysis.framework = "vue";
-      analysis.type = "vue-project";
-    } else if (analysis.dependencies.includes("next") || analysis.devDependencies.includes("next")) {
-      analysis.framework = "next";
-      analysis.type = "nextjs-project";
-    } else if (analysis.dependencies.includes("express") || analysis.devDependencies.includes("express")) {
-      analysis.framework = "express";
-      analysis.type = "express-project";
-    }
-
-    // Detect test frameworks
-    if (analysis.dependencies.includes("jest") || analysis.devDependencies.includes("jest")) {
-      analysis.testFramework = "jest";
-    } else if (analysis.dependencies.includes("vitest") || analysis.devDependencies.includes("vitest")) {
-      analysis.testFramework = "vitest";
-    } else if (analysis.dependencies.includes("mocha") || analysis.devDependencies.includes("mocha")) {
-      analysis.testFramework = "mocha";
-    }
-
-    // Detect build tools
-    if (analysis.dependencies.includes("vite") || analysis.devDependencies.includes("vite")) {
-      analysis.buildTool = "vite";
-    } else if (analysis.dependencies.includes("webpack") || analysis.devDependencies.includes("webpack")) {
-      analysis.buildTool = "webpack";
-    }
-
-  } catch (error) {
-    // No package.json or other error, try to detect other project types
-    try {
-      if (await fs.access(path.join(projectPath, "Cargo.toml")).then(() => true).catch(() => false)) {
-        analysis.type = "rust-project";
-        analysis.language = "rust";
-        analysis.packageManager = "cargo";
-      } else if (await fs.access(path.join(projectPath, "go.mod")).then(() => true).catch(() => false)) {
-        analysis.type = "go-project";
-        analysis.language = "go";
-        analysis.packageManager = "go";
-      } else if (await fs.access(path.join(projectPath, "requirements.txt")).then(() => true).catch(() => false)) {
-        analysis.type = "python-project";
-        analysis.language = "python";
-        analysis.packageManager = "pip";
-      }
-    } catch {
-      // Default to generic project
-    }
-  }
-
-  return analysis;
-};
-
-/**
- * Create project-specific .agentrc file based on codebase analysis
- */
-const createDefaultAgentrc = async (projectPath, logger = null) => {
-  const analysis = await analyzeProject(projectPath);
-  const projectName = path.basename(projectPath);
-
-  // Build project-specific commands
-  const commands = {};
-  if (analysis.commands.build) commands.build = `${analysis.packageManager} run build`;
-  else if (analysis.type === "rust-project") commands.build = "cargo build";
-  else if (analysis.type === "go-project") commands.build = "go build";
-  else commands.build = `${analysis.packageManager} run build`;
-
-  if (analysis.commands.test) commands.test = `${analysis.packageManager} test`;
-  else if (analysis.type === "rust-project") commands.test = "cargo test";
-  else if (analysis.type === "go-project") commands.test = "go test";
-  else commands.test = `${analysis.packageManager} test`;
-
-  if (analysis.commands.dev) commands.dev = `${analysis.packageManager} run dev`;
-  if (analysis.commands.start) commands.start = `${analysis.packageManager} start`;
-  if (analysis.commands.lint) commands.lint = `${analysis.packageManager} run lint`;
-  if (analysis.commands["type-check"] || analysis.commands.typecheck) {
-    commands.typecheck = `${analysis.packageManager} run ${analysis.commands.typecheck ? 'typecheck' : 'type-check'}`;
-  }
-
-  // Build project-specific rules with kuuzuki team preferences
-  const rules = [
-    "Always use JavaScript/Bun - avoid TypeScript unless absolutely necessary",
-    "Use functional programming paradigms combined with OOP when appropriate", 
-    "Apply DRY (Don't Repeat Yourself) methodology rigorously",
-    "Use descriptive, functional names for variables, functions, and classes",
-    "Follow existing code style and patterns"
-  ];
-  
-  // Add framework-specific functional programming rules
-  if (analysis.framework === "react") {
-    rules.push("Prefer functional components with hooks over class components");
-    rules.push("Use custom hooks to extract and reuse stateful logic");
-    rules.push("Implement pure functions for data transformations");
-  }
-  
-  // Add language-specific rules (favor JS over TS)
-  if (analysis.hasTypescript) {
-    rules.push("Consider migrating TypeScript to JavaScript + JSDoc for type documentation");
-    rules.push("If TypeScript is required, use it minimally with focus on interfaces");
-  } else {
-    rules.push("Use JSDoc comments for type documentation instead of TypeScript");
-  }
-  
-  // Testing with functional approach
-  if (analysis.testFramework) {
-    rules.push(`Write functional tests using ${analysis.testFramework} - test behavior, not implementation`);
-  } else {
-    rules.push("Write tests for new functionality using functional testing approaches");
-  }
-
-  // Additional functional/OOP hybrid rules
-  rules.push("Prefer pure functions - avoid side effects where possible");
-  rules.push("Use higher-order functions for code reuse and composition");
-  rules.push("When using classes, keep them focused with single responsibility");
-  rules.push("Favor composition over inheritance");
-  rules.push("Use semantic commit messages");
-  rules.push("Prefer async/await over Promise.then() for readable async code");
-
-  // Build project configuration
-  const config = {
-    project: {
-      name: projectName,
-      type: analysis.type,
-      description: `${analysis.framework ? analysis.framework.charAt(0).toUpperCase() + analysis.framework.slice(1) : "Project"} enhanced with kuuzuki .agentrc support`,
-      language: analysis.language,
-      framework: analysis.framework
-    },
-    commands,
-    codeStyle: {
-      language: "javascript", // Kuuzuki team prefers JS over TS
-      paradigm: "functional-oop-hybrid",
-      methodology: "DRY",
-      naming: "functional-descriptive",
-      runtime: "bun",
-      ...(analysis.testFramework && { testing: analysis.testFramework }),
-      ...(analysis.buildTool && { bundler: analysis.buildTool }),
-      ...(analysis.hasTypescript && { 
-        typescript: "discouraged", 
-        alternative: "jsdoc" 
-      })
-    },
-    rules,
-    tools: {
-      packageManager: analysis.packageManager,
-      ...(analysis.testFramework && { testing: analysis.testFramework }),
-      ...(analysis.buildTool && { bundler: analysis.buildTool })
-    },
-    dependencies: {
-      critical: analysis.dependencies.slice(0, 5), // Top 5 dependencies
-      ...(analysis.devDependencies.length > 0 && { dev: analysis.devDependencies.slice(0, 3) })
-    },
-    metadata: {
-      version: "1.0.0",
-      generator: "kuuzuki-opencode-plugin",
-      created: new Date().toISOString(),
-      analyzed: true
-    }
-  };
-
-  const agentrcPath = path.join(projectPath, ".agentrc");
-  await fs.writeFile(agentrcPath, JSON.stringify(config, null, 2));
-  
-  if (logger) {
-    await logger.success(`Created ${analysis.type} .agentrc at ${agentrcPath}`);
-  } else {
-    console.log(`[🌸 Kuuzuki] Created ${analysis.type} .agentrc at ${agentrcPath}`);
-  }
-  return config;
-};
+import {
+  loadAgentrcConfig,
+  mergeConfigs,
+  findAgentrcFiles,
+  isAgentrcFile
+} from "./config.js";
+import {
+  loadLegacyConfigs,
+  regenerateLegacyFiles
+} from "./legacy.js";
+import {
+  createFileAccessPolicy,
+  createCommandPolicy
+} from "./security.js";
+import {
+  createCommandMapper,
+  translatePackageManagerCommand,
+  getLocalBinaries
+} from "./commands.js";
+import {
+  getRuleText,
+  getRuleKey,
+  parseForgetRequest,
+  matchRuleReference,
+  isScopedRule,
+  getRulesForPath
+} from "./rules.js";
+import { describeJournalEntry } from "./journal.js";
+import { lintRules } from "./lint.js";
+import { buildContextBlock } from "./context.js";
+import {
+  MAX_STORED_SESSIONS,
+  getSessionStorePath,
+  appendSessionNote,
+  readSessionNotes,
+  summarizeSessions,
+  describeSessions,
+  pruneSessionNotes
+} from "./sessions.js";
+import { getAnalyticsPath, recordAnalyticsEvent } from "./analytics.js";
+import { createDefaultAgentrc } from "./analyze.js";
+import { handleMemoryCommand } from "./memory.js";
+import { runDoctor, formatDoctorReport } from "./doctor.js";
 
 /**
  * Display kuuzuki welcome banner
@@ -416,7 +121,7 @@ const extractRuleFromNaturalLanguage = (text) => {
  */
 const parseMemoryCommandFromText = (text) => {
   // Remove "memory " prefix
-  const commandPart = text.replace(/^memory\s+/, '');
+  const commandPart = text.replace(/^memory\s+/i, '');
   
   const args = {};
   
@@ -435,8 +140,8 @@ const parseMemoryCommandFromText = (text) => {
         value = value.slice(1, -1);
       }
       
-      // Convert ruleId to number
-      if (key === 'ruleId') {
+      // Rule ids are positions unless they are stable ids like "r-3f9a2b1"
+      if (key === 'ruleId' && /^\d+$/.test(value)) {
         args[key] = parseInt(value, 10);
       } else {
         args[key] = value;
@@ -448,77 +153,70 @@ const parseMemoryCommandFromText = (text) => {
 };
 
 /**
- * Handle memory/rules management commands
+ * Parse rule changes written in chat: forget, edit, move, replace-all and clear.
+ * Rules are referred to as in forget requests and resolved with matchRuleReference,
+ * so the returned `reference` still has to be turned into a ruleId.
+ * @param {string} text - Chat message
+ * @returns {Object|null} Memory command arguments, or null for other messages
  */
-const handleMemoryCommand = async (args, config, configPath) => {
-  const { action, rule, ruleId } = args;
-
-  switch (action) {
-    case "list":
-      return {
-        title: "📋 Project Rules",
-        output: JSON.stringify({
-          rules: config?.rules || [],
-          commands: config?.commands || {},
-          project: config?.project || {}
-        }, null, 2)
-      };
-
-    case "add":
-      if (!rule) throw new Error("Rule text required");
-      if (!config) throw new Error("No .agentrc config found");
-      
-      config.rules = config.rules || [];
-      
-      // Check for duplicates (case-insensitive)
-      const normalizedRule = rule.toLowerCase().trim();
-      const isDuplicate = config.rules.some(existingRule => 
-        existingRule.toLowerCase().trim() === normalizedRule
-      );
-      
-      if (isDuplicate) {
-        return {
-          title: "⚠️ Rule Already Exists",
-          output: `Rule already exists: ${rule}`
-        };
-      }
-      
-      config.rules.push(rule);
-      
-      if (configPath) {
-        await fs.writeFile(configPath, JSON.stringify(config, null, 2));
-        // Note: logger not available in this context, using console.log as fallback
-        console.log("[🌸 Kuuzuki] Added rule to .agentrc");
-      }
-      
-      return {
-        title: "✅ Rule Added",
-        output: `Added rule: ${rule}`
-      };
-
-    case "remove":
-      if (ruleId === undefined) throw new Error("Rule ID required");
-      if (!config?.rules) throw new Error("No rules found");
-      
-      const removedRule = config.rules[ruleId];
-      config.rules.splice(ruleId, 1);
-      
-      if (configPath) {
-        await fs.writeFile(configPath, JSON.stringify(config, null, 2));
-        // Note: logger not available in this context, using console.log as fallback
-        console.log("[🌸 Kuuzuki] Removed rule from .agentrc");
-      }
-      
-      return {
-        title: "🗑️ Rule Removed", 
-        output: `Removed rule: ${removedRule}`
-      };
-
-    default:
-      return {
-        title: "🌸 Kuuzuki Memory Tool",
-        output: "Available actions: list, add, remove\nUsage: memory action=list | memory action=add rule='Your rule' | memory action=remove ruleId=0"
-      };
+const parseRuleChangeFromText = (text) => {
+  const message = text.trim();
+  const unquote = (value) => value.trim().replace(/^(["'“‘])([\s\S]*)(["'”’])$/, "$2").trim();
+  let match;
+
+  if (/^(?:please\s+)?(?:(?:clear|forget|remove|delete)\s+all(?:\s+(?:the|my))?\s+rules|clear(?:\s+the)?\s+rules)[.!]?$/i.test(message)) {
+    return { action: "clear" };
+  }
+  if ((match = message.match(/^(?:please\s+)?replace\s+all(?:\s+the)?\s+rules\s+with[\s:]+([\s\S]+)$/i))) {
+    return { action: "replace-all", rules: match[1] };
+  }
+  if ((match = message.match(/^(?:please\s+)?move\s+(?:the\s+)?rule\s+(.+?)\s+to\s+(?:the\s+)?(?:position\s+|#)?(\d+|top|bottom)[.!]?$/i))) {
+    const position = match[2].toLowerCase();
+    // Positions in chat count from 1, like the rules summary
+    return { action: "move", reference: match[1], to: /^\d+$/.test(position) ? Number(position) - 1 : position };
+  }
+  if ((match = message.match(/^(?:please\s+)?(?:edit|change|update|reword)\s+(?:the\s+)?rule\s+(.+?)(?:\s+to\s+|:\s*)([\s\S]+)$/i)) ||
+      (match = message.match(/^(?:please\s+)?(?:change|replace)\s+(["“][^"”]+["”])\s+(?:with|to)\s+([\s\S]+)$/i))) {
+    return { action: "edit", reference: match[1], rule: unquote(match[2]) };
+  }
+  if (/^(?:please\s+)?forget[\s:]/i.test(message) || /^(?:please\s+)?(?:remove|delete)\s+(?:the\s+|that\s+|my\s+)?rules?\b/i.test(message)) {
+    return { action: "remove", reference: parseForgetRequest(message) };
+  }
+  return null;
+};
+
+
+/**
+ * Log duplicate and contradictory rules once a config is loaded
+ */
+const warnAboutRuleIssues = async (config, logger) => {
+  for (const issue of lintRules(config?.rules, config)) {
+    await logger.warning(`⚠️ ${issue.message}`);
+  }
+};
+
+/**
+ * Build the file access policy for a merged config
+ */
+const createConfigFilePolicy = (config, projectRoot) => {
+  const security = config?.security || {};
+  // Older configs protect .env files with a rule rather than a pattern
+  const protectsEnv = config?.rules?.some(rule => getRuleKey(rule).includes("protect .env"));
+  return createFileAccessPolicy(
+    protectsEnv ? { ...security, sensitiveFiles: [...(security.sensitiveFiles || []), ".env*"] } : security,
+    projectRoot
+  );
+};
+
+/**
+ * Read the checked-out branch from .git/HEAD (null when detached or not a repo)
+ */
+const readCurrentBranch = async (projectRoot) => {
+  try {
+    const head = await fs.readFile(path.join(projectRoot, ".git", "HEAD"), "utf-8");
+    return head.match(/^ref: refs\/heads\/(.+)$/m)?.[1].trim() || null;
+  } catch {
+    return null;
   }
 };
 
@@ -538,12 +236,17 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
     await basicLogger.session("🌸 Kuuzuki .agentrc plugin initializing...");
     
     // Load configuration
-    let { config: agentrcConfig, path: configPath } = await loadAgentrcConfig(app, basicLogger);
+    let { config: agentrcConfig, path: configPath, layers: configLayers, sources: configSources, errors: configErrors } = await loadAgentrcConfig(app, basicLogger);
     
     // Create smart logger with notification preferences
     const notificationConfig = agentrcConfig?.notifications || { mode: 'os', silent: true };
     const logger = createSmartLogger(pluginContext, notificationConfig);
     
+    // Surface invalid config files instead of silently falling back
+    for (const configError of configErrors) {
+      await logger.error(configError.message);
+    }
+    
     // Only load legacy configs if no .agentrc exists
     let legacyConfig = null;
     if (!agentrcConfig) {
@@ -558,10 +261,73 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
     
     // Use merged config
     agentrcConfig = mergedConfig;
+    
+    // File and command policies, plus what the user allowed for "ask" rules this session
+    let filePolicy = createConfigFilePolicy(agentrcConfig, app.path.root);
+    let commandPolicy = createCommandPolicy(agentrcConfig?.security?.commands, app.path.root);
+    for (const policyError of commandPolicy.errors) {
+      await logger.error(policyError);
+    }
+    let commandMapper = createCommandMapper(agentrcConfig?.commands);
+    for (const mapperError of commandMapper.errors) {
+      await logger.error(mapperError);
+    }
+    const approvedPaths = new Set();
+    const pendingApprovals = new Set();
+    const approvedCommands = new Set();
+    const pendingCommands = new Set();
+    let clearPending = false;
+    // Content this plugin last saved to each config file
+    const ownWrites = new Map();
+    // What tool.execute.before learned about each pending call, by call id:
+    // { startedAt, filePath?, command?, remap? }
+    const toolCalls = new Map();
+    
+    // Local tool usage analytics (see analytics.js), unless analytics.enabled is false
+    const analyticsPath = getAnalyticsPath(app.path.root);
+    const recordUsage = async (event) => {
+      if (agentrcConfig?.analytics?.enabled === false) return;
+      try {
+        await recordAnalyticsEvent(analyticsPath, event);
+      } catch (error) {
+        await logger.warning(`⚠️ Could not save analytics: ${error.message}`);
+      }
+    };
+    // Blocked calls never reach tool.execute.after; warnings let the call go on
+    const recordBlock = async (input, block) => {
+      if (block.mode !== "warn") toolCalls.delete(input.callID);
+      await recordUsage({ type: "block", sessionId: input.sessionID || null, tool: input.tool, ...block });
+    };
+    
+    // Notes about this session for the next one (see sessions.js)
+    const sessionStorePath = getSessionStorePath(app.path.data, app.path.root);
+    const fallbackSessionId = `s-${Date.now().toString(36)}`;
+    const notedSessionItems = new Set();
+    const noteSession = async (sessionId, note, key = null) => {
+      if (!sessionStorePath) return;
+      const id = sessionId || fallbackSessionId;
+      // Files and commands are noted once per session
+      if (key) {
+        if (notedSessionItems.has(`${id}\0${key}`)) return;
+        notedSessionItems.add(`${id}\0${key}`);
+      }
+      try {
+        await appendSessionNote(sessionStorePath, { sessionId: id, ...note });
+      } catch (error) {
+        await logger.warning(`⚠️ Could not save session notes: ${error.message}`);
+      }
+    };
+    // Rules a memory change added
+    const noteRuleChanges = async (entry) => {
+      for (const line of describeJournalEntry(entry)) {
+        if (line.startsWith("+ ")) await noteSession(entry.sessionId, { type: "rule", text: line.slice(2) });
+      }
+    };
   
   // Display welcome banner and rules summary
   if (agentrcConfig) {
     await displayKuuzukiBanner(agentrcConfig, logger);
+    await warnAboutRuleIssues(agentrcConfig, logger);
     
     // Auto-display rules summary on initialization
     const ruleCount = agentrcConfig?.rules?.length || 0;
@@ -592,40 +358,111 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
       const isRememberPattern = /^(remember|add rule|note|keep in mind|don't forget)[\s:]/i.test(message) ||
                                /^(remember this|add this rule|note this|keep this in mind)[\s:]/i.test(message);
       
-      const isForgetPattern = /^(forget|remove|delete)[\s:]/i.test(message) ||
-                             /^(forget rule|remove rule|delete rule)[\s\s]/i.test(message);
+      // Forget, edit, move, replace-all and clear requests. "remove"/"delete" only count
+      // when they name a rule, so "delete the build folder" reaches the assistant
+      const ruleChange = typeof message === 'string' ? parseRuleChangeFromText(message) : null;
+      
+      // "yes" answers a pending request to clear all rules, anything else cancels it
+      const confirmsClear = clearPending && /^(yes|confirm|confirm clear)[.!]?$/.test(trimmedMessage);
+      clearPending = false;
       
-      if (isMemoryCommand || isShowRules || isRememberPattern || isForgetPattern) {
+      // "allow <path>" or "allow <command>" answers a pending "ask" policy
+      const approval = pendingApprovals.size + pendingCommands.size > 0 && typeof message === 'string' ? message.trim().match(/^(?:allow|approve)\s+(.+)$/is) : null;
+      if (approval) {
+        const approvedText = approval[1].trim().replace(/^["'`]|["'`]$/g, "");
+        if (pendingCommands.has(approvedText)) {
+          pendingCommands.delete(approvedText);
+          approvedCommands.add(approvedText);
+          await logger.success(`✅ Allowed command for this session: ${approvedText}`);
+          output.message.content = `✅ Allowed command for this session: ${approvedText}`;
+          return;
+        }
+        const approvedPath = path.resolve(app.path.root, approvedText);
+        if (pendingApprovals.has(approvedPath)) {
+          pendingApprovals.delete(approvedPath);
+          approvedPaths.add(approvedPath);
+          await logger.success(`✅ Allowed access to ${path.relative(app.path.root, approvedPath)} for this session`);
+          output.message.content = `✅ Allowed access to ${path.relative(app.path.root, approvedPath)} for this session`;
+          return;
+        }
+      }
+      
+      // "doctor" reports on the plugin setup instead of reaching the assistant
+      if (/^(kuuzuki )?doctor$/.test(trimmedMessage)) {
+        const report = await runDoctor({ app, $ });
+        output.message.content = `🩺 Kuuzuki Doctor\n\n${formatDoctorReport(report)}`;
+        return;
+      }
+      
+      if (isMemoryCommand || isShowRules || isRememberPattern || ruleChange || confirmsClear) {
         try {
           // Parse memory command from chat message or natural language
           let args;
           
           if (isMemoryCommand) {
-            args = parseMemoryCommandFromText(trimmedMessage);
+            // Parse the original text so rule text keeps its case
+            args = parseMemoryCommandFromText(message.trim());
+          } else if (confirmsClear) {
+            args = { action: 'clear', confirm: true };
+          } else if (ruleChange) {
+            const { reference, ...changeArgs } = ruleChange;
+            args = changeArgs;
+            if (reference !== undefined) {
+              // Only change a rule the request clearly refers to
+              const match = reference ? matchRuleReference(agentrcConfig?.rules || [], reference) : { type: 'none' };
+              const verb = { remove: "removed", edit: "changed", move: "moved" }[args.action];
+              if (match.type === 'ambiguous') {
+                const reply = {
+                  remove: "forget rule <number>",
+                  edit: "edit rule <number> to <new text>",
+                  move: "move rule <number> to <position>"
+                }[args.action];
+                output.message.content = [
+                  "❓ Which rule do you mean?",
+                  "",
+                  ...match.candidates.map(candidate => `  ${candidate.index + 1}. ${candidate.text} (${candidate.id})`),
+                  "",
+                  `Nothing was ${verb}. Reply '${reply}' to pick one of these.`
+                ].join("\n");
+                await logger.info(`❓ "${reference}" matches ${match.candidates.length} rules, asking which one`);
+                return;
+              }
+              if (match.type === 'none') {
+                output.message.content = `⚠️ No rule matches "${reference}", nothing was ${verb}. Type 'rules' to see the current rules.`;
+                await logger.warning(`⚠️ No rule matches "${reference}"`);
+                return;
+              }
+              args.ruleId = match.index;
+            }
           } else if (isShowRules) {
             args = { action: 'list' };
           } else if (isRememberPattern) {
             // Extract the rule from natural language
             const rule = extractRuleFromNaturalLanguage(message);
             args = { action: 'add', rule };
-          } else if (isForgetPattern) {
-            // Handle removal - could be enhanced to parse rule ID or rule text
-            args = { action: 'remove', ruleId: 0 }; // For now, remove first rule
           }
           
           await logger.info(`🧠 Processing: ${args.action}${args.rule ? ` "${args.rule.substring(0, 50)}..."` : ''}`);
           
           // Execute memory command
-          const result = await handleMemoryCommand(args, agentrcConfig, configPath);
+          const result = await handleMemoryCommand(args, agentrcConfig, configPath, { layers: configLayers, sources: configSources, loadErrors: configErrors, projectRoot: app.path.root, ownWrites, sessionStorePath, onChange: noteRuleChanges, source: "chat", sessionId: input?.sessionID });
           
           // Replace the message content with the result
           output.message.content = `${result.title}\n\n${result.output}`;
+          if (result.needsConfirmation) {
+            clearPending = true;
+            output.message.content += "\nOr reply 'yes' to clear them now.";
+          }
           
           // Success notification
           if (args.action === "add" && args.rule) {
             await logger.success(`✅ Rule added via chat: "${args.rule}"`);
           } else if (args.action === "remove" && args.ruleId !== undefined) {
             await logger.success(`✅ Rule removed via chat`);
+          } else if (args.action === "edit" || args.action === "move") {
+            await logger.success(`✅ Rule ${args.action === "edit" ? "updated" : "moved"} via chat`);
+          } else if (args.action === "replace-all" || (args.action === "clear" && !result.needsConfirmation)) {
+            await logger.success(`✅ Rules ${args.action === "clear" ? "cleared" : "replaced"} via chat`);
           }
           
         } catch (error) {
@@ -642,16 +479,13 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
       init: async () => {
         await logger.info("🌸 Kuuzuki initializing project with .agentrc...");
         
-        // Check if .agentrc already exists
-        const agentrcPath = path.join(app.path.root, ".agentrc");
-        try {
-          await fs.access(agentrcPath);
+        // Check if .agentrc already exists (in any supported format)
+        const [existingConfigPath] = await findAgentrcFiles(app.path.root);
+        if (existingConfigPath) {
           return {
             title: "🌸 Kuuzuki Project Already Initialized",
-            output: ".agentrc file already exists in this project"
+            output: `${path.basename(existingConfigPath)} file already exists in this project`
           };
-        } catch {
-          // File doesn't exist, create it
         }
         
         const config = await createDefaultAgentrc(app.path.root, logger);
@@ -662,6 +496,30 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
         };
       },
 
+      export: async () => {
+        await logger.info("📤 Exporting .agentrc to AGENTS.md, CLAUDE.md and .cursorrules...");
+        return handleMemoryCommand({ action: "export" }, agentrcConfig, configPath, { projectRoot: app.path.root });
+      },
+
+      stats: async () => handleMemoryCommand({ action: "stats" }, agentrcConfig, configPath, { projectRoot: app.path.root }),
+
+      doctor: async () => ({
+        title: "🩺 Kuuzuki Doctor",
+        output: formatDoctorReport(await runDoctor({ app, $ }))
+      }),
+
+    },
+
+    /**
+     * Give the model the project context from .agentrc with every request.
+     * The block is built from the loaded config, so it follows reloads and
+     * memory changes without restarting the session.
+     */
+    "experimental.chat.system.transform": async (input, output) => {
+      const block = buildContextBlock(agentrcConfig);
+      if (block && Array.isArray(output.system)) {
+        output.system.push(block);
+      }
     },
 
     /**
@@ -671,6 +529,24 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
       switch (event.type) {
         case "session.start":
           await logger.session("Session started with .agentrc support");
+          await noteSession(event.data?.sessionID, { type: "start" });
+          if (sessionStorePath) {
+            try {
+              await pruneSessionNotes(sessionStorePath, { keep: MAX_STORED_SESSIONS });
+              const currentSessionId = event.data?.sessionID || fallbackSessionId;
+              const earlier = summarizeSessions(await readSessionNotes(sessionStorePath))
+                .filter(session => session.sessionId !== currentSessionId)
+                .slice(0, 3);
+              if (earlier.length > 0) {
+                await logger.info(["🕘 Recent sessions in this project:", ...describeSessions(earlier).map(line => `  ${line}`)].join("\n"));
+              }
+            } catch (error) {
+              await logger.warning(`⚠️ Could not read session notes: ${error.message}`);
+            }
+          }
+          if (configErrors.length > 0) {
+            await logger.warning(`⚠️ ${configErrors.length} .agentrc file(s) could not be loaded: ${configErrors.map(e => e.path).join(", ")}`);
+          }
           if (!agentrcConfig && !configPath) {
             await logger.info("No .agentrc found. Use 'kuuzuki init' or 'memory action=init' to create one");
             
@@ -678,10 +554,8 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
             try {
               const packageJsonPath = path.join(app.path.root, "package.json");
               await fs.access(packageJsonPath);
-              const agentrcPath = path.join(app.path.root, ".agentrc");
-              try {
-                await fs.access(agentrcPath);
-              } catch {
+              const [existingConfigPath] = await findAgentrcFiles(app.path.root);
+              if (!existingConfigPath) {
                 await logger.info("💡 Detected Node.js project without .agentrc. Consider running 'kuuzuki init'");
               }
             } catch {
@@ -694,31 +568,65 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
             const projectName = agentrcConfig?.project?.name || 'Project';
             await logger.success(`✅ ${projectName}: ${ruleCount} active rules loaded`);
             
+            const contextBlock = buildContextBlock(agentrcConfig);
+            if (contextBlock) {
+              await logger.info(`🧠 Project context added to the system prompt (${contextBlock.length} characters)`);
+            }
+            
             // Show a summary of key rules
             if (agentrcConfig?.rules && agentrcConfig.rules.length > 0) {
-              const keyRules = agentrcConfig.rules.slice(0, 3); // Show first 3 rules
-              await logger.info(`🎯 Key rules: ${keyRules.map(r => `"${r.substring(0, 50)}${r.length > 50 ? '...' : ''}"`).join(', ')}`);
+              const keyRules = agentrcConfig.rules.filter(rule => !isScopedRule(rule)).slice(0, 3); // Show first 3 project-wide rules
+              await logger.info(`🎯 Key rules: ${keyRules.map(getRuleText).map(r => `"${r.substring(0, 50)}${r.length > 50 ? '...' : ''}"`).join(', ')}`);
             }
           }
           break;
 
         case "file.changed":
           // Reload config when .agentrc changes
-          if (event.data?.path?.endsWith(".agentrc")) {
+          if (isAgentrcFile(event.data?.path)) {
+            // A save made by the memory tool already updated the loaded config
+            const changedPath = path.resolve(app.path.root, event.data.path);
+            if (ownWrites.has(changedPath)) {
+              const content = await fs.readFile(changedPath, "utf-8").catch(() => null);
+              if (content === ownWrites.get(changedPath)) break;
+            }
             await logger.config(".agentrc file changed, reloading...");
-            const { config: newConfig, path: newPath } = await loadAgentrcConfig(app, logger);
-            agentrcConfig = newConfig;
-            configPath = newPath;
+            const reloaded = await loadAgentrcConfig(app, logger);
+            agentrcConfig = reloaded.config;
+            configPath = reloaded.path;
+            configLayers = reloaded.layers;
+            configSources = reloaded.sources;
+            configErrors = reloaded.errors;
+            filePolicy = createConfigFilePolicy(agentrcConfig, app.path.root);
+            commandPolicy = createCommandPolicy(agentrcConfig?.security?.commands, app.path.root);
+            for (const policyError of commandPolicy.errors) {
+              await logger.error(policyError);
+            }
+            commandMapper = createCommandMapper(agentrcConfig?.commands);
+            for (const mapperError of commandMapper.errors) {
+              await logger.error(mapperError);
+            }
             if (agentrcConfig) {
               await displayKuuzukiBanner(agentrcConfig, logger);
+              await warnAboutRuleIssues(agentrcConfig, logger);
+              
+              // Keep files exported from .agentrc in sync
+              const regenerated = await regenerateLegacyFiles(app.path.root, agentrcConfig);
+              if (regenerated.length > 0) {
+                await logger.config(`Regenerated ${regenerated.map(file => path.relative(app.path.root, file)).join(", ")} from .agentrc`);
+              }
               
               // Automatically show updated rules
               const ruleCount = agentrcConfig?.rules?.length || 0;
               await logger.success(`🔄 Configuration reloaded: ${ruleCount} rules active`);
+              const contextBlock = buildContextBlock(agentrcConfig);
+              if (contextBlock) {
+                await logger.info(`🧠 System prompt context updated (${contextBlock.length} characters)`);
+              }
               
               if (agentrcConfig.rules && agentrcConfig.rules.length > 0) {
                 await logger.info("📋 Current rules summary:");
-                agentrcConfig.rules.slice(0, 5).forEach((rule, index) => {
+                agentrcConfig.rules.slice(0, 5).map(getRuleText).forEach((rule, index) => {
                   console.log(`  ${index + 1}. ${rule.substring(0, 80)}${rule.length > 80 ? '...' : ''}`);
                 });
                 if (agentrcConfig.rules.length > 5) {
@@ -729,7 +637,15 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
           }
           break;
 
+        case "session.error":
+          await noteSession(event.data?.sessionID, {
+            type: "failure",
+            message: event.data?.error?.message || String(event.data?.error || "Session error")
+          });
+          break;
+
         case "session.end":
+          await noteSession(event.data?.sessionID, { type: "end" });
           await logger.session("Thank you for using kuuzuki .agentrc support!");
           break;
       }
@@ -739,20 +655,51 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
      * Modify tool execution based on .agentrc commands and settings
      */
     "tool.execute.before": async (input, output) => {
-
+      // Remembered so tool.execute.after can time the call, note it for the
+      // next session and add the rules scoped to its file
+      const call = { startedAt: Date.now() };
+      if (["read", "edit", "write"].includes(input.tool) && output.args?.filePath) {
+        call.filePath = output.args.filePath;
+      }
+      if (input.tool === "bash" && typeof output.args?.command === "string") {
+        call.command = output.args.command;
+      }
+      toolCalls.set(input.callID, call);
+      
+      // File access policy for read, write, edit, grep, glob and list
+      const access = filePolicy.evaluate(input.tool, output.args);
+      if (access) {
+        const accessPath = path.relative(app.path.root, access.path) || ".";
+        const reason = `security.${access.list} pattern "${access.pattern}"`;
+        const fileBlock = { kind: "file", rule: `security.${access.list}: ${access.pattern}`, target: accessPath };
+        if (access.mode === "deny") {
+          await recordBlock(input, { ...fileBlock, mode: "deny" });
+          await logger.error(`🚨 Access denied: ${input.tool} on ${accessPath} blocked by ${reason}`);
+          throw new Error(`[🌸 Kuuzuki] Access to ${accessPath} blocked by .agentrc ${reason}`);
+        }
+        if (access.mode === "ask" && !approvedPaths.has(access.path)) {
+          await recordBlock(input, { ...fileBlock, mode: "ask" });
+          pendingApprovals.add(access.path);
+          await logger.warning(`🔐 ${input.tool} on ${accessPath} needs confirmation (${reason})`);
+          throw new Error(`[🌸 Kuuzuki] ${input.tool} on ${accessPath} needs confirmation by .agentrc ${reason}. Ask the user to reply "allow ${accessPath}", then retry`);
+        }
+        if (access.mode === "warn") {
+          await recordBlock(input, { ...fileBlock, mode: "warn" });
+          await logger.warning(`⚠️ ${input.tool} on restricted path ${accessPath} (${reason})`);
+        }
+      }
 
       // Intercept AGENTS.md creation from /init command
       if (input.tool === "write" && output.args.filePath?.endsWith("AGENTS.md")) {
         await logger.info("🌸 Kuuzuki intercepting AGENTS.md creation, creating .agentrc instead...");
         
-        // Check if .agentrc already exists
-        const agentrcPath = path.join(app.path.root, ".agentrc");
-        try {
-          await fs.access(agentrcPath);
-          await logger.info(".agentrc already exists, keeping both files");
-        } catch {
+        // Check if .agentrc already exists (in any supported format)
+        const [existingConfigPath] = await findAgentrcFiles(app.path.root);
+        if (existingConfigPath) {
+          await logger.info(`${path.basename(existingConfigPath)} already exists, keeping both files`);
+        } else {
           // Create .agentrc instead/alongside
-          const config = await createDefaultAgentrc(app.path.root, logger);
+          await createDefaultAgentrc(app.path.root, logger);
         }
         
         // Let the original AGENTS.md creation proceed but add kuuzuki note
@@ -764,17 +711,14 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
       if (input.tool === "bash" && output.args.command === "/init") {
         await logger.info("🌸 Kuuzuki intercepting /init command...");
         
-        // Check if .agentrc already exists
-        const agentrcPath = path.join(app.path.root, ".agentrc");
-        try {
-          await fs.access(agentrcPath);
+        // Check if .agentrc already exists (in any supported format)
+        const [existingConfigPath] = await findAgentrcFiles(app.path.root);
+        if (existingConfigPath) {
           output.args = { __kuuzuki_init_result: { 
             title: "🌸 Kuuzuki Project Already Initialized",
-            output: ".agentrc file already exists in this project"
+            output: `${path.basename(existingConfigPath)} file already exists in this project`
           }};
           return;
-        } catch {
-          // File doesn't exist, create it
         }
         
         const config = await createDefaultAgentrc(app.path.root, logger);
@@ -795,15 +739,8 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
         if (input.tool === "memory") {
           args = output.args;
         } else {
-          // Parse from bash command: "memory action=list"
-          const cmd = output.args.command.replace("memory ", "");
-          const parts = cmd.split(" ");
-          parts.forEach(part => {
-            const [key, value] = part.split("=");
-            if (key && value) {
-              args[key] = value.replace(/['"]/g, ""); // Remove quotes
-            }
-          });
+          // Parse from bash command: "memory action=edit ruleId=2 rule='New text'"
+          args = parseMemoryCommandFromText(output.args.command.trim());
         }
 
         // Log what memory action is being performed
@@ -814,11 +751,31 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
           await logger.info(`➕ Adding rule: "${rule}"`);
         } else if (action === "remove" && ruleId !== undefined) {
           await logger.info(`🗑️ Removing rule at index ${ruleId}`);
+        } else if (action === "edit" && ruleId !== undefined) {
+          await logger.info(`✏️ Editing rule ${ruleId}`);
+        } else if (action === "move" && ruleId !== undefined) {
+          await logger.info(`↕️ Moving rule ${ruleId} to position ${args.to}`);
+        } else if (action === "replace-all") {
+          await logger.info("🔁 Replacing project rules");
+        } else if (action === "clear") {
+          await logger.info("🧹 Clearing project rules");
+        } else if (action === "stats") {
+          await logger.info("📊 Reporting tool usage");
+        } else if (action === "sessions") {
+          await logger.info("🕘 Showing recent sessions");
+        } else if (action === "context") {
+          await logger.info("🧠 Showing the project context given to the model");
+        } else if (action === "lint") {
+          await logger.info("🔎 Checking rules for duplicates and contradictions");
+        } else if (action === "undo") {
+          await logger.info(`↩️ Undoing ${args.steps || 1} rule change(s)`);
+        } else if (action === "export") {
+          await logger.info("📤 Exporting .agentrc to legacy instruction files");
         }
 
         // Handle memory command
         try {
-          const result = await handleMemoryCommand(args, agentrcConfig, configPath);
+          const result = await handleMemoryCommand(args, agentrcConfig, configPath, { layers: configLayers, sources: configSources, loadErrors: configErrors, projectRoot: app.path.root, ownWrites, sessionStorePath, onChange: noteRuleChanges, source: "tool", sessionId: input?.sessionID });
           
           // Success notifications
           if (action === "add" && rule) {
@@ -835,66 +792,48 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
         }
       }
 
-      // Command mapping from .agentrc
-      if (input.tool === "bash" && agentrcConfig?.commands) {
-        const command = output.args.command;
-        
-        // Map common commands to .agentrc equivalents
-        if (command === "npm test" && agentrcConfig.commands.test) {
-          output.args.command = agentrcConfig.commands.test;
-          await logger.success(`Command remapped: '${command}' → '${agentrcConfig.commands.test}'`);
-        }
-        
-        if (command === "npm run build" && agentrcConfig.commands.build) {
-          output.args.command = agentrcConfig.commands.build;
-          await logger.success(`Command remapped: '${command}' → '${agentrcConfig.commands.build}'`);
-        }
-
-        if (command.includes("lint") && agentrcConfig.commands.lint) {
-          output.args.command = agentrcConfig.commands.lint;
-          await logger.success(`Command remapped: '${command}' → '${agentrcConfig.commands.lint}'`);
-        }
-
-        if (command === "npm run dev" && agentrcConfig.commands.dev) {
-          output.args.command = agentrcConfig.commands.dev;
-          await logger.success(`Command remapped: '${command}' → '${agentrcConfig.commands.dev}'`);
-        }
-        
-        if (command === "npm run build" && agentrcConfig.commands.build) {
-          output.args.command = agentrcConfig.commands.build;
-          await logger.config(`Using .agentrc build command: ${agentrcConfig.commands.build}`);
-        }
-
-        if (command.includes("lint") && agentrcConfig.commands.lint) {
-          output.args.command = agentrcConfig.commands.lint;
-          await logger.config(`Using .agentrc lint command: ${agentrcConfig.commands.lint}`);
-        }
-
-        if (command === "npm run dev" && agentrcConfig.commands.dev) {
-          output.args.command = agentrcConfig.commands.dev;
-          await logger.config(`Using .agentrc dev command: ${agentrcConfig.commands.dev}`);
+      // Command aliases from .agentrc, otherwise the project's package manager
+      const typedCommand = output.args.command;
+      if (input.tool === "bash") {
+        const mapped = commandMapper.map(output.args.command);
+        const packageManager = agentrcConfig?.tools?.packageManager;
+        const translated = !mapped && packageManager &&
+          translatePackageManagerCommand(output.args.command, packageManager, { localBinaries: await getLocalBinaries(app.path.root) });
+        if (mapped) {
+          await logger.success(`Command remapped: '${output.args.command}' → '${mapped.command}' (commands.${mapped.alias})`);
+          await recordUsage({ type: "remap", sessionId: input.sessionID || null, kind: "alias", name: mapped.alias, from: output.args.command, to: mapped.command });
+          toolCalls.get(input.callID).remap = `alias:${mapped.alias}`;
+          output.args.command = mapped.command;
+        } else if (translated) {
+          await logger.config(`📦 Using ${packageManager}: '${output.args.command}' → '${translated}'`);
+          await recordUsage({ type: "remap", sessionId: input.sessionID || null, kind: "package-manager", name: packageManager, from: output.args.command, to: translated });
+          toolCalls.get(input.callID).remap = `package-manager:${packageManager}`;
+          output.args.command = translated;
         }
+        // Notes and analytics describe the command that actually runs
+        toolCalls.get(input.callID).command = output.args.command;
       }
 
-      // Security rules enforcement
-      if (input.tool === "read" && output.args.filePath?.includes(".env")) {
-        if (agentrcConfig?.security?.sensitiveFiles?.includes("*.env") ||
-            agentrcConfig?.rules?.some(rule => rule.toLowerCase().includes("protect .env"))) {
-          await logger.error(`🚨 Access denied: .env file reading blocked by .agentrc security rules`);
-          throw new Error("[🌸 Kuuzuki] .env file access blocked by .agentrc security rules");
+      // Command policy, checked against the command that will actually run
+      // and the one the agent typed, whichever is stricter
+      if (input.tool === "bash" && typeof output.args.command === "string") {
+        const command = output.args.command.trim();
+        const verdict = commandPolicy.evaluate(command, { currentBranch: await readCurrentBranch(app.path.root), original: typedCommand });
+        const commandBlock = verdict && { kind: "command", rule: verdict.rule, target: command };
+        if (verdict?.mode === "deny") {
+          await recordBlock(input, { ...commandBlock, mode: "deny" });
+          await logger.error(`🚨 Command blocked: ${verdict.detail} (${verdict.rule})`);
+          throw new Error(`[🌸 Kuuzuki] Command blocked by .agentrc ${verdict.rule}: ${verdict.detail}`);
         }
-      }
-
-      // File operation restrictions
-      if (input.tool === "write" || input.tool === "edit") {
-        const filePath = output.args.filePath;
-        if (filePath && agentrcConfig?.security?.restrictedPaths) {
-          const isRestricted = agentrcConfig.security.restrictedPaths.some(pattern => 
-            filePath.includes(pattern.replace("*", ""))
-          );
-          if (isRestricted) {
-            await logger.warning(`⚠️ Modifying restricted path: ${filePath}`);
-          }
+        if (verdict?.mode === "ask" && !approvedCommands.has(command)) {
+          await recordBlock(input, { ...commandBlock, mode: "ask" });
+          pendingCommands.add(command);
+          await logger.warning(`🔐 Command needs confirmation: ${verdict.detail} (${verdict.rule})`);
+          throw new Error(`[🌸 Kuuzuki] Command needs confirmation by .agentrc ${verdict.rule}: ${verdict.detail}. Ask the user to reply "allow ${command}", then retry`);
+        }
+        if (verdict?.mode === "warn") {
+          await recordBlock(input, { ...commandBlock, mode: "warn" });
+          await logger.warning(`⚠️ Risky command: ${verdict.detail} (${verdict.rule})`);
         }
       }
     },
@@ -903,6 +842,21 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
      * Enhance tool outputs with project context and kuuzuki metadata
      */
      "tool.execute.after": async (input, output) => {
+       // What tool.execute.before remembered about this call
+       const call = toolCalls.get(input.callID) || {};
+       toolCalls.delete(input.callID);
+       const exitCode = output.metadata?.exit;
+       const succeeded = !(typeof exitCode === "number" && exitCode !== 0) && !output.metadata?.error;
+       await recordUsage({
+         type: "tool",
+         sessionId: input.sessionID || null,
+         tool: input.tool,
+         durationMs: call.startedAt ? Date.now() - call.startedAt : null,
+         success: succeeded,
+         ...(call.command && { command: call.command }),
+         ...(call.remap && { remap: call.remap })
+       });
+
        // Handle init command results
        if (output.args?.__kuuzuki_init_result) {
          const result = output.args.__kuuzuki_init_result;
@@ -921,6 +875,14 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
          return;
        }
 
+       // Hide denied files from search and listing results
+       if (["grep", "glob", "list"].includes(input.tool)) {
+         const filtered = filePolicy.filterOutput(output.output);
+         if (filtered.removed > 0) {
+           output.output = `${filtered.output}\n\n(${filtered.removed} result(s) hidden by .agentrc security.sensitiveFiles)`;
+         }
+       }
+
 
 
         // OS notifications are handled directly by the logger, no need for tool output modification
@@ -938,8 +900,33 @@ export const KuuzukiAgentrcPlugin = async ({ app, client, $ }) => {
          };
        }
 
-       // Enhance file read outputs with project context
-       if (input.tool === "read" && agentrcConfig) {
+       // Rules scoped with appliesTo are only shown next to the files they apply to
+       if (["read", "edit", "write"].includes(input.tool)) {
+         const filePath = call.filePath ?? output.args?.filePath;
+         const relativePath = filePath ? path.relative(app.path.root, path.resolve(app.path.root, filePath)) : null;
+         const scopedRules = relativePath && agentrcConfig ? getRulesForPath(agentrcConfig.rules, relativePath) : [];
+         if (relativePath) {
+           await noteSession(input.sessionID, { type: "file", tool: input.tool, path: relativePath }, `${input.tool === "read" ? "read" : "edit"}:${relativePath}`);
+         }
+         if (scopedRules.length > 0) {
+           output.output = `${output.output ?? ""}\n\n<!-- 🌸 Kuuzuki rules for ${relativePath} -->\n${scopedRules.map(rule => `<!-- - ${rule.text} -->`).join("\n")}`;
+           output.metadata.kuuzuki.scopedRules = scopedRules.map(rule => rule.id);
+         }
+       }
+
+       // Commands run and how they ended, for the next session's summary
+       if (input.tool === "bash") {
+         const command = call.command ?? output.args?.command;
+         if (command) {
+           await noteSession(input.sessionID, { type: "command", command }, `command:${command}`);
+           if (typeof exitCode === "number" && exitCode !== 0) {
+             await noteSession(input.sessionID, { type: "failure", command, message: `exit code ${exitCode}` });
+           }
+         }
+       }
+
+       // Enhance file read outputs with project context when the system prompt does not carry it
+       if (input.tool === "read" && agentrcConfig && !buildContextBlock(agentrcConfig)) {
          const conventions = agentrcConfig.conventions;
          const tools = agentrcConfig.tools;
          
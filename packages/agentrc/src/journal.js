@@ -0,0 +1,112 @@
+/**
+ * Change Journal for Kuuzuki
+ *
+ * Every change the memory tool makes to a config file is appended to
+ * .kuuzuki/journal.jsonl in the project, one JSON object per line, with the
+ * values of the changed keys before and after. The journal is never
+ * rewritten: undoing a change appends an "undo" entry that names the
+ * entries it reverted.
+ */
+
+import path from 'path';
+import { ensureIgnoredDir, appendJsonLine, readJsonLines } from './store.js';
+import {
+  getRuleKey,
+  getRuleText
+} from './rules.js';
+
+/**
+ * Where the journal of a project lives
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Journal path
+ */
+export const getJournalPath = (projectRoot) => path.join(projectRoot, '.kuuzuki', 'journal.jsonl');
+
+/**
+ * Compare two versions of a config file by top-level key
+ * @param {Object} before - Config before the change
+ * @param {Object} after - Config after the change
+ * @returns {{ before: Object, after: Object }|null} Values of the changed keys, or null when nothing changed
+ */
+export const diffConfigKeys = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changed = [...keys].filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]));
+  if (changed.length === 0) return null;
+  // JSON drops keys whose value is undefined, so a removed key is recorded as null
+  const pick = (config) => Object.fromEntries(changed.map(key => [key, config?.[key] ?? null]));
+  return { before: pick(before), after: pick(after) };
+};
+
+/**
+ * Append an entry to the journal
+ * @param {string} journalPath - Journal file
+ * @param {Object} entry - { action, source, sessionId, file, before, after, undoes? }
+ * @returns {Promise<Object>} The entry as written, with id and timestamp
+ */
+export const appendJournalEntry = async (journalPath, entry) => {
+  const written = {
+    id: `j-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    timestamp: new Date().toISOString(),
+    ...entry
+  };
+  await ensureIgnoredDir(path.dirname(journalPath));
+  return appendJsonLine(journalPath, written);
+};
+
+/**
+ * Read every entry of a journal. Lines that do not parse are skipped.
+ * @param {string} journalPath - Journal file
+ * @returns {Promise<Array<Object>>} Entries, oldest first
+ */
+export const readJournal = (journalPath) => readJsonLines(journalPath);
+
+/**
+ * Ids of entries that a later undo reverted
+ */
+export const getUndoneIds = (entries) => new Set(entries.flatMap(entry => entry.undoes || []));
+
+/**
+ * The most recent changes to a file that have not been undone
+ * @param {Array<Object>} entries - Journal entries, oldest first
+ * @param {string} file - Config file the changes were written to
+ * @param {number} steps - How many changes to return
+ * @returns {Array<Object>} Entries to undo, newest first
+ */
+export const findUndoableEntries = (entries, file, steps) => {
+  const undone = getUndoneIds(entries);
+  return entries
+    .filter(entry => entry.file === file && entry.action !== 'undo' && !undone.has(entry.id))
+    .slice(-steps)
+    .reverse();
+};
+
+/**
+ * Summarise what a journal entry changed, one line per rule or key
+ * @param {Object} entry - Journal entry
+ * @returns {Array<string>} Lines such as "+ Use pnpm" or "~ codeStyle"
+ */
+export const describeJournalEntry = (entry) => {
+  const lines = [];
+  for (const key of Object.keys(entry.after || {})) {
+    if (key !== 'rules') {
+      lines.push(`~ ${key}`);
+      continue;
+    }
+    const beforeRules = entry.before?.rules || [];
+    const afterRules = entry.after?.rules || [];
+    const beforeKeys = beforeRules.map(getRuleKey);
+    const afterKeys = afterRules.map(getRuleKey);
+    const removed = beforeRules.filter(rule => !afterKeys.includes(getRuleKey(rule)));
+    const added = afterRules.filter(rule => !beforeKeys.includes(getRuleKey(rule)));
+    // A single rule swapped for another at the same place reads as an edit
+    if (removed.length === 1 && added.length === 1 && beforeRules.length === afterRules.length) {
+      lines.push(`~ ${getRuleText(removed[0])} → ${getRuleText(added[0])}`);
+    } else if (removed.length + added.length > 0) {
+      removed.forEach(rule => lines.push(`- ${getRuleText(rule)}`));
+      added.forEach(rule => lines.push(`+ ${getRuleText(rule)}`));
+    } else {
+      lines.push(beforeKeys.join('\n') === afterKeys.join('\n') ? '~ rule details' : '~ rule order');
+    }
+  }
+  return lines;
+};
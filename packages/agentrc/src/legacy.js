@@ -0,0 +1,584 @@
+/**
+ * Legacy Instruction File Support for Kuuzuki
+ *
+ * Parses AGENTS.md, CLAUDE.md, .cursorrules and GitHub Copilot instructions
+ * into .agentrc sections. Markdown files are read section by section: the
+ * heading a line sits under decides whether it becomes a command, a
+ * codeStyle or conventions entry, a rule, or part of the project description.
+ *
+ * The reverse direction renders an .agentrc into the same formats. Exported
+ * files carry a marker comment so they can be regenerated on reload and are
+ * never read back as legacy input.
+ */
+
+import path from "path";
+import fs from "fs/promises";
+import {
+  deepMergeConfig
+} from "./config.js";
+import {
+  getCommandTemplate,
+  PACKAGE_MANAGERS
+} from "./commands.js";
+import {
+  normalizeRule
+} from "./rules.js";
+
+/**
+ * Legacy files checked in the project root
+ * @param {string} projectPath - Project root
+ * @returns {Array<{path: string, type: string}>} Candidate files
+ */
+export const getLegacyFiles = (projectPath) => [
+  { path: path.join(projectPath, "AGENTS.md"), type: "agents" },
+  { path: path.join(projectPath, "CLAUDE.md"), type: "claude" },
+  { path: path.join(projectPath, ".cursorrules"), type: "cursor" },
+  { path: path.join(projectPath, ".github", "copilot-instructions.md"), type: "copilot" },
+];
+
+/**
+ * Marker written at the top of every exported file
+ */
+export const GENERATED_MARKER = "<!-- kuuzuki:generated from .agentrc - edit .agentrc instead, this file is rewritten when it changes -->";
+
+/**
+ * Legacy formats exported by default (Copilot instructions only on request)
+ */
+export const DEFAULT_EXPORT_TARGETS = ["agents", "claude", "cursor"];
+
+/**
+ * Heading patterns mapped to .agentrc sections, checked in order
+ */
+const SECTION_PATTERNS = [
+  { section: "commands", pattern: /\b(commands?|build|test(s|ing)?|scripts?|lint(ing)?|run(ning)?|setup|install(ation)?|workflow|development|getting started|usage|tasks?)\b/i },
+  { section: "conventions", pattern: /\b(conventions?|naming|structure|organi[sz]ation)\b/i },
+  { section: "codeStyle", pattern: /\b(code ?style|style( guide)?|formatting|syntax)\b/i },
+  { section: "rules", pattern: /\b(rules?|guidelines?|instructions?|best practices|principles|requirements|do'?s|don'?ts|important|always|never|must)\b/i },
+  { section: "project", pattern: /\b(overview|about|project|introduction|description|context|summary)\b/i },
+];
+
+/**
+ * Map a heading to an .agentrc section (null when it names none)
+ */
+export const classifyHeading = (heading) => {
+  const match = SECTION_PATTERNS.find(({ pattern }) => pattern.test(heading));
+  return match ? match.section : null;
+};
+
+/**
+ * Programs whose invocations count as commands when found in backticks
+ */
+const COMMAND_PATTERN = /^(npm|npx|pnpm|pnpx|yarn|bun|bunx|deno|node|cargo|go|make|just|python3?|pip3?|pytest|poetry|uv|ruff|mypy|black|tox|bundle|rake|rails|rspec|composer|php|dotnet|mvn|gradle|tsc|eslint|prettier|biome|vitest|jest|mocha|playwright|cypress|docker|docker-compose|turbo|nx|lerna|\.\/[\w./-]+)(\s|$)/;
+
+// Package manager subcommands that are not script names
+const PACKAGE_MANAGER_BUILTINS = {
+  test: "test", t: "test", start: "start",
+  install: "install", i: "install", ci: "install", add: "add", remove: "remove",
+};
+
+// Tool names mapped to the command they usually implement
+const TOOL_COMMANDS = {
+  pytest: "test", jest: "test", vitest: "test", mocha: "test", rspec: "test",
+  eslint: "lint", ruff: "lint", biome: "lint",
+  mypy: "typecheck",
+  prettier: "format", black: "format",
+  playwright: "e2e", cypress: "e2e",
+};
+
+// Subcommands of multi-purpose tools mapped to command names
+const SUBCOMMAND_ALIASES = {
+  clippy: "lint", vet: "lint", fmt: "format", check: "check",
+};
+
+/**
+ * Convert "type-check", "test:unit" or "Run tests" to camelCase
+ */
+const toCommandKey = (text) => {
+  const words = text.replace(/[^A-Za-z0-9]+/g, " ").trim().split(/\s+/).filter(Boolean);
+  return words
+    .map((word, index) => index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join("");
+};
+
+/**
+ * Whether a code span or line looks like a shell command
+ */
+export const isShellCommand = (text) => COMMAND_PATTERN.test(text.trim());
+
+/**
+ * Infer an .agentrc command name from a command line
+ * @param {string} command - e.g. "bun run type-check"
+ * @returns {string} e.g. "typeCheck"
+ */
+export const inferCommandName = (command) => {
+  const tokens = command.trim().split(/\s+/);
+  const [program, subcommand, target] = tokens;
+
+  if (PACKAGE_MANAGERS.includes(program)) {
+    if (!subcommand || subcommand.startsWith("-")) return "install";
+    if (subcommand === "run" && target) return toCommandKey(target);
+    if (PACKAGE_MANAGER_BUILTINS[subcommand]) return PACKAGE_MANAGER_BUILTINS[subcommand];
+    if (subcommand === "exec" || subcommand === "dlx" || subcommand === "x") return inferCommandName(tokens.slice(2).join(" "));
+    return toCommandKey(subcommand);
+  }
+  if (["npx", "bunx", "pnpx"].includes(program) && subcommand) {
+    return inferCommandName(tokens.slice(1).join(" "));
+  }
+  if (program === "tsc") return tokens.includes("--noEmit") ? "typecheck" : "build";
+  if (program === "ruff" && subcommand === "format") return "format";
+  if (program === "deno" && subcommand === "task" && target) return toCommandKey(target);
+  if (TOOL_COMMANDS[program]) return TOOL_COMMANDS[program];
+  if (["cargo", "go", "make", "just", "deno", "dotnet", "mvn", "gradle", "poetry", "uv", "rake", "composer"].includes(program) &&
+      subcommand && !subcommand.startsWith("-")) {
+    if (["run", "exec"].includes(subcommand) && target && ["poetry", "uv", "composer"].includes(program)) {
+      return inferCommandName(tokens.slice(2).join(" "));
+    }
+    return SUBCOMMAND_ALIASES[subcommand] || toCommandKey(subcommand.split(":").join(" "));
+  }
+  return toCommandKey(path.basename(program));
+};
+
+/**
+ * Add a command, picking a distinct name when the inferred one is taken
+ * @param {Object} commands - Commands collected so far, mutated
+ * @param {string} command - Command line
+ * @param {string} [label] - Label from the surrounding text ("Build: `...`")
+ */
+const addCommand = (commands, command, label = null) => {
+  const trimmed = command.trim();
+  if (!trimmed || Object.values(commands).includes(trimmed)) return;
+
+  const inferred = inferCommandName(trimmed);
+  const candidates = [];
+
+  // Variants get a suffix (testSingle, testWatch, lintFix) before the plain name
+  if (/\{file\}|\s(--\s+)?[\w./-]+\.\w+(\s|$)/.test(trimmed)) candidates.push(`${inferred}Single`);
+  const flag = trimmed.match(/\s--?(watch|fix|coverage|ci|debug|verbose|update|check)\b/);
+  if (flag) candidates.push(`${inferred}${flag[1].charAt(0).toUpperCase()}${flag[1].slice(1)}`);
+  candidates.push(inferred);
+  if (label && label.split(/\s+/).length <= 3) candidates.push(toCommandKey(label));
+
+  let name = candidates.find(candidate => candidate && !commands[candidate]);
+  for (let suffix = 2; !name; suffix++) {
+    if (!commands[`${inferred}${suffix}`]) name = `${inferred}${suffix}`;
+  }
+  commands[name] = trimmed;
+};
+
+/**
+ * Remove markdown emphasis and link syntax from a line, keeping code spans
+ */
+const stripMarkdown = (text) => text
+  .replace(/\[([^\]]+)\]\([^)]+\)/g, "$1")
+  .replace(/(\*\*|__)(.+?)\1/g, "$2")
+  .replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s).,:;!?]|$)/g, "$1$2")
+  .trim();
+
+/**
+ * Split "Label: value" bullets; labels are short and contain no code
+ */
+const splitLabel = (text) => {
+  const match = text.match(/^([^:`]{1,40}):\s+(.+)$/);
+  return match ? { label: match[1].trim(), value: match[2].trim() } : null;
+};
+
+/**
+ * Collect backticked commands from a line, with the line's label if it has one
+ */
+const collectInlineCommands = (text, commands) => {
+  const label = splitLabel(stripMarkdown(text.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, "")))?.label || null;
+  for (const [, code] of text.matchAll(/`([^`]+)`/g)) {
+    if (isShellCommand(code)) addCommand(commands, code, label);
+  }
+};
+
+/**
+ * Route one bullet or sentence to the .agentrc section its heading names
+ */
+const addSectionItem = (result, section, text) => {
+  const item = stripMarkdown(text);
+  if (!item) return;
+
+  switch (section) {
+    case "commands":
+      // Commands are picked up from code spans; prose in command sections is a rule
+      if (!/`[^`]+`/.test(text)) result.rules.push(item);
+      break;
+
+    case "codeStyle":
+    case "conventions": {
+      const labelled = splitLabel(item);
+      if (labelled && labelled.label.split(/\s+/).length <= 3) {
+        result[section][toCommandKey(labelled.label)] = labelled.value;
+      } else {
+        result.rules.push(item);
+      }
+      break;
+    }
+
+    case "project":
+      result.project.description = result.project.description ? `${result.project.description} ${item}` : item;
+      break;
+
+    default:
+      result.rules.push(item);
+  }
+};
+
+/**
+ * Create an empty legacy parse result
+ */
+const createLegacyResult = () => ({
+  rules: [],
+  commands: {},
+  codeStyle: {},
+  conventions: {},
+  project: {},
+});
+
+/**
+ * Drop empty sections so they do not override .agentrc values when merged
+ */
+const compactLegacyResult = (result) => Object.fromEntries(
+  Object.entries(result).filter(([, value]) =>
+    Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0
+  )
+);
+
+/**
+ * Parse a markdown instruction file (AGENTS.md, CLAUDE.md, Copilot instructions)
+ * @param {string} content - Markdown source
+ * @returns {Object} Partial .agentrc config
+ */
+export const parseLegacyMarkdown = (content) => {
+  const result = createLegacyResult();
+  const headingSections = [];
+  let section = null;
+  let fence = null;
+  let paragraph = [];
+  let lastBullet = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0 && (section === "rules" || section === "project" || section === "codeStyle" || section === "conventions")) {
+      // Prose under rule headings is kept sentence by sentence
+      const text = paragraph.join(" ");
+      const sentences = section === "project" ? [text] : text.split(/(?<=[.!?])\s+(?=[A-Z`])/);
+      sentences.forEach(sentence => addSectionItem(result, section, sentence));
+    }
+    paragraph = [];
+  };
+
+  const flushBullet = () => {
+    if (lastBullet) {
+      // Nested bullets complete their parent item
+      const { text, children } = lastBullet;
+      const combined = children.length === 0 ? text
+        : text.endsWith(":") ? `${text} ${children.join("; ")}`
+        : `${text} (${children.join("; ")})`;
+      addSectionItem(result, section, combined);
+    }
+    lastBullet = null;
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    // Fenced code blocks: every shell line is a command
+    const fenceMatch = line.match(/^\s*(```+|~~~+)\s*([\w-]*)/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1].startsWith(fence.marker)) {
+        fence = null;
+      } else if (fence.shell) {
+        const command = line.replace(/^\s*\$\s+/, "").trim();
+        if (command && !command.startsWith("#") && isShellCommand(command)) {
+          const comment = command.match(/\s+#\s*(.+)$/);
+          addCommand(result.commands, comment ? command.slice(0, comment.index) : command, comment?.[1]);
+        }
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      flushParagraph();
+      flushBullet();
+      fence = { marker: fenceMatch[1], shell: !fenceMatch[2] || /^(bash|sh|shell|zsh|console|terminal|shellscript)$/i.test(fenceMatch[2]) };
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flushParagraph();
+      flushBullet();
+      const level = heading[1].length;
+      headingSections.length = level - 1;
+      headingSections[level - 1] = classifyHeading(stripMarkdown(heading[2]));
+      // Unclassified subheadings inherit their parent's section
+      section = headingSections.slice().reverse().find(Boolean) || null;
+      continue;
+    }
+
+    if (!line.trim() || /^\s*(---+|\*\*\*+|<!--.*-->)\s*$/.test(line)) {
+      flushParagraph();
+      continue;
+    }
+
+    collectInlineCommands(line, result.commands);
+
+    const bullet = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.+)$/);
+    if (bullet) {
+      flushParagraph();
+      const indent = bullet[1].length;
+      if (lastBullet && indent > lastBullet.indent) {
+        lastBullet.children.push(bullet[2].trim());
+        continue;
+      }
+      flushBullet();
+      lastBullet = { indent, text: bullet[2].trim(), children: [] };
+      continue;
+    }
+
+    if (lastBullet && /^\s+\S/.test(line)) {
+      // Wrapped continuation of the previous bullet (or its last child)
+      const { children } = lastBullet;
+      if (children.length > 0) children[children.length - 1] += ` ${line.trim()}`;
+      else lastBullet.text = `${lastBullet.text} ${line.trim()}`;
+      continue;
+    }
+
+    flushBullet();
+    paragraph.push(line.trim());
+  }
+
+  flushParagraph();
+  flushBullet();
+  return compactLegacyResult(result);
+};
+
+/**
+ * Parse a .cursorrules file. These are usually plain text with one
+ * instruction per line, optionally grouped under "Heading:" lines or bullets;
+ * files that use markdown headings are parsed as markdown.
+ * @param {string} content - File content
+ * @returns {Object} Partial .agentrc config
+ */
+export const parseCursorRules = (content) => {
+  if (/^#{1,6}\s+\S/m.test(content)) {
+    return parseLegacyMarkdown(content);
+  }
+
+  const result = createLegacyResult();
+  let section = "rules";
+  let previous = null;
+
+  const flush = () => {
+    if (previous) addSectionItem(result, section, previous);
+    previous = null;
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    collectInlineCommands(line, result.commands);
+
+    // "Key Principles:" style lines act as headings
+    const heading = line.trim().match(/^([A-Z][^.:!?]{0,60}):$/);
+    if (heading && !/^\s/.test(line)) {
+      flush();
+      section = classifyHeading(heading[1]) || "rules";
+      continue;
+    }
+
+    const item = line.match(/^(\s*)(?:[-*+•]|\d+[.)])?\s*(.+)$/);
+    if (previous && item[1].length > 0 && !/^\s*([-*+•]|\d+[.)])\s/.test(line)) {
+      // Indented continuation line
+      previous = `${previous} ${item[2].trim()}`;
+      continue;
+    }
+
+    flush();
+    previous = item[2].trim();
+  }
+
+  flush();
+  return compactLegacyResult(result);
+};
+
+/**
+ * Load legacy configuration files (AGENTS.md, CLAUDE.md, etc.)
+ * @param {Object} app - OpenCode app object
+ * @returns {Promise<Object|null>} Merged legacy config, or null when nothing was found
+ */
+export const loadLegacyConfigs = async (app) => {
+  const legacyConfig = {
+    rules: [],
+    commands: {},
+    project: {},
+  };
+  for (const { path: filePath, type } of getLegacyFiles(app.path.root)) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, "utf-8");
+    } catch (error) {
+      // File doesn't exist, continue
+      continue;
+    }
+    // Files exported from .agentrc would only feed the config back into itself
+    if (isGeneratedLegacyFile(content)) continue;
+    console.log(`[🌸 Kuuzuki] Found legacy config: ${path.basename(filePath)}`);
+
+    const parsed = type === "cursor" ? parseCursorRules(content) : parseLegacyMarkdown(content);
+    // Identical rules repeated across AGENTS.md and CLAUDE.md are kept once
+    deepMergeConfig(legacyConfig, parsed);
+  }
+
+  // A file with only Code Style, Conventions or an overview still counts
+  const found = ["rules", "commands", "project", "codeStyle", "conventions"]
+    .some(section => Object.keys(legacyConfig[section] || {}).length > 0);
+  return found ? legacyConfig : null;
+};
+
+/**
+ * Whether a legacy file was generated from .agentrc
+ */
+export const isGeneratedLegacyFile = (content) => content.split("\n", 3).some(line => line.trim() === GENERATED_MARKER);
+
+/**
+ * Turn a camelCase key into a heading-style label ("typeCheck" → "Type check")
+ */
+const toLabel = (key) => {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, "$1 $2").replace(/[_-]+/g, " ").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Render a codeStyle/conventions value on a single line
+ */
+const formatExportValue = (value) => {
+  if (Array.isArray(value)) return value.map(formatExportValue).join(", ");
+  if (value && typeof value === "object") {
+    return Object.entries(value).map(([key, entry]) => `${key}: ${formatExportValue(entry)}`).join(", ");
+  }
+  return String(value);
+};
+
+/**
+ * Collect the exportable sections of a config as labelled bullet lists
+ */
+const getExportSections = (config) => {
+  const labelled = (section) => Object.entries(config?.[section] || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([key, value]) => `${toLabel(key)}: ${formatExportValue(value)}`);
+
+  return [
+    {
+      heading: "Commands",
+      items: Object.entries(config?.commands || {})
+        .filter(([, entry]) => getCommandTemplate(entry))
+        .map(([name, entry]) => `**${toLabel(name)}**: \`${getCommandTemplate(entry)}\``)
+    },
+    { heading: "Code Style", items: labelled("codeStyle") },
+    { heading: "Conventions", items: labelled("conventions") },
+    {
+      // Other assistants only need the rules still in force, with the files scoped rules apply to
+      heading: "Rules",
+      items: (config?.rules || []).map(normalizeRule).filter(rule => rule.category !== "deprecated").map(rule =>
+        rule.appliesTo.length > 0 ? `${rule.text} (applies to ${rule.appliesTo.map(pattern => `\`${pattern}\``).join(", ")})` : rule.text
+      )
+    },
+  ].filter(section => section.items.length > 0);
+};
+
+/**
+ * Render a config as a markdown instruction file
+ * @param {Object} config - Merged .agentrc config
+ * @param {string} title - Top-level heading, e.g. "AGENTS.md"
+ * @returns {string} Markdown content, starting with the generated marker
+ */
+export const renderLegacyMarkdown = (config, title) => {
+  const lines = [GENERATED_MARKER, `# ${title}`, ""];
+  const { name, description } = config?.project || {};
+  if (name || description) {
+    lines.push([name && `**${name}**`, description].filter(Boolean).join(" - "), "");
+  }
+  for (const { heading, items } of getExportSections(config)) {
+    lines.push(`## ${heading}`, ...items.map(item => `- ${item}`), "");
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Render a config as a plain-text .cursorrules file
+ * @param {Object} config - Merged .agentrc config
+ * @returns {string} .cursorrules content, starting with the generated marker
+ */
+export const renderCursorRules = (config) => {
+  const lines = [GENERATED_MARKER];
+  const { name, description } = config?.project || {};
+  if (name || description) {
+    lines.push([name, description].filter(Boolean).join(": "));
+  }
+  for (const { heading, items } of getExportSections(config)) {
+    lines.push("", `${heading}:`, ...items.map(item => `- ${item.replace(/\*\*/g, "")}`));
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Render the content of one legacy file type
+ */
+const renderLegacyFile = (config, { path: filePath, type }) =>
+  type === "cursor" ? renderCursorRules(config) : renderLegacyMarkdown(config, path.basename(filePath));
+
+/**
+ * Export a config to legacy instruction files
+ * @param {string} projectPath - Project root
+ * @param {Object} config - Merged .agentrc config
+ * @param {Object} [options]
+ * @param {string[]} [options.targets] - Legacy file types (agents, claude, cursor, copilot)
+ * @param {boolean} [options.force] - Overwrite hand-written files
+ * @returns {Promise<Array<{path: string, type: string, status: string}>>} What happened to each target
+ */
+export const exportLegacyFiles = async (projectPath, config, { targets = DEFAULT_EXPORT_TARGETS, force = false } = {}) => {
+  const files = getLegacyFiles(projectPath);
+  const unknown = targets.filter(target => !files.some(file => file.type === target));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export target(s): ${unknown.join(", ")} (expected ${files.map(file => file.type).join(", ")})`);
+  }
+
+  const results = [];
+  for (const file of files.filter(file => targets.includes(file.type))) {
+    const existing = await fs.readFile(file.path, "utf-8").catch(() => null);
+    if (existing !== null && !isGeneratedLegacyFile(existing) && !force) {
+      results.push({ ...file, status: "skipped" });
+      continue;
+    }
+    const content = renderLegacyFile(config, file);
+    if (existing === content) {
+      results.push({ ...file, status: "unchanged" });
+      continue;
+    }
+    await fs.mkdir(path.dirname(file.path), { recursive: true });
+    await fs.writeFile(file.path, content);
+    results.push({ ...file, status: existing === null ? "created" : "updated" });
+  }
+  return results;
+};
+
+/**
+ * Rewrite previously exported legacy files after the config changed.
+ * Hand-written files and targets that were never exported are left alone.
+ * @param {string} projectPath - Project root
+ * @param {Object} config - Reloaded .agentrc config
+ * @returns {Promise<string[]>} Paths of the files that were rewritten
+ */
+export const regenerateLegacyFiles = async (projectPath, config) => {
+  const generated = [];
+  for (const file of getLegacyFiles(projectPath)) {
+    const existing = await fs.readFile(file.path, "utf-8").catch(() => null);
+    if (existing !== null && isGeneratedLegacyFile(existing)) generated.push(file.type);
+  }
+  if (generated.length === 0) return [];
+
+  const results = await exportLegacyFiles(projectPath, config, { targets: generated });
+  return results.filter(result => result.status === "updated").map(result => result.path);
+};
@@ -0,0 +1,253 @@
+/**
+ * Rule Analysis for Kuuzuki
+ *
+ * Finds rules that repeat each other, rules that contradict each other and
+ * rules that contradict codeStyle or conventions. Everything is local token
+ * comparison; no model is involved.
+ *
+ * Each rule is read as a list of claims: a polarity (do / don't) and the set
+ * of words the claim is about. "Use JSDoc instead of TypeScript" claims
+ * +{jsdoc} and -{typescript}. Two claims contradict when their polarities
+ * differ and the words of one are all part of the other, so
+ * "Always use TypeScript strict mode" contradicts "Avoid TypeScript".
+ */
+
+import {
+  getRuleText,
+  normalizeRule,
+  tokenizeRule
+} from './rules.js';
+
+/**
+ * Token similarity (Dice) from which two rules count as duplicates
+ */
+const DUPLICATE_THRESHOLD = 0.75;
+
+/**
+ * Words that turn a clause into a prohibition
+ */
+const NEGATIVE_MARKERS = /\b(?:avoid|never|don'?t|do not|does not|doesn'?t|no|not|stop|without|disallow|forbid|forbidden|ban|banned|discourage|discouraged|prohibit|prohibited)\b/i;
+
+/**
+ * "Never skip tests" is a rule to run tests
+ */
+const REVERSED_PROHIBITION = /\b(?:avoid|never|don'?t|do not|stop|not)\s+(skip|ignore|disable|remove|omit|bypass|suppress)(?:ping|ing|e)?\b/i;
+
+/**
+ * "Use X over Y", "Use X instead of Y"
+ */
+const CONTRAST = /^(.*?)\b(?:over|instead of|rather than|in place of)\b(.*)$/i;
+
+/**
+ * "Migrate X to Y"
+ */
+const MIGRATION = /^(.*?)\bmigrat\w*\s+(?:from\s+)?(.+?)\s+(?:to|into)\s+(.+)$/i;
+
+/**
+ * Conditions end the part of a clause that says what to do
+ */
+const CONDITION = /\b(?:unless|except|where|when|if|whenever)\b.*$/i;
+
+/**
+ * Clauses of one rule: "Use JavaScript - avoid TypeScript", "A; B", "A, but B"
+ */
+const CLAUSE_BREAK = /\s+[-–—]\s+|;|,\s*(?:but\s+)?|\s+but\s+|\.\s+/;
+
+/**
+ * Words that say how to treat a topic rather than what the topic is
+ */
+const FILLER_WORDS = new Set([
+  'avoid', 'never', 'don', 'doesn', 't', 'do', 'doe', 'not', 'no', 'stop', 'without', 'disallow',
+  'forbid', 'forbidden', 'ban', 'banned', 'discourage', 'discouraged', 'prohibit', 'prohibited',
+  'use', 'using', 'used', 'prefer', 'preferred', 'favor', 'favour', 'must', 'need', 'consider',
+  'keep', 'make', 'write', 'follow', 'apply', 'only', 'just', 'all', 'every', 'our', 'your',
+  'their', 'them', 'its', 'are', 'possible', 'appropriate', 'necessary', 'absolutely', 'minimally'
+]);
+
+/**
+ * Topic words of a clause
+ */
+const toTopic = (text) => new Set(tokenizeRule(text).filter(token => !FILLER_WORDS.has(token)));
+
+/**
+ * Claims of a single clause
+ */
+const readClause = (clause) => {
+  const text = clause.replace(CONDITION, '').trim();
+  if (!text) return [];
+
+  const migration = text.match(MIGRATION);
+  if (migration) {
+    return [{ polarity: -1, topic: toTopic(migration[2]) }, { polarity: 1, topic: toTopic(migration[3]) }];
+  }
+
+  const contrast = text.match(CONTRAST);
+  if (contrast) {
+    // What is preferred keeps its wording; what it replaces ends at its purpose ("over X for Y")
+    const preferred = NEGATIVE_MARKERS.test(contrast[1]) ? -1 : 1;
+    return [
+      { polarity: preferred, topic: toTopic(contrast[1]) },
+      { polarity: -preferred, topic: toTopic(contrast[2].replace(/\b(?:for|so|because|since)\b.*$/i, '')) }
+    ];
+  }
+
+  const reversed = text.match(REVERSED_PROHIBITION);
+  if (reversed) {
+    return [{ polarity: 1, topic: toTopic(text.replace(reversed[0], ' ')) }];
+  }
+  return [{ polarity: NEGATIVE_MARKERS.test(text) ? -1 : 1, topic: toTopic(text) }];
+};
+
+/**
+ * Read a rule as claims
+ * @param {string} text - Rule text
+ * @returns {Array<{ polarity: number, topic: Set<string> }>} Claims with at least one topic word
+ */
+export const extractRuleClaims = (text) =>
+  text
+    .replace(/\([^)]*\)/g, ' ')
+    .split(CLAUSE_BREAK)
+    .flatMap(readClause)
+    .filter(claim => claim.topic.size > 0);
+
+/**
+ * Words of a config key: "trailingCommas" → "trailing commas"
+ */
+const keyWords = (key) => key.replace(/([a-z])([A-Z])/g, '$1 $2');
+
+/**
+ * Claims that codeStyle and conventions make
+ * @param {Object} config - Merged config
+ * @returns {Array<{ polarity: number, topic: Set<string>, field: string, value: * }>} Claims
+ */
+const readStyleClaims = (config) => {
+  const claims = [];
+  const add = (field, value, polarity, text) => {
+    const topic = toTopic(text);
+    if (topic.size > 0) claims.push({ field, value, polarity, topic });
+  };
+  const addText = (field, key, value) => {
+    // Globs and paths name files, they do not state a preference
+    if (/[*{}/]/.test(value)) return;
+    const valueClaims = extractRuleClaims(value);
+    if (valueClaims.length > 0) {
+      valueClaims.forEach(claim => claims.push({ field, value, ...claim }));
+    } else if (NEGATIVE_MARKERS.test(value)) {
+      // { "typescript": "discouraged" }
+      add(field, value, -1, keyWords(key));
+    }
+  };
+
+  for (const [key, value] of Object.entries(config?.codeStyle || {})) {
+    const field = `codeStyle.${key}`;
+    if (key === 'quotesStyle' && typeof value === 'string') {
+      add(field, value, 1, `${value} quotes`);
+      ['single', 'double', 'backtick'].filter(style => style !== value).forEach(style => add(field, value, -1, `${style} quotes`));
+    } else if (key === 'indentation' && value?.type) {
+      add(field, value.type, 1, value.type);
+      add(field, value.type, -1, value.type === 'tabs' ? 'spaces' : 'tabs');
+    } else if (typeof value === 'boolean') {
+      add(field, value, value ? 1 : -1, keyWords(key));
+    } else if (typeof value === 'string') {
+      addText(field, key, value);
+    }
+  }
+
+  for (const [key, value] of Object.entries(config?.conventions || {})) {
+    (Array.isArray(value) ? value : [value])
+      .filter(item => typeof item === 'string')
+      .forEach(item => addText(`conventions.${key}`, key, item));
+  }
+
+  if (typeof config?.project?.language === 'string') {
+    add('project.language', config.project.language, 1, config.project.language);
+  }
+  return claims;
+};
+
+/**
+ * Whether two claims contradict each other
+ */
+const claimsConflict = (left, right) => {
+  if (left.polarity === right.polarity) return false;
+  const [smaller, larger] = left.topic.size <= right.topic.size ? [left.topic, right.topic] : [right.topic, left.topic];
+  return [...smaller].every(token => larger.has(token));
+};
+
+/**
+ * Whether two rules can apply to the same file. Unscoped rules apply
+ * everywhere; scoped rules are only compared when they share a glob.
+ */
+const scopesOverlap = (left, right) =>
+  left.length === 0 || right.length === 0 || left.some(pattern => right.includes(pattern));
+
+/**
+ * Dice coefficient of two rules' tokens
+ */
+const ruleSimilarity = (left, right) => {
+  const leftTokens = new Set(tokenizeRule(left));
+  const rightTokens = new Set(tokenizeRule(right));
+  if (leftTokens.size === 0 || rightTokens.size === 0) return 0;
+  const shared = [...leftTokens].filter(token => rightTokens.has(token)).length;
+  return (2 * shared) / (leftTokens.size + rightTokens.size);
+};
+
+/**
+ * Shorten a rule for a message
+ */
+const quoteRule = (text) => `"${text.length > 80 ? `${text.slice(0, 77)}...` : text}"`;
+
+/**
+ * Find duplicate and contradictory rules
+ * @param {Array} rules - Rules from the merged config
+ * @param {Object} [config] - Merged config, for codeStyle, conventions and project.language
+ * @param {Object} [options] - { only: index } to report only issues involving that rule
+ * @returns {Array<Object>} Issues: { type: 'duplicate'|'contradiction'|'style-conflict', rules, field?, message }
+ */
+export const lintRules = (rules, config = {}, { only } = {}) => {
+  const texts = (rules || []).map(getRuleText);
+  const scopes = (rules || []).map(rule => normalizeRule(rule).appliesTo);
+  const claims = texts.map(extractRuleClaims);
+  const styleClaims = readStyleClaims(config);
+  const involves = (...indices) => only === undefined || indices.includes(only);
+  const issues = [];
+
+  for (let i = 0; i < texts.length; i++) {
+    for (let j = i + 1; j < texts.length; j++) {
+      if (!involves(i, j)) continue;
+      // "Use Jest" for one package and "Avoid Jest" for another do not clash
+      if (!scopesOverlap(scopes[i], scopes[j])) continue;
+      if (claims[i].some(left => claims[j].some(right => claimsConflict(left, right)))) {
+        issues.push({
+          type: 'contradiction',
+          rules: [i, j],
+          message: `Rules [${i}] and [${j}] contradict each other: ${quoteRule(texts[i])} vs ${quoteRule(texts[j])}`
+        });
+      } else if (ruleSimilarity(texts[i], texts[j]) >= DUPLICATE_THRESHOLD) {
+        issues.push({
+          type: 'duplicate',
+          rules: [i, j],
+          message: `Rules [${i}] and [${j}] look like duplicates: ${quoteRule(texts[i])} and ${quoteRule(texts[j])}`
+        });
+      }
+    }
+  }
+
+  texts.forEach((text, index) => {
+    if (!involves(index)) return;
+    const reported = new Set();
+    for (const styleClaim of styleClaims) {
+      if (reported.has(styleClaim.field)) continue;
+      if (!claims[index].some(claim => claimsConflict(claim, styleClaim))) continue;
+      reported.add(styleClaim.field);
+      issues.push({
+        type: 'style-conflict',
+        rules: [index],
+        field: styleClaim.field,
+        message: `Rule [${index}] contradicts ${styleClaim.field} (${JSON.stringify(styleClaim.value)}): ${quoteRule(text)}`
+      });
+    }
+  });
+
+  return issues;
+};
@@ -0,0 +1,602 @@
+/**
+ * Memory Tool Actions for Kuuzuki
+ *
+ * The `memory` actions that list and change rules, show history, undo,
+ * lint, preview the model context, report usage and manage session notes.
+ * Shared by the plugin (chat and tool calls) and the kuuzuki CLI.
+ */
+
+import path from "path";
+import { mergeConfigLayers, assertConfigWritable, writeConfigFile } from "./config.js";
+import { exportLegacyFiles, regenerateLegacyFiles, DEFAULT_EXPORT_TARGETS } from "./legacy.js";
+import {
+  getRuleText,
+  getRuleKey,
+  normalizeRule,
+  parseRuleFields,
+  createRule,
+  findRuleIndex,
+  filterRules,
+  sortRules
+} from "./rules.js";
+import {
+  getJournalPath,
+  diffConfigKeys,
+  appendJournalEntry,
+  readJournal,
+  getUndoneIds,
+  findUndoableEntries,
+  describeJournalEntry
+} from "./journal.js";
+import { lintRules } from "./lint.js";
+import { buildContextBlock, DEFAULT_CONTEXT_MAX_CHARS } from "./context.js";
+import {
+  readSessionNotes,
+  summarizeSessions,
+  describeSessions,
+  pruneSessionNotes,
+  clearSessionNotes
+} from "./sessions.js";
+import { getAnalyticsPath, readAnalytics, buildStatsReport, formatStatsReport } from "./analytics.js";
+
+/**
+ * Shift rule provenance after a rule is removed from the merged config
+ */
+const removeRuleSource = (sources, ruleIndex) => {
+  if (!sources) return;
+  const ruleSources = Object.keys(sources)
+    .filter(key => /^rules\[\d+\]$/.test(key))
+    .map(key => [parseInt(key.slice(6, -1), 10), sources[key]]);
+  ruleSources.forEach(([index]) => delete sources[`rules[${index}]`]);
+  ruleSources.forEach(([index, source]) => {
+    if (index < ruleIndex) sources[`rules[${index}]`] = source;
+    if (index > ruleIndex) sources[`rules[${index - 1}]`] = source;
+  });
+};
+
+/**
+ * Provenance of each rule in the merged config, by position
+ */
+const getRuleSources = (sources, count) =>
+  Array.from({ length: count }, (_, index) => sources[`rules[${index}]`]);
+
+/**
+ * Replace rule provenance after rules were reordered or replaced
+ */
+const setRuleSources = (sources, ruleSources) => {
+  Object.keys(sources).filter(key => /^rules\[\d+\]$/.test(key)).forEach(key => delete sources[key]);
+  ruleSources.forEach((source, index) => {
+    if (source) sources[`rules[${index}]`] = source;
+  });
+};
+
+/**
+ * Resolve a memory command ruleId (position or stable id) to a rule index
+ */
+const resolveRuleIndex = (rules, ruleId) => {
+  if (ruleId === undefined) throw new Error("Rule ID required");
+  if (!rules?.length) throw new Error("No rules found");
+  const ruleIndex = findRuleIndex(rules, ruleId);
+  if (ruleIndex === -1) {
+    throw new Error(typeof ruleId === "number" || /^\d+$/.test(String(ruleId))
+      ? `Rule ID ${ruleId} out of range (0-${rules.length - 1})`
+      : `No rule with id ${ruleId}`);
+  }
+  return ruleIndex;
+};
+
+/**
+ * Rules inherited from another layer can only be changed in that file
+ */
+const assertRuleInLayer = (ruleIndex, ruleId, verb, { sources, layers, targetLayer }) => {
+  const ruleSource = sources[`rules[${ruleIndex}]`];
+  if (targetLayer && ruleSource && ruleSource !== targetLayer.name) {
+    const sourceLayer = layers.find(layer => layer.name === ruleSource);
+    throw new Error(`Rule ${ruleId} comes from the ${ruleSource} layer (${sourceLayer?.path}); edit that file to ${verb} it`);
+  }
+};
+
+/**
+ * Changes go to `configPath` only; when that file exists but could not be
+ * loaded they are refused, not written to another layer
+ */
+const assertTargetWritable = (configPath, { targetLayer, loadErrors }) => {
+  assertConfigWritable(configPath);
+  const loadError = loadErrors.find(error => error.path === configPath);
+  if (loadError && !targetLayer) {
+    throw new Error(`${path.basename(configPath)} could not be loaded, so no changes are saved until it is fixed:\n${loadError.message}`);
+  }
+};
+
+/**
+ * Order a layer's own rules as they would be after moving a merged rule, and
+ * whether merging the layers again gives that same merged order
+ * @returns {{ fileRules: Array, fits: boolean }}
+ */
+const movedRuleOrder = (rules, from, to, layers, targetLayer) => {
+  const moved = [...rules];
+  moved.splice(to, 0, ...moved.splice(from, 1));
+  const position = (item) => moved.findIndex(existingRule => getRuleKey(existingRule) === getRuleKey(item));
+  const fileRules = [...(targetLayer.config.rules || [])].sort((a, b) => position(a) - position(b));
+  const rebuilt = mergeConfigLayers(layers.map(layer => layer === targetLayer
+    ? { ...layer, config: { ...layer.config, rules: fileRules } }
+    : layer)).config.rules || [];
+  return { fileRules, fits: rebuilt.map(getRuleKey).join("\n") === moved.map(getRuleKey).join("\n") };
+};
+
+/**
+ * Read the list given to replace-all: an array, a JSON array, or one rule per line or ";"
+ */
+const parseRuleList = (value) => {
+  if (Array.isArray(value)) return value;
+  const text = String(value ?? "").trim();
+  if (text.startsWith("[")) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error("Rules must be a JSON array or a list separated by newlines or ';'");
+    }
+  }
+  return text.split(/\n|;/)
+    .map(item => item.replace(/^\s*(?:[-*]|\d+[.)])\s+/, "").trim())
+    .filter(Boolean);
+};
+
+/**
+ * Run a memory/rules management action.
+ * `context` carries the loaded config layers, value provenance and load
+ * errors so that changes are written only to the layer at `configPath`, never
+ * the merged view or another file, plus the project root that exports are
+ * written to and the journal path.
+ */
+export const runMemoryAction = async (args, config, configPath, context = {}) => {
+  const { action, rule, ruleId } = args;
+  const { layers = [], sources = {}, loadErrors = [], projectRoot, journalPath, sessionStorePath } = context;
+  const targetLayer = layers.find(layer => layer.path === configPath);
+  // Without layer information (legacy-only setups) the whole config is the file
+  const fileConfig = targetLayer ? targetLayer.config : config;
+  const layerContext = { sources, layers, targetLayer, loadErrors };
+
+  switch (action) {
+    case "list": {
+      // Keep each rule's position so it can be passed back as ruleId
+      const entries = sortRules(
+        filterRules((config?.rules || []).map((item, index) => ({ index, ...normalizeRule(item) })), args),
+        args.sort,
+        args.order
+      );
+      return {
+        title: "📋 Project Rules",
+        output: JSON.stringify({
+          rules: entries,
+          commands: config?.commands || {},
+          project: config?.project || {},
+          ...(layers.length > 0 && {
+            sources: {
+              layers: layers.map(layer => ({ name: layer.name, path: layer.path })),
+              rules: entries.map(entry => sources[`rules[${entry.index}]`] || "unknown"),
+              commands: Object.fromEntries(
+                Object.keys(config?.commands || {}).map(key => [key, sources[`commands.${key}`] || "unknown"])
+              )
+            }
+          })
+        }, null, 2)
+      };
+    }
+
+    case "add":
+      if (!rule) throw new Error("Rule text required");
+      if (!config) throw new Error("No .agentrc config found");
+      
+      config.rules = config.rules || [];
+      
+      // Check for duplicates (case-insensitive)
+      const normalizedRule = getRuleKey(rule);
+      const isDuplicate = config.rules.some(existingRule => 
+        getRuleKey(existingRule) === normalizedRule
+      );
+      
+      if (isDuplicate) {
+        return {
+          title: "⚠️ Rule Already Exists",
+          output: `Rule already exists: ${rule}`
+        };
+      }
+      // Rules stay plain strings unless they are given structure
+      const fields = parseRuleFields(args);
+      const newRule = Object.keys(fields).length > 0 ? createRule(rule, fields) : rule;
+      assertTargetWritable(configPath, layerContext);
+      
+      config.rules.push(newRule);
+      if (targetLayer) {
+        targetLayer.config.rules = [...(targetLayer.config.rules || []), newRule];
+        sources[`rules[${config.rules.length - 1}]`] = targetLayer.name;
+      }
+      
+      // Added anyway, but say what it repeats or contradicts
+      const issues = lintRules(config.rules, config, { only: config.rules.length - 1 });
+      return {
+        title: "✅ Rule Added",
+        output: `Added rule: ${rule}${issues.length > 0 ? `\n\n⚠️ Check these rules:\n${issues.map(issue => `- ${issue.message}`).join("\n")}` : ""}`
+      };
+
+    case "remove": {
+      // Accept a position or a stable id
+      const ruleIndex = resolveRuleIndex(config?.rules, ruleId);
+      assertRuleInLayer(ruleIndex, ruleId, "remove", layerContext);
+      assertTargetWritable(configPath, layerContext);
+      
+      const removedRule = getRuleText(config.rules[ruleIndex]);
+      config.rules.splice(ruleIndex, 1);
+      removeRuleSource(sources, ruleIndex);
+      if (targetLayer) {
+        targetLayer.config.rules = (targetLayer.config.rules || []).filter(existingRule =>
+          getRuleKey(existingRule) !== getRuleKey(removedRule)
+        );
+      }
+      
+      return {
+        title: "🗑️ Rule Removed", 
+        output: `Removed rule: ${removedRule}`
+      };
+    }
+
+    case "edit": {
+      const ruleIndex = resolveRuleIndex(config?.rules, ruleId);
+      assertRuleInLayer(ruleIndex, ruleId, "edit", layerContext);
+      const fields = parseRuleFields(args);
+      if (!rule && Object.keys(fields).length === 0) throw new Error("New rule text required");
+      
+      const previousRule = config.rules[ruleIndex];
+      const text = rule || getRuleText(previousRule);
+      // Same duplicate check as add, ignoring the rule being edited
+      const isDuplicate = config.rules.some((existingRule, index) =>
+        index !== ruleIndex && getRuleKey(existingRule) === getRuleKey(text)
+      );
+      if (isDuplicate) {
+        return {
+          title: "⚠️ Rule Already Exists",
+          output: `Rule already exists: ${text}`
+        };
+      }
+      assertTargetWritable(configPath, layerContext);
+      
+      // Structured rules keep their id and creation time when reworded
+      const updatedRule = typeof previousRule === "string"
+        ? (Object.keys(fields).length > 0 ? createRule(text, fields) : text)
+        : { id: normalizeRule(previousRule).id, ...previousRule, text, ...fields, updatedAt: new Date().toISOString() };
+      config.rules[ruleIndex] = updatedRule;
+      if (targetLayer) {
+        targetLayer.config.rules = (targetLayer.config.rules || []).map(existingRule =>
+          getRuleKey(existingRule) === getRuleKey(previousRule) ? updatedRule : existingRule
+        );
+      }
+      
+      return {
+        title: "✏️ Rule Updated",
+        output: `Updated rule: ${getRuleText(previousRule)} → ${text}`
+      };
+    }
+
+    case "move": {
+      const ruleIndex = resolveRuleIndex(config?.rules, ruleId);
+      assertRuleInLayer(ruleIndex, ruleId, "move", layerContext);
+      const last = config.rules.length - 1;
+      const to = args.to === "top" ? 0 : args.to === "bottom" ? last : Number(args.to);
+      if (args.to === undefined || !Number.isInteger(to) || to < 0 || to > last) {
+        throw new Error(`Target position ${args.to} out of range (0-${last})`);
+      }
+      assertTargetWritable(configPath, layerContext);
+      if (targetLayer) {
+        // Only the file's own order is saved, so the move must survive rebuilding the merged view
+        const reachable = Array.from({ length: last + 1 }, (_, position) => position)
+          .filter(position => position === ruleIndex || movedRuleOrder(config.rules, ruleIndex, position, layers, targetLayer).fits);
+        if (!reachable.includes(to)) {
+          throw new Error(`Rule ${ruleId} cannot move to position ${to}: rules from other layers keep their place, so it can only go to position${reachable.length === 1 ? "" : "s"} ${reachable.join(", ")}`);
+        }
+        targetLayer.config.rules = movedRuleOrder(config.rules, ruleIndex, to, layers, targetLayer).fileRules;
+      }
+      
+      const ruleSources = getRuleSources(sources, config.rules.length);
+      const [movedRule] = config.rules.splice(ruleIndex, 1);
+      config.rules.splice(to, 0, movedRule);
+      ruleSources.splice(to, 0, ...ruleSources.splice(ruleIndex, 1));
+      setRuleSources(sources, ruleSources);
+      
+      return {
+        title: "↕️ Rule Moved",
+        output: `Moved rule to position ${to}: ${getRuleText(movedRule)}`
+      };
+    }
+
+    case "replace-all": {
+      if (!config) throw new Error("No .agentrc config found");
+      if (args.rules === undefined) throw new Error("Rules list required");
+      
+      const currentRules = config.rules || [];
+      const ruleSources = getRuleSources(sources, currentRules.length);
+      // Only this file's rules are replaced; rules from other layers stay
+      const isInherited = (index) => Boolean(targetLayer && ruleSources[index] && ruleSources[index] !== targetLayer.name);
+      const inherited = currentRules.filter((_, index) => isInherited(index));
+      const replacements = [];
+      const skipped = [];
+      for (const item of parseRuleList(args.rules)) {
+        const key = getRuleKey(item);
+        if (!key) continue;
+        if ([...inherited, ...replacements].some(existingRule => getRuleKey(existingRule) === key)) {
+          skipped.push(getRuleText(item));
+          continue;
+        }
+        // Rules that survive keep their id, category and timestamps
+        replacements.push(currentRules.find((existingRule, index) => !isInherited(index) && getRuleKey(existingRule) === key) ?? item);
+      }
+      assertTargetWritable(configPath, layerContext);
+      
+      const replacedCount = currentRules.length - inherited.length;
+      config.rules = [...inherited, ...replacements];
+      if (targetLayer) {
+        targetLayer.config.rules = [...replacements];
+        setRuleSources(sources, [
+          ...ruleSources.filter((_, index) => isInherited(index)),
+          ...replacements.map(() => targetLayer.name)
+        ]);
+      }
+      
+      return {
+        title: "🔁 Rules Replaced",
+        output: [
+          `Replaced ${replacedCount} rule${replacedCount === 1 ? "" : "s"} with ${replacements.length}`,
+          ...skipped.map(text => `⏭️ Skipped duplicate: ${text}`)
+        ].join("\n")
+      };
+    }
+
+    case "clear": {
+      if (!config) throw new Error("No .agentrc config found");
+      
+      const currentRules = config.rules || [];
+      const ruleSources = getRuleSources(sources, currentRules.length);
+      const isInherited = (index) => Boolean(targetLayer && ruleSources[index] && ruleSources[index] !== targetLayer.name);
+      const clearedCount = currentRules.filter((_, index) => !isInherited(index)).length;
+      const fileName = configPath ? path.basename(configPath) : ".agentrc";
+      if (clearedCount === 0) {
+        return {
+          title: "📋 No Rules to Clear",
+          output: `${fileName} has no rules of its own`
+        };
+      }
+      if (args.confirm !== true && args.confirm !== "true") {
+        return {
+          title: "⚠️ Confirm Clearing Rules",
+          output: `This removes all ${clearedCount} rule${clearedCount === 1 ? "" : "s"} from ${fileName}. Run 'memory action=clear confirm=true' to confirm.`,
+          needsConfirmation: true
+        };
+      }
+      assertTargetWritable(configPath, layerContext);
+      
+      config.rules = currentRules.filter((_, index) => isInherited(index));
+      if (targetLayer) {
+        targetLayer.config.rules = [];
+        setRuleSources(sources, ruleSources.filter((_, index) => isInherited(index)));
+      }
+      
+      return {
+        title: "🧹 Rules Cleared",
+        output: `Removed ${clearedCount} rule${clearedCount === 1 ? "" : "s"} from ${fileName}` +
+          (config.rules.length > 0 ? `; ${config.rules.length} inherited from other layers remain` : "")
+      };
+    }
+
+    case "history": {
+      if (!journalPath) throw new Error("Project root unknown, no history available");
+      const entries = await readJournal(journalPath);
+      const undone = getUndoneIds(entries);
+      const limit = args.limit === undefined ? 20 : Number(args.limit);
+      const shown = entries.slice(-limit).reverse();
+      return {
+        title: "📜 Rule History",
+        output: shown.length === 0
+          ? "No changes recorded yet"
+          : shown.map(entry => [
+            `${entry.id}  ${entry.timestamp}  ${entry.action} via ${entry.source}${undone.has(entry.id) ? " (undone)" : ""}`,
+            ...describeJournalEntry(entry).map(line => `  ${line}`)
+          ].join("\n")).join("\n")
+      };
+    }
+
+    case "undo": {
+      if (!journalPath) throw new Error("Project root unknown, no history available");
+      if (!configPath || !fileConfig) throw new Error("No .agentrc config found");
+      const steps = args.steps === undefined ? 1 : Number(args.steps);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Steps must be a positive whole number, got "${args.steps}"`);
+      }
+      const entries = findUndoableEntries(await readJournal(journalPath), configPath, steps);
+      if (entries.length === 0) {
+        return {
+          title: "↩️ Nothing to Undo",
+          output: `No recorded changes to ${path.basename(configPath)}`
+        };
+      }
+      const force = args.force === true || args.force === "true";
+      
+      // Roll back newest first on a copy, so a refusal leaves everything as it was
+      const restored = JSON.parse(JSON.stringify(fileConfig));
+      for (const entry of entries) {
+        // Changes the journal does not know about (hand edits) would be lost
+        const drifted = Object.keys(entry.after).filter(key =>
+          JSON.stringify(restored[key] ?? null) !== JSON.stringify(entry.after[key])
+        );
+        if (drifted.length > 0 && !force) {
+          throw new Error(`${drifted.join(", ")} changed outside the memory tool since ${entry.id}; use force=true to undo anyway`);
+        }
+        for (const [key, value] of Object.entries(entry.before)) {
+          if (value === null) delete restored[key];
+          else restored[key] = value;
+        }
+      }
+      assertTargetWritable(configPath, layerContext);
+      
+      Object.keys(fileConfig).forEach(key => delete fileConfig[key]);
+      Object.assign(fileConfig, restored);
+      
+      return {
+        title: "↩️ Changes Undone",
+        output: entries.map(entry => [
+          `Undid ${entry.action} from ${entry.timestamp} (${entry.id})`,
+          ...describeJournalEntry(entry).map(line => `  ${line}`)
+        ].join("\n")).join("\n"),
+        undoes: entries.map(entry => entry.id)
+      };
+    }
+
+    case "stats": {
+      if (!projectRoot) throw new Error("Project root unknown, cannot read analytics");
+      const report = buildStatsReport(await readAnalytics(getAnalyticsPath(projectRoot)), {
+        ...(args.limit !== undefined && { limit: Number(args.limit) })
+      });
+      return {
+        title: "📊 Tool Usage",
+        output: args.format === "json" ? JSON.stringify(report, null, 2) : formatStatsReport(report)
+      };
+    }
+
+    case "sessions": {
+      if (!sessionStorePath) throw new Error("Session notes are unavailable: OpenCode did not provide a data path");
+      const limit = args.limit !== undefined ? Number(args.limit) : 5;
+      const sessions = summarizeSessions(await readSessionNotes(sessionStorePath)).slice(0, limit);
+      return {
+        title: "🕘 Recent Sessions",
+        output: sessions.length > 0 ? describeSessions(sessions).join("\n") : "No sessions recorded yet"
+      };
+    }
+
+    case "sessions-prune": {
+      if (!sessionStorePath) throw new Error("Session notes are unavailable: OpenCode did not provide a data path");
+      if (args.keep === undefined && args.olderThanDays === undefined) {
+        throw new Error("Say what to keep: keep=<sessions> and/or olderThanDays=<days>");
+      }
+      const { removed, kept } = await pruneSessionNotes(sessionStorePath, {
+        keep: args.keep !== undefined ? Number(args.keep) : undefined,
+        olderThanDays: args.olderThanDays !== undefined ? Number(args.olderThanDays) : undefined
+      });
+      return {
+        title: "🧹 Session Notes Pruned",
+        output: `Removed ${removed} session(s), kept ${kept}`
+      };
+    }
+
+    case "sessions-clear": {
+      if (!sessionStorePath) throw new Error("Session notes are unavailable: OpenCode did not provide a data path");
+      if (args.confirm !== true && args.confirm !== "true") {
+        return {
+          title: "⚠️ Confirm Clearing Session Notes",
+          output: "This deletes the notes of every earlier session of this project. Run memory action=sessions-clear confirm=true to go ahead."
+        };
+      }
+      const removed = await clearSessionNotes(sessionStorePath);
+      return {
+        title: "🧹 Session Notes Cleared",
+        output: `Removed notes of ${removed} session(s)`
+      };
+    }
+
+    case "context": {
+      const block = buildContextBlock(config);
+      return {
+        title: "🧠 Model Context",
+        output: block
+          ? `${block}\n\n(${block.length} of ${config?.context?.maxChars ?? DEFAULT_CONTEXT_MAX_CHARS} characters)`
+          : "No project context is added to the system prompt (no .agentrc, or context.enabled is false)"
+      };
+    }
+
+    case "lint": {
+      if (!config) throw new Error("No .agentrc config found");
+      const issues = lintRules(config.rules, config);
+      return {
+        title: issues.length > 0 ? `⚠️ ${issues.length} Rule Issue(s)` : "✅ No Rule Issues",
+        output: issues.length > 0
+          ? issues.map(issue => `- ${issue.message}`).join("\n")
+          : "No duplicate or contradictory rules found"
+      };
+    }
+
+    case "export": {
+      if (!config) throw new Error("No .agentrc config found");
+      if (!projectRoot) throw new Error("Project root unknown, cannot export");
+      const targets = Array.isArray(args.targets)
+        ? args.targets
+        : (args.targets ? String(args.targets).split(",").map(target => target.trim()).filter(Boolean) : DEFAULT_EXPORT_TARGETS);
+      const force = args.force === true || args.force === "true";
+      const results = await exportLegacyFiles(projectRoot, config, { targets, force });
+      
+      const lines = results.map(result => `${result.status === "skipped" ? "⏭️" : "✅"} ${path.relative(projectRoot, result.path)} - ${result.status}`);
+      if (results.some(result => result.status === "skipped")) {
+        lines.push("", "Skipped files were written by hand; use force=true to overwrite them");
+      }
+      return {
+        title: "📤 Rules Exported",
+        output: lines.join("\n")
+      };
+    }
+
+    default:
+      return {
+        title: "🌸 Kuuzuki Memory Tool",
+        output: "Available actions: list, add, remove, edit, move, replace-all, clear, history, undo, lint, context, stats, sessions, sessions-prune, sessions-clear, export\nUsage: memory action=list [category=critical] [tag=security] [search=text] [minPriority=5] [sort=priority|category|created|updated|text|id] [order=asc|desc] | memory action=add rule='Your rule' [category=critical] [priority=10] [tags=a,b] [appliesTo='**/*.test.tsx'] | memory action=remove ruleId=0|r-3f9a2b1 | memory action=edit ruleId=0 rule='New text' | memory action=move ruleId=3 to=0|top|bottom | memory action=replace-all rules='First rule;Second rule' | memory action=clear confirm=true | memory action=history [limit=20] | memory action=undo [steps=1] [force=true] | memory action=lint | memory action=context | memory action=stats [limit=5] [format=json] | memory action=sessions [limit=5] | memory action=sessions-prune keep=10|olderThanDays=30 | memory action=sessions-clear confirm=true | memory action=export targets=agents,claude,cursor"
+      };
+  }
+};
+
+/**
+ * Handle memory/rules management commands.
+ * Actions change the in-memory config; whatever they changed is then patched
+ * into the file on disk (see writeConfigFile) and appended to the project's
+ * journal with the values before and after, where it came from (chat, tool
+ * or cli) and the session, so `memory action=history` and `action=undo` can use it.
+ * `context.ownWrites` remembers what was written so file.changed can skip it,
+ * and `context.onChange` is called with each change once it is saved.
+ */
+export const handleMemoryCommand = async (args, config, configPath, context = {}) => {
+  const { layers = [], sources = {}, projectRoot, ownWrites } = context;
+  const targetLayer = layers.find(layer => layer.path === configPath);
+  const fileConfig = targetLayer ? targetLayer.config : config;
+  const journalPath = projectRoot ? getJournalPath(projectRoot) : null;
+  const before = JSON.parse(JSON.stringify(fileConfig ?? {}));
+  
+  const { undoes, ...result } = await runMemoryAction(args, config, configPath, { ...context, journalPath });
+  
+  const change = configPath ? diffConfigKeys(before, fileConfig) : null;
+  if (!change) return result;
+  
+  const written = await writeConfigFile(configPath, fileConfig, { base: before });
+  ownWrites?.set(configPath, written.content);
+  if (targetLayer) {
+    // Take in anything another session saved meanwhile, then rebuild the merged view
+    Object.keys(fileConfig).forEach(key => delete fileConfig[key]);
+    Object.assign(fileConfig, written.config);
+    const merged = mergeConfigLayers(layers);
+    for (const key of Object.keys(change.after)) {
+      if (merged.config[key] === undefined) delete config[key];
+      else config[key] = merged.config[key];
+    }
+    Object.keys(sources).forEach(key => delete sources[key]);
+    Object.assign(sources, merged.sources);
+  }
+  console.log(`[🌸 Kuuzuki] Saved ${args.action} to ${path.basename(configPath)}`);
+  
+  const entry = {
+    action: args.action,
+    source: context.source || "tool",
+    sessionId: context.sessionId || null,
+    file: configPath,
+    ...change,
+    ...(undoes && { undoes })
+  };
+  if (journalPath) await appendJournalEntry(journalPath, entry);
+  if (context.onChange) await context.onChange(entry);
+  // Changes saved here skip the file.changed reload, so exports are refreshed now
+  if (projectRoot && config) await regenerateLegacyFiles(projectRoot, config);
+  return result;
+};
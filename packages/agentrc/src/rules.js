@@ -0,0 +1,297 @@
+/**
+ * Structured Rules for Kuuzuki
+ *
+ * A rule in .agentrc is either a plain string or an object:
+ *   { "id": "r-3f9a2b1", "text": "...", "category": "critical", "priority": 10,
+ *     "tags": ["security"], "createdAt": "...", "updatedAt": "..." }
+ *
+ * Every rule has a stable id. Object rules store theirs; string rules get one
+ * derived from their text, so ids do not shift when other rules are removed.
+ *
+ * A rule with `"appliesTo": ["**\/*.test.tsx"]` is scoped: it is only shown
+ * when a file matching one of its globs is read or edited.
+ */
+
+import { matchesGlob } from './glob.js';
+import { hashText } from './store.js';
+
+/**
+ * Rule categories, most important first
+ */
+export const RULE_CATEGORIES = ['critical', 'preferred', 'contextual', 'deprecated'];
+
+/**
+ * Category and priority of rules that do not declare them
+ */
+const DEFAULT_CATEGORY = 'preferred';
+const DEFAULT_PRIORITY = 0;
+
+/**
+ * Fields `memory action=list sort=...` can sort on
+ */
+export const RULE_SORT_FIELDS = ['priority', 'category', 'created', 'updated', 'text', 'id'];
+
+/**
+ * Text of a rule in either form
+ * @param {string|Object} rule - Rule from .agentrc
+ * @returns {string} Rule text
+ */
+export const getRuleText = (rule) => typeof rule === 'string' ? rule : String(rule?.text ?? '');
+
+/**
+ * Key that identifies a rule's text regardless of case and surrounding space
+ */
+export const getRuleKey = (rule) => getRuleText(rule).toLowerCase().trim();
+
+/**
+ * Derive a stable id from rule text (FNV-1a)
+ * @param {string} text - Rule text
+ * @returns {string} Id such as "r-3f9a2b1"
+ */
+export const createRuleId = (text) => `r-${hashText(text.toLowerCase().trim()).slice(0, 7)}`;
+
+/**
+ * Fill in the defaults of a rule in either form
+ * @param {string|Object} rule - Rule from .agentrc
+ * @returns {Object} { id, text, category, priority, tags, appliesTo, createdAt, updatedAt }
+ */
+export const normalizeRule = (rule) => {
+  const text = getRuleText(rule);
+  const fields = typeof rule === 'string' ? {} : rule || {};
+  return {
+    id: fields.id || createRuleId(text),
+    text,
+    category: fields.category || DEFAULT_CATEGORY,
+    priority: typeof fields.priority === 'number' ? fields.priority : DEFAULT_PRIORITY,
+    tags: fields.tags || [],
+    appliesTo: fields.appliesTo || [],
+    createdAt: fields.createdAt || null,
+    updatedAt: fields.updatedAt || null
+  };
+};
+
+/**
+ * Read comma separated values from a memory command argument.
+ * Commas inside braces belong to a glob ("**\/*.{ts,tsx}") and do not split.
+ */
+export const parseListArgument = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(/,(?![^{]*\})/))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Validate and normalise category/priority/tags/appliesTo given to a memory command
+ * @param {Object} args - Memory command arguments
+ * @returns {Object} Only the fields that were given
+ */
+export const parseRuleFields = (args) => {
+  const fields = {};
+  if (args.category !== undefined) {
+    if (!RULE_CATEGORIES.includes(args.category)) {
+      throw new Error(`Unknown rule category "${args.category}" (expected ${RULE_CATEGORIES.join(', ')})`);
+    }
+    fields.category = args.category;
+  }
+  if (args.priority !== undefined) {
+    const priority = Number(args.priority);
+    if (!Number.isFinite(priority)) throw new Error(`Rule priority must be a number, got "${args.priority}"`);
+    fields.priority = priority;
+  }
+  if (args.tags !== undefined) fields.tags = parseListArgument(args.tags);
+  if (args.appliesTo !== undefined) fields.appliesTo = parseListArgument(args.appliesTo);
+  return fields;
+};
+
+/**
+ * Whether a rule only applies to some files
+ */
+export const isScopedRule = (rule) => normalizeRule(rule).appliesTo.length > 0;
+
+/**
+ * Scoped rules whose globs match a file
+ * @param {Array} rules - Rules from the merged config
+ * @param {string} filePath - Path relative to the project root
+ * @returns {Array} Matching rules, normalised, in config order
+ */
+export const getRulesForPath = (rules, filePath) =>
+  (rules || [])
+    .map(normalizeRule)
+    .filter(rule => rule.category !== 'deprecated' && rule.appliesTo.some(pattern => matchesGlob(filePath, pattern)));
+
+/**
+ * Create a structured rule
+ * @param {string} text - Rule text
+ * @param {Object} [fields] - category, priority, tags
+ * @param {Date} [now] - Creation time
+ * @returns {Object} Rule object for .agentrc
+ */
+export const createRule = (text, fields = {}, now = new Date()) => ({
+  id: createRuleId(text),
+  text,
+  ...fields,
+  createdAt: now.toISOString(),
+  updatedAt: now.toISOString()
+});
+
+/**
+ * Find a rule by position or id
+ * @param {Array} rules - Rules from the merged config
+ * @param {number|string} ref - Index ("3" or 3) or stable id ("r-3f9a2b1")
+ * @returns {number} Index, or -1 when there is no such rule
+ */
+export const findRuleIndex = (rules, ref) => {
+  if (ref === undefined || ref === null || ref === '') return -1;
+  if (typeof ref === 'number' || /^\d+$/.test(String(ref).trim())) {
+    const index = Number(ref);
+    return index >= 0 && index < rules.length ? index : -1;
+  }
+  return rules.findIndex(rule => normalizeRule(rule).id === String(ref).trim());
+};
+
+/**
+ * Filter normalised rule entries
+ * @param {Array} entries - Normalised rules
+ * @param {Object} filters - { category, tag, search, minPriority } from the memory command
+ * @returns {Array} Matching entries
+ */
+export const filterRules = (entries, { category, tag, search, minPriority } = {}) => {
+  const categories = parseListArgument(category);
+  const tags = parseListArgument(tag).map(item => item.toLowerCase());
+  const needle = search ? String(search).toLowerCase() : null;
+  const threshold = minPriority !== undefined ? Number(minPriority) : null;
+
+  return entries.filter(entry =>
+    (categories.length === 0 || categories.includes(entry.category)) &&
+    (tags.length === 0 || entry.tags.some(entryTag => tags.includes(entryTag.toLowerCase()))) &&
+    (!needle || entry.text.toLowerCase().includes(needle)) &&
+    (threshold === null || entry.priority >= threshold)
+  );
+};
+
+/**
+ * Sort normalised rule entries
+ * @param {Array} entries - Normalised rules
+ * @param {string} [sort] - One of RULE_SORT_FIELDS
+ * @param {string} [order] - "asc" or "desc"; priority defaults to descending
+ * @returns {Array} Sorted copy
+ */
+export const sortRules = (entries, sort, order) => {
+  if (!sort) return [...entries];
+  if (!RULE_SORT_FIELDS.includes(sort)) {
+    throw new Error(`Cannot sort rules by "${sort}" (expected ${RULE_SORT_FIELDS.join(', ')})`);
+  }
+  const value = {
+    priority: entry => entry.priority,
+    category: entry => RULE_CATEGORIES.indexOf(entry.category),
+    created: entry => entry.createdAt || '',
+    updated: entry => entry.updatedAt || '',
+    text: entry => entry.text.toLowerCase(),
+    id: entry => entry.id
+  }[sort];
+  const direction = (order || (sort === 'priority' ? 'desc' : 'asc')) === 'desc' ? -1 : 1;
+  return [...entries].sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    return left < right ? -direction : left > right ? direction : 0;
+  });
+};
+
+/**
+ * Words that carry no meaning when comparing a forget request with a rule
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'to', 'of', 'for', 'in', 'on', 'and', 'or', 'is', 'be', 'we', 'i', 'you',
+  'it', 'that', 'this', 'about', 'rule', 'rules', 'please', 'with', 'when', 'should', 'always'
+]);
+
+/**
+ * Scores used to decide between a match, a confirmation and a refusal
+ */
+const MATCH_THRESHOLD = 0.35;
+const CONFIDENT_SCORE = 0.5;
+const CONFIDENT_MARGIN = 0.2;
+const MAX_CANDIDATES = 5;
+
+/**
+ * Split text into comparable tokens: lowercase words without stop words or plural "s"
+ */
+export const tokenizeRule = (text) =>
+  (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+/**
+ * Token similarity between a request and a rule, from 0 to 1.
+ * Averages how much of the request the rule covers with the Dice coefficient,
+ * so short requests can match long rules without every long rule matching.
+ * @param {string} query - What the user asked to forget
+ * @param {string} text - Rule text
+ * @returns {number} Similarity score
+ */
+export const scoreRuleMatch = (query, text) => {
+  const queryTokens = new Set(tokenizeRule(query));
+  const ruleTokens = new Set(tokenizeRule(text));
+  if (queryTokens.size === 0 || ruleTokens.size === 0) return 0;
+  const shared = [...queryTokens].filter(token => ruleTokens.has(token)).length;
+  const coverage = shared / queryTokens.size;
+  const dice = (2 * shared) / (queryTokens.size + ruleTokens.size);
+  return (coverage + dice) / 2;
+};
+
+/**
+ * Pull out what a natural-language forget request refers to
+ * @param {string} message - e.g. 'forget the rule about "semicolons"' or "delete rule 3"
+ * @returns {string} The reference, without the trigger words
+ */
+export const parseForgetRequest = (message) =>
+  message.trim()
+    .replace(/^(?:please\s+)?(?:forget|remove|delete)(?:\s+(?:the|that|my))?(?:\s+rules?)?(?:\s+(?:about|on|that says|saying))?[\s:]*/i, '')
+    .replace(/[.!?]+$/, '')
+    .trim();
+
+/**
+ * Find the rule a forget request refers to.
+ * A quoted phrase matches rules containing it, "3", "#3" or "rule 3" is a
+ * 1-based rule number as shown in rule summaries, an id matches that rule,
+ * and anything else is scored with token similarity.
+ * @param {Array} rules - Rules from the merged config
+ * @param {string} reference - Output of parseForgetRequest
+ * @returns {Object} { type: 'match', index } | { type: 'ambiguous', candidates } | { type: 'none' }
+ */
+export const matchRuleReference = (rules, reference) => {
+  const entries = rules.map((rule, index) => ({ index, ...normalizeRule(rule) }));
+  const candidate = (entry, score = 1) => ({ index: entry.index, id: entry.id, text: entry.text, score });
+  const quoted = reference.match(/^["'`“‘](.+)["'`”’]$/s) || reference.match(/["“]([^"”]+)["”]/);
+
+  if (quoted) {
+    const phrase = quoted[1].toLowerCase().trim();
+    const exact = entries.filter(entry => entry.text.toLowerCase().trim() === phrase);
+    const containing = exact.length > 0 ? exact : entries.filter(entry => entry.text.toLowerCase().includes(phrase));
+    if (containing.length === 1) return { type: 'match', index: containing[0].index };
+    if (containing.length > 1) return { type: 'ambiguous', candidates: containing.slice(0, MAX_CANDIDATES).map(entry => candidate(entry)) };
+    return { type: 'none' };
+  }
+
+  const number = reference.match(/^(?:number\s+|no\.?\s*|#)?(\d+)$/i);
+  if (number) {
+    const index = Number(number[1]) - 1;
+    return index >= 0 && index < entries.length ? { type: 'match', index } : { type: 'none' };
+  }
+
+  const byId = entries.find(entry => entry.id === reference.toLowerCase());
+  if (byId) return { type: 'match', index: byId.index };
+
+  const scored = entries
+    .map(entry => candidate(entry, scoreRuleMatch(reference, entry.text)))
+    .filter(entry => entry.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+  if (scored.length === 0) return { type: 'none' };
+
+  const [best, second] = scored;
+  if (best.score >= CONFIDENT_SCORE && (!second || best.score - second.score >= CONFIDENT_MARGIN)) {
+    return { type: 'match', index: best.index };
+  }
+  return { type: 'ambiguous', candidates: scored.slice(0, MAX_CANDIDATES) };
+};
@@ -0,0 +1,653 @@
+/**
+ * .agentrc Schema Validation for Kuuzuki
+ *
+ * Parses .agentrc files while tracking the line and column of every value,
+ * then checks the result against the .agentrc schema so that every problem
+ * can be reported as "file:line:column path - expected X, got Y".
+ */
+
+import {
+  parseYamlWithLocations
+} from './yaml.js';
+import {
+  RULE_CATEGORIES
+} from './rules.js';
+import {
+  CONTEXT_SECTIONS
+} from './context.js';
+
+/**
+ * Schema node helpers
+ */
+const anyValue = () => ({ type: 'any' });
+const stringValue = () => ({ type: 'string' });
+const numberValue = () => ({ type: 'number' });
+const booleanValue = () => ({ type: 'boolean' });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const enumValue = (values) => ({ type: 'enum', values });
+const arrayOf = (items) => ({ type: 'array', items });
+const recordOf = (values) => ({ type: 'record', values });
+const oneOf = (...variants) => ({ type: 'oneOf', variants });
+const objectOf = (properties, { strict = false } = {}) => ({ type: 'object', properties, strict });
+
+const stringList = () => arrayOf(stringValue());
+
+/**
+ * Full .agentrc schema, mirroring examples/sample.agentrc.
+ * Strict sections reject unknown keys because a typo there silently
+ * disables behaviour (e.g. security.restrictedPath instead of restrictedPaths).
+ */
+const AGENTRC_SCHEMA = objectOf({
+  extends: oneOf(stringValue(), stringList()),
+  project: objectOf({
+    name: stringValue(),
+    type: stringValue(),
+    description: stringValue(),
+    version: stringValue(),
+    language: stringValue(),
+    languages: stringList(),
+    framework: nullable(stringValue()),
+    frameworks: recordOf(enumValue(['ui', 'meta-framework', 'server', 'e2e'])),
+    structure: objectOf({
+      packages: stringList(),
+      mainEntry: stringValue(),
+      srcDir: stringValue(),
+      testDir: stringValue(),
+      docsDir: stringValue()
+    })
+  }),
+  commands: recordOf(oneOf(
+    stringValue(),
+    objectOf({
+      run: stringValue(),
+      match: oneOf(stringValue(), stringList()),
+      description: stringValue()
+    }, { strict: true })
+  )),
+  codeStyle: objectOf({
+    language: stringValue(),
+    formatter: stringValue(),
+    linter: stringValue(),
+    importStyle: stringValue(),
+    quotesStyle: enumValue(['single', 'double', 'backtick']),
+    semicolons: booleanValue(),
+    trailingCommas: oneOf(booleanValue(), stringValue()),
+    indentation: objectOf({
+      type: enumValue(['spaces', 'tabs']),
+      size: numberValue()
+    }, { strict: true }),
+    // Written by createDefaultAgentrc
+    paradigm: stringValue(),
+    methodology: stringValue(),
+    naming: stringValue(),
+    runtime: stringValue(),
+    testing: stringValue(),
+    bundler: stringValue(),
+    typescript: stringValue(),
+    alternative: stringValue()
+  }),
+  workspaces: objectOf({
+    tools: stringList(),
+    packages: recordOf(objectOf({
+      path: stringValue(),
+      language: stringValue(),
+      framework: nullable(stringValue()),
+      testing: stringValue(),
+      bundler: stringValue(),
+      commands: recordOf(stringValue())
+    }))
+  }),
+  conventions: recordOf(oneOf(stringValue(), stringList())),
+  tools: recordOf(nullable(stringValue())),
+  paths: recordOf(stringValue()),
+  rules: arrayOf(oneOf(
+    stringValue(),
+    objectOf({
+      id: stringValue(),
+      text: stringValue(),
+      category: enumValue(RULE_CATEGORIES),
+      priority: numberValue(),
+      tags: stringList(),
+      appliesTo: stringList(),
+      createdAt: stringValue(),
+      updatedAt: stringValue()
+    }, { strict: true })
+  )),
+  dependencies: recordOf(stringList()),
+  environment: objectOf({
+    nodeVersion: stringValue(),
+    envFiles: stringList(),
+    requiredEnvVars: stringList()
+  }),
+  security: objectOf({
+    sensitiveFiles: stringList(),
+    restrictedPaths: stringList(),
+    modes: recordOf(enumValue(['deny', 'warn', 'ask'])),
+    commands: objectOf({
+      allow: stringList(),
+      deny: stringList(),
+      unlisted: enumValue(['deny', 'warn', 'ask']),
+      dangerous: oneOf(
+        enumValue(['deny', 'warn', 'ask', 'off']),
+        objectOf(Object.fromEntries(
+          ['rm-outside-root', 'pipe-to-shell', 'force-push-protected', 'chmod-777', 'ssh-write']
+            .map(check => [check, enumValue(['deny', 'warn', 'ask', 'off'])])
+        ), { strict: true })
+      ),
+      protectedBranches: stringList()
+    }, { strict: true })
+  }, { strict: true }),
+  agent: objectOf({
+    preferredTools: stringList(),
+    disabledTools: stringList(),
+    maxFileSize: numberValue(),
+    ignorePatterns: stringList(),
+    contextFiles: stringList()
+  }),
+  context: objectOf({
+    enabled: booleanValue(),
+    maxChars: numberValue(),
+    maxRules: numberValue(),
+    sections: arrayOf(enumValue(CONTEXT_SECTIONS))
+  }, { strict: true }),
+  analytics: objectOf({
+    enabled: booleanValue()
+  }, { strict: true }),
+  notifications: objectOf({
+    enabled: booleanValue(),
+    level: enumValue(['all', 'important', 'errors-only', 'none']),
+    silent: booleanValue(),
+    mode: enumValue(['os', 'console', 'both', 'none', 'in-app'])
+  }, { strict: true }),
+  metadata: recordOf(anyValue())
+});
+
+/**
+ * Describe a schema node for "expected ..." messages
+ * @param {Object} schema - Schema node
+ * @returns {string} Human readable description
+ */
+const describeSchema = (schema) => {
+  let description;
+  switch (schema.type) {
+    case 'array':
+      if (schema.items.type === 'any') description = 'an array';
+      else if (['string', 'number', 'boolean'].includes(schema.items.type) && !schema.items.nullable) description = `an array of ${schema.items.type}s`;
+      else description = `an array where each item is ${describeSchema(schema.items)}`;
+      break;
+    case 'object':
+    case 'record':
+      description = 'an object';
+      break;
+    case 'enum':
+      description = `one of ${schema.values.map(value => JSON.stringify(value)).join(', ')}`;
+      break;
+    case 'oneOf':
+      description = schema.variants.map(describeSchema).join(' or ');
+      break;
+    case 'any':
+      description = 'any value';
+      break;
+    default:
+      description = `a ${schema.type}`;
+  }
+  return schema.nullable ? `${description} or null` : description;
+};
+
+/**
+ * Describe the type of a parsed value for "got ..." messages
+ * @param {*} value - Parsed JSON value
+ * @returns {string} Type description
+ */
+const describeValue = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'object') return 'an object';
+  if (typeof value === 'string') return `string ${JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value)}`;
+  return `${typeof value} ${String(value)}`;
+};
+
+/**
+ * Levenshtein distance, used for "did you mean" suggestions
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+/**
+ * Suggest the closest known key for a misspelled one
+ * @param {string} key - Unknown key
+ * @param {string[]} knownKeys - Keys allowed at this level
+ * @returns {string|null} Closest key, if close enough
+ */
+const suggestKey = (key, knownKeys) => {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of knownKeys) {
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+};
+
+/**
+ * Build a JSON path string ("security.restrictedPaths[2]")
+ */
+const joinPath = (base, segment) => {
+  if (typeof segment === 'number') return `${base}[${segment}]`;
+  const key = /^[A-Za-z_$][\w$-]*$/.test(segment) ? segment : JSON.stringify(segment);
+  if (!base) return key;
+  return /^[A-Za-z_$]/.test(key) ? `${base}.${key}` : `${base}[${key}]`;
+};
+
+/**
+ * Check whether a value matches a schema node without collecting issues
+ */
+const matchesSchema = (schema, value) => {
+  const issues = [];
+  checkValue(schema, value, '', issues);
+  return issues.every(issue => issue.severity !== 'error');
+};
+
+/**
+ * Recursively check a value against a schema node
+ * @param {Object} schema - Schema node
+ * @param {*} value - Value to check
+ * @param {string} jsonPath - Path of the value
+ * @param {Array} issues - Collected issues
+ */
+const checkValue = (schema, value, jsonPath, issues) => {
+  const mismatch = () => issues.push({
+    severity: 'error',
+    path: jsonPath,
+    message: `expected ${describeSchema(schema)}, got ${describeValue(value)}`
+  });
+
+  if (value === null) {
+    if (!schema.nullable && schema.type !== 'any') mismatch();
+    return;
+  }
+
+  switch (schema.type) {
+    case 'any':
+      return;
+
+    case 'string':
+    case 'number':
+    case 'boolean':
+      if (typeof value !== schema.type) mismatch();
+      return;
+
+    case 'enum':
+      if (!schema.values.includes(value)) mismatch();
+      return;
+
+    case 'oneOf':
+      if (!schema.variants.some(variant => matchesSchema(variant, value))) mismatch();
+      return;
+
+    case 'array':
+      if (!Array.isArray(value)) return mismatch();
+      value.forEach((item, index) => checkValue(schema.items, item, joinPath(jsonPath, index), issues));
+      return;
+
+    case 'record':
+      if (typeof value !== 'object' || Array.isArray(value)) return mismatch();
+      for (const [key, item] of Object.entries(value)) {
+        checkValue(schema.values, item, joinPath(jsonPath, key), issues);
+      }
+      return;
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return mismatch();
+      const knownKeys = Object.keys(schema.properties);
+      for (const [key, item] of Object.entries(value)) {
+        const propertyPath = joinPath(jsonPath, key);
+        if (schema.properties[key]) {
+          checkValue(schema.properties[key], item, propertyPath, issues);
+          continue;
+        }
+        const suggestion = suggestKey(key, knownKeys);
+        issues.push({
+          severity: schema.strict ? 'error' : 'warning',
+          path: propertyPath,
+          key: true,
+          message: `unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}; expected one of ${knownKeys.join(', ')}`
+        });
+      }
+      return;
+    }
+  }
+};
+
+/**
+ * The part of a value that passes a schema node
+ * @param {Object} schema - Schema node
+ * @param {*} value - Value to check
+ * @param {string} jsonPath - Path of the value
+ * @param {string[]} dropped - Paths of removed values, collected
+ * @returns {*} The valid part, or undefined when nothing of the value is valid
+ */
+const pruneValue = (schema, value, jsonPath, dropped) => {
+  if (matchesSchema(schema, value)) return value;
+  const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+
+  if (schema.type === 'array' && Array.isArray(value)) {
+    return value.flatMap((item, index) => {
+      const kept = pruneValue(schema.items, item, joinPath(jsonPath, index), dropped);
+      return kept === undefined ? [] : [kept];
+    });
+  }
+  if ((schema.type === 'object' || schema.type === 'record') && isObject) {
+    const kept = {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemSchema = schema.type === 'record' ? schema.values : schema.properties[key];
+      const itemPath = joinPath(jsonPath, key);
+      if (!itemSchema) {
+        if (schema.strict) dropped.push(itemPath);
+        else kept[key] = item;
+        continue;
+      }
+      const keptItem = pruneValue(itemSchema, item, itemPath, dropped);
+      if (keptItem !== undefined) kept[key] = keptItem;
+    }
+    return kept;
+  }
+
+  dropped.push(jsonPath || '(root)');
+  return undefined;
+};
+
+/**
+ * Keep the valid part of an .agentrc that failed validation, so one mistyped
+ * key does not discard the rules and security settings around it
+ * @param {*} value - Parsed config
+ * @returns {{ config: Object, dropped: string[] }|null} Valid part and the paths removed, or null when the root is not an object
+ */
+export const pruneInvalidAgentrc = (value) => {
+  const dropped = [];
+  const config = pruneValue(AGENTRC_SCHEMA, value, '', dropped);
+  return config === undefined ? null : { config, dropped };
+};
+
+/**
+ * Parse JSON text while recording the line/column of every key and value.
+ * Syntax errors carry line and column instead of a raw character offset.
+ * @param {string} text - JSON source
+ * @param {Object} [options] - { allowComments } to accept JSONC // and /* *\/ comments
+ * @returns {{ value: *, locations: Map<string, Object> }} Parsed value and locations
+ */
+export const parseJsonWithLocations = (text, { allowComments = false } = {}) => {
+  const locations = new Map();
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const position = () => ({ line, column });
+
+  const fail = (expected) => {
+    const found = index >= text.length ? 'end of input' : `'${text[index]}'`;
+    const error = new Error(`Unexpected ${found} at line ${line}, column ${column} (expected ${expected})`);
+    error.line = line;
+    error.column = column;
+    error.expected = expected;
+    throw error;
+  };
+
+  const advance = () => {
+    if (text[index] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    index++;
+  };
+
+  const skipWhitespace = () => {
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        advance();
+      } else if (allowComments && text.startsWith('//', index)) {
+        while (index < text.length && text[index] !== '\n') advance();
+      } else if (allowComments && text.startsWith('/*', index)) {
+        advance();
+        advance();
+        while (index < text.length && !text.startsWith('*/', index)) advance();
+        if (index >= text.length) fail("'*/' to close the comment");
+        advance();
+        advance();
+      } else {
+        break;
+      }
+    }
+  };
+
+  const expectChar = (char, expected) => {
+    if (text[index] !== char) fail(expected);
+    advance();
+  };
+
+  const parseString = () => {
+    expectChar('"', 'a string');
+    let result = '';
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === '\n') fail('closing quote');
+      if (text[index] === '\\') {
+        advance();
+        const escape = text[index];
+        const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        if (escape in simple) {
+          result += simple[escape];
+          advance();
+        } else if (escape === 'u') {
+          advance();
+          const hex = text.slice(index, index + 4);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('four hex digits');
+          result += String.fromCharCode(parseInt(hex, 16));
+          for (let i = 0; i < 4; i++) advance();
+        } else {
+          fail('a valid escape sequence');
+        }
+        continue;
+      }
+      result += text[index];
+      advance();
+    }
+    expectChar('"', 'closing quote');
+    return result;
+  };
+
+  const parseLiteral = () => {
+    const match = text.slice(index).match(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    if (!match) fail('a value');
+    for (let i = 0; i < match[0].length; i++) advance();
+    if (match[0] === 'true') return true;
+    if (match[0] === 'false') return false;
+    if (match[0] === 'null') return null;
+    return Number(match[0]);
+  };
+
+  const parseValue = (jsonPath) => {
+    skipWhitespace();
+    const start = position();
+    const existing = locations.get(jsonPath);
+    locations.set(jsonPath, { ...existing, ...start });
+
+    switch (text[index]) {
+      case '{': {
+        advance();
+        const result = {};
+        skipWhitespace();
+        if (text[index] === '}') {
+          advance();
+          return result;
+        }
+        while (true) {
+          skipWhitespace();
+          if (text[index] !== '"') fail('a property name in double quotes');
+          const keyStart = position();
+          const key = parseString();
+          const propertyPath = joinPath(jsonPath, key);
+          locations.set(propertyPath, { key: keyStart });
+          skipWhitespace();
+          expectChar(':', "':' after property name");
+          result[key] = parseValue(propertyPath);
+          skipWhitespace();
+          if (text[index] === ',') {
+            advance();
+            skipWhitespace();
+            if (text[index] === '}') fail('another property after trailing comma');
+            continue;
+          }
+          expectChar('}', "',' or '}'");
+          return result;
+        }
+      }
+
+      case '[': {
+        advance();
+        const result = [];
+        skipWhitespace();
+        if (text[index] === ']') {
+          advance();
+          return result;
+        }
+        while (true) {
+          result.push(parseValue(joinPath(jsonPath, result.length)));
+          skipWhitespace();
+          if (text[index] === ',') {
+            advance();
+            skipWhitespace();
+            if (text[index] === ']') fail('another value after trailing comma');
+            continue;
+          }
+          expectChar(']', "',' or ']'");
+          return result;
+        }
+      }
+
+      case '"':
+        return parseString();
+
+      default:
+        return parseLiteral();
+    }
+  };
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (index < text.length) fail('end of input');
+
+  return { value, locations };
+};
+
+/**
+ * Validate a parsed .agentrc value against the schema
+ * @param {*} config - Parsed config
+ * @param {Map<string, Object>} [locations] - Locations from parseJsonWithLocations
+ * @returns {Array<Object>} Issues with severity, path, message, line and column
+ */
+export const validateAgentrcSchema = (config, locations = new Map()) => {
+  const issues = [];
+  checkValue(AGENTRC_SCHEMA, config, '', issues);
+
+  return issues.map(issue => {
+    const location = locations.get(issue.path);
+    const point = issue.key ? location?.key : location;
+    return {
+      ...issue,
+      path: issue.path || '(root)',
+      line: point?.line ?? null,
+      column: point?.column ?? null
+    };
+  });
+};
+
+/**
+ * Format an issue as "file:line:column path - message"
+ * @param {Object} issue - Validation or syntax issue
+ * @param {string} [filePath] - Source file path
+ * @returns {string} Formatted issue
+ */
+export const formatSchemaIssue = (issue, filePath = '.agentrc') => {
+  const where = issue.line ? `${filePath}:${issue.line}:${issue.column}` : filePath;
+  return `${where} ${issue.path} - ${issue.message}`;
+};
+
+/**
+ * Validate an already parsed .agentrc value.
+ * Throws an Error whose `issues` property lists every problem found.
+ * @param {*} value - Parsed config
+ * @param {Map<string, Object>} [locations] - Value locations, when known
+ * @param {string} [filePath] - Source path used in messages
+ * @returns {{ config: Object, warnings: Array<Object> }} Valid config and non-fatal issues
+ */
+export const validateAgentrc = (value, locations = new Map(), filePath = '.agentrc') => {
+  const issues = validateAgentrcSchema(value, locations);
+  const errors = issues.filter(issue => issue.severity === 'error');
+  if (errors.length > 0) {
+    const validationError = new Error(
+      `Invalid .agentrc (${errors.length} error${errors.length === 1 ? '' : 's'}):\n` +
+      errors.map(issue => `  ${formatSchemaIssue(issue, filePath)}`).join('\n')
+    );
+    validationError.issues = issues;
+    validationError.filePath = filePath;
+    validationError.value = value;
+    throw validationError;
+  }
+
+  return { config: value, warnings: issues };
+};
+
+/**
+ * Parse and validate .agentrc source text.
+ * JSON is read as JSONC (comments allowed); YAML uses the bundled YAML parser.
+ * Throws an Error whose `issues` property lists every problem found.
+ * @param {string} content - Raw file content
+ * @param {string} [filePath] - Source path used in messages
+ * @param {Object} [options] - { format: 'json' | 'yaml' }
+ * @returns {{ config: Object, warnings: Array<Object> }} Valid config and non-fatal issues
+ */
+export const parseAgentrc = (content, filePath = '.agentrc', { format = 'json' } = {}) => {
+  let parsed;
+  try {
+    parsed = format === 'yaml'
+      ? parseYamlWithLocations(content)
+      : parseJsonWithLocations(content, { allowComments: true });
+  } catch (error) {
+    const issue = {
+      severity: 'error',
+      path: '(syntax)',
+      message: `invalid ${format === 'yaml' ? 'YAML' : 'JSON'}: expected ${error.expected}`,
+      line: error.line,
+      column: error.column
+    };
+    const syntaxError = new Error(`Invalid .agentrc: ${formatSchemaIssue(issue, filePath)}`);
+    syntaxError.issues = [issue];
+    syntaxError.filePath = filePath;
+    throw syntaxError;
+  }
+
+  return validateAgentrc(parsed.value, parsed.locations, filePath);
+};
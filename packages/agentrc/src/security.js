@@ -0,0 +1,526 @@
+/**
+ * File Access Policies for Kuuzuki
+ *
+ * Applies the .agentrc `security.sensitiveFiles` and `security.restrictedPaths`
+ * glob lists to every file tool. Within a list the last matching pattern wins,
+ * so "!pattern" re-allows paths matched earlier; across lists the strictest
+ * mode wins. Sensitive files default to "deny", restricted paths to "warn",
+ * and `security.modes` overrides the mode of individual patterns.
+ *
+ * Bash commands are checked against `security.commands` allow/deny lists and
+ * a set of built-in checks for destructive commands.
+ */
+
+import path from 'path';
+import {
+  globToRegExp,
+  matchesGlob,
+  isAbsolutePattern
+} from './glob.js';
+
+/**
+ * Tools whose arguments name files or directories
+ */
+export const FILE_TOOLS = ['read', 'write', 'edit', 'grep', 'glob', 'list'];
+
+/**
+ * Policy modes ordered from most to least permissive
+ */
+export const POLICY_MODES = ['warn', 'ask', 'deny'];
+
+/**
+ * Default mode of each security list
+ */
+const LIST_MODES = {
+  sensitiveFiles: 'deny',
+  restrictedPaths: 'warn'
+};
+
+/**
+ * Resolve a tool path against the project root
+ */
+const resolveToolPath = (projectRoot, filePath) =>
+  path.resolve(projectRoot, String(filePath).replace(/^~(?=$|\/)/, process.env.HOME || '~'));
+
+/**
+ * Paths a file tool call touches. Search tools contribute their search root
+ * and their file pattern, so a glob for `*.pem` is checked like a .pem file.
+ * @param {string} tool - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {string} projectRoot - Project root
+ * @returns {string[]} Absolute paths (or path patterns) to check
+ */
+export const getToolPaths = (tool, args = {}, projectRoot) => {
+  switch (tool) {
+    case 'read':
+    case 'write':
+    case 'edit':
+      return args.filePath ? [resolveToolPath(projectRoot, args.filePath)] : [];
+    case 'list':
+      return [resolveToolPath(projectRoot, args.path || projectRoot)];
+    case 'grep':
+    case 'glob': {
+      const searchRoot = resolveToolPath(projectRoot, args.path || projectRoot);
+      const filePattern = tool === 'grep' ? args.include : args.pattern;
+      return filePattern ? [searchRoot, path.join(searchRoot, filePattern)] : [searchRoot];
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Create a file access policy from an .agentrc security section
+ * @param {Object} [security] - `security` section of the merged config
+ * @param {string} projectRoot - Project root that relative patterns are anchored to
+ * @returns {Object} Policy with check, evaluate and filterOutput
+ */
+export const createFileAccessPolicy = (security = {}, projectRoot) => {
+  const modes = security?.modes || {};
+  const lists = Object.entries(LIST_MODES).map(([list, defaultMode]) => ({
+    list,
+    patterns: (security?.[list] || []).map(entry => {
+      const negated = entry.startsWith('!');
+      const pattern = negated ? entry.slice(1) : entry;
+      return { pattern, negated, mode: modes[entry] || modes[pattern] || defaultMode };
+    })
+  }));
+
+  /**
+   * Match one absolute path against every list
+   * @returns {Object|null} Strictest match: { mode, pattern, list, path }
+   */
+  const check = (absolutePath) => {
+    const relativePath = path.relative(projectRoot, absolutePath);
+    const insideRoot = !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    let strictest = null;
+
+    for (const { list, patterns } of lists) {
+      let match = null;
+      for (const entry of patterns) {
+        // Anchored patterns never match the absolute path of a file outside the project
+        const candidate = isAbsolutePattern(entry.pattern) || !insideRoot ? absolutePath : relativePath;
+        if (matchesGlob(candidate, entry.pattern)) {
+          match = entry.negated ? null : { mode: entry.mode, pattern: entry.pattern, list, path: absolutePath };
+        }
+      }
+      if (match && (!strictest || POLICY_MODES.indexOf(match.mode) > POLICY_MODES.indexOf(strictest.mode))) {
+        strictest = match;
+      }
+    }
+    return strictest;
+  };
+
+  /**
+   * Evaluate a tool call
+   * @param {string} tool - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Object|null} Strictest match across the paths the call touches
+   */
+  const evaluate = (tool, args) => {
+    if (!FILE_TOOLS.includes(tool)) return null;
+    return getToolPaths(tool, args, projectRoot)
+      .map(check)
+      .filter(Boolean)
+      .reduce((strictest, match) =>
+        !strictest || POLICY_MODES.indexOf(match.mode) > POLICY_MODES.indexOf(strictest.mode) ? match : strictest, null);
+  };
+
+  /**
+   * Drop lines naming denied files from grep/glob/list output. Each line is
+   * read as "path", "path:" or "path:line: text". OpenCode's grep puts a
+   * "path:" header above indented "Line N: text" matches, so the matches
+   * under a denied header are dropped with it.
+   * @param {string} output - Tool output
+   * @returns {{ output: string, removed: number }} Filtered output
+   */
+  const filterOutput = (output) => {
+    if (typeof output !== 'string') return { output, removed: 0 };
+    let removed = 0;
+    let underDeniedHeader = false;
+    const lines = output.split('\n').filter(line => {
+      if (/^\s+Line \d+:/.test(line)) return !underDeniedHeader;
+      underDeniedHeader = false;
+      const candidate = line.trim().replace(/^[-*]\s+/, '').replace(/:(\d+:.*)?$/, '');
+      if (!candidate || /\s{2,}/.test(candidate)) return true;
+      const match = check(resolveToolPath(projectRoot, candidate));
+      if (match?.mode === 'deny') {
+        removed++;
+        underDeniedHeader = line.trimEnd().endsWith(':');
+        return false;
+      }
+      return true;
+    });
+    return { output: lines.join('\n'), removed };
+  };
+
+  return { check, evaluate, filterOutput };
+};
+
+/**
+ * Branches `git push --force` may not target unless configured otherwise
+ */
+const DEFAULT_PROTECTED_BRANCHES = ['main', 'master'];
+
+/**
+ * Split a shell command into simple commands at unquoted `&&`, `||`, `;`,
+ * `|`, `&` and newlines. Each segment records the operator before it and
+ * where its text starts and ends in the command.
+ * @param {string} command - Shell command line
+ * @returns {Array<{ text: string, operator: string|null, start: number, end: number }>} Segments
+ */
+export const splitShellCommand = (command) => {
+  const segments = [];
+  let current = '';
+  let quote = null;
+  let operator = null;
+  let segmentStart = 0;
+
+  const push = (nextOperator, nextStart) => {
+    const text = current.trim();
+    if (text) {
+      const start = segmentStart + current.length - current.trimStart().length;
+      segments.push({ text, operator, start, end: start + text.length });
+    }
+    current = '';
+    operator = nextOperator;
+    segmentStart = nextStart;
+  };
+
+  for (let index = 0; index < command.length; index++) {
+    const char = command[index];
+    if (quote) {
+      current += char;
+      if (char === '\\' && quote === '"') current += command[++index] ?? '';
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === '\\') {
+      current += char + (command[++index] ?? '');
+    } else if (command.startsWith('&&', index) || command.startsWith('||', index)) {
+      push(command.slice(index, index + 2), index + 2);
+      index++;
+    } else if (char === '&' && (command[index - 1] === '>' || command[index + 1] === '>')) {
+      // Redirections such as 2>&1 and &>file
+      current += char;
+    } else if (char === ';' || char === '\n' || char === '&') {
+      push(';', index + 1);
+    } else if (char === '|') {
+      push('|', index + 1);
+    } else {
+      current += char;
+    }
+  }
+  push(null, command.length);
+  return segments;
+};
+
+/**
+ * Split a simple command into words, removing quotes
+ */
+const splitWords = (text) => (text.match(/(?:[^\s"']+|"(?:[^"\\]|\\.)*"|'[^']*')+/g) || [])
+  .map(word => word.replace(/^(["'])(.*)\1$/s, '$2'));
+
+/**
+ * Words of a simple command without `sudo`, `env`, `VAR=value` and similar prefixes
+ */
+const getCommandWords = (text) => {
+  const words = splitWords(text);
+  while (words.length > 0) {
+    if (['sudo', 'doas', 'env', 'nohup', 'time', 'exec', 'command'].includes(words[0])) {
+      words.shift();
+      while (words[0]?.startsWith('-')) words.shift();
+    } else if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0])) {
+      words.shift();
+    } else {
+      break;
+    }
+  }
+  return words;
+};
+
+/**
+ * Resolve a path argument, or return null when it depends on the environment
+ */
+const resolveShellPath = (word, cwd) => {
+  const home = process.env.HOME || '';
+  const expanded = word.replace(/^~(?=$|\/)/, home).replace(/^\$\{?HOME\}?(?=$|\/)/, home);
+  if (!cwd || /[$`]/.test(expanded)) return null;
+  // Globs are judged by their literal prefix ("/*" is "/")
+  const literal = expanded.split(/[*?[{]/)[0];
+  return path.resolve(cwd, literal || '.');
+};
+
+/**
+ * Whether `target` is `dir` or inside it
+ */
+const isWithin = (target, dir) => {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+/**
+ * Compile a security.commands entry: "/regex/flags" or a glob where `*`
+ * matches anything (including spaces and slashes)
+ */
+const compileCommandPattern = (pattern) => {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]);
+  const source = pattern.trim()
+    .split('')
+    .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^$()|\\{}[\]]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Branch names a `git push` updates. `null` stands for the current branch
+ * when it could not be determined.
+ */
+const getPushedBranches = (args, currentBranch) => {
+  if (args.includes('--all') || args.includes('--mirror')) return ['*'];
+  const refspecs = args.filter(arg => !arg.startsWith('-')).slice(1);
+  if (refspecs.length === 0) return [currentBranch];
+  return refspecs.map(refspec => {
+    const destination = refspec.replace(/^\+/, '').split(':').pop().replace(/^refs\/heads\//, '');
+    return destination === 'HEAD' ? currentBranch : destination;
+  });
+};
+
+/**
+ * Built-in checks for destructive commands. Each returns a description of
+ * what it found, or null.
+ */
+export const DANGEROUS_COMMAND_CHECKS = [
+  {
+    id: 'rm-outside-root',
+    description: 'recursive forced delete of the project root or a path outside it',
+    test: ({ segments, projectRoot }) => {
+      let cwd = projectRoot;
+      for (const { text } of segments) {
+        const [program, ...args] = getCommandWords(text);
+        if (program === 'cd') {
+          cwd = args[0] && args[0] !== '-' ? resolveShellPath(args[0], cwd) : (args[0] ? null : process.env.HOME);
+          continue;
+        }
+        if (path.basename(program || '') !== 'rm') continue;
+        const flags = args.filter(arg => arg.startsWith('-') && arg !== '--');
+        const recursive = flags.some(flag => flag === '--recursive' || /^-[a-zA-Z]*[rR]/.test(flag));
+        const force = flags.some(flag => flag === '--force' || /^-[a-zA-Z]*f/.test(flag));
+        if (!recursive || !force) continue;
+        for (const target of args.filter(arg => !arg.startsWith('-'))) {
+          const resolved = resolveShellPath(target, cwd);
+          if (!resolved || resolved === projectRoot || !isWithin(resolved, projectRoot)) {
+            return `rm -rf ${target}`;
+          }
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'pipe-to-shell',
+    description: 'downloaded script piped into a shell',
+    test: ({ command }) => {
+      const piped = command.match(/\b(curl|wget)\b[^|;&]*\|\s*(?:sudo\s+(?:-\S+\s+)*)?((?:ba|z|da|k|fi)?sh|python3?|node|perl|ruby)\b/);
+      if (piped) return `${piped[1]} | ${piped[2]}`;
+      const substituted = command.match(/\b((?:ba|z)?sh)\b[^|;&]*(?:<\(|\$\()\s*(curl|wget)\b/);
+      return substituted ? `${substituted[1]} <(${substituted[2]} ...)` : null;
+    }
+  },
+  {
+    id: 'force-push-protected',
+    description: 'force push to a protected branch',
+    test: ({ segments, protectedBranches, currentBranch }) => {
+      for (const { text } of segments) {
+        const words = getCommandWords(text);
+        if (words[0] !== 'git') continue;
+        const pushIndex = words.indexOf('push');
+        if (pushIndex === -1) continue;
+        const args = words.slice(pushIndex + 1);
+        const forced = args.some(arg => arg === '--force' || arg.startsWith('--force-with-lease') || /^-[a-z]*f[a-z]*$/.test(arg)) ||
+          args.filter(arg => !arg.startsWith('-')).slice(1).some(refspec => refspec.startsWith('+'));
+        if (!forced) continue;
+        for (const branch of getPushedBranches(args, currentBranch)) {
+          if (branch === null) return 'git push --force (current branch unknown)';
+          if (branch === '*' || protectedBranches.some(pattern => compileCommandPattern(pattern).test(branch))) {
+            return `git push --force to ${branch === '*' ? 'all branches' : branch}`;
+          }
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'chmod-777',
+    description: 'world-writable permissions',
+    test: ({ segments }) => {
+      for (const { text } of segments) {
+        const [program, ...args] = getCommandWords(text);
+        const mode = program === 'chmod' && args.find(arg => /^0?777$|^(a|ugo)?[+=]rwx$/.test(arg));
+        if (mode) return `chmod ${mode}`;
+      }
+      return null;
+    }
+  },
+  {
+    id: 'ssh-write',
+    description: 'write to ~/.ssh',
+    test: ({ segments, projectRoot }) => {
+      const sshDir = path.join(process.env.HOME || '~', '.ssh');
+      const inSsh = (word) => {
+        const resolved = resolveShellPath(word, projectRoot);
+        return resolved !== null && isWithin(resolved, sshDir);
+      };
+      for (const { text } of segments) {
+        for (const [, target] of text.matchAll(/(?:^|[^<&\d])\d?>>?\s*("[^"]*"|'[^']*'|[^\s;&|]+)/g)) {
+          if (inSsh(target.replace(/^(["'])(.*)\1$/, '$2'))) return `redirect to ${target}`;
+        }
+        const [program, ...args] = getCommandWords(text);
+        const operands = args.filter(arg => !arg.startsWith('-') && !arg.startsWith('>'));
+        let targets = [];
+        if (['cp', 'ln', 'install', 'rsync', 'scp'].includes(program)) targets = operands.slice(-1);
+        else if (['mv', 'rm', 'tee', 'touch', 'chmod', 'chown', 'truncate', 'mkdir'].includes(program)) targets = operands;
+        else if (program === 'sed' && args.some(arg => /^-[a-zA-Z]*i/.test(arg) || arg.startsWith('--in-place'))) targets = operands;
+        else if (program === 'dd') targets = args.filter(arg => arg.startsWith('of=')).map(arg => arg.slice(3));
+        const target = targets.find(inSsh);
+        if (target) return `${program} ${target}`;
+      }
+      return null;
+    }
+  }
+];
+
+/**
+ * Create a bash command policy from `security.commands`
+ * @param {Object} [commandsConfig] - { allow, deny, unlisted, dangerous, protectedBranches }
+ * @param {string} projectRoot - Project root, the boundary for `rm -rf`
+ * @returns {Object} Policy with evaluate and the errors found in the config
+ */
+export const createCommandPolicy = (commandsConfig = {}, projectRoot) => {
+  const errors = [];
+  const compileList = (list) => (commandsConfig?.[list] || []).flatMap(pattern => {
+    try {
+      return [{ pattern, regex: compileCommandPattern(pattern) }];
+    } catch (error) {
+      errors.push(`Invalid security.commands.${list} pattern ${JSON.stringify(pattern)}: ${error.message}`);
+      return [];
+    }
+  });
+  const allow = compileList('allow');
+  const deny = compileList('deny');
+  const unlistedMode = commandsConfig?.unlisted || 'deny';
+  // Built-in checks can misfire (an unresolvable path, an unknown branch), so
+  // they only ask unless the .agentrc says to deny
+  const dangerous = commandsConfig?.dangerous ?? 'ask';
+  const protectedBranches = commandsConfig?.protectedBranches || DEFAULT_PROTECTED_BRANCHES;
+
+  const strictest = (matches) => matches.reduce((result, match) =>
+    !result || POLICY_MODES.indexOf(match.mode) > POLICY_MODES.indexOf(result.mode) ? match : result, null);
+
+  /**
+   * Strictest match for a single command line
+   */
+  const evaluateCommand = (command, currentBranch) => {
+    if (typeof command !== 'string' || !command.trim()) return null;
+    const segments = splitShellCommand(command);
+    const texts = [command.trim(), ...segments.map(segment => segment.text)];
+    const matches = [];
+
+    const denied = deny.find(({ regex }) => texts.some(text => regex.test(text)));
+    if (denied) {
+      matches.push({ mode: 'deny', rule: `security.commands.deny pattern ${JSON.stringify(denied.pattern)}`, detail: command.trim() });
+    }
+
+    // Every simple command must be allowed, so "npm *" does not cover "npm test && make deploy"
+    const unlisted = allow.length > 0 && segments.find(({ text }) => !allow.some(({ regex }) => regex.test(text)));
+    if (unlisted) {
+      matches.push({ mode: unlistedMode, rule: 'security.commands.allow (command is not on the allow list)', detail: unlisted.text });
+    }
+
+    for (const check of DANGEROUS_COMMAND_CHECKS) {
+      const mode = typeof dangerous === 'string' ? dangerous : (dangerous[check.id] || 'ask');
+      if (mode === 'off') continue;
+      const detail = check.test({ command, segments, projectRoot, protectedBranches, currentBranch });
+      if (detail) matches.push({ mode, rule: `dangerous pattern "${check.id}" (${check.description})`, detail });
+    }
+
+    return strictest(matches);
+  };
+
+  /**
+   * Evaluate a bash command. When the command was rewritten (an alias or a
+   * package manager translation), the command as typed is checked too and
+   * the stricter verdict wins, so rules written against either apply
+   * @param {string} command - Command line about to run
+   * @param {Object} [context] - { currentBranch } for force-push checks, and
+   *   { original } for the command before it was rewritten
+   * @returns {Object|null} Strictest match: { mode, rule, detail }
+   */
+  const evaluate = (command, { currentBranch = null, original = null } = {}) => {
+    const verdicts = [evaluateCommand(command, currentBranch)];
+    if (typeof original === 'string' && original.trim() !== String(command).trim()) {
+      verdicts.push(evaluateCommand(original, currentBranch));
+    }
+    return strictest(verdicts.filter(Boolean));
+  };
+
+  return { evaluate, errors };
+};
+
+/**
+ * Find security patterns that can never take effect: empty or invalid
+ * patterns, file patterns that climb out of the project with "..", negations
+ * with nothing earlier to re-allow, and `modes` entries that name no pattern.
+ * @param {Object} [security] - `security` section of the merged config
+ * @returns {Array<{ path: string, pattern: string, reason: string }>} Problems, in config order
+ */
+export const findUnmatchablePatterns = (security = {}) => {
+  const problems = [];
+  const filePatterns = new Set();
+
+  for (const list of Object.keys(LIST_MODES)) {
+    let hasPositive = false;
+    (security?.[list] || []).forEach((entry, index) => {
+      const report = (reason) => problems.push({ path: `security.${list}[${index}]`, pattern: entry, reason });
+      const negated = entry.startsWith('!');
+      const pattern = negated ? entry.slice(1) : entry;
+      filePatterns.add(entry);
+      filePatterns.add(pattern);
+      if (!pattern.trim()) return report('is empty');
+      try {
+        globToRegExp(pattern);
+      } catch (error) {
+        return report(`is not a valid pattern (${error.message})`);
+      }
+      // Paths inside the project never start with "..", and paths outside it are matched absolutely
+      if (!isAbsolutePattern(pattern) && pattern.replace(/\\/g, '/').split('/').includes('..')) {
+        return report('points outside the project with "..", but paths outside the project only match absolute "~/" patterns');
+      }
+      if (negated && !hasPositive) return report('re-allows paths, but no earlier pattern in the list matches anything to re-allow');
+      if (!negated) hasPositive = true;
+    });
+  }
+
+  for (const key of Object.keys(security?.modes || {})) {
+    if (!filePatterns.has(key)) {
+      problems.push({ path: `security.modes.${key}`, pattern: key, reason: 'names no pattern in sensitiveFiles or restrictedPaths' });
+    }
+  }
+
+  for (const list of ['allow', 'deny']) {
+    (security?.commands?.[list] || []).forEach((pattern, index) => {
+      const report = (reason) => problems.push({ path: `security.commands.${list}[${index}]`, pattern, reason });
+      if (!pattern.trim()) return report('is empty');
+      try {
+        compileCommandPattern(pattern);
+      } catch (error) {
+        report(`is not a valid pattern (${error.message})`);
+      }
+    });
+  }
+  return problems;
+};
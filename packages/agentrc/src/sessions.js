@@ -0,0 +1,177 @@
+/**
+ * Session Notes for Kuuzuki
+ *
+ * Remembers what happened in earlier sessions of a project so the next one
+ * can pick up where the last left off. Notes are kept outside the project,
+ * under OpenCode's data path, one JSONL file per project:
+ *
+ *   <data>/kuuzuki/sessions/<project>-<hash>.jsonl
+ *
+ * Each line is one note: { sessionId, timestamp, type, ... } where type is
+ * "start", "end", "file" (path, tool), "command" (command), "failure"
+ * (message, command?) or "rule" (text). Notes are appended as they happen,
+ * so a session that crashes still leaves its notes behind.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { writeFileAtomic } from './config.js';
+import { hashText, appendJsonLine, readJsonLines } from './store.js';
+
+/**
+ * How many sessions are kept when old notes are pruned automatically
+ */
+export const MAX_STORED_SESSIONS = 50;
+
+/**
+ * File or command lists longer than this are shortened in summaries
+ */
+const SUMMARY_ITEMS = 5;
+
+/**
+ * Name of a project's notes file: readable, and unique per project root
+ */
+const getProjectStoreName = (projectRoot) => {
+  const name = path.basename(path.resolve(projectRoot)).replace(/[^a-zA-Z0-9._-]+/g, '-') || 'root';
+  return `${name}-${hashText(path.resolve(projectRoot))}.jsonl`;
+};
+
+/**
+ * Where the session notes of a project live
+ * @param {string} dataPath - OpenCode data directory (app.path.data)
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Notes file, or null without a data directory
+ */
+export const getSessionStorePath = (dataPath, projectRoot) =>
+  dataPath ? path.join(dataPath, 'kuuzuki', 'sessions', getProjectStoreName(projectRoot)) : null;
+
+/**
+ * Append a note
+ * @param {string} storePath - Notes file
+ * @param {Object} note - { sessionId, type, ... }
+ * @returns {Promise<Object>} The note as written, with its timestamp
+ */
+export const appendSessionNote = async (storePath, note) => {
+  return appendJsonLine(storePath, { timestamp: new Date().toISOString(), ...note });
+};
+
+/**
+ * Read every note. Lines that do not parse are skipped.
+ * @param {string} storePath - Notes file
+ * @returns {Promise<Array<Object>>} Notes, oldest first
+ */
+export const readSessionNotes = (storePath) => readJsonLines(storePath);
+
+/**
+ * Group notes into sessions
+ * @param {Array<Object>} notes - Notes, oldest first
+ * @returns {Array<Object>} { sessionId, startedAt, endedAt, filesRead, filesEdited, commands, failures, rulesAdded }, newest first
+ */
+export const summarizeSessions = (notes) => {
+  const sessions = new Map();
+  for (const note of notes) {
+    if (!sessions.has(note.sessionId)) {
+      sessions.set(note.sessionId, {
+        sessionId: note.sessionId,
+        startedAt: note.timestamp,
+        endedAt: null,
+        lastActivity: note.timestamp,
+        filesRead: [],
+        filesEdited: [],
+        commands: [],
+        failures: [],
+        rulesAdded: []
+      });
+    }
+    const session = sessions.get(note.sessionId);
+    session.lastActivity = note.timestamp;
+    const addUnique = (list, value) => {
+      if (value && !list.includes(value)) list.push(value);
+    };
+    switch (note.type) {
+      case 'end':
+        session.endedAt = note.timestamp;
+        break;
+      case 'file':
+        addUnique(note.tool === 'read' ? session.filesRead : session.filesEdited, note.path);
+        break;
+      case 'command':
+        addUnique(session.commands, note.command);
+        break;
+      case 'failure':
+        session.failures.push(note.command ? `${note.command}: ${note.message}` : note.message);
+        break;
+      case 'rule':
+        addUnique(session.rulesAdded, note.text);
+        break;
+    }
+  }
+  // A file that was edited does not also need listing as read
+  for (const session of sessions.values()) {
+    session.filesRead = session.filesRead.filter(file => !session.filesEdited.includes(file));
+  }
+  return [...sessions.values()].sort((a, b) => (a.lastActivity < b.lastActivity ? 1 : a.lastActivity > b.lastActivity ? -1 : 0));
+};
+
+/**
+ * Shorten a list for a summary line
+ */
+const listSummaryItems = (items) =>
+  `${items.slice(0, SUMMARY_ITEMS).join(', ')}${items.length > SUMMARY_ITEMS ? ` (+${items.length - SUMMARY_ITEMS} more)` : ''}`;
+
+/**
+ * Describe sessions, one block per session
+ * @param {Array<Object>} sessions - Output of summarizeSessions
+ * @returns {Array<string>} Lines such as "2024-05-01 09:30 (25 min): 3 files edited, 2 commands"
+ */
+export const describeSessions = (sessions) => sessions.flatMap(session => {
+  const started = new Date(session.startedAt);
+  const minutes = Math.round((new Date(session.endedAt || session.lastActivity) - started) / 60000);
+  const counts = [
+    session.filesEdited.length > 0 && `${session.filesEdited.length} file(s) edited`,
+    session.filesRead.length > 0 && `${session.filesRead.length} read`,
+    session.commands.length > 0 && `${session.commands.length} command(s)`,
+    session.failures.length > 0 && `${session.failures.length} failure(s)`,
+    session.rulesAdded.length > 0 && `${session.rulesAdded.length} rule(s) added`
+  ].filter(Boolean);
+  return [
+    `${session.startedAt.slice(0, 16).replace('T', ' ')} (${minutes} min${session.endedAt ? '' : ', did not end cleanly'}): ${counts.join(', ') || 'nothing recorded'}`,
+    ...(session.filesEdited.length > 0 ? [`  Edited: ${listSummaryItems(session.filesEdited)}`] : []),
+    ...(session.commands.length > 0 ? [`  Ran: ${listSummaryItems(session.commands)}`] : []),
+    ...(session.failures.length > 0 ? [`  Failed: ${listSummaryItems(session.failures)}`] : []),
+    ...(session.rulesAdded.length > 0 ? [`  Rules added: ${listSummaryItems(session.rulesAdded)}`] : [])
+  ];
+});
+
+/**
+ * Drop old sessions
+ * @param {string} storePath - Notes file
+ * @param {Object} options - { keep: number of newest sessions to keep, olderThanDays: drop sessions inactive this long }
+ * @returns {Promise<{ removed: number, kept: number }>} Sessions removed and kept
+ */
+export const pruneSessionNotes = async (storePath, { keep, olderThanDays } = {}) => {
+  const notes = await readSessionNotes(storePath);
+  const sessions = summarizeSessions(notes);
+  const cutoff = olderThanDays !== undefined ? new Date(Date.now() - olderThanDays * 86400000).toISOString() : null;
+  const kept = new Set(
+    sessions
+      .filter((session, index) => (keep === undefined || index < keep) && (!cutoff || session.lastActivity >= cutoff))
+      .map(session => session.sessionId)
+  );
+  if (kept.size < sessions.length) {
+    const remaining = notes.filter(note => kept.has(note.sessionId));
+    await writeFileAtomic(storePath, remaining.map(note => `${JSON.stringify(note)}\n`).join(''));
+  }
+  return { removed: sessions.length - kept.size, kept: kept.size };
+};
+
+/**
+ * Delete every note of a project
+ * @param {string} storePath - Notes file
+ * @returns {Promise<number>} Sessions removed
+ */
+export const clearSessionNotes = async (storePath) => {
+  const sessions = summarizeSessions(await readSessionNotes(storePath));
+  await fs.rm(storePath, { force: true });
+  return sessions.length;
+};
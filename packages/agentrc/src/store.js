@@ -0,0 +1,83 @@
+/**
+ * Local Data Files for Kuuzuki
+ *
+ * Helpers shared by the append-only JSON Lines files (rule journal, usage
+ * analytics, session notes) and by anything that needs a short stable hash.
+ * The journal and analytics live in <project>/.kuuzuki/, which ignores
+ * itself in git.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * Stable 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {string} Eight hex digits
+ */
+export const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (const char of text) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+/**
+ * Directories that already have their .gitignore, so it is written once per process
+ */
+const ignoredDirs = new Set();
+
+/**
+ * Create a directory inside a project that git ignores by itself: it gets a
+ * `.gitignore` of its own, so no project needs an entry for it
+ * @param {string} dir - Directory such as <project>/.kuuzuki
+ */
+export const ensureIgnoredDir = async (dir) => {
+  if (ignoredDirs.has(dir)) return;
+  await fs.mkdir(dir, { recursive: true });
+  try {
+    await fs.writeFile(path.join(dir, '.gitignore'), '# Written by kuuzuki: local data, not for version control\n*\n', { flag: 'wx' });
+  } catch (error) {
+    // An existing .gitignore is left as the user has it
+    if (error.code !== 'EEXIST') throw error;
+  }
+  ignoredDirs.add(dir);
+};
+
+/**
+ * Append one entry as a line, creating the file and its directory
+ * @param {string} filePath - JSON Lines file
+ * @param {Object} entry - Entry to write
+ * @returns {Promise<Object>} The entry
+ */
+export const appendJsonLine = async (filePath, entry) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`, 'utf-8');
+  return entry;
+};
+
+/**
+ * Read every entry of a JSON Lines file. Lines that do not parse (an
+ * interrupted write) are skipped so one bad line cannot hide the rest.
+ * @param {string} filePath - JSON Lines file
+ * @returns {Promise<Array<Object>>} Entries, oldest first; none when the file is missing
+ */
+export const readJsonLines = async (filePath) => {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return content.split('\n').flatMap(line => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+};
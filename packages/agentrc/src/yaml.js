@@ -0,0 +1,435 @@
+/**
+ * Minimal YAML Support for Kuuzuki
+ *
+ * Parses and writes the YAML subset used by .agentrc.yaml files without a
+ * dependency: block mappings and sequences, flow collections, plain and
+ * quoted scalars, block scalars (| and >) and comments. Like the JSON parser
+ * in schema.js it records the line/column of every key and value.
+ */
+
+/**
+ * Build a JSON path string matching schema.js ("security.restrictedPaths[2]")
+ */
+const joinYamlPath = (base, segment) => {
+  if (typeof segment === 'number') return `${base}[${segment}]`;
+  const key = /^[A-Za-z_$][\w$-]*$/.test(segment) ? segment : JSON.stringify(segment);
+  if (!base) return key;
+  return /^[A-Za-z_$]/.test(key) ? `${base}.${key}` : `${base}[${key}]`;
+};
+
+/**
+ * Create a syntax error carrying line/column like parseJsonWithLocations
+ */
+const yamlError = (message, line, column, expected) => {
+  const error = new Error(`${message} at line ${line}, column ${column}`);
+  error.line = line;
+  error.column = column;
+  error.expected = expected;
+  return error;
+};
+
+/**
+ * Strip a trailing comment that is not inside quotes
+ */
+const stripComment = (text) => {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+};
+
+/**
+ * Find the "key: value" separator outside quotes and flow collections
+ * @returns {number} Index of the colon, or -1
+ */
+const findMappingColon = (text) => {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      if (i === 0 || /[\s[{,]/.test(text[i - 1])) quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ':' && depth === 0 && (i === text.length - 1 || /\s/.test(text[i + 1]))) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Convert a plain (unquoted) scalar to its YAML 1.2 core schema value
+ */
+const plainScalar = (text) => {
+  if (/^(null|Null|NULL|~)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+};
+
+/**
+ * Parse an inline value: quoted scalar, flow collection or plain scalar
+ * @param {string} text - Inline text
+ * @param {number} line - Line number of the text
+ * @param {number} column - Column of the first character
+ * @param {string} jsonPath - Path of the value
+ * @param {Map} locations - Location map, mutated
+ */
+const parseInline = (text, line, column, jsonPath, locations) => {
+  let index = 0;
+
+  const fail = (expected) => {
+    throw yamlError(`Unexpected ${index >= text.length ? 'end of line' : `'${text[index]}'`}`, line, column + index, expected);
+  };
+  const skipSpaces = () => {
+    while (text[index] === ' ' || text[index] === '\t') index++;
+  };
+
+  const parseQuoted = () => {
+    const quote = text[index++];
+    let result = '';
+    while (index < text.length) {
+      const char = text[index];
+      if (quote === "'" && char === "'" && text[index + 1] === "'") {
+        result += "'";
+        index += 2;
+      } else if (char === quote) {
+        index++;
+        return result;
+      } else if (quote === '"' && char === '\\') {
+        const escape = text[index + 1];
+        const simple = { '"': '"', '\\': '\\', '/': '/', n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '0': '\0' };
+        if (escape in simple) {
+          result += simple[escape];
+          index += 2;
+        } else if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(index + 2, index + 6))) {
+          result += String.fromCharCode(parseInt(text.slice(index + 2, index + 6), 16));
+          index += 6;
+        } else {
+          fail('a valid escape sequence');
+        }
+      } else {
+        result += char;
+        index++;
+      }
+    }
+    return fail('closing quote');
+  };
+
+  const parseValue = (valuePath, inFlow) => {
+    skipSpaces();
+    locations.set(valuePath, { ...locations.get(valuePath), line, column: column + index });
+    const char = text[index];
+
+    if (char === '"' || char === "'") return parseQuoted();
+
+    if (char === '[') {
+      index++;
+      const result = [];
+      skipSpaces();
+      if (text[index] === ']') {
+        index++;
+        return result;
+      }
+      while (true) {
+        result.push(parseValue(joinYamlPath(valuePath, result.length), true));
+        skipSpaces();
+        if (text[index] === ',') {
+          index++;
+          skipSpaces();
+          if (text[index] === ']') {
+            index++;
+            return result;
+          }
+          continue;
+        }
+        if (text[index] === ']') {
+          index++;
+          return result;
+        }
+        return fail("',' or ']'");
+      }
+    }
+
+    if (char === '{') {
+      index++;
+      const result = {};
+      skipSpaces();
+      if (text[index] === '}') {
+        index++;
+        return result;
+      }
+      while (true) {
+        skipSpaces();
+        const keyColumn = column + index;
+        const key = text[index] === '"' || text[index] === "'" ? parseQuoted() : (() => {
+          const match = text.slice(index).match(/^[^:,{}[\]]+/);
+          if (!match) fail('a key');
+          index += match[0].length;
+          return match[0].trim();
+        })();
+        skipSpaces();
+        if (text[index] !== ':') fail("':' after key");
+        index++;
+        const propertyPath = joinYamlPath(valuePath, key);
+        locations.set(propertyPath, { key: { line, column: keyColumn } });
+        result[key] = parseValue(propertyPath, true);
+        skipSpaces();
+        if (text[index] === ',') {
+          index++;
+          skipSpaces();
+          if (text[index] === '}') {
+            index++;
+            return result;
+          }
+          continue;
+        }
+        if (text[index] === '}') {
+          index++;
+          return result;
+        }
+        return fail("',' or '}'");
+      }
+    }
+
+    // Plain scalar: runs to the end of the line, or to the next flow delimiter
+    const match = text.slice(index).match(inFlow ? /^[^,\]}]*/ : /^.*/);
+    index += match[0].length;
+    return plainScalar(match[0].trim());
+  };
+
+  const value = parseValue(jsonPath, false);
+  skipSpaces();
+  if (index < text.length) fail('end of value');
+  return value;
+};
+
+/**
+ * Parse YAML text while recording the line/column of every key and value
+ * @param {string} text - YAML source
+ * @returns {{ value: *, locations: Map<string, Object> }} Parsed value and locations
+ */
+export const parseYamlWithLocations = (text) => {
+  const locations = new Map();
+  const lines = text.split(/\r?\n/).map((raw, index) => {
+    if (/^\s*\t/.test(raw)) {
+      throw yamlError('Tab indentation is not allowed', index + 1, raw.search(/\t/) + 1, 'spaces for indentation');
+    }
+    const content = stripComment(raw);
+    return {
+      number: index + 1,
+      raw,
+      indent: raw.length - raw.trimStart().length,
+      content: content.trim()
+    };
+  });
+
+  let position = 0;
+
+  const skipBlank = () => {
+    while (position < lines.length && (lines[position].content === '' || /^(---|\.\.\.)$/.test(lines[position].content))) {
+      position++;
+    }
+  };
+
+  /**
+   * Parse a | or > block scalar following the current line
+   */
+  const parseBlockScalar = (indicator, parentIndent) => {
+    const collected = [];
+    let blockIndent = null;
+    while (position < lines.length) {
+      const { raw, indent } = lines[position];
+      if (raw.trim() === '') {
+        collected.push('');
+        position++;
+        continue;
+      }
+      if (indent <= parentIndent) break;
+      if (blockIndent === null) blockIndent = indent;
+      collected.push(raw.slice(Math.min(blockIndent, indent)));
+      position++;
+    }
+    while (collected.length > 0 && collected[collected.length - 1] === '') collected.pop();
+
+    const keepNewline = !indicator.includes('-');
+    const body = indicator.startsWith('>')
+      ? collected.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+      : collected.join('\n');
+    return keepNewline && body ? `${body}\n` : body;
+  };
+
+  /**
+   * Parse the value after "key:" or "- " on the current line, or the nested block below it
+   */
+  const parseNodeValue = (inlineText, inlineColumn, line, parentIndent, jsonPath) => {
+    if (/^[|>][-+]?$/.test(inlineText)) {
+      locations.set(jsonPath, { ...locations.get(jsonPath), line: line.number, column: inlineColumn });
+      return parseBlockScalar(inlineText, parentIndent);
+    }
+    if (inlineText !== '') {
+      return parseInline(inlineText, line.number, inlineColumn, jsonPath, locations);
+    }
+
+    skipBlank();
+    const next = lines[position];
+    // A sequence may sit at the same indent as its parent key
+    if (next && (next.indent > parentIndent || (next.indent === parentIndent && /^-(\s|$)/.test(next.content)))) {
+      return parseBlock(next.indent, jsonPath);
+    }
+    locations.set(jsonPath, { ...locations.get(jsonPath), line: line.number, column: inlineColumn });
+    return null;
+  };
+
+  /**
+   * Parse a block mapping or sequence whose entries sit at `indent`
+   */
+  const parseBlock = (indent, jsonPath) => {
+    skipBlank();
+    const first = lines[position];
+    locations.set(jsonPath, { ...locations.get(jsonPath), line: first.number, column: first.indent + 1 });
+    const isSequence = /^-(\s|$)/.test(first.content);
+    const result = isSequence ? [] : {};
+
+    while (true) {
+      skipBlank();
+      const line = lines[position];
+      if (!line || line.indent < indent) break;
+      if (line.indent > indent) {
+        throw yamlError('Unexpected indentation', line.number, line.indent + 1, `indentation of ${indent} spaces`);
+      }
+
+      const entryIsSequence = /^-(\s|$)/.test(line.content);
+      // A sequence at its parent key's indent ends at the next key
+      if (isSequence && !entryIsSequence) break;
+      if (entryIsSequence !== isSequence) {
+        throw yamlError(`Unexpected ${entryIsSequence ? 'sequence item' : 'mapping key'}`, line.number, line.indent + 1,
+          isSequence ? "'- ' sequence item" : "'key: value' mapping entry");
+      }
+
+      if (isSequence) {
+        const itemPath = joinYamlPath(jsonPath, result.length);
+        const rest = line.content.slice(1).trimStart();
+        const restColumn = line.raw.indexOf(rest, line.indent + 1) + 1;
+
+        // "- key: value" and "- - item" start a collection nested in the item
+        if (/^-(\s|$)/.test(rest) || (rest && !/^["'[{]/.test(rest) && findMappingColon(rest) !== -1)) {
+          const nestedIndent = restColumn - 1;
+          lines[position] = { ...line, indent: nestedIndent, content: rest };
+          result.push(parseBlock(nestedIndent, itemPath));
+          continue;
+        }
+
+        position++;
+        result.push(parseNodeValue(rest, restColumn, line, indent, itemPath));
+        continue;
+      }
+
+      const colon = findMappingColon(line.content);
+      if (colon === -1) {
+        throw yamlError('Missing mapping separator', line.number, line.indent + line.content.length + 1, "':' after key");
+      }
+      const rawKey = line.content.slice(0, colon).trim();
+      const key = /^["']/.test(rawKey)
+        ? parseInline(rawKey, line.number, line.indent + 1, '', new Map())
+        : rawKey;
+      const propertyPath = joinYamlPath(jsonPath, String(key));
+      const valueText = line.content.slice(colon + 1).trim();
+      const valueColumn = valueText ? line.raw.indexOf(valueText, line.indent + colon + 1) + 1 : line.indent + colon + 2;
+
+      locations.set(propertyPath, { key: { line: line.number, column: line.indent + 1 } });
+      position++;
+      result[key] = parseNodeValue(valueText, valueColumn, line, indent, propertyPath);
+    }
+
+    return result;
+  };
+
+  skipBlank();
+  if (position >= lines.length) {
+    return { value: null, locations };
+  }
+
+  const first = lines[position];
+  const isBlock = /^-(\s|$)/.test(first.content) || findMappingColon(first.content) !== -1;
+  const value = isBlock
+    ? parseBlock(first.indent, '')
+    : (position++, parseInline(first.content, first.number, first.indent + 1, '', locations));
+
+  skipBlank();
+  if (position < lines.length) {
+    const line = lines[position];
+    throw yamlError('Unexpected content', line.number, line.indent + 1, 'end of document');
+  }
+
+  return { value, locations };
+};
+
+/**
+ * Quote a string when a plain scalar would be read back differently
+ */
+const formatYamlString = (value) => {
+  const needsQuotes = value === '' ||
+    plainScalar(value) !== value ||
+    /^[\s\-?:,[\]{}#&*!|>'"%@`]|[\s]$|: | #|[\n\t]/.test(value);
+  return needsQuotes ? JSON.stringify(value) : value;
+};
+
+const formatYamlKey = (key) => (/^[A-Za-z_][\w.-]*$/.test(key) ? key : JSON.stringify(key));
+
+/**
+ * Serialize a config value as block-style YAML
+ * @param {*} value - Value to serialize
+ * @param {number} [indentSize] - Spaces per level
+ * @returns {string} YAML text ending in a newline
+ */
+export const stringifyYaml = (value, indentSize = 2) => {
+  const scalar = (item) => {
+    if (item === null || item === undefined) return 'null';
+    if (typeof item === 'string') return formatYamlString(item);
+    return String(item);
+  };
+
+  const render = (item, depth) => {
+    const pad = ' '.repeat(depth * indentSize);
+
+    if (Array.isArray(item)) {
+      if (item.length === 0) return ' []';
+      return item.map(entry => {
+        if (entry && typeof entry === 'object' && Object.keys(entry).length > 0) {
+          // Nested collections start on the dash line
+          const nested = render(entry, depth + 1).replace(/^\n\s*/, '');
+          return `\n${pad}- ${nested}`;
+        }
+        return `\n${pad}-${render(entry, depth + 1)}`;
+      }).join('');
+    }
+
+    if (item && typeof item === 'object') {
+      const entries = Object.entries(item).filter(([, entry]) => entry !== undefined);
+      if (entries.length === 0) return ' {}';
+      return entries.map(([key, entry]) => `\n${pad}${formatYamlKey(key)}:${render(entry, depth + 1)}`).join('');
+    }
+
+    return ` ${scalar(item)}`;
+  };
+
+  if (value === null || typeof value !== 'object') return `${scalar(value)}\n`;
+  return `${render(value, 0).replace(/^\n/, '')}\n`;
+};
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for project analysis
+ *
+ * Checks that npm/yarn/bun workspaces, pnpm-workspace.yaml, lerna, nx and
+ * turbo repositories are recognised, that each package is analysed on its
+ * own, and that the generated .agentrc has a valid `workspaces` section.
+ * Also checks the Python, JVM, Ruby, PHP, .NET, Deno, Rust and Go detectors,
+ * Makefile and justfile targets, polyglot repositories, and that every
+ * framework is found with its role and drives type, rules and test commands.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeProject, createDefaultAgentrc } from '../src/analyze.js';
+import { validateAgentrcSchema } from '../src/schema.js';
+import { buildContextBlock } from '../src/context.js';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..');
+
+/**
+ * Write a tree of files; objects are written as JSON
+ */
+const writeTree = async (root, files) => {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.writeFile(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+};
+
+const quietLogger = { success: async () => {} };
+
+async function testAnalyze() {
+  console.log('🧪 Testing project analysis...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-analyze-'));
+
+  try {
+    console.log('🧪 Testing a single package...');
+    const single = path.join(tempDir, 'single');
+    await writeTree(single, { 'package.json': { name: 'single', scripts: { test: 'jest' }, devDependencies: { jest: '29' } } });
+    const singleAnalysis = await analyzeProject(single);
+    assert.strictEqual(singleAnalysis.type, 'node-project');
+    assert.strictEqual(singleAnalysis.workspaces, null);
+    assert.strictEqual((await createDefaultAgentrc(single, quietLogger)).workspaces, undefined);
+
+    console.log('🧪 Testing npm workspaces with lerna...');
+    const npmRepo = path.join(tempDir, 'npm-repo');
+    await writeTree(npmRepo, {
+      'package.json': { name: 'root', private: true, workspaces: ['packages/*', '!packages/legacy'], scripts: { test: 'npm test --workspaces' } },
+      'lerna.json': { packages: ['packages/*'], npmClient: 'npm' },
+      'packages/web/package.json': { name: '@acme/web', scripts: { build: 'vite build', test: 'vitest', 'type-check': 'tsc' }, dependencies: { react: '18' }, devDependencies: { vitest: '1', vite: '5' } },
+      'packages/web/tsconfig.json': '{}',
+      'packages/api/package.json': { name: '@acme/api', scripts: { test: 'jest', start: 'node .' }, dependencies: { express: '4' }, devDependencies: { jest: '29' } },
+      'packages/legacy/package.json': { name: '@acme/legacy' },
+      'packages/notes/README.md': '# not a package',
+      'packages/web/node_modules/dep/package.json': { name: 'dep' }
+    });
+    const npmAnalysis = await analyzeProject(npmRepo);
+    assert.strictEqual(npmAnalysis.type, 'monorepo');
+    // Without a lockfile, lerna's npmClient decides
+    assert.strictEqual(npmAnalysis.packageManager, 'npm');
+    assert.deepStrictEqual(npmAnalysis.workspaces.tools, ['npm', 'lerna']);
+    assert.deepStrictEqual(npmAnalysis.workspaces.packages.map(pkg => [pkg.name, pkg.path, pkg.framework, pkg.testFramework]), [
+      ['@acme/api', 'packages/api', 'express', 'jest'],
+      ['@acme/web', 'packages/web', 'react', 'vitest']
+    ]);
+    assert.strictEqual(npmAnalysis.language, 'typescript');
+
+    const config = await createDefaultAgentrc(npmRepo, quietLogger);
+    assert.deepStrictEqual(config.workspaces.packages['@acme/web'], {
+      path: 'packages/web',
+      language: 'typescript',
+      framework: 'react',
+      testing: 'vitest',
+      bundler: 'vite',
+      commands: {
+        build: 'npm run build --workspace=packages/web',
+        test: 'npm run test --workspace=packages/web',
+        typecheck: 'npm run type-check --workspace=packages/web'
+      }
+    });
+    assert.deepStrictEqual(config.workspaces.packages['@acme/api'].commands, {
+      test: 'npm run test --workspace=packages/api',
+      start: 'npm run start --workspace=packages/api'
+    });
+    assert.deepStrictEqual(config.project.structure.packages, ['packages/api', 'packages/web']);
+    assert.ok(config.rules.some(rule => rule.includes('monorepo')));
+    // Framework rules come from the packages too
+    assert.ok(config.rules.includes('Prefer functional components with hooks over class components'));
+    assert.ok(config.rules.some(rule => rule.includes('next()')));
+    assert.deepStrictEqual(validateAgentrcSchema(config), []);
+    assert.match(buildContextBlock(config), /Workspace packages:\n- packages\/api \(@acme\/api, express, jest\) - test: npm run test --workspace=packages\/api; start: /);
+
+    console.log('🧪 Testing pnpm, turbo, lerna and nx...');
+    const pnpmRepo = path.join(tempDir, 'pnpm-repo');
+    await writeTree(pnpmRepo, {
+      'package.json': { name: 'root', private: true },
+      'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - 'packages/**'\n",
+      'turbo.json': '{}',
+      'apps/site/package.json': { name: 'site', scripts: { dev: 'next dev' }, dependencies: { next: '14' } },
+      'packages/ui/button/package.json': { name: '@shop/button', scripts: { lint: 'eslint .' } }
+    });
+    const pnpmConfig = await createDefaultAgentrc(pnpmRepo, quietLogger);
+    assert.deepStrictEqual(pnpmConfig.workspaces.tools, ['pnpm', 'turbo']);
+    assert.deepStrictEqual(pnpmConfig.workspaces.packages.site.commands, { dev: 'pnpm --filter site run dev' });
+    assert.deepStrictEqual(pnpmConfig.workspaces.packages['@shop/button'], {
+      path: 'packages/ui/button',
+      language: 'javascript',
+      commands: { lint: 'pnpm --filter @shop/button run lint' }
+    });
+
+    const yarnRepo = path.join(tempDir, 'yarn-repo');
+    await writeTree(yarnRepo, {
+      'package.json': { name: 'root', workspaces: { packages: ['libs/*'] } },
+      'yarn.lock': '',
+      'libs/core/package.json': { name: 'core', scripts: { test: 'mocha' } }
+    });
+    assert.deepStrictEqual((await createDefaultAgentrc(yarnRepo, quietLogger)).workspaces.packages.core.commands, { test: 'yarn workspace core run test' });
+
+    const lernaRepo = path.join(tempDir, 'lerna-repo');
+    await writeTree(lernaRepo, {
+      'package.json': { name: 'root' },
+      'lerna.json': { packages: ['modules/*'] },
+      'modules/parser/package.json': { name: 'parser', scripts: { build: 'tsc' } }
+    });
+    assert.deepStrictEqual((await createDefaultAgentrc(lernaRepo, quietLogger)).workspaces.packages.parser.commands, { build: 'npx lerna run build --scope parser' });
+
+    const nxRepo = path.join(tempDir, 'nx-repo');
+    await writeTree(nxRepo, {
+      'package.json': { name: 'root' },
+      'nx.json': { workspaceLayout: { appsDir: 'projects' } },
+      'projects/admin/project.json': { name: 'admin', targets: { build: {}, test: {}, serve: {} } }
+    });
+    const nxConfig = await createDefaultAgentrc(nxRepo, quietLogger);
+    assert.deepStrictEqual(nxConfig.workspaces.tools, ['nx']);
+    assert.deepStrictEqual(nxConfig.workspaces.packages.admin.commands, { build: 'npx nx run admin:build', test: 'npx nx run admin:test' });
+
+    // A workspace setup without any packages yet is still a single project
+    const emptyRepo = path.join(tempDir, 'empty-repo');
+    await writeTree(emptyRepo, { 'package.json': { name: 'root', workspaces: ['packages/*'] } });
+    assert.strictEqual((await analyzeProject(emptyRepo)).type, 'node-project');
+
+    console.log('🧪 Testing framework detection...');
+    const nextApp = path.join(tempDir, 'next-app');
+    await writeTree(nextApp, {
+      'package.json': { name: 'store', scripts: { dev: 'next dev' }, dependencies: { next: '14', react: '18' }, devDependencies: { vitest: '1', '@playwright/test': '1' } },
+      'pnpm-lock.yaml': ''
+    });
+    const nextAnalysis = await analyzeProject(nextApp);
+    assert.strictEqual(nextAnalysis.type, 'nextjs-project');
+    assert.strictEqual(nextAnalysis.framework, 'next');
+    assert.deepStrictEqual(nextAnalysis.frameworks, [
+      { name: 'next', role: 'meta-framework' },
+      { name: 'react', role: 'ui' },
+      { name: 'playwright', role: 'e2e' }
+    ]);
+    const nextConfig = await createDefaultAgentrc(nextApp, quietLogger);
+    assert.deepStrictEqual(nextConfig.project.frameworks, { next: 'meta-framework', react: 'ui', playwright: 'e2e' });
+    assert.deepStrictEqual([nextConfig.commands.test, nextConfig.commands.e2e], ['pnpm exec vitest run', 'pnpm exec playwright test']);
+    assert.strictEqual(nextConfig.tools.e2e, 'playwright');
+    assert.ok(nextConfig.rules.some(rule => rule.startsWith('Default to Server Components')));
+    assert.ok(nextConfig.rules.includes('Use custom hooks to extract and reuse stateful logic'));
+    assert.ok(nextConfig.rules.some(rule => rule.includes('Playwright locators')));
+    assert.deepStrictEqual(validateAgentrcSchema(nextConfig), []);
+    assert.match(buildContextBlock(nextConfig), /\(nextjs-project, javascript, next \+ react \+ playwright\)/);
+
+    const typeOf = async (dependencies, scripts = {}) => {
+      const dir = await fs.mkdtemp(path.join(tempDir, 'fw-'));
+      await writeTree(dir, { 'package.json': { name: 'app', packageManager: 'npm@10', scripts, dependencies } });
+      const analysis = await analyzeProject(dir);
+      return [analysis.type, analysis.ecosystems[0].commands];
+    };
+    assert.strictEqual((await typeOf({ react: '18', express: '4' }))[0], 'react-express-project');
+    assert.strictEqual((await typeOf({ vue: '3', nuxt: '3' }))[0], 'nuxt-project');
+    assert.strictEqual((await typeOf({ react: '18', '@remix-run/react': '2' }))[0], 'remix-project');
+    assert.strictEqual((await typeOf({ astro: '4', svelte: '4' }))[0], 'astro-project');
+    assert.strictEqual((await typeOf({ '@nestjs/core': '10' }))[0], 'nestjs-project');
+    assert.strictEqual((await typeOf({ fastify: '4' }))[0], 'fastify-project');
+    assert.strictEqual((await typeOf({ hono: '4' }))[0], 'hono-project');
+    assert.strictEqual((await typeOf({ cypress: '13' }))[0], 'node-project');
+    const [angularType, angularCommands] = await typeOf({ '@angular/core': '17' });
+    assert.strictEqual(angularType, 'angular-project');
+    assert.strictEqual(angularCommands.test, 'npx ng test');
+    const [kitType, kitCommands] = await typeOf({ svelte: '4', '@sveltejs/kit': '2', cypress: '13' }, { test: 'vitest', 'test:e2e': 'cypress run' });
+    assert.strictEqual(kitType, 'sveltekit-project');
+    assert.deepStrictEqual([kitCommands.test, kitCommands.e2e], ['npm test', 'npm run test:e2e']);
+
+    console.log('🧪 Testing Python projects...');
+    const commandsOf = async (files) => {
+      const dir = await fs.mkdtemp(path.join(tempDir, 'eco-'));
+      await writeTree(dir, files);
+      const analysis = await analyzeProject(dir);
+      return { analysis, commands: analysis.ecosystems[0]?.commands };
+    };
+    const poetry = await commandsOf({
+      'pyproject.toml': '[tool.poetry]\nname = "api"\n\n[tool.poetry.group.dev.dependencies]\npytest = "^8"\nruff = "^0.4"\nmypy = "^1"\n',
+      'poetry.lock': ''
+    });
+    assert.strictEqual(poetry.analysis.type, 'python-project');
+    assert.deepStrictEqual([poetry.analysis.language, poetry.analysis.packageManager, poetry.analysis.testFramework], ['python', 'poetry', 'pytest']);
+    assert.deepStrictEqual(poetry.commands, {
+      build: 'poetry build',
+      test: 'poetry run pytest',
+      lint: 'poetry run ruff check .',
+      format: 'poetry run ruff format .',
+      typecheck: 'poetry run mypy .'
+    });
+    const uv = await commandsOf({
+      'pyproject.toml': '[project]\nname = "svc"\ndependencies = ["fastapi", "pytest-asyncio"]\n\n[tool.black]\nline-length = 100\n',
+      'uv.lock': ''
+    });
+    assert.deepStrictEqual(uv.commands, { build: 'uv build', test: 'uv run python -m unittest', format: 'uv run black .' });
+    assert.strictEqual(uv.analysis.framework, 'fastapi');
+    const hatch = await commandsOf({ 'pyproject.toml': '[tool.hatch.envs.default]\ndependencies = ["pytest"]\n' });
+    assert.deepStrictEqual(hatch.commands, { build: 'hatch build', test: 'hatch test', lint: 'hatch fmt --check', format: 'hatch fmt' });
+    const pip = await commandsOf({ 'requirements.txt': 'django==5.0\npytest\nflake8\n' });
+    assert.deepStrictEqual(pip.commands, { test: 'pytest', lint: 'flake8' });
+
+    console.log('🧪 Testing JVM, Ruby, PHP, .NET and Deno projects...');
+    const maven = await commandsOf({ 'pom.xml': '<project><build><plugins><plugin><artifactId>spotless-maven-plugin</artifactId></plugin></plugins></build><dependency>junit-jupiter</dependency></project>', mvnw: '' });
+    assert.deepStrictEqual([maven.analysis.type, maven.analysis.language, maven.analysis.testFramework], ['java-project', 'java', 'junit']);
+    assert.deepStrictEqual(maven.commands, { build: './mvnw package', test: './mvnw test', format: './mvnw spotless:apply' });
+    const gradle = await commandsOf({ 'build.gradle.kts': 'plugins {\n  kotlin("jvm")\n  id("org.jlleitschuh.gradle.ktlint")\n}\n' });
+    assert.strictEqual(gradle.analysis.language, 'kotlin');
+    assert.deepStrictEqual(gradle.commands, { build: 'gradle build', test: 'gradle test', lint: 'gradle ktlintCheck', format: 'gradle ktlintFormat' });
+    const ruby = await commandsOf({ Gemfile: "source 'https://rubygems.org'\ngem 'rails'\ngem 'rspec-rails'\ngem 'rubocop', require: false\n" });
+    assert.deepStrictEqual([ruby.analysis.framework, ruby.analysis.testFramework, ruby.analysis.packageManager], ['rails', 'rspec', 'bundler']);
+    assert.deepStrictEqual(ruby.commands, { test: 'bundle exec rspec', lint: 'bundle exec rubocop', format: 'bundle exec rubocop -a' });
+    const php = await commandsOf({
+      'composer.json': { require: { 'laravel/framework': '^11' }, 'require-dev': { 'laravel/pint': '^1', 'phpstan/phpstan': '^1' }, scripts: { analyse: 'phpstan analyse' } }
+    });
+    assert.deepStrictEqual([php.analysis.framework, php.analysis.testFramework], ['laravel', 'phpunit']);
+    assert.deepStrictEqual(php.commands, { test: 'php artisan test', lint: 'composer run analyse', format: 'vendor/bin/pint' });
+    const dotnet = await commandsOf({ 'Shop.csproj': '<Project><ItemGroup><PackageReference Include="xunit" /></ItemGroup></Project>' });
+    assert.deepStrictEqual([dotnet.analysis.language, dotnet.analysis.testFramework], ['csharp', 'xunit']);
+    assert.strictEqual(dotnet.commands.test, 'dotnet test');
+    const deno = await commandsOf({ 'deno.jsonc': '{\n  // tasks\n  "tasks": { "dev": "deno run -A main.ts", "test": "deno test -A" }\n}' });
+    assert.deepStrictEqual([deno.analysis.type, deno.analysis.language], ['deno-project', 'typescript']);
+    assert.deepStrictEqual(deno.commands, { test: 'deno task test', lint: 'deno lint', format: 'deno fmt', dev: 'deno task dev' });
+
+    console.log('🧪 Testing Makefile and justfile targets...');
+    const makeOnly = path.join(tempDir, 'make-only');
+    await writeTree(makeOnly, {
+      Makefile: 'CC := gcc\n.PHONY: all test\nall: main.o\n\t$(CC) -o app main.o\n%.o: %.c\n\t$(CC) -c $<\ntest fmt: all\n\t./run-tests\n',
+      justfile: 'set shell := ["bash", "-c"]\nalias t := test\n\n# lint everything\nlint *args:\n    cppcheck {{args}} .\n_helper:\n    echo hi\n'
+    });
+    const runners = (await analyzeProject(makeOnly)).taskRunners;
+    assert.deepStrictEqual(runners.map(runner => [runner.tool, runner.targets]), [['just', ['lint']], ['make', ['all', 'test', 'fmt']]]);
+    assert.deepStrictEqual((await createDefaultAgentrc(makeOnly, quietLogger)).commands, {
+      lint: 'just lint',
+      build: 'make all',
+      test: 'make test',
+      format: 'make fmt'
+    });
+
+    const rustMake = path.join(tempDir, 'rust-make');
+    await writeTree(rustMake, { 'Cargo.toml': '[package]\nname = "cli"\n', Makefile: 'release:\n\tcargo build --release\ntypecheck:\n\tcargo check\n' });
+    assert.deepStrictEqual((await createDefaultAgentrc(rustMake, quietLogger)).commands, {
+      build: 'cargo build',
+      test: 'cargo test',
+      lint: 'cargo clippy',
+      format: 'cargo fmt',
+      typecheck: 'make typecheck'
+    });
+
+    console.log('🧪 Testing polyglot repositories...');
+    const polyglot = path.join(tempDir, 'polyglot');
+    await writeTree(polyglot, {
+      'package.json': { name: 'app', scripts: { build: 'vite build', test: 'vitest' }, devDependencies: { vitest: '1' } },
+      'pnpm-lock.yaml': '',
+      'tsconfig.json': '{}',
+      'pyproject.toml': '[project]\nname = "ml"\n\n[dependency-groups]\ndev = ["pytest", "ruff"]\n',
+      'uv.lock': '',
+      'go.mod': 'module example.com/tools\n'
+    });
+    const polyglotAnalysis = await analyzeProject(polyglot);
+    assert.strictEqual(polyglotAnalysis.type, 'node-project');
+    assert.deepStrictEqual(polyglotAnalysis.languages, ['typescript', 'go', 'python']);
+    const polyglotConfig = await createDefaultAgentrc(polyglot, quietLogger);
+    assert.deepStrictEqual(polyglotConfig.project.languages, ['typescript', 'go', 'python']);
+    assert.strictEqual(polyglotConfig.commands.test, 'pnpm test');
+    assert.strictEqual(polyglotConfig.commands.testPython, 'uv run pytest');
+    assert.strictEqual(polyglotConfig.commands.lintPython, 'uv run ruff check .');
+    assert.strictEqual(polyglotConfig.commands.testGo, 'go test ./...');
+    assert.deepStrictEqual(validateAgentrcSchema(polyglotConfig), []);
+    assert.match(buildContextBlock(polyglotConfig), /Project: polyglot - .*\(node-project, typescript \+ go \+ python\)/);
+
+    const pythonOnly = path.join(tempDir, 'python-only');
+    await writeTree(pythonOnly, { 'requirements.txt': 'pytest\n' });
+    const pythonConfig = await createDefaultAgentrc(pythonOnly, quietLogger);
+    assert.deepStrictEqual(pythonConfig.commands, { test: 'pytest' });
+    assert.strictEqual(pythonConfig.project.languages, undefined);
+    assert.strictEqual(pythonConfig.codeStyle.runtime, undefined);
+    assert.ok(!pythonConfig.rules.some(rule => rule.includes('JavaScript')));
+
+    console.log('🧪 Testing this repository...');
+    const own = await analyzeProject(repoRoot);
+    assert.strictEqual(own.type, 'monorepo');
+    assert.deepStrictEqual(own.workspaces.tools, ['npm', 'lerna']);
+    assert.ok(own.workspaces.packages.some(pkg => pkg.name === '@kuuzuki/agentrc' && pkg.path === 'packages/agentrc'));
+
+    console.log('\n🎉 All project analysis tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testAnalyze();
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the kuuzuki command line
+ *
+ * Runs src/cli.js in temporary projects and checks its output, its --json
+ * mode and its exit codes: 0 on success, 1 on failure, 2 on usage errors.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { readJournal, getJournalPath } from '../src/journal.js';
+
+const cliPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'cli.js');
+
+/**
+ * Run the CLI and collect its output and exit code
+ */
+const runCli = (args, { cwd, home }) => new Promise((resolve) => {
+  execFile(process.execPath, [cliPath, ...args], { cwd, env: { ...process.env, HOME: home }, timeout: 30000 }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+async function testCli() {
+  console.log('🧪 Testing kuuzuki CLI...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-cli-'));
+
+  try {
+    const home = path.join(tempDir, 'home');
+    const project = path.join(tempDir, 'shop');
+    await fs.mkdir(home, { recursive: true });
+    await fs.mkdir(project, { recursive: true });
+    await fs.writeFile(path.join(project, 'package.json'), JSON.stringify({
+      name: 'shop',
+      scripts: { test: 'vitest', lint: 'eslint .' },
+      devDependencies: { vitest: '^1.0.0' }
+    }));
+    const run = (...args) => runCli(args, { cwd: project, home });
+
+    console.log('🧪 Testing usage...');
+    const help = await run('--help');
+    assert.strictEqual(help.code, 0);
+    assert.match(help.stdout, /Usage: kuuzuki <command>/);
+    assert.strictEqual((await run()).code, 2);
+    const unknown = await run('deploy', '--json');
+    assert.strictEqual(unknown.code, 2);
+    assert.deepStrictEqual(JSON.parse(unknown.stdout), { ok: false, error: 'Unknown command: deploy' });
+    assert.strictEqual((await run('rules')).code, 2);
+    assert.strictEqual((await run('rules', 'list', '--category')).code, 2);
+
+    console.log('🧪 Testing init and validate...');
+    const missing = await run('validate', '--json');
+    assert.strictEqual(missing.code, 1);
+    assert.deepStrictEqual(JSON.parse(missing.stdout).files, []);
+    const init = await run('init', '--json');
+    assert.strictEqual(init.code, 0);
+    const created = JSON.parse(init.stdout);
+    assert.strictEqual(created.ok, true);
+    assert.match(created.config.commands.lint, / run lint$/);
+    assert.strictEqual(JSON.parse(await fs.readFile(path.join(project, '.agentrc'), 'utf-8')).project.name, 'shop');
+    const again = await run('init');
+    assert.strictEqual(again.code, 1);
+    assert.match(again.stdout, /already exists; use --force/);
+    assert.strictEqual((await run('init', '--force')).code, 0);
+    // --force rewrites the config in place instead of adding a second one
+    await fs.rm(path.join(project, '.agentrc'));
+    await fs.writeFile(path.join(project, '.agentrc.yaml'), 'rules:\n  - Old rule\n');
+    const yamlInit = JSON.parse((await run('init', '--force', '--json')).stdout);
+    assert.strictEqual(yamlInit.path, path.join(project, '.agentrc.yaml'));
+    assert.match(await fs.readFile(yamlInit.path, 'utf-8'), /^project:\n  name: shop$/m);
+    assert.deepStrictEqual((await fs.readdir(project)).filter(name => name.startsWith('.agentrc')), ['.agentrc.yaml']);
+    await fs.rm(yamlInit.path);
+    await fs.writeFile(path.join(project, '.agentrc.js'), 'export default { rules: [] };\n');
+    const moduleInit = JSON.parse((await run('init', '--force', '--json')).stdout);
+    assert.strictEqual(moduleInit.path, path.join(project, '.agentrc'));
+    assert.deepStrictEqual((await fs.readdir(project)).filter(name => name.startsWith('.agentrc')), ['.agentrc']);
+    const valid = await run('validate');
+    assert.strictEqual(valid.code, 0);
+    assert.match(valid.stdout, /project: .*\.agentrc\nValid/);
+
+    // export refuses to write files from a config that did not fully load
+    const generated = await fs.readFile(path.join(project, '.agentrc'), 'utf-8');
+    await fs.writeFile(path.join(project, '.agentrc'), JSON.stringify({ rules: ['Use pnpm'], security: { sensitveFiles: ['*.pem'] } }));
+    const failedExport = await run('export');
+    assert.strictEqual(failedExport.code, 1);
+    assert.match(failedExport.stdout, /Fix the \.agentrc errors first[\s\S]*security\.sensitveFiles/);
+    await assert.rejects(fs.access(path.join(project, 'AGENTS.md')));
+    await fs.writeFile(path.join(project, '.agentrc'), generated);
+
+    console.log('🧪 Testing rules...');
+    await fs.writeFile(path.join(project, '.agentrc'), JSON.stringify({
+      project: { name: 'shop' },
+      rules: ['Use pnpm', { text: 'Never log tokens', category: 'critical' }],
+      notifications: { mode: 'none' }
+    }, null, 2));
+    const added = await run('rules', 'add', 'Keep checkout steps pure', '--priority', '5', '--applies-to', 'src/checkout/**', '--json');
+    assert.strictEqual(added.code, 0);
+    assert.deepStrictEqual(JSON.parse(added.stdout), { ok: true, changed: true, message: 'Added rule: Keep checkout steps pure' });
+    const duplicate = JSON.parse((await run('rules', 'add', 'use pnpm', '--json')).stdout);
+    assert.strictEqual(duplicate.changed, false);
+
+    const listed = await run('rules', 'list', '--json');
+    assert.strictEqual(listed.code, 0);
+    const { rules, sources } = JSON.parse(listed.stdout);
+    assert.deepStrictEqual(rules.map(rule => rule.text), ['Use pnpm', 'Never log tokens', 'Keep checkout steps pure']);
+    assert.deepStrictEqual([rules[2].priority, rules[2].appliesTo], [5, ['src/checkout/**']]);
+    assert.deepStrictEqual(sources.rules, ['project', 'project', 'project']);
+    // The default category is left out of the line
+    const preferred = await run('rules', 'list', '--category', 'preferred');
+    assert.match(preferred.stdout, /^\[0\] Use pnpm \(r-[0-9a-f]+, from project\)$/m);
+    const critical = await run('rules', 'list', '--category', 'critical');
+    assert.match(critical.stdout.trim(), /^\[1\] Never log tokens \(r-[0-9a-f]+, critical, from project\)$/);
+
+    const removed = await run('rules', 'remove', '0');
+    assert.strictEqual(removed.code, 0);
+    assert.match(removed.stdout, /Removed rule: Use pnpm/);
+    const outOfRange = await run('rules', 'remove', '9', '--json');
+    assert.strictEqual(outOfRange.code, 1);
+    assert.match(JSON.parse(outOfRange.stdout).error, /out of range/);
+    const journal = await readJournal(getJournalPath(project));
+    assert.deepStrictEqual(journal.map(entry => [entry.action, entry.source]), [['add', 'cli'], ['remove', 'cli']]);
+    // The journal directory keeps itself out of git
+    assert.match(await fs.readFile(path.join(project, '.kuuzuki', '.gitignore'), 'utf-8'), /^\*$/m);
+
+    console.log('🧪 Testing show...');
+    const shown = JSON.parse((await run('show', '--sources', '--json')).stdout);
+    assert.deepStrictEqual(shown.config.rules.map(rule => rule.text || rule), ['Never log tokens', 'Keep checkout steps pure']);
+    assert.strictEqual(shown.sources['project.name'], 'project');
+    assert.match((await run('show')).stdout, /^From project: .*\.agentrc\n\n\{/);
+
+    console.log('🧪 Testing invalid config...');
+    await fs.writeFile(path.join(project, '.agentrc'), '{ "rules": 5 }');
+    const invalid = await run('validate');
+    assert.strictEqual(invalid.code, 1);
+    assert.match(invalid.stdout, /rules - expected an array/);
+    const invalidJson = JSON.parse((await run('validate', '--json')).stdout);
+    assert.strictEqual(invalidJson.ok, false);
+    assert.strictEqual(invalidJson.errors[0].issues[0].path, 'rules');
+    assert.strictEqual((await run('rules', 'add', 'Anything')).code, 1);
+
+    console.log('🧪 Testing stats and notifications...');
+    const stats = await run('stats', '--json');
+    assert.strictEqual(stats.code, 0);
+    assert.strictEqual(JSON.parse(stats.stdout).totals.calls, 0);
+    assert.strictEqual((await run('stats')).stdout.trim(), 'No tool usage recorded yet');
+    const status = await run('notify', 'status', '--json');
+    const notification = JSON.parse(status.stdout);
+    assert.strictEqual(notification.platform, process.platform);
+    assert.strictEqual(status.code, notification.supported ? 0 : 1);
+    assert.strictEqual((await run('notify', 'send')).code, 2);
+
+    console.log('🧪 Testing doctor...');
+    const doctor = await run('doctor', '--json');
+    assert.strictEqual(doctor.code, 1);
+    const report = JSON.parse(doctor.stdout);
+    assert.strictEqual(report.ok, false);
+    assert.strictEqual(report.checks.find(entry => entry.name === 'Config files').status, 'error');
+    await fs.writeFile(path.join(project, '.agentrc'), JSON.stringify({ rules: ['Use pnpm'] }));
+    assert.match((await run('doctor')).stdout, /^✅ Config files\n/);
+
+    console.log('\n🎉 All CLI tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testCli();
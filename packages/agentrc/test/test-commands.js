@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for .agentrc command aliases
+ *
+ * Checks that bash commands are mapped onto `commands` templates with
+ * {file}, {args} and named placeholders, that trailing arguments survive,
+ * and that other npm/yarn/pnpm/bun invocations use the project's package manager.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createCommandMapper,
+  compileMatchPattern,
+  expandCommandTemplate,
+  translatePackageManagerCommand,
+  getLocalBinaries
+} from '../src/commands.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+
+async function testCommands() {
+  console.log('🧪 Testing command aliases...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-commands-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+
+    // Match patterns and templates
+    console.log('🧪 Testing placeholders...');
+    const deployPattern = compileMatchPattern('make deploy ENV={env} {args}');
+    assert.deepStrictEqual({ ...'make deploy ENV=prod --dry-run'.match(deployPattern).groups }, { env: 'prod', args: '--dry-run' });
+    assert.deepStrictEqual({ ...'make deploy ENV=prod'.match(deployPattern).groups }, { env: 'prod', args: undefined });
+    assert.strictEqual('npm test -- --watch'.match(compileMatchPattern('npm test -- {file}')), null);
+    assert.strictEqual(expandCommandTemplate('bun test {file} {args}', { file: 'a.test.ts' }), 'bun test a.test.ts');
+    assert.strictEqual(expandCommandTemplate('npm run lint', { rest: '--fix' }), 'npm run lint -- --fix');
+    assert.strictEqual(expandCommandTemplate('bun test', { rest: '-- --watch' }), 'bun test --watch');
+    assert.strictEqual(expandCommandTemplate('deploy {env}', {}), null);
+
+    // Aliases match the usual ways of running a script
+    console.log('🧪 Testing alias mapping...');
+    const mapper = createCommandMapper({
+      test: 'bun test',
+      testSingle: 'bun test {file}',
+      typeCheck: 'bun run tsc --noEmit',
+      lint: 'biome check .',
+      e2e: { run: 'pnpm playwright test {args}', match: ['npx playwright test {args}'] },
+      deploy: { run: './scripts/deploy.sh {env} --yes', match: 'make deploy ENV={env}' }
+    });
+    const mapped = (command) => mapper.map(command)?.command ?? null;
+    assert.strictEqual(mapped('npm test'), 'bun test');
+    assert.strictEqual(mapped('npm test -- --watch'), 'bun test --watch');
+    assert.strictEqual(mapped('npm test -- src/a.test.ts'), 'bun test src/a.test.ts');
+    assert.strictEqual(mapper.map('yarn test src/a.test.ts').alias, 'testSingle');
+    assert.strictEqual(mapped('pnpm type-check'), 'bun run tsc --noEmit');
+    assert.strictEqual(mapped('npm run type:check'), 'bun run tsc --noEmit');
+    assert.strictEqual(mapped('npm run lint -- --write'), 'biome check . --write');
+    assert.strictEqual(mapped('npx playwright test --headed'), 'pnpm playwright test --headed');
+    assert.strictEqual(mapped('make deploy ENV=staging'), './scripts/deploy.sh staging --yes');
+    assert.strictEqual(mapped('make deploy'), null);
+    // Commands that merely mention an alias are left alone
+    assert.strictEqual(mapped('eslint . && echo lint done'), null);
+    assert.strictEqual(mapped('bun test'), null);
+    // Each part of a chained or piped command is mapped on its own
+    assert.strictEqual(mapped('npm run lint && rm -rf x'), 'biome check . && rm -rf x');
+    assert.strictEqual(mapped('npm test | tee out.log'), 'bun test | tee out.log');
+    assert.strictEqual(mapped('yarn test src/a.test.ts && echo ok'), 'bun test src/a.test.ts && echo ok');
+    assert.strictEqual(mapped('pnpm type-check; npm test -- --watch'), 'bun run tsc --noEmit; bun test --watch');
+    assert.strictEqual(mapped('npm test > out.txt 2>&1'), 'bun test > out.txt 2>&1');
+    assert.strictEqual(mapped('npm test -- src/a.test.ts > out.txt'), 'bun test src/a.test.ts > out.txt');
+    assert.strictEqual(mapper.map('echo start && npm run type:check').alias, 'typeCheck');
+    const npmMapper = createCommandMapper({ lint: 'npm run eslint' });
+    assert.strictEqual(npmMapper.map('yarn lint --fix && git add .').command, 'npm run eslint -- --fix && git add .');
+    assert.strictEqual(npmMapper.map('yarn lint >lint.txt').command, 'npm run eslint >lint.txt');
+
+    // Package manager translation
+    console.log('🧪 Testing package manager translation...');
+    const localBinaries = new Set(['eslint', 'jest', 'tsc', 'vitest']);
+    const translate = (command, packageManager) => translatePackageManagerCommand(command, packageManager, { localBinaries });
+    assert.strictEqual(translate('npm install', 'bun'), 'bun install');
+    assert.strictEqual(translate('npm ci', 'pnpm'), 'pnpm install --frozen-lockfile');
+    assert.strictEqual(translate('npm install -D typescript @types/node', 'bun'), 'bun add typescript @types/node --dev');
+    assert.strictEqual(translate('npm i --save-dev -E vitest', 'pnpm'), 'pnpm add vitest --save-dev --save-exact');
+    assert.strictEqual(translate('yarn add react --dev', 'npm'), 'npm install react --save-dev');
+    assert.strictEqual(translate('bun add -d zod', 'yarn'), 'yarn add zod --dev');
+    assert.strictEqual(translate('yarn global add serve', 'pnpm'), 'pnpm add serve -g');
+    assert.strictEqual(translate('pnpm add -g serve', 'yarn'), 'yarn global add serve');
+    assert.strictEqual(translate('npm uninstall lodash', 'yarn'), 'yarn remove lodash');
+    assert.strictEqual(translate('npm run build -- --minify', 'pnpm'), 'pnpm run build --minify');
+    assert.strictEqual(translate('yarn build --watch', 'npm'), 'npm run build -- --watch');
+    assert.strictEqual(translate('pnpm t', 'npm'), 'npm test');
+    assert.strictEqual(translate('npx -y tsc --noEmit', 'bun'), 'bunx tsc --noEmit');
+    assert.strictEqual(translate('npm exec -- eslint .', 'pnpm'), 'pnpm exec eslint .');
+    // Installed binaries stay local; anything else is downloaded with dlx
+    assert.strictEqual(translate('npx jest --watch', 'pnpm'), 'pnpm exec jest --watch');
+    assert.strictEqual(translate('npx tsc --noEmit', 'yarn'), 'yarn exec tsc --noEmit');
+    assert.strictEqual(translate('npx jest@29 --ci', 'pnpm'), 'pnpm exec jest@29 --ci');
+    assert.strictEqual(translate('npx create-react-app app', 'pnpm'), 'pnpm dlx create-react-app app');
+    assert.strictEqual(translate('npm exec --yes -- cowsay hi', 'yarn'), 'yarn dlx cowsay hi');
+    assert.strictEqual(translate('npx --no-install prettier .', 'pnpm'), 'pnpm exec prettier .');
+    assert.strictEqual(translatePackageManagerCommand('npx jest', 'pnpm'), 'pnpm dlx jest');
+    assert.strictEqual(translate('pnpm exec vitest run', 'npm'), 'npx vitest run');
+    assert.strictEqual(translate('pnpx create-react-app app', 'yarn'), 'yarn dlx create-react-app app');
+    assert.strictEqual(translate('yarn dlx cowsay hi', 'pnpm'), 'pnpm dlx cowsay hi');
+    // Packages to install first are translated, npm-only options are dropped
+    assert.strictEqual(translate('npx -p typescript tsc --init', 'pnpm'), 'pnpm --package=typescript dlx tsc --init');
+    assert.strictEqual(translate('npx --package=@scope/cli@2 -p left-pad run-it', 'yarn'), 'yarn dlx -p @scope/cli@2 -p left-pad run-it');
+    assert.strictEqual(translate('npm exec --package=yo -- yo webapp', 'bun'), 'bunx -p yo yo webapp');
+    assert.strictEqual(translate('npx --legacy-peer-deps --registry https://r.example jest', 'pnpm'), 'pnpm exec jest');
+    assert.strictEqual(translate('yarn dlx -p typescript tsc', 'npm'), 'npx -p typescript tsc');
+    assert.strictEqual(translate('npx -c "eslint . && tsc"', 'pnpm'), null);
+    assert.strictEqual(translate('bunx vite', 'npm'), 'npx vite');
+    assert.strictEqual(translate('npm create vite@latest app', 'yarn'), 'yarn create vite@latest app');
+    assert.strictEqual(
+      translate('cd app && npm install && NODE_ENV=test npm test', 'bun'),
+      'cd app && bun install && NODE_ENV=test bun run test'
+    );
+    // Native commands and builtins without an equivalent are left alone
+    assert.strictEqual(translate('bun test', 'npm'), null);
+    assert.strictEqual(translate('npm audit', 'bun'), null);
+    assert.strictEqual(translate('yarn why react', 'npm'), null);
+    assert.strictEqual(translate('npm install', 'npm'), null);
+    assert.strictEqual(translate('npm install', undefined), null);
+    // Only translated parts change; spacing and quoting elsewhere are kept
+    assert.strictEqual(
+      translate('echo "a   b"  &&  npm install   ;printf  x', 'bun'),
+      'echo "a   b"  &&  bun install   ;printf  x'
+    );
+    // Multi-line commands and heredocs are never rewritten
+    assert.strictEqual(translate('npm install\ncat <<EOF > a.txt\nhello   world\nEOF', 'bun'), null);
+    assert.strictEqual(translate('npm install\nnpm test', 'bun'), null);
+    assert.strictEqual(translate('cat <<EOF | npm exec foo', 'bun'), null);
+
+    // Plugin rewrites bash commands through the mapper
+    console.log('🧪 Testing alias mapping in the plugin...');
+    const app = { path: { root: path.join(tempDir, 'project'), config: path.join(tempDir, 'opencode') } };
+    await fs.mkdir(app.path.root, { recursive: true });
+    await fs.writeFile(path.join(app.path.root, '.agentrc'), JSON.stringify({
+      commands: { test: 'bun test', testSingle: 'bun test {file}', lint: 'bun run lint' },
+      tools: { packageManager: 'bun' },
+      notifications: { mode: 'none' }
+    }, null, 2));
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const run = async (command) => {
+      const output = { args: { command } };
+      await hooks['tool.execute.before']({ tool: 'bash' }, output);
+      return output.args.command;
+    };
+    assert.strictEqual(await run('npm test -- src/app.test.ts'), 'bun test src/app.test.ts');
+    assert.strictEqual(await run('npm run lint -- --fix'), 'bun run lint --fix');
+    assert.strictEqual(await run('npx eslint --fix .'), 'bunx eslint --fix .');
+    assert.strictEqual(await run('npm install --save-dev prettier'), 'bun add prettier --dev');
+    assert.strictEqual(await run('git status'), 'git status');
+
+    // The plugin tells installed binaries from downloads
+    const pnpmApp = { path: { root: path.join(tempDir, 'pnpm-project'), config: path.join(tempDir, 'opencode') } };
+    await fs.mkdir(path.join(pnpmApp.path.root, 'node_modules', '.bin'), { recursive: true });
+    await fs.writeFile(path.join(pnpmApp.path.root, 'node_modules', '.bin', 'tsc'), '');
+    await fs.writeFile(path.join(pnpmApp.path.root, 'package.json'), JSON.stringify({ devDependencies: { jest: '^29.0.0' } }));
+    await fs.writeFile(path.join(pnpmApp.path.root, '.agentrc'), JSON.stringify({
+      tools: { packageManager: 'pnpm' },
+      notifications: { mode: 'none' }
+    }));
+    assert.deepStrictEqual([...await getLocalBinaries(pnpmApp.path.root)].sort(), ['jest', 'tsc']);
+    const pnpmHooks = await KuuzukiAgentrcPlugin({ app: pnpmApp, client: {}, $: mock$ });
+    const runPnpm = async (command) => {
+      const output = { args: { command } };
+      await pnpmHooks['tool.execute.before']({ tool: 'bash' }, output);
+      return output.args.command;
+    };
+    assert.strictEqual(await runPnpm('npx tsc --noEmit'), 'pnpm exec tsc --noEmit');
+    assert.strictEqual(await runPnpm('npx jest'), 'pnpm exec jest');
+    assert.strictEqual(await runPnpm('npx create-react-app app'), 'pnpm dlx create-react-app app');
+
+    console.log('\n🎉 All command alias tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testCommands();
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the .agentrc configuration cascade
+ *
+ * Builds throwaway kuuzuki-global, OpenCode-global and project layers in a
+ * temp directory and checks that they merge with the right precedence and
+ * provenance, and that saves patch the file on disk without losing its
+ * formatting or another session's changes.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadAgentrcConfig, deepMergeConfig } from '../src/config.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+
+const writeJson = async (filePath, value) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(value, null, 2));
+};
+
+async function testConfig() {
+  console.log('🧪 Testing .agentrc configuration cascade...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-config-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+    const app = {
+      path: {
+        root: path.join(tempDir, 'project'),
+        config: path.join(tempDir, 'opencode'),
+        data: path.join(tempDir, 'data')
+      }
+    };
+
+    await writeJson(path.join(process.env.HOME, '.config', 'kuuzuki', '.agentrc'), {
+      rules: ['Org rule'],
+      security: { sensitiveFiles: ['*.pem'] },
+      notifications: { mode: 'none', level: 'none' }
+    });
+    await writeJson(path.join(app.path.config, '.agentrc'), {
+      rules: ['Global rule'],
+      commands: { test: 'npm test', lint: 'eslint .' }
+    });
+    await writeJson(path.join(app.path.root, '.agentrc'), {
+      project: { name: 'cascade' },
+      rules: ['Project rule', 'org RULE'],
+      commands: { test: 'bun test' },
+      security: { sensitiveFiles: ['*.key'] }
+    });
+
+    // Layers merge with project precedence
+    console.log('🧪 Testing layer precedence...');
+    const { config, path: configPath, sources, layers } = await loadAgentrcConfig(app);
+    assert.strictEqual(configPath, path.join(app.path.root, '.agentrc'));
+    assert.deepStrictEqual(layers.map(layer => layer.name), ['kuuzuki-global', 'global', 'project']);
+    assert.deepStrictEqual(config.rules, ['Org rule', 'Global rule', 'Project rule']);
+    assert.deepStrictEqual(config.commands, { test: 'bun test', lint: 'eslint .' });
+    assert.deepStrictEqual(config.security.sensitiveFiles, ['*.pem', '*.key']);
+    assert.strictEqual(config.notifications.mode, 'none');
+
+    // Provenance follows the layer that last declared a value
+    console.log('🧪 Testing provenance...');
+    assert.strictEqual(sources['rules[0]'], 'project');
+    assert.strictEqual(sources['rules[1]'], 'global');
+    assert.strictEqual(sources['commands.test'], 'project');
+    assert.strictEqual(sources['commands.lint'], 'global');
+    assert.strictEqual(sources['notifications.mode'], 'kuuzuki-global');
+
+    // Replacing a container drops the provenance of what it replaced
+    const replacedSources = {};
+    const replaced = deepMergeConfig({}, { commands: { a: 'x' } }, 'global', replacedSources);
+    deepMergeConfig(replaced, { commands: 'invalid' }, 'project', replacedSources);
+    assert.deepStrictEqual(replacedSources, { commands: 'project' });
+
+    // Memory list shows sources, and writes touch only the project layer
+    console.log('🧪 Testing memory tool against the cascade...');
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const listOutput = { args: { action: 'list' } };
+    await hooks['tool.execute.before']({ tool: 'memory' }, listOutput);
+    const listed = JSON.parse(listOutput.args.__kuuzuki_memory_result.output);
+    assert.deepStrictEqual(listed.sources.rules, ['project', 'global', 'project']);
+
+    await hooks['tool.execute.before']({ tool: 'memory' }, { args: { action: 'add', rule: 'New rule' } });
+    const projectFile = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    assert.deepStrictEqual(projectFile.rules, ['Project rule', 'org RULE', 'New rule']);
+    assert.strictEqual(projectFile.commands.lint, undefined);
+
+    await assert.rejects(
+      hooks['tool.execute.before']({ tool: 'memory' }, { args: { action: 'remove', ruleId: 1 } }),
+      /comes from the global layer/
+    );
+
+    // Moves that rebuilding the merged view would undo are refused
+    const memoryResult = async (args) => {
+      const output = { args };
+      await hooks['tool.execute.before']({ tool: 'memory' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+    const mergedRules = async () => JSON.parse((await memoryResult({ action: 'list' })).output).rules.map(rule => rule.text);
+    assert.deepStrictEqual(await mergedRules(), ['Org rule', 'Global rule', 'Project rule', 'New rule']);
+    await assert.rejects(memoryResult({ action: 'move', ruleId: 3, to: 'top' }), /rules from other layers keep their place, so it can only go to positions 2, 3/);
+    assert.deepStrictEqual(JSON.parse(await fs.readFile(configPath, 'utf-8')).rules, ['Project rule', 'org RULE', 'New rule']);
+    await memoryResult({ action: 'move', ruleId: 3, to: 2 });
+    assert.deepStrictEqual(await mergedRules(), ['Org rule', 'Global rule', 'New rule', 'Project rule']);
+    assert.deepStrictEqual(JSON.parse(await fs.readFile(configPath, 'utf-8')).rules, ['org RULE', 'New rule', 'Project rule']);
+    assert.deepStrictEqual((await loadAgentrcConfig(app)).config.rules, ['Org rule', 'Global rule', 'New rule', 'Project rule']);
+
+    // Shared bases load under the extending file, recursively
+    console.log('🧪 Testing extends...');
+    const presetDir = path.join(app.path.root, 'node_modules', '@our-org', 'agentrc-preset');
+    await writeJson(path.join(presetDir, 'package.json'), { name: '@our-org/agentrc-preset', agentrc: 'preset.agentrc' });
+    await writeJson(path.join(presetDir, 'preset.agentrc'), {
+      rules: ['Preset rule'],
+      security: { restrictedPaths: ['dist/**'] }
+    });
+    await writeJson(path.join(app.path.root, 'config', 'base.agentrc'), {
+      extends: '@our-org/agentrc-preset',
+      rules: ['Base rule'],
+      commands: { test: 'base test', build: 'base build' }
+    });
+    await writeJson(configPath, {
+      extends: ['./config/base.agentrc'],
+      rules: ['Project rule'],
+      commands: { test: 'bun test' }
+    });
+
+    const extended = await loadAgentrcConfig(app);
+    assert.deepStrictEqual(extended.errors, []);
+    assert.deepStrictEqual(extended.layers.map(layer => layer.name), [
+      'kuuzuki-global',
+      'global',
+      'project:./config/base.agentrc:@our-org/agentrc-preset',
+      'project:./config/base.agentrc',
+      'project'
+    ]);
+    assert.deepStrictEqual(extended.config.rules, ['Org rule', 'Global rule', 'Preset rule', 'Base rule', 'Project rule']);
+    assert.deepStrictEqual(extended.config.commands, { test: 'bun test', lint: 'eslint .', build: 'base build' });
+    assert.deepStrictEqual(extended.config.security.restrictedPaths, ['dist/**']);
+    assert.strictEqual(extended.config.extends, undefined);
+    assert.strictEqual(extended.sources['rules[2]'], 'project:./config/base.agentrc:@our-org/agentrc-preset');
+
+    // Cycles and missing bases are reported without dropping the project file
+    console.log('🧪 Testing extends cycles...');
+    await writeJson(path.join(presetDir, 'preset.agentrc'), { extends: '../../../.agentrc' });
+    await writeJson(path.join(app.path.root, 'config', 'base.agentrc'), { extends: ['@our-org/agentrc-preset', 'missing-preset'] });
+    const cyclic = await loadAgentrcConfig(app);
+    assert.strictEqual(cyclic.errors.length, 2);
+    assert.match(cyclic.errors[0].message, /Circular extends/);
+    assert.match(cyclic.errors[1].message, /Cannot resolve "missing-preset"/);
+    assert.ok(cyclic.config.rules.includes('Project rule'));
+
+    const addRule = (hooks, rule) => hooks['tool.execute.before']({ tool: 'memory' }, { args: { action: 'add', rule } });
+
+    // A schema error drops only the invalid value, and the file stays the write target
+    console.log('🧪 Testing invalid layers...');
+    const invalidApp = { path: { root: path.join(tempDir, 'invalid'), config: path.join(tempDir, 'invalid-opencode') } };
+    const invalidPath = path.join(invalidApp.path.root, '.agentrc');
+    await writeJson(invalidPath, {
+      rules: ['Project rule', 42],
+      security: { sensitiveFiles: ['*.key'], restrictedPath: ['dist/**'] }
+    });
+    const partial = await loadAgentrcConfig(invalidApp);
+    assert.strictEqual(partial.errors.length, 1);
+    assert.match(partial.errors[0].message, /security\.restrictedPath - unknown key/);
+    assert.strictEqual(partial.path, invalidPath);
+    assert.deepStrictEqual(partial.config.rules, ['Org rule', 'Project rule']);
+    assert.ok(partial.config.security.sensitiveFiles.includes('*.key'));
+    const partialHooks = await KuuzukiAgentrcPlugin({ app: invalidApp, client: {}, $: mock$ });
+    await addRule(partialHooks, 'Fix the typo');
+    const partialFile = JSON.parse(await fs.readFile(invalidPath, 'utf-8'));
+    assert.deepStrictEqual(partialFile.rules, ['Project rule', 42, 'Fix the typo']);
+    assert.deepStrictEqual(partialFile.security.restrictedPath, ['dist/**']);
+
+    // A file that cannot be parsed is never replaced by another layer for writes
+    const globalPath = path.join(process.env.HOME, '.config', 'kuuzuki', '.agentrc');
+    const globalBefore = await fs.readFile(globalPath, 'utf-8');
+    await fs.writeFile(invalidPath, '{ "rules": [');
+    const broken = await loadAgentrcConfig(invalidApp);
+    assert.strictEqual(broken.path, invalidPath);
+    assert.deepStrictEqual(broken.layers.map(layer => layer.name), ['kuuzuki-global']);
+    const brokenHooks = await KuuzukiAgentrcPlugin({ app: invalidApp, client: {}, $: mock$ });
+    await assert.rejects(addRule(brokenHooks, 'Lost rule'), /\.agentrc could not be loaded, so no changes are saved/);
+    assert.strictEqual(await fs.readFile(globalPath, 'utf-8'), globalBefore);
+    assert.strictEqual(await fs.readFile(invalidPath, 'utf-8'), '{ "rules": [');
+
+    // Saves patch only the changed keys into the file as it is on disk
+    console.log('🧪 Testing safe writes...');
+    const writeRoot = path.join(tempDir, 'writes');
+    const writeApp = { path: { root: writeRoot, config: path.join(tempDir, 'writes-opencode') } };
+    const writePath = path.join(writeRoot, '.agentrc');
+    await fs.mkdir(writeRoot, { recursive: true });
+    await fs.writeFile(writePath, [
+      '{',
+      '    // Team settings, keep this comment',
+      '    "rules": [',
+      '        "Use pnpm"',
+      '    ],',
+      '    "notifications": { "mode": "console", "silent": false }, // inline',
+      '    "project": { "name": "writes" }',
+      '}',
+      ''
+    ].join('\n'));
+    const first = await KuuzukiAgentrcPlugin({ app: writeApp, client: {}, $: mock$ });
+    const second = await KuuzukiAgentrcPlugin({ app: writeApp, client: {}, $: mock$ });
+
+    await addRule(first, 'Write tests');
+    assert.strictEqual(await fs.readFile(writePath, 'utf-8'), [
+      '{',
+      '    // Team settings, keep this comment',
+      '    "rules": [',
+      '        "Use pnpm",',
+      '        "Write tests"',
+      '    ],',
+      '    "notifications": { "mode": "console", "silent": false }, // inline',
+      '    "project": { "name": "writes" }',
+      '}',
+      ''
+    ].join('\n'));
+
+    // The second session loaded the file before the first one saved; neither rule is lost
+    await addRule(second, 'Document APIs');
+    const bothSaved = JSON.parse((await fs.readFile(writePath, 'utf-8')).replace(/\/\/.*$/gm, ''));
+    assert.deepStrictEqual(bothSaved.rules, ['Use pnpm', 'Write tests', 'Document APIs']);
+    const secondList = { args: { action: 'list' } };
+    await second['tool.execute.before']({ tool: 'memory' }, secondList);
+    // The kuuzuki-global layer from above still applies
+    assert.deepStrictEqual(JSON.parse(secondList.args.__kuuzuki_memory_result.output).rules.map(rule => rule.text), ['Org rule', ...bothSaved.rules]);
+
+    // Writes wait for another session's lock, and clear locks left by a crash
+    const lockPath = `${writePath}.lock`;
+    await fs.writeFile(lockPath, '{}');
+    setTimeout(() => fs.rm(lockPath, { force: true }), 150);
+    await addRule(first, 'Prefer const');
+    await fs.writeFile(lockPath, '{}');
+    const longAgo = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, longAgo, longAgo);
+    await addRule(first, 'Avoid any');
+    const entries = await fs.readdir(writeRoot);
+    assert.deepStrictEqual(entries.filter(name => name.endsWith('.lock') || name.endsWith('.tmp')), []);
+    assert.ok((await fs.readFile(writePath, 'utf-8')).includes('"Avoid any"'));
+
+    // Saving does not set off a reload of the file that was just written
+    const logged = [];
+    const originalWrite = process.stdout.write;
+    process.stdout.write = (chunk) => logged.push(String(chunk));
+    try {
+      await first.event({ event: { type: 'file.changed', data: { path: writePath } } });
+      assert.ok(!logged.some(line => line.includes('reloading')));
+      await fs.appendFile(writePath, '\n');
+      await first.event({ event: { type: 'file.changed', data: { path: writePath } } });
+      assert.ok(logged.some(line => line.includes('reloading')));
+    } finally {
+      process.stdout.write = originalWrite;
+    }
+
+    console.log('\n🎉 All config cascade tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testConfig();
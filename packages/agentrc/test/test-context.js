@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the model context block
+ *
+ * Checks that the block built from .agentrc is deterministic, orders rules
+ * by priority, respects the `context` settings and its size limit, and is
+ * added to the system prompt with the current config.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildContextBlock } from '../src/context.js';
+import { validateAgentrcSchema } from '../src/schema.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+
+const config = {
+  project: { name: 'shop', description: 'Online shop', type: 'react-project', language: 'typescript' },
+  commands: { test: 'pnpm test', lint: { run: 'pnpm lint', match: ['npm run lint'] } },
+  conventions: { fileNaming: 'kebab-case', configFiles: ['tsconfig.json', 'package.json'] },
+  codeStyle: { quotesStyle: 'single', indentation: { type: 'spaces', size: 2 } },
+  rules: [
+    'Use pnpm',
+    { text: 'Never log access tokens', category: 'critical', priority: 10 },
+    { text: 'Use var', category: 'deprecated' },
+    { text: 'Use React Testing Library', appliesTo: ['**/*.test.tsx'] },
+    { text: 'Prefer named exports', priority: 10 }
+  ]
+};
+
+async function testContext() {
+  console.log('🧪 Testing model context...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-context-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+
+    console.log('🧪 Testing block contents...');
+    assert.strictEqual(buildContextBlock(config), [
+      'Project instructions from .agentrc:',
+      'Project: shop - Online shop (react-project, typescript)',
+      'Rules (most important first):',
+      '- [critical] Never log access tokens',
+      '- Prefer named exports',
+      '- Use pnpm',
+      '(1 more rule(s) apply to specific files and are shown when those files are read or edited)',
+      'Commands:',
+      '- test: pnpm test',
+      '- lint: pnpm lint',
+      'Conventions:',
+      '- fileNaming: kebab-case',
+      '- configFiles: tsconfig.json, package.json',
+      'Code style:',
+      '- quotesStyle: single',
+      '- indentation: type: spaces, size: 2'
+    ].join('\n'));
+    assert.strictEqual(buildContextBlock(config), buildContextBlock(JSON.parse(JSON.stringify(config))));
+
+    console.log('🧪 Testing settings...');
+    assert.strictEqual(buildContextBlock({ ...config, context: { enabled: false } }), null);
+    assert.strictEqual(buildContextBlock(null), null);
+    assert.strictEqual(
+      buildContextBlock({ ...config, context: { sections: ['commands'] } }),
+      'Project instructions from .agentrc:\nCommands:\n- test: pnpm test\n- lint: pnpm lint'
+    );
+    const limited = buildContextBlock({ ...config, context: { maxRules: 1, sections: ['rules', 'commands'] } });
+    assert.match(limited, /- \[critical\] Never log access tokens\n- \.\.\. 2 more\n\(1 more rule/);
+    assert.match(limited, /Commands:/);
+
+    // The limit holds for any size, and what is cut is counted
+    const manyRules = { ...config, rules: Array.from({ length: 200 }, (_, index) => `Rule number ${index} about something specific`) };
+    for (const maxChars of [40, 120, 500, 2000]) {
+      const block = buildContextBlock({ ...manyRules, context: { maxChars } });
+      assert.ok(block === null || block.length <= maxChars, `block of ${block?.length} exceeds ${maxChars}`);
+    }
+    const cut = buildContextBlock({ ...manyRules, context: { maxChars: 500 } });
+    const shownRules = cut.split('\n').filter(line => line.startsWith('- Rule number')).length;
+    assert.ok(cut.endsWith(`- ... ${200 - shownRules} more`));
+    assert.ok(!cut.includes('Commands:'));
+
+    assert.deepStrictEqual(validateAgentrcSchema({ context: { enabled: true, maxChars: 2000, sections: ['rules'] } }), []);
+    assert.deepStrictEqual(
+      validateAgentrcSchema({ context: { sections: ['secrets'] } }).filter(issue => issue.severity === 'error').map(issue => issue.path),
+      ['context.sections[0]']
+    );
+
+    console.log('🧪 Testing system prompt...');
+    const app = { path: { root: path.join(tempDir, 'project'), config: path.join(tempDir, 'opencode') } };
+    await fs.mkdir(app.path.root, { recursive: true });
+    await fs.writeFile(path.join(app.path.root, '.agentrc'), JSON.stringify({ ...config, notifications: { mode: 'none' } }, null, 2));
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const systemPrompt = async () => {
+      const output = { system: ['You are a coding assistant.'] };
+      await hooks['experimental.chat.system.transform']({}, output);
+      return output.system;
+    };
+    const system = await systemPrompt();
+    assert.strictEqual(system.length, 2);
+    assert.strictEqual(system[1], buildContextBlock(config));
+
+    // Changes made through the memory tool show up in the next request
+    const memory = async (args) => {
+      const output = { args };
+      await hooks['tool.execute.before']({ tool: 'memory' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+    await memory({ action: 'add', rule: 'Run pnpm test before committing', priority: '20' });
+    assert.match((await systemPrompt())[1], /most important first\):\n- Run pnpm test before committing\n/);
+    const preview = await memory({ action: 'context' });
+    assert.strictEqual(preview.title, '🧠 Model Context');
+    assert.match(preview.output, /\(\d+ of 4000 characters\)$/);
+
+    // With the block in the system prompt, reads are no longer annotated
+    const read = { title: 'a.ts', output: 'content', metadata: {} };
+    await hooks['tool.execute.after']({ tool: 'read', callID: 'call-1' }, read);
+    assert.strictEqual(read.output, 'content');
+
+    console.log('\n🎉 All model context tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testContext();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the doctor health check
+ *
+ * Checks that config errors, legacy files, notification status, stale or
+ * doubled plugin installs and security patterns that never take effect are
+ * reported, from the plugin and its chat.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runDoctor, formatDoctorReport, PLUGIN_BUNDLE_NAME } from '../src/doctor.js';
+import { findUnmatchablePatterns } from '../src/security.js';
+import { GENERATED_MARKER } from '../src/legacy.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+const failing$ = async () => {
+  throw new Error('not found');
+};
+
+async function testDoctor() {
+  console.log('🧪 Testing doctor...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-doctor-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+    const app = { path: { root: path.join(tempDir, 'project'), config: path.join(tempDir, 'opencode') } };
+    await fs.mkdir(app.path.root, { recursive: true });
+    await fs.mkdir(app.path.config, { recursive: true });
+    const check = (report, name) => report.checks.find(entry => entry.name === name);
+
+    console.log('🧪 Testing unmatchable security patterns...');
+    assert.deepStrictEqual(findUnmatchablePatterns({
+      sensitiveFiles: ['!*.example', '*.key', '!public.key', '../shared/secrets.json', ''],
+      restrictedPaths: ['dist/{a,b'],
+      modes: { '*.key': 'ask', '*.pem': 'warn' },
+      commands: { deny: ['npm publish*', '/rm -rf (/'], allow: [' '] }
+    }).map(problem => [problem.path, problem.reason.split(/[ ,(]/)[0]]), [
+      ['security.sensitiveFiles[0]', 're-allows'],
+      ['security.sensitiveFiles[3]', 'points'],
+      ['security.sensitiveFiles[4]', 'is'],
+      ['security.restrictedPaths[0]', 'is'],
+      ['security.modes.*.pem', 'names'],
+      ['security.commands.allow[0]', 'is'],
+      ['security.commands.deny[1]', 'is']
+    ]);
+    assert.deepStrictEqual(findUnmatchablePatterns({ sensitiveFiles: ['~/.ssh/**', '.env*', '!.env.example'] }), []);
+    assert.deepStrictEqual(findUnmatchablePatterns(undefined), []);
+
+    console.log('🧪 Testing config and legacy files...');
+    await fs.writeFile(path.join(app.path.config, '.agentrc'), '{ "rules": 5 }');
+    await fs.writeFile(path.join(app.path.root, '.agentrc'), JSON.stringify({
+      rules: ['Use pnpm'],
+      security: { sensitiveFiles: ['../secrets/*'] },
+      notifications: { mode: 'none' }
+    }));
+    await fs.writeFile(path.join(app.path.root, 'CLAUDE.md'), '# Notes\n- Use yarn\n');
+    await fs.writeFile(path.join(app.path.root, 'AGENTS.md'), `${GENERATED_MARKER}\n# Rules\n`);
+    const sourceDir = path.join(tempDir, 'package', 'src');
+    let report = await runDoctor({ app, $: mock$, sourceDir });
+    assert.strictEqual(report.ok, false);
+    const configCheck = check(report, 'Config files');
+    assert.strictEqual(configCheck.status, 'error');
+    assert.match(configCheck.items.find(item => item.status === 'error').text, /^global: Invalid \.agentrc/);
+    assert.ok(configCheck.items.some(item => item.status === 'ok' && item.text.startsWith('project: ')));
+    assert.deepStrictEqual(check(report, 'Legacy files').items.map(item => item.text), [
+      'AGENTS.md: generated from .agentrc',
+      'CLAUDE.md: ignored while an .agentrc exists'
+    ]);
+    assert.match(check(report, 'Security patterns').items[0].text, /^security\.sensitiveFiles\[0\] "\.\.\/secrets\/\*" points outside/);
+    assert.deepStrictEqual(check(report, 'Notifications').items.map(item => item.status), ['ok', 'ok']);
+
+    console.log('🧪 Testing notification status...');
+    await fs.rm(path.join(app.path.config, '.agentrc'));
+    await fs.writeFile(path.join(app.path.root, '.agentrc'), JSON.stringify({ notifications: { mode: 'os', level: 'errors-only' } }));
+    report = await runDoctor({ app, $: failing$, sourceDir });
+    assert.strictEqual(report.ok, true);
+    const notifications = check(report, 'Notifications');
+    assert.strictEqual(notifications.items[0].text, 'Mode: os, level errors-only');
+    if (process.platform === 'linux') {
+      assert.strictEqual(notifications.status, 'warning');
+      assert.match(notifications.items[1].text, /not installed.*; install libnotify/);
+    }
+    assert.match(check(await runDoctor({ app, sourceDir }), 'Notifications').items[1].text, /no shell available/);
+
+    console.log('🧪 Testing plugin installation...');
+    assert.strictEqual(check(report, 'Plugin installation').items[0].status, 'info');
+    await fs.mkdir(sourceDir, { recursive: true });
+    await fs.mkdir(path.join(sourceDir, '..', 'dist'), { recursive: true });
+    for (const file of ['index.js', 'doctor.js']) await fs.writeFile(path.join(sourceDir, file), '// source');
+    await fs.writeFile(path.join(sourceDir, '..', 'dist', PLUGIN_BUNDLE_NAME), '// build 2');
+    const globalBundle = path.join(app.path.config, 'plugin', PLUGIN_BUNDLE_NAME);
+    await fs.mkdir(path.dirname(globalBundle), { recursive: true });
+    await fs.writeFile(globalBundle, '// build 1');
+    const lastWeek = new Date(Date.now() - 7 * 86400000);
+    await fs.utimes(globalBundle, lastWeek, lastWeek);
+    let install = check(await runDoctor({ app, sourceDir }), 'Plugin installation');
+    assert.strictEqual(install.status, 'warning');
+    assert.match(install.items[0].text, /^global: .* is older than the sources/);
+
+    await fs.utimes(globalBundle, new Date(), new Date());
+    install = check(await runDoctor({ app, sourceDir }), 'Plugin installation');
+    assert.match(install.items[0].text, /differs from the last build/);
+
+    await fs.rm(globalBundle);
+    await fs.symlink(path.join(sourceDir, '..', 'dist', PLUGIN_BUNDLE_NAME), globalBundle);
+    const projectBundle = path.join(app.path.root, '.opencode', 'plugin', PLUGIN_BUNDLE_NAME);
+    await fs.mkdir(path.dirname(projectBundle), { recursive: true });
+    await fs.symlink(path.join(tempDir, 'missing.js'), projectBundle);
+    report = await runDoctor({ app, sourceDir });
+    install = check(report, 'Plugin installation');
+    assert.deepStrictEqual(install.items.map(item => item.status), ['ok', 'error', 'warning']);
+    assert.match(install.items[0].text, / -> .*dist/);
+    assert.match(install.items[1].text, /broken symlink/);
+    assert.match(install.items[2].text, /loads it twice/);
+    assert.strictEqual(report.ok, false);
+    assert.match(formatDoctorReport(report), /^✅ Config files\n {3}✅ project: /);
+    assert.match(formatDoctorReport(report), /❌ Plugin installation\n {3}✅ global: /);
+    await fs.rm(path.join(app.path.root, '.opencode'), { recursive: true });
+
+    console.log('🧪 Testing doctor from chat...');
+    await fs.writeFile(path.join(app.path.root, '.agentrc'), JSON.stringify({ notifications: { mode: 'none' } }));
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const chat = { message: { content: 'doctor' } };
+    await hooks['chat.message']({}, chat);
+    assert.match(chat.message.content, /^🩺 Kuuzuki Doctor\n\n✅ Config files/);
+    assert.match(chat.message.content, /Security patterns\n {3}✅ Every pattern can match/);
+    const command = await hooks.commands.doctor();
+    assert.strictEqual(command.title, '🩺 Kuuzuki Doctor');
+    assert.match(command.output, /Legacy files/);
+    const other = { message: { content: 'doctor the build script please' } };
+    await hooks['chat.message']({}, other);
+    assert.strictEqual(other.message.content, 'doctor the build script please');
+
+    console.log('\n🎉 All doctor tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testDoctor();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for .agentrc file formats
+ *
+ * Covers JSONC comments, .agentrc.yaml/.yml and .agentrc.js/.mjs modules,
+ * and checks that rule changes are written back in the loaded format.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseAgentrc } from '../src/schema.js';
+import { parseYamlWithLocations, stringifyYaml } from '../src/yaml.js';
+import { loadAgentrcConfig } from '../src/config.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+
+async function testFormats() {
+  console.log('🧪 Testing .agentrc file formats...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-formats-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+    const app = {
+      path: {
+        root: path.join(tempDir, 'project'),
+        config: path.join(tempDir, 'opencode')
+      }
+    };
+    await fs.mkdir(app.path.root, { recursive: true });
+
+    // JSONC comments are accepted, locations stay accurate
+    console.log('🧪 Testing JSONC...');
+    const jsonc = '{\n  // Why we have this rule\n  "rules": ["a"], /* inline */\n  "tools": { "packageManager": 1 }\n}';
+    assert.throws(() => parseAgentrc(jsonc), (error) => {
+      assert.strictEqual(error.issues[0].path, 'tools.packageManager');
+      assert.strictEqual(error.issues[0].line, 4);
+      return true;
+    });
+    assert.throws(() => parseAgentrc('{ /* unclosed "rules": [] }'), /expected '\*\/' to close the comment/);
+
+    // YAML parsing with locations
+    console.log('🧪 Testing YAML parsing...');
+    const yaml = [
+      '# Project config',
+      'project:',
+      '  name: demo',
+      '  framework: null',
+      'rules:',
+      '- Use "strict" mode  # trailing comment',
+      "- 'It''s quoted'",
+      'commands: { test: bun test, build: "bun run build" }',
+      'security:',
+      '  sensitiveFiles: ["*.pem", .env*]',
+      'notes: |',
+      '  line one',
+      '  line two',
+      'nested:',
+      '  - name: a',
+      '    value: 1',
+      '  - [x, y]'
+    ].join('\n');
+    const { value, locations } = parseYamlWithLocations(yaml);
+    assert.deepStrictEqual(value, {
+      project: { name: 'demo', framework: null },
+      rules: ['Use "strict" mode', "It's quoted"],
+      commands: { test: 'bun test', build: 'bun run build' },
+      security: { sensitiveFiles: ['*.pem', '.env*'] },
+      notes: 'line one\nline two\n',
+      nested: [{ name: 'a', value: 1 }, ['x', 'y']]
+    });
+    assert.deepStrictEqual(locations.get('rules[1]'), { line: 7, column: 3 });
+    assert.deepStrictEqual(locations.get('nested[0].value').key, { line: 16, column: 5 });
+    assert.deepStrictEqual(parseYamlWithLocations(stringifyYaml(value)).value, value);
+
+    assert.throws(
+      () => parseAgentrc('security:\n  restrictedPath: [dist/**]\n', '.agentrc.yaml', { format: 'yaml' }),
+      /\.agentrc\.yaml:2:3 security\.restrictedPath - unknown key/
+    );
+    assert.throws(
+      () => parseAgentrc('rules:\n  - a\n - b\n', '.agentrc.yaml', { format: 'yaml' }),
+      /\.agentrc\.yaml:3:2 \(syntax\) - invalid YAML/
+    );
+
+    // YAML project layer is loaded and written back as YAML
+    console.log('🧪 Testing YAML write-back...');
+    const yamlPath = path.join(app.path.root, '.agentrc.yaml');
+    await fs.writeFile(yamlPath, 'rules:\n  - First rule\nnotifications:\n  mode: none\n');
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    await hooks['tool.execute.before']({ tool: 'memory' }, { args: { action: 'add', rule: 'Second: rule' } });
+    assert.strictEqual(
+      await fs.readFile(yamlPath, 'utf-8'),
+      'rules:\n  - First rule\n  - "Second: rule"\nnotifications:\n  mode: none\n'
+    );
+
+    // JS modules may export a function of the project path; they are never rewritten
+    console.log('🧪 Testing JS module configs...');
+    await fs.rm(yamlPath);
+    const modulePath = path.join(app.path.root, '.agentrc.mjs');
+    await fs.writeFile(modulePath, [
+      'import path from "path";',
+      'export default async (projectPath) => ({',
+      '  project: { name: path.basename(projectPath) },',
+      '  rules: ["From module"],',
+      '  notifications: { mode: "none" }',
+      '});'
+    ].join('\n'));
+    const loaded = await loadAgentrcConfig(app);
+    assert.strictEqual(loaded.path, modulePath);
+    assert.deepStrictEqual(loaded.config.project, { name: 'project' });
+
+    const moduleHooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    await assert.rejects(
+      moduleHooks['tool.execute.before']({ tool: 'memory' }, { args: { action: 'add', rule: 'New' } }),
+      /JavaScript module and cannot be rewritten/
+    );
+
+    console.log('\n🎉 All format tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testFormats();
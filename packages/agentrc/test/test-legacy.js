@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for legacy instruction file parsing
+ *
+ * Checks that AGENTS.md/CLAUDE.md sections, fenced code blocks and
+ * .cursorrules files map onto the matching .agentrc sections, and that
+ * .agentrc exports to those formats stay in sync.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  parseLegacyMarkdown,
+  parseCursorRules,
+  loadLegacyConfigs,
+  inferCommandName,
+  renderLegacyMarkdown,
+  exportLegacyFiles,
+  GENERATED_MARKER
+} from '../src/legacy.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+
+const AGENTS_MD = `# AGENTS.md
+
+This file guides coding agents working in this repository.
+
+## Build/Lint/Test Commands
+- **Build**: \`bun run build\`
+- **Test**: \`bun test\`
+- Single test: \`bun test src/foo.test.ts\`
+- Type check: \`bun run type-check\`
+
+\`\`\`bash
+# install deps
+bun install
+bun run dev   # start dev server
+\`\`\`
+
+## Code Style Guidelines
+- Formatting: Prettier, 2 spaces
+- Use early returns
+  - especially in handlers
+  - and in hooks
+
+## Naming Conventions
+- Files: kebab-case
+- Components: PascalCase
+
+## Important
+Never commit secrets. Always run \`bun run lint\` before pushing.
+`;
+
+async function testLegacy() {
+  console.log('🧪 Testing legacy config parsing...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-legacy-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+    // Headings route content to .agentrc sections
+    console.log('🧪 Testing AGENTS.md sections...');
+    const parsed = parseLegacyMarkdown(AGENTS_MD);
+    assert.deepStrictEqual(parsed.commands, {
+      build: 'bun run build',
+      test: 'bun test',
+      testSingle: 'bun test src/foo.test.ts',
+      typeCheck: 'bun run type-check',
+      install: 'bun install',
+      dev: 'bun run dev',
+      lint: 'bun run lint'
+    });
+    assert.deepStrictEqual(parsed.codeStyle, { formatting: 'Prettier, 2 spaces' });
+    assert.deepStrictEqual(parsed.conventions, { files: 'kebab-case', components: 'PascalCase' });
+    assert.deepStrictEqual(parsed.rules, [
+      'Use early returns (especially in handlers; and in hooks)',
+      'Never commit secrets.',
+      'Always run `bun run lint` before pushing.'
+    ]);
+
+    // Bullets without colons are rules too
+    console.log('🧪 Testing rules without colons...');
+    const rulesOnly = parseLegacyMarkdown('## Rules\n- Prefer composition\n1. Keep functions small\n* [x] Write tests\n');
+    assert.deepStrictEqual(rulesOnly.rules, ['Prefer composition', 'Keep functions small', 'Write tests']);
+
+    // Command names come from any script or tool
+    console.log('🧪 Testing command name inference...');
+    assert.strictEqual(inferCommandName('pnpm run test:e2e'), 'testE2e');
+    assert.strictEqual(inferCommandName('yarn storybook'), 'storybook');
+    assert.strictEqual(inferCommandName('npx tsc --noEmit'), 'typecheck');
+    assert.strictEqual(inferCommandName('cargo clippy'), 'lint');
+    assert.strictEqual(inferCommandName('make docs'), 'docs');
+    assert.strictEqual(inferCommandName('poetry run pytest -x'), 'test');
+
+    // Plain-text .cursorrules
+    console.log('🧪 Testing .cursorrules...');
+    const cursor = parseCursorRules([
+      'You are an expert in TypeScript.',
+      'Always use strict mode.',
+      '',
+      'Key Principles:',
+      '- Write concise code',
+      '- Prefer functions',
+      '  over classes',
+      '',
+      'Code Style:',
+      'Indentation: 2 spaces',
+      'Run `npm run lint:fix` after edits'
+    ].join('\n'));
+    assert.deepStrictEqual(cursor.rules, [
+      'You are an expert in TypeScript.',
+      'Always use strict mode.',
+      'Write concise code',
+      'Prefer functions over classes',
+      'Run `npm run lint:fix` after edits'
+    ]);
+    assert.deepStrictEqual(cursor.codeStyle, { indentation: '2 spaces' });
+    assert.deepStrictEqual(cursor.commands, { lintFix: 'npm run lint:fix' });
+
+    // All files are merged, duplicates kept once
+    console.log('🧪 Testing legacy file loading...');
+    await fs.writeFile(path.join(tempDir, 'AGENTS.md'), AGENTS_MD);
+    await fs.writeFile(path.join(tempDir, 'CLAUDE.md'), '## Rules\n- Never commit secrets.\n- Ask before deleting files\n');
+    await fs.writeFile(path.join(tempDir, '.cursorrules'), 'Prefer named exports\n');
+    await fs.mkdir(path.join(tempDir, '.github'));
+    await fs.writeFile(path.join(tempDir, '.github', 'copilot-instructions.md'), '## Testing\n- Run `bun test --coverage` in CI\n');
+    const legacy = await loadLegacyConfigs({ path: { root: tempDir } });
+    assert.deepStrictEqual(legacy.rules.slice(-2), ['Ask before deleting files', 'Prefer named exports']);
+    assert.strictEqual(legacy.rules.filter(rule => rule === 'Never commit secrets.').length, 1);
+    assert.strictEqual(legacy.commands.testCoverage, 'bun test --coverage');
+
+    // Files with only Code Style, Conventions or an overview are not dropped
+    const styleOnlyDir = path.join(tempDir, 'style-only');
+    await fs.mkdir(styleOnlyDir);
+    await fs.writeFile(path.join(styleOnlyDir, 'AGENTS.md'), '# Overview\nA billing service.\n\n## Code Style\n- Indentation: 2 spaces\n\n## Conventions\n- Naming: camelCase\n');
+    const styleOnly = await loadLegacyConfigs({ path: { root: styleOnlyDir } });
+    assert.deepStrictEqual(styleOnly.rules, []);
+    assert.deepStrictEqual(styleOnly.codeStyle, { indentation: '2 spaces' });
+    assert.deepStrictEqual(styleOnly.conventions, { naming: 'camelCase' });
+    assert.strictEqual(styleOnly.project.description, 'A billing service.');
+
+    // Exported markdown parses back into the same sections
+    console.log('🧪 Testing export rendering...');
+    const exportConfig = {
+      project: { name: 'demo', description: 'A demo project' },
+      commands: { build: 'bun run build', typeCheck: 'bun run type-check' },
+      codeStyle: { quotes: 'single', indentation: { type: 'spaces', size: 2 } },
+      conventions: { fileNaming: 'kebab-case' },
+      rules: ['Prefer composition', 'Never commit secrets.']
+    };
+    const rendered = renderLegacyMarkdown(exportConfig, 'AGENTS.md');
+    assert.ok(rendered.startsWith(`${GENERATED_MARKER}\n# AGENTS.md\n`));
+    assert.ok(rendered.includes('- **Type check**: `bun run type-check`'));
+    assert.ok(rendered.includes('- Indentation: type: spaces, size: 2'));
+    const reparsed = parseLegacyMarkdown(rendered);
+    assert.deepStrictEqual(reparsed.commands, exportConfig.commands);
+    assert.deepStrictEqual(reparsed.conventions, exportConfig.conventions);
+    assert.deepStrictEqual(reparsed.rules, exportConfig.rules);
+
+    // Hand-written files are kept unless forced, generated ones are not re-imported
+    console.log('🧪 Testing export to files...');
+    const exportDir = path.join(tempDir, 'export');
+    await fs.mkdir(exportDir);
+    await fs.writeFile(path.join(exportDir, 'CLAUDE.md'), '# Hand written\n');
+    const results = await exportLegacyFiles(exportDir, exportConfig);
+    assert.deepStrictEqual(results.map(({ type, status }) => [type, status]), [
+      ['agents', 'created'],
+      ['claude', 'skipped'],
+      ['cursor', 'created']
+    ]);
+    assert.strictEqual(await fs.readFile(path.join(exportDir, 'CLAUDE.md'), 'utf-8'), '# Hand written\n');
+    const cursorRules = await fs.readFile(path.join(exportDir, '.cursorrules'), 'utf-8');
+    assert.ok(cursorRules.includes('\nRules:\n- Prefer composition\n'));
+    assert.deepStrictEqual(
+      (await exportLegacyFiles(exportDir, exportConfig, { targets: ['claude'], force: true }))[0].status,
+      'updated'
+    );
+    await assert.rejects(exportLegacyFiles(exportDir, exportConfig, { targets: ['windsurf'] }), /Unknown export target/);
+    assert.strictEqual(await loadLegacyConfigs({ path: { root: exportDir } }), null);
+
+    // The plugin exports on request and regenerates after a reload
+    console.log('🧪 Testing regeneration on reload...');
+    const app = { path: { root: exportDir, config: path.join(tempDir, 'opencode') } };
+    const agentrcPath = path.join(exportDir, '.agentrc');
+    await fs.writeFile(agentrcPath, JSON.stringify({ ...exportConfig, notifications: { mode: 'none' } }, null, 2));
+    await fs.writeFile(path.join(exportDir, 'CLAUDE.md'), '# Hand written again\n');
+    await fs.rm(path.join(exportDir, '.cursorrules'));
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const output = { args: { command: 'memory action=export targets=agents,cursor' } };
+    await hooks['tool.execute.before']({ tool: 'bash' }, output);
+    assert.strictEqual(output.args.__kuuzuki_memory_result.title, '📤 Rules Exported');
+    assert.ok(output.args.__kuuzuki_memory_result.output.includes('.cursorrules - created'));
+
+    await fs.writeFile(agentrcPath, JSON.stringify({ ...exportConfig, rules: ['Only rule'], notifications: { mode: 'none' } }, null, 2));
+    await hooks.event({ event: { type: 'file.changed', data: { path: agentrcPath } } });
+    assert.ok((await fs.readFile(path.join(exportDir, 'AGENTS.md'), 'utf-8')).includes('## Rules\n- Only rule\n'));
+    assert.ok((await fs.readFile(path.join(exportDir, '.cursorrules'), 'utf-8')).includes('- Only rule'));
+    assert.strictEqual(await fs.readFile(path.join(exportDir, 'CLAUDE.md'), 'utf-8'), '# Hand written again\n');
+
+    console.log('\n🎉 All legacy parsing tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testLegacy();
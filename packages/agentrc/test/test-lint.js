@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for rule analysis
+ *
+ * Checks that near-duplicate rules, rules that contradict each other and
+ * rules that contradict codeStyle or conventions are reported by
+ * `memory action=lint` and when a rule is added, and that the generated
+ * .agentrc of a TypeScript project does not argue against TypeScript.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { lintRules, extractRuleClaims } from '../src/lint.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+
+const describeClaims = (text) =>
+  extractRuleClaims(text).map(claim => `${claim.polarity > 0 ? '+' : '-'}${[...claim.topic].join(' ')}`);
+
+async function testLint() {
+  console.log('🧪 Testing rule analysis...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-lint-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+
+    console.log('🧪 Testing claims...');
+    assert.deepStrictEqual(describeClaims('Always use JavaScript/Bun - avoid TypeScript unless absolutely necessary'), ['+javascript bun', '-typescript']);
+    assert.deepStrictEqual(describeClaims('Favor composition over inheritance'), ['+composition', '-inheritance']);
+    assert.deepStrictEqual(describeClaims('Migrate Jest to Vitest'), ['-jest', '+vitest']);
+    assert.deepStrictEqual(describeClaims('Never skip tests'), ['+test']);
+    assert.deepStrictEqual(describeClaims("Apply DRY (Don't Repeat Yourself)"), ['+dry']);
+
+    console.log('🧪 Testing duplicates and contradictions...');
+    const issues = lintRules([
+      'Always use TypeScript strict mode',
+      'Avoid TypeScript',
+      'Prefer const over let',
+      'Prefer const over let when possible',
+      'Use double quotes',
+      'Never commit secrets',
+      'Always commit lockfiles'
+    ], { codeStyle: { quotesStyle: 'single', semicolons: false }, conventions: { testFiles: '*.test.js' } });
+    assert.deepStrictEqual(issues.map(issue => [issue.type, issue.rules]), [
+      ['contradiction', [0, 1]],
+      ['duplicate', [2, 3]],
+      ['style-conflict', [4]]
+    ]);
+    assert.match(issues[0].message, /"Always use TypeScript strict mode" vs "Avoid TypeScript"/);
+    assert.strictEqual(issues[2].field, 'codeStyle.quotesStyle');
+
+    // Style fields: booleans, discouraged keys, conventions and the project language
+    const styleIssues = lintRules(
+      ['Always end statements with semicolons', 'Prefer TypeScript for new modules', 'Use snake_case file names', 'Avoid Python'],
+      { codeStyle: { semicolons: false, typescript: 'discouraged' }, conventions: { fileNaming: 'snake_case' }, project: { language: 'python' } }
+    );
+    assert.deepStrictEqual(styleIssues.map(issue => [issue.rules[0], issue.field]), [
+      [0, 'codeStyle.semicolons'],
+      [1, 'codeStyle.typescript'],
+      [3, 'project.language']
+    ]);
+
+    // Only issues involving one rule, as reported when it is added
+    assert.deepStrictEqual(
+      lintRules(['Use tabs', 'Use pnpm', 'Use spaces, never tabs'], {}, { only: 1 }),
+      []
+    );
+
+    console.log('🧪 Testing memory tool...');
+    const projectDir = path.join(tempDir, 'project');
+    await fs.mkdir(projectDir, { recursive: true });
+    await fs.writeFile(path.join(projectDir, '.agentrc'), JSON.stringify({
+      codeStyle: { quotesStyle: 'single' },
+      rules: ['Avoid TypeScript', 'Use semantic commit messages'],
+      notifications: { mode: 'none' }
+    }, null, 2));
+    const app = { path: { root: projectDir, config: path.join(tempDir, 'config') } };
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const tool = async (args) => {
+      const output = { args };
+      await hooks['tool.execute.before']({ tool: 'memory' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+
+    assert.strictEqual((await tool({ action: 'lint' })).title, '✅ No Rule Issues');
+    const added = await tool({ action: 'add', rule: 'Always use TypeScript strict mode' });
+    assert.strictEqual(added.title, '✅ Rule Added');
+    assert.match(added.output, /Rules \[0\] and \[2\] contradict each other/);
+    const saved = JSON.parse(await fs.readFile(path.join(projectDir, '.agentrc'), 'utf-8'));
+    assert.strictEqual(saved.rules.length, 3);
+    await tool({ action: 'add', rule: 'Use semantic commit messages always' });
+    const lint = await tool({ action: 'lint' });
+    assert.strictEqual(lint.title, '⚠️ 2 Rule Issue(s)');
+    assert.match(lint.output, /look like duplicates: "Use semantic commit messages" and "Use semantic commit messages always"/);
+
+    console.log('🧪 Testing generated .agentrc for a TypeScript project...');
+    const tsDir = path.join(tempDir, 'ts-project');
+    await fs.mkdir(tsDir, { recursive: true });
+    await fs.writeFile(path.join(tsDir, 'package.json'), JSON.stringify({ devDependencies: { typescript: '^5.0.0' } }));
+    await fs.writeFile(path.join(tsDir, 'tsconfig.json'), '{}');
+    const tsHooks = await KuuzukiAgentrcPlugin({ app: { path: { root: tsDir, config: app.path.config } }, client: {}, $: mock$ });
+    await tsHooks['tool.execute.before']({ tool: 'bash' }, { args: { command: '/init' } });
+    const generated = JSON.parse(await fs.readFile(path.join(tsDir, '.agentrc'), 'utf-8'));
+    assert.strictEqual(generated.codeStyle.language, 'typescript');
+    assert.strictEqual(generated.codeStyle.typescript, undefined);
+    assert.ok(!generated.rules.some(rule => /avoid typescript|instead of typescript|migrating typescript/i.test(rule)));
+    assert.deepStrictEqual(lintRules([...generated.rules, 'Always use TypeScript strict mode'], generated), []);
+
+    console.log('\n🎉 All rule analysis tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testLint();
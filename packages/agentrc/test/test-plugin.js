@@ -8,22 +8,25 @@
  */
 
 import { KuuzukiAgentrcPlugin } from '../src/index.js';
+import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Mock OpenCode app object
-const mockApp = {
+// Mock OpenCode app object for a copy of the fixture project, so nothing the
+// plugin writes (journal, analytics, session notes) ends up in the source tree
+const createMockApp = (tempDir) => ({
   path: {
-    root: __dirname,
-    config: path.join(process.env.HOME || '/tmp', '.config', 'opencode'),
-    data: path.join(process.env.HOME || '/tmp', '.config', 'opencode', 'data'),
-    cwd: __dirname,
-    state: path.join(process.env.HOME || '/tmp', '.config', 'opencode', 'state')
+    root: path.join(tempDir, 'project'),
+    config: path.join(tempDir, 'opencode'),
+    data: path.join(tempDir, 'opencode', 'data'),
+    cwd: path.join(tempDir, 'project'),
+    state: path.join(tempDir, 'opencode', 'state')
   }
-};
+});
 
 // Mock OpenCode client
 const mockClient = {
@@ -40,7 +43,13 @@ const mock$ = async (cmd) => {
 async function testPlugin() {
   console.log('🧪 Testing Kuuzuki OpenCode Plugin...\n');
   
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-plugin-'));
+  const mockApp = createMockApp(tempDir);
+  
   try {
+    await fs.mkdir(mockApp.path.root, { recursive: true });
+    await fs.copyFile(path.join(__dirname, '.agentrc'), path.join(mockApp.path.root, '.agentrc'));
+    
     // Initialize plugin
     const hooks = await KuuzukiAgentrcPlugin({
       app: mockApp,
@@ -102,7 +111,9 @@ async function testPlugin() {
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
   }
 }
 
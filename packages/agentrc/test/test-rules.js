@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for structured rules
+ *
+ * Checks that rules load as plain strings or objects with ids, categories,
+ * priorities and tags, that the memory tool filters, sorts and edits
+ * them by position or stable id, that chat requests to forget, edit
+ * or move a rule change only the rule they refer to, and that rules scoped
+ * with appliesTo are only shown next to matching files.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createRuleId,
+  normalizeRule,
+  findRuleIndex,
+  filterRules,
+  sortRules,
+  parseRuleFields,
+  parseForgetRequest,
+  matchRuleReference,
+  scoreRuleMatch,
+  parseListArgument,
+  getRulesForPath
+} from '../src/rules.js';
+import { validateAgentrcSchema } from '../src/schema.js';
+import { mergeConfigLayers } from '../src/config.js';
+import { getJournalPath, readJournal } from '../src/journal.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+
+async function testRules() {
+  console.log('🧪 Testing structured rules...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-rules-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+
+    // Both forms normalise to the same shape, with ids that depend only on the text
+    console.log('🧪 Testing normalisation...');
+    assert.match(createRuleId('Use pnpm'), /^r-[0-9a-f]{7}$/);
+    assert.strictEqual(createRuleId('Use pnpm'), createRuleId('  use PNPM '));
+    assert.notStrictEqual(createRuleId('Use pnpm'), createRuleId('Use npm'));
+    assert.deepStrictEqual(normalizeRule('Use pnpm'), {
+      id: createRuleId('Use pnpm'), text: 'Use pnpm', category: 'preferred', priority: 0, tags: [], appliesTo: [], createdAt: null, updatedAt: null
+    });
+    assert.deepStrictEqual(
+      normalizeRule({ id: 'r-custom1', text: 'Never commit secrets', category: 'critical', priority: 10, tags: ['security'] }),
+      { id: 'r-custom1', text: 'Never commit secrets', category: 'critical', priority: 10, tags: ['security'], appliesTo: [], createdAt: null, updatedAt: null }
+    );
+    assert.deepStrictEqual(parseRuleFields({ category: 'critical', priority: '5', tags: 'a, b' }), { category: 'critical', priority: 5, tags: ['a', 'b'] });
+    assert.throws(() => parseRuleFields({ category: 'urgent' }), /Unknown rule category/);
+    assert.throws(() => parseRuleFields({ priority: 'high' }), /must be a number/);
+
+    const rules = [
+      'Use pnpm',
+      { id: 'r-custom1', text: 'Never commit secrets', category: 'critical', priority: 10, tags: ['security'], createdAt: '2024-01-02T00:00:00.000Z' },
+      { text: 'Use var', category: 'deprecated', tags: ['legacy'], createdAt: '2024-01-01T00:00:00.000Z' }
+    ];
+    assert.strictEqual(findRuleIndex(rules, 1), 1);
+    assert.strictEqual(findRuleIndex(rules, '2'), 2);
+    assert.strictEqual(findRuleIndex(rules, 'r-custom1'), 1);
+    assert.strictEqual(findRuleIndex(rules, createRuleId('Use pnpm')), 0);
+    assert.strictEqual(findRuleIndex(rules, 3), -1);
+    assert.strictEqual(findRuleIndex(rules, 'r-missing'), -1);
+
+    console.log('🧪 Testing filters and sorting...');
+    const entries = rules.map(normalizeRule);
+    assert.deepStrictEqual(filterRules(entries, { category: 'critical,deprecated' }).map(rule => rule.text), ['Never commit secrets', 'Use var']);
+    assert.deepStrictEqual(filterRules(entries, { tag: 'SECURITY' }).map(rule => rule.text), ['Never commit secrets']);
+    assert.deepStrictEqual(filterRules(entries, { search: 'use' }).map(rule => rule.text), ['Use pnpm', 'Use var']);
+    assert.deepStrictEqual(filterRules(entries, { minPriority: '1' }).map(rule => rule.text), ['Never commit secrets']);
+    assert.deepStrictEqual(sortRules(entries, 'priority').map(rule => rule.text), ['Never commit secrets', 'Use pnpm', 'Use var']);
+    assert.deepStrictEqual(sortRules(entries, 'category', 'desc').map(rule => rule.category), ['deprecated', 'preferred', 'critical']);
+    assert.deepStrictEqual(sortRules(entries, 'created').map(rule => rule.text), ['Use pnpm', 'Use var', 'Never commit secrets']);
+    assert.throws(() => sortRules(entries, 'colour'), /Cannot sort rules/);
+
+    // Schema accepts both forms and checks object fields
+    console.log('🧪 Testing schema...');
+    assert.deepStrictEqual(validateAgentrcSchema({ rules }), []);
+    const invalid = validateAgentrcSchema({ rules: [{ text: 'x', category: 'urgent', colour: 'red' }] });
+    assert.deepStrictEqual(invalid.filter(issue => issue.severity === 'error').map(issue => issue.path), ['rules[0]']);
+
+    // A structured rule in a higher layer replaces the same rule as a string
+    console.log('🧪 Testing merge...');
+    const merged = mergeConfigLayers([
+      { name: 'global', config: { rules: ['Use pnpm', 'Write tests'] } },
+      { name: 'project', config: { rules: [{ text: 'use pnpm', category: 'critical' }] } }
+    ]);
+    assert.deepStrictEqual(merged.config.rules, [{ text: 'use pnpm', category: 'critical' }, 'Write tests']);
+    assert.deepStrictEqual(merged.sources, { 'rules[0]': 'project', 'rules[1]': 'global' });
+
+    // Memory tool
+    console.log('🧪 Testing memory tool...');
+    const app = { path: { root: path.join(tempDir, 'project'), config: path.join(tempDir, 'opencode') } };
+    const configPath = path.join(app.path.root, '.agentrc');
+    await fs.mkdir(app.path.root, { recursive: true });
+    await fs.writeFile(configPath, JSON.stringify({ rules, notifications: { mode: 'none' } }, null, 2));
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const memory = async (args) => {
+      const output = { args };
+      await hooks['tool.execute.before']({ tool: 'memory' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+
+    const listed = JSON.parse((await memory({ action: 'list', sort: 'priority' })).output);
+    assert.deepStrictEqual(listed.rules.map(rule => [rule.index, rule.text]), [[1, 'Never commit secrets'], [0, 'Use pnpm'], [2, 'Use var']]);
+    assert.deepStrictEqual(listed.sources.rules, ['project', 'project', 'project']);
+    const critical = JSON.parse((await memory({ action: 'list', category: 'critical' })).output);
+    assert.deepStrictEqual(critical.rules.map(rule => rule.id), ['r-custom1']);
+
+    // Plain adds stay strings, structured adds get an id and timestamps
+    await memory({ action: 'add', rule: 'Write tests' });
+    await memory({ action: 'add', rule: 'Run the linter', category: 'critical', priority: '3', tags: 'ci,quality' });
+    assert.strictEqual((await memory({ action: 'add', rule: 'never COMMIT secrets' })).title, '⚠️ Rule Already Exists');
+    await assert.rejects(memory({ action: 'add', rule: 'Bad', category: 'urgent' }), /Unknown rule category/);
+    let saved = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    assert.strictEqual(saved.rules[3], 'Write tests');
+    const structured = saved.rules[4];
+    assert.deepStrictEqual(
+      { ...structured, createdAt: undefined, updatedAt: undefined },
+      { id: createRuleId('Run the linter'), text: 'Run the linter', category: 'critical', priority: 3, tags: ['ci', 'quality'], createdAt: undefined, updatedAt: undefined }
+    );
+    assert.strictEqual(typeof structured.createdAt, 'string');
+
+    // Remove by stable id, then by position
+    assert.strictEqual((await memory({ action: 'remove', ruleId: 'r-custom1' })).output, 'Removed rule: Never commit secrets');
+    await memory({ action: 'remove', ruleId: 0 });
+    await assert.rejects(memory({ action: 'remove', ruleId: 'r-missing' }), /No rule with id r-missing/);
+    saved = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    assert.deepStrictEqual(saved.rules.map(rule => rule.text || rule), ['Use var', 'Write tests', 'Run the linter']);
+
+    // Natural-language forget
+    console.log('🧪 Testing forget matching...');
+    const forgettable = [
+      'Use pnpm instead of npm for installing packages',
+      'Always use semicolons',
+      'Prefer single quotes in JavaScript',
+      'Use double quotes in JSON files',
+      { id: 'r-custom1', text: 'Never commit secrets' }
+    ];
+    assert.strictEqual(parseForgetRequest('Forget the rule about pnpm.'), 'pnpm');
+    assert.strictEqual(parseForgetRequest('delete rule 3'), '3');
+    assert.strictEqual(parseForgetRequest('forget: "semicolons"'), '"semicolons"');
+    assert.ok(scoreRuleMatch('semicolons', 'Always use semicolons') > scoreRuleMatch('semicolons', 'Use pnpm'));
+    assert.deepStrictEqual(matchRuleReference(forgettable, '"semicolons"'), { type: 'match', index: 1 });
+    assert.deepStrictEqual(matchRuleReference(forgettable, '3'), { type: 'match', index: 2 });
+    assert.deepStrictEqual(matchRuleReference(forgettable, '#9'), { type: 'none' });
+    assert.deepStrictEqual(matchRuleReference(forgettable, 'r-custom1'), { type: 'match', index: 4 });
+    assert.deepStrictEqual(matchRuleReference(forgettable, 'pnpm'), { type: 'match', index: 0 });
+    const quotes = matchRuleReference(forgettable, 'quotes');
+    assert.strictEqual(quotes.type, 'ambiguous');
+    assert.deepStrictEqual(quotes.candidates.map(candidate => candidate.index).sort(), [2, 3]);
+    assert.strictEqual(matchRuleReference(forgettable, '"quotes"').type, 'ambiguous');
+    assert.deepStrictEqual(matchRuleReference(forgettable, 'tabs vs spaces'), { type: 'none' });
+    assert.deepStrictEqual(matchRuleReference(forgettable, '"tabs"'), { type: 'none' });
+
+    await fs.writeFile(configPath, JSON.stringify({ rules: forgettable, notifications: { mode: 'none' } }, null, 2));
+    const chatHooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const chat = async (content) => {
+      const output = { message: { content } };
+      await chatHooks['chat.message']({}, output);
+      return output.message.content;
+    };
+    const savedRules = async () => JSON.parse(await fs.readFile(configPath, 'utf-8')).rules;
+    const getText = (rule) => rule.text || rule;
+
+    assert.match(await chat('forget the rule about quotes'), /Which rule[\s\S]*3\. Prefer single quotes[\s\S]*4\. Use double quotes/);
+    assert.match(await chat('forget tabs'), /No rule matches "tabs", nothing was removed/);
+    assert.strictEqual((await savedRules()).length, 5);
+    // Ordinary requests that start with "delete" are not rule removals
+    assert.strictEqual(await chat('delete the build folder'), 'delete the build folder');
+
+    assert.match(await chat('forget rule 4'), /Removed rule: Use double quotes in JSON files/);
+    assert.match(await chat('Forget "semicolons"'), /Removed rule: Always use semicolons/);
+    assert.match(await chat('remove rule about pnpm'), /Removed rule: Use pnpm/);
+    assert.deepStrictEqual((await savedRules()).map(rule => rule.text || rule), ['Prefer single quotes in JavaScript', 'Never commit secrets']);
+
+    // Edit, move, replace-all and clear from the tool, bash and chat
+    console.log('🧪 Testing edit, move, replace-all and clear...');
+    await fs.writeFile(configPath, JSON.stringify({
+      rules: ['Use pnpm', { id: 'r-custom1', text: 'Never commit secrets', category: 'critical', createdAt: '2024-01-02T00:00:00.000Z' }, 'Write tests'],
+      notifications: { mode: 'none' }
+    }, null, 2));
+    const editHooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const tool = async (args) => {
+      const output = { args };
+      await editHooks['tool.execute.before']({ tool: 'memory' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+    const bash = async (command) => {
+      const output = { args: { command } };
+      await editHooks['tool.execute.before']({ tool: 'bash' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+    const say = async (content) => {
+      const output = { message: { content } };
+      await editHooks['chat.message']({}, output);
+      return output.message.content;
+    };
+
+    // Structured rules keep their id and createdAt when reworded
+    await tool({ action: 'edit', ruleId: 'r-custom1', rule: 'Never commit secrets or tokens', priority: 5 });
+    let edited = (await savedRules())[1];
+    assert.strictEqual(edited.id, 'r-custom1');
+    assert.strictEqual(edited.text, 'Never commit secrets or tokens');
+    assert.strictEqual(edited.priority, 5);
+    assert.strictEqual(edited.createdAt, '2024-01-02T00:00:00.000Z');
+    assert.notStrictEqual(edited.updatedAt, undefined);
+    assert.strictEqual((await tool({ action: 'edit', ruleId: 0, rule: 'write TESTS' })).title, '⚠️ Rule Already Exists');
+    await assert.rejects(tool({ action: 'edit', ruleId: 7, rule: 'x' }), /out of range/);
+
+    // The bash form keeps quoted text with spaces and case
+    await bash("memory action=edit ruleId=0 rule='Use pnpm for every install'");
+    assert.strictEqual((await savedRules())[0], 'Use pnpm for every install');
+    await bash('memory action=move ruleId=2 to=top');
+    assert.deepStrictEqual((await savedRules()).map(getText), ['Write tests', 'Use pnpm for every install', 'Never commit secrets or tokens']);
+    await assert.rejects(tool({ action: 'move', ruleId: 0, to: 3 }), /out of range/);
+
+    // Chat numbers rules from 1, like the rules summary
+    assert.match(await say('move rule 3 to position 1'), /Rule Moved/);
+    assert.match(await say('Edit rule 2 to "Write tests for every bug fix"'), /Updated rule: Write tests → Write tests for every bug fix/);
+    assert.match(await say('change "pnpm" to Use pnpm only'), /Updated rule: Use pnpm for every install → Use pnpm only/);
+    assert.match(await say('change rule about yaml to something'), /No rule matches "about yaml", nothing was changed/);
+    assert.deepStrictEqual((await savedRules()).map(getText), ['Never commit secrets or tokens', 'Write tests for every bug fix', 'Use pnpm only']);
+
+    // replace-all keeps surviving structured rules and skips duplicates
+    const replaced = await tool({ action: 'replace-all', rules: ['Use pnpm only', 'Never commit secrets or tokens', 'use PNPM only', 'Document public APIs'] });
+    assert.match(replaced.output, /Replaced 3 rules with 3/);
+    assert.match(replaced.output, /Skipped duplicate: use PNPM only/);
+    assert.deepStrictEqual((await savedRules()).map(getText), ['Use pnpm only', 'Never commit secrets or tokens', 'Document public APIs']);
+    assert.strictEqual((await savedRules())[1].id, 'r-custom1');
+    assert.match(await say('replace all rules with: Prefer const; Use pnpm only'), /Replaced 3 rules with 2/);
+    assert.deepStrictEqual(await savedRules(), ['Prefer const', 'Use pnpm only']);
+
+    // clear asks first
+    assert.match((await tool({ action: 'clear' })).output, /removes all 2 rules/);
+    assert.strictEqual((await savedRules()).length, 2);
+    assert.match(await say('clear all rules'), /Confirm Clearing Rules[\s\S]*reply 'yes'/);
+    assert.strictEqual(await say('no wait'), 'no wait');
+    assert.strictEqual(await say('yes'), 'yes');
+    assert.strictEqual((await savedRules()).length, 2);
+    await say('forget all rules');
+    assert.match(await say('yes'), /Removed 2 rules from \.agentrc/);
+    assert.deepStrictEqual(await savedRules(), []);
+
+    // Journal, history and undo
+    console.log('🧪 Testing history and undo...');
+    const journal = (await readJournal(getJournalPath(app.path.root))).filter(entry => entry.file === configPath);
+    assert.deepStrictEqual(journal.slice(-3).map(entry => [entry.action, entry.source]), [['replace-all', 'tool'], ['replace-all', 'chat'], ['clear', 'chat']]);
+    const lastEntry = journal[journal.length - 1];
+    assert.deepStrictEqual(lastEntry.before, { rules: ['Prefer const', 'Use pnpm only'] });
+    assert.deepStrictEqual(lastEntry.after, { rules: [] });
+    // Asking for confirmation changed nothing, so it was not recorded
+    assert.strictEqual(journal.filter(entry => entry.action === 'clear').length, 1);
+
+    const history = await tool({ action: 'history', limit: 2 });
+    assert.match(history.output, /clear via chat\n  - Prefer const\n  - Use pnpm only/);
+    assert.match(history.output, /replace-all via chat/);
+
+    assert.match((await tool({ action: 'undo' })).output, /Undid clear/);
+    assert.deepStrictEqual(await savedRules(), ['Prefer const', 'Use pnpm only']);
+    await bash('memory action=undo steps=2');
+    assert.deepStrictEqual((await savedRules()).map(getText), ['Never commit secrets or tokens', 'Write tests for every bug fix', 'Use pnpm only']);
+    assert.match((await tool({ action: 'history' })).output, /undo via tool[\s\S]*clear via chat \(undone\)/);
+
+    // Hand edits since the last recorded change are not overwritten without force
+    await fs.writeFile(configPath, JSON.stringify({ rules: ['Edited by hand'], notifications: { mode: 'none' } }, null, 2));
+    const undoHooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const undo = async (args) => {
+      const output = { args: { action: 'undo', ...args } };
+      await undoHooks['tool.execute.before']({ tool: 'memory', sessionID: 'session-1' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+    await assert.rejects(undo(), /rules changed outside the memory tool/);
+    assert.deepStrictEqual(await savedRules(), ['Edited by hand']);
+    await undo({ force: true });
+    const lastUndo = (await readJournal(getJournalPath(app.path.root))).at(-1);
+    assert.strictEqual(lastUndo.action, 'undo');
+    assert.strictEqual(lastUndo.sessionId, 'session-1');
+    assert.strictEqual(lastUndo.undoes.length, 1);
+
+    // Scoped rules
+    console.log('🧪 Testing path-scoped rules...');
+    assert.deepStrictEqual(parseListArgument('**/*.{ts,tsx}, packages/web/**'), ['**/*.{ts,tsx}', 'packages/web/**']);
+    const scoped = [
+      'Use pnpm',
+      { text: 'Use React Testing Library', appliesTo: ['**/*.test.tsx'] },
+      { text: 'Keep API handlers thin', appliesTo: ['packages/api/**'] },
+      { text: 'Use enzyme', appliesTo: ['**/*.test.tsx'], category: 'deprecated' }
+    ];
+    assert.deepStrictEqual(getRulesForPath(scoped, 'packages/web/src/App.test.tsx').map(rule => rule.text), ['Use React Testing Library']);
+    assert.deepStrictEqual(getRulesForPath(scoped, 'packages/api/src/routes.js').map(rule => rule.text), ['Keep API handlers thin']);
+    assert.deepStrictEqual(getRulesForPath(scoped, 'README.md'), []);
+    assert.deepStrictEqual(validateAgentrcSchema({ rules: scoped }), []);
+
+    await fs.writeFile(configPath, JSON.stringify({ rules: ['Use pnpm'], notifications: { mode: 'none' } }, null, 2));
+    const scopedHooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const scopedMemory = async (args) => {
+      const output = { args };
+      await scopedHooks['tool.execute.before']({ tool: 'memory' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+    await scopedMemory({ action: 'add', rule: 'Use React Testing Library', appliesTo: '**/*.test.{ts,tsx}' });
+    saved = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    assert.deepStrictEqual(saved.rules[1].appliesTo, ['**/*.test.{ts,tsx}']);
+
+    const runFileTool = async (tool, filePath, callID) => {
+      const before = { args: { filePath } };
+      await scopedHooks['tool.execute.before']({ tool, callID }, before);
+      const after = { title: filePath, output: 'file contents', metadata: {} };
+      await scopedHooks['tool.execute.after']({ tool, callID }, after);
+      return after;
+    };
+    const testRead = await runFileTool('read', path.join(app.path.root, 'src/App.test.tsx'), 'call-1');
+    assert.match(testRead.output, /<!-- 🌸 Kuuzuki rules for src\/App\.test\.tsx -->\n<!-- - Use React Testing Library -->/);
+    assert.ok(!testRead.output.includes('Use pnpm'));
+    assert.deepStrictEqual(testRead.metadata.kuuzuki.scopedRules, [saved.rules[1].id]);
+    const edit = await runFileTool('edit', 'src/util.test.ts', 'call-2');
+    assert.match(edit.output, /Use React Testing Library/);
+    const plainRead = await runFileTool('read', 'src/App.tsx', 'call-3');
+    assert.ok(!plainRead.output.includes('Use React Testing Library'));
+
+    console.log('\n🎉 All structured rule tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testRules();
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for .agentrc schema validation
+ *
+ * Checks that syntax and schema errors are reported with their JSON path,
+ * what was expected, and the line and column they occur at.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAgentrc, validateAgentrcSchema, parseJsonWithLocations } from '../src/schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function testSchema() {
+  console.log('🧪 Testing .agentrc schema validation...\n');
+
+  try {
+    // Shipped configs must be valid
+    console.log('🧪 Validating bundled sample configs...');
+    for (const file of ['../examples/sample.agentrc', '.agentrc']) {
+      const content = await fs.readFile(path.join(__dirname, file), 'utf-8');
+      const { warnings } = parseAgentrc(content, file);
+      assert.deepStrictEqual(warnings, [], `${file} should have no warnings`);
+    }
+
+    // Syntax errors carry line and column
+    console.log('🧪 Testing stray comma reporting...');
+    assert.throws(
+      () => parseAgentrc('{\n  "rules": [\n    "one",\n  ]\n}', '.agentrc'),
+      (error) => {
+        assert.strictEqual(error.issues[0].line, 4);
+        assert.strictEqual(error.issues[0].column, 3);
+        assert.match(error.message, /\.agentrc:4:3/);
+        return true;
+      }
+    );
+
+    // Typos in strict sections are errors with a suggestion
+    console.log('🧪 Testing security key typo...');
+    assert.throws(
+      () => parseAgentrc('{\n  "security": {\n    "restrictedPath": ["dist/**"]\n  }\n}', '.agentrc'),
+      (error) => {
+        const [issue] = error.issues;
+        assert.strictEqual(issue.path, 'security.restrictedPath');
+        assert.strictEqual(issue.line, 3);
+        assert.strictEqual(issue.column, 5);
+        assert.match(issue.message, /did you mean "restrictedPaths"/);
+        return true;
+      }
+    );
+
+    // Type mismatches name the path and the expectation
+    console.log('🧪 Testing type mismatch reporting...');
+    const source = '{ "security": { "sensitiveFiles": "*.env" }, "rules": ["ok", 3] }';
+    const { value, locations } = parseJsonWithLocations(source);
+    const issues = validateAgentrcSchema(value, locations);
+    assert.deepStrictEqual(issues.map(issue => issue.path), ['security.sensitiveFiles', 'rules[1]']);
+    assert.match(issues[0].message, /expected an array of strings, got string "\*\.env"/);
+    assert.strictEqual(issues[1].column, source.indexOf('3') + 1);
+
+    // Unknown top-level keys only warn
+    console.log('🧪 Testing unknown top-level keys...');
+    const { warnings } = parseAgentrc('{ "projct": {} }');
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(warnings[0].severity, 'warning');
+    assert.match(warnings[0].message, /did you mean "project"/);
+
+    console.log('\n🎉 All schema tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testSchema();
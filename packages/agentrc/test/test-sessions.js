@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for session notes
+ *
+ * Checks that files touched, commands run, failures and added rules are
+ * noted per session under OpenCode's data path, that the next session
+ * start summarises them, and that notes can be viewed, pruned and cleared.
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  getSessionStorePath,
+  appendSessionNote,
+  readSessionNotes,
+  summarizeSessions,
+  describeSessions,
+  pruneSessionNotes
+} from '../src/sessions.js';
+import { KuuzukiAgentrcPlugin } from '../src/index.js';
+
+const mock$ = async () => ({ stdout: '', stderr: '', exitCode: 0 });
+
+/**
+ * Run a function and collect what it prints
+ */
+const captureOutput = async (task) => {
+  const originalWrite = process.stdout.write;
+  let printed = '';
+  process.stdout.write = (chunk, ...rest) => {
+    printed += chunk;
+    return originalWrite.call(process.stdout, chunk, ...rest);
+  };
+  try {
+    await task();
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+  return printed;
+};
+
+async function testSessions() {
+  console.log('🧪 Testing session notes...\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kuuzuki-sessions-'));
+  const originalHome = process.env.HOME;
+
+  try {
+    process.env.HOME = path.join(tempDir, 'home');
+    const app = {
+      path: {
+        root: path.join(tempDir, 'shop'),
+        config: path.join(tempDir, 'config'),
+        data: path.join(tempDir, 'data')
+      }
+    };
+    await fs.mkdir(app.path.root, { recursive: true });
+    await fs.writeFile(path.join(app.path.root, '.agentrc'), JSON.stringify({
+      rules: ['Use pnpm'],
+      notifications: { mode: 'console', silent: false }
+    }, null, 2));
+
+    console.log('🧪 Testing store location...');
+    const storePath = getSessionStorePath(app.path.data, app.path.root);
+    assert.ok(storePath.startsWith(path.join(app.path.data, 'kuuzuki', 'sessions', 'shop-')));
+    assert.notStrictEqual(storePath, getSessionStorePath(app.path.data, path.join(tempDir, 'other', 'shop')));
+    assert.strictEqual(getSessionStorePath(undefined, app.path.root), null);
+
+    console.log('🧪 Testing notes from a session...');
+    const hooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const runTool = async (tool, args, callID, result = {}) => {
+      const before = { args };
+      await hooks['tool.execute.before']({ tool, sessionID: 'session-1', callID }, before);
+      const after = { title: tool, output: before.args.__kuuzuki_memory_result ? undefined : 'done', metadata: {}, args: before.args, ...result };
+      await hooks['tool.execute.after']({ tool, sessionID: 'session-1', callID }, after);
+      return after;
+    };
+    await captureOutput(() => hooks.event({ event: { type: 'session.start', data: { sessionID: 'session-1' } } }));
+    await runTool('read', { filePath: 'src/cart.js' }, 'call-1');
+    await runTool('read', { filePath: 'src/cart.js' }, 'call-2');
+    await runTool('edit', { filePath: path.join(app.path.root, 'src/checkout.js') }, 'call-3');
+    await runTool('read', { filePath: 'src/checkout.js' }, 'call-4');
+    await runTool('bash', { command: 'pnpm test' }, 'call-5', { metadata: { exit: 1 } });
+    await runTool('bash', { command: 'pnpm test' }, 'call-6', { metadata: { exit: 0 } });
+    await captureOutput(() => runTool('memory', { action: 'add', rule: 'Keep checkout steps pure' }, 'call-7'));
+    await hooks.event({ event: { type: 'session.error', data: { sessionID: 'session-1', error: { message: 'Provider timed out' } } } });
+    await captureOutput(() => hooks.event({ event: { type: 'session.end', data: { sessionID: 'session-1' } } }));
+
+    const [session] = summarizeSessions(await readSessionNotes(storePath));
+    assert.strictEqual(session.sessionId, 'session-1');
+    assert.deepStrictEqual(session.filesEdited, ['src/checkout.js']);
+    assert.deepStrictEqual(session.filesRead, ['src/cart.js']);
+    assert.deepStrictEqual(session.commands, ['pnpm test']);
+    assert.deepStrictEqual(session.failures, ['pnpm test: exit code 1', 'Provider timed out']);
+    assert.deepStrictEqual(session.rulesAdded, ['Keep checkout steps pure']);
+    assert.ok(session.endedAt);
+    // Repeated reads and commands are noted once
+    assert.strictEqual((await readSessionNotes(storePath)).filter(note => note.type === 'file').length, 3);
+
+    console.log('🧪 Testing summary at the next session start...');
+    const nextHooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    const printed = await captureOutput(() => nextHooks.event({ event: { type: 'session.start', data: { sessionID: 'session-2' } } }));
+    assert.match(printed, /Recent sessions in this project/);
+    assert.match(printed, /1 file\(s\) edited, 1 read, 1 command\(s\), 2 failure\(s\), 1 rule\(s\) added/);
+    assert.match(printed, /Edited: src\/checkout\.js/);
+    assert.match(printed, /Failed: pnpm test: exit code 1, Provider timed out/);
+    assert.match(printed, /Rules added: Keep checkout steps pure/);
+
+    console.log('🧪 Testing view, prune and clear...');
+    const memory = async (args) => {
+      const output = { args };
+      await nextHooks['tool.execute.before']({ tool: 'memory', sessionID: 'session-2' }, output);
+      return output.args.__kuuzuki_memory_result;
+    };
+    const view = await memory({ action: 'sessions' });
+    assert.strictEqual(view.title, '🕘 Recent Sessions');
+    assert.match(view.output, /did not end cleanly/);
+    assert.match(view.output, /Ran: pnpm test/);
+    assert.strictEqual((await memory({ action: 'sessions-prune', keep: 1 })).output, 'Removed 1 session(s), kept 1');
+    assert.deepStrictEqual(summarizeSessions(await readSessionNotes(storePath)).map(entry => entry.sessionId), ['session-2']);
+    assert.strictEqual((await memory({ action: 'sessions-clear' })).title, '⚠️ Confirm Clearing Session Notes');
+    assert.strictEqual((await memory({ action: 'sessions-clear', confirm: true })).output, 'Removed notes of 1 session(s)');
+    assert.deepStrictEqual(await readSessionNotes(storePath), []);
+    assert.strictEqual((await memory({ action: 'sessions' })).output, 'No sessions recorded yet');
+
+    // Age-based pruning and descriptions, straight from the store
+    await appendSessionNote(storePath, { sessionId: 'old', type: 'start', timestamp: '2020-01-01T10:00:00.000Z' });
+    await appendSessionNote(storePath, { sessionId: 'old', type: 'end', timestamp: '2020-01-01T10:30:00.000Z' });
+    await appendSessionNote(storePath, { sessionId: 'new', type: 'command', command: 'pnpm lint' });
+    assert.deepStrictEqual(describeSessions(summarizeSessions(await readSessionNotes(storePath)).slice(1)), ['2020-01-01 10:00 (30 min): nothing recorded']);
+    assert.deepStrictEqual(await pruneSessionNotes(storePath, { olderThanDays: 30 }), { removed: 1, kept: 1 });
+
+    // Pruning needs to be told what to keep
+    await fs.writeFile(path.join(app.path.root, '.agentrc'), JSON.stringify({ notifications: { mode: 'none' } }));
+    const quietHooks = await KuuzukiAgentrcPlugin({ app, client: {}, $: mock$ });
+    await assert.rejects(quietHooks['tool.execute.before']({ tool: 'memory' }, { args: { action: 'sessions-prune' } }), /keep=<sessions>/);
+    // The summary goes through the logger, so quiet notifications hide all of it
+    const quietStart = await captureOutput(() => quietHooks.event({ event: { type: 'session.start', data: { sessionID: 'quiet' } } }));
+    assert.doesNotMatch(quietStart, /Recent sessions|Ran: pnpm lint/);
+
+    // Without a data path nothing is stored
+    const noData = { path: { root: app.path.root, config: app.path.config } };
+    const noDataHooks = await KuuzukiAgentrcPlugin({ app: noData, client: {}, $: mock$ });
+    const output = { args: { action: 'sessions' } };
+    await assert.rejects(noDataHooks['tool.execute.before']({ tool: 'memory' }, output), /did not provide a data path/);
+
+    console.log('\n🎉 All session note tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.env.HOME = originalHome;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testSessions();